@@ -0,0 +1,849 @@
+// server/alert-engine.js - Price-Threshold Alert Rules Evaluated on a Schedule, plus Filing Alerts and Corporate Action Reminders
+
+import express from 'express';
+import crypto from 'crypto';
+import cron from 'node-cron';
+import { EventEmitter } from 'events';
+import { createJsonStore } from './json-store.js';
+import { announcementEvents } from './announcements.js';
+import { FILING_CATEGORIES, IMPORTANCE_LEVELS, describeCategories } from './filing-classifier.js';
+import { ACTION_TYPES, describeAction, getUpcomingActionDates } from './corporate-actions.js';
+import { enqueueWhatsAppMessage } from './whatsapp-gateway.js';
+
+// actionReminders: { [action:date field:date:user]: date } so each reminder is sent once
+const store = createJsonStore('alerts', { rules: [], events: [], filingPreferences: {}, actionPreferences: {}, actionReminders: {} });
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const MAX_RULES_PER_USER = 100;
+const MAX_EVENTS_PER_USER = 200;
+const DEFAULT_EVALUATION_CRON = '* * * * *'; // every minute
+const DEFAULT_REMINDER_CRON = '30 8 * * *'; // 08:30 IST, before the Indian open
+const MAX_REMINDER_DAYS = 30;
+
+// Filings older than this when ingested (first-poll lookback, imported archives) are not news
+const getFilingAlertMaxAge = () => parseInt(process.env.FILING_ALERT_MAX_AGE) || 24 * 60 * 60 * 1000;
+
+// Stale quotes older than this (cache age) are not evaluated
+const getAlertMaxQuoteAge = () => parseInt(process.env.ALERT_MAX_QUOTE_AGE) || 5 * 60 * 1000;
+
+// Fired alerts are published here for delivery (WhatsApp, streaming, ...)
+export const alertEvents = new EventEmitter();
+
+export class AlertRuleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AlertRuleError';
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// RULE TYPES
+// =============================================================================
+
+// check({ quote, previous, threshold, rule, indicators }) returns a trigger
+// description or null. `previous` is the snapshot from the last evaluation of the
+// same symbol and carries the levels and indicators that were in force then.
+// Types flagged needsIndicators get daily-candle indicators for the symbol.
+
+// Fires when `value` moves from at-or-below `level` to above it (or the reverse)
+const crossed = (direction, previousValue, previousLevel, value, level) => {
+  if ([previousValue, previousLevel, value, level].some(v => v === null || v === undefined)) return false;
+  return direction === 'up'
+    ? previousValue <= previousLevel && value > level
+    : previousValue >= previousLevel && value < level;
+};
+
+const SMA_CROSS_PERIODS = [20, 50, 200];
+
+const SESSION_NAMES = { pre_market: 'pre-market', after_hours: 'after-hours' };
+
+// US pre-market/after-hours rules; quotes only carry `extendedHours` outside regular hours
+const extendedCheck = (describe) => ({ quote, threshold }) => {
+  const extended = quote.extendedHours;
+  return extended ? describe(extended, threshold, SESSION_NAMES[extended.session] || extended.session) : null;
+};
+
+const smaCrossCheck = (direction) => ({ quote, previous, threshold, indicators }) => {
+  const period = threshold || 50;
+  const level = indicators?.sma?.[period];
+  if (!crossed(direction, previous?.price, previous?.indicators?.sma?.[period], quote.price, level)) return null;
+  return `Crossed ${direction === 'up' ? 'above' : 'below'} the ${period}-day SMA ${level} (from ${previous.price} to ${quote.price})`;
+};
+
+export const RULE_TYPES = {
+  price_above: {
+    label: 'Price Above',
+    importance: 'high',
+    needsThreshold: true,
+    check: ({ quote, threshold }) =>
+      quote.price >= threshold ? `Price ${quote.price} is at or above ${threshold}` : null
+  },
+  price_below: {
+    label: 'Price Below',
+    importance: 'high',
+    needsThreshold: true,
+    check: ({ quote, threshold }) =>
+      quote.price <= threshold ? `Price ${quote.price} is at or below ${threshold}` : null
+  },
+  change_percent_above: {
+    label: 'Day Gain %',
+    importance: 'medium',
+    needsThreshold: true,
+    check: ({ quote, threshold }) =>
+      quote.changePercent >= threshold ? `Up ${quote.changePercent}% today (trigger ${threshold}%)` : null
+  },
+  change_percent_below: {
+    label: 'Day Loss %',
+    importance: 'medium',
+    needsThreshold: true,
+    // Threshold is given as a loss, e.g. 3 or -3 both mean "down 3% or more"
+    check: ({ quote, threshold }) =>
+      quote.changePercent <= -Math.abs(threshold) ? `Down ${quote.changePercent}% today (trigger -${Math.abs(threshold)}%)` : null
+  },
+  extended_price_above: {
+    label: 'Extended-Hours Price Above',
+    importance: 'high',
+    needsThreshold: true,
+    check: extendedCheck((extended, threshold, session) =>
+      extended.price >= threshold ? `Trading at ${extended.price} ${session}, at or above ${threshold}` : null)
+  },
+  extended_price_below: {
+    label: 'Extended-Hours Price Below',
+    importance: 'high',
+    needsThreshold: true,
+    check: extendedCheck((extended, threshold, session) =>
+      extended.price <= threshold ? `Trading at ${extended.price} ${session}, at or below ${threshold}` : null)
+  },
+  extended_move_above: {
+    label: 'Extended-Hours Gain %',
+    importance: 'medium',
+    needsThreshold: true,
+    // Measured from the regular-session close
+    check: extendedCheck((extended, threshold, session) =>
+      extended.changePercent >= threshold
+        ? `Up ${extended.changePercent}% ${session} from the ${extended.regularClose} close (trigger ${threshold}%)`
+        : null)
+  },
+  extended_move_below: {
+    label: 'Extended-Hours Loss %',
+    importance: 'medium',
+    needsThreshold: true,
+    // Threshold is given as a loss, as for change_percent_below
+    check: extendedCheck((extended, threshold, session) =>
+      extended.changePercent <= -Math.abs(threshold)
+        ? `Down ${extended.changePercent}% ${session} from the ${extended.regularClose} close (trigger -${Math.abs(threshold)}%)`
+        : null)
+  },
+  cross_resistance: {
+    label: 'Resistance Breakout',
+    importance: 'high',
+    needsThreshold: false,
+    needsIndicators: true,
+    check: ({ quote, previous }) => {
+      const level = previous?.levels?.resistance;
+      if (!level || previous.price > level) return null;
+      return quote.price > level ? `Broke above resistance ${level} (from ${previous.price} to ${quote.price})` : null;
+    }
+  },
+  cross_support: {
+    label: 'Support Breakdown',
+    importance: 'high',
+    needsThreshold: false,
+    needsIndicators: true,
+    check: ({ quote, previous }) => {
+      const level = previous?.levels?.support;
+      if (!level || previous.price < level) return null;
+      return quote.price < level ? `Broke below support ${level} (from ${previous.price} to ${quote.price})` : null;
+    }
+  },
+  volume_spike: {
+    label: 'Volume Spike',
+    importance: 'medium',
+    needsThreshold: false,
+    // Threshold is a multiple of normal volume (default 2x)
+    check: ({ quote, threshold, rule }) => {
+      const baseline = quote.averageVolume || rule.baselineVolume;
+      const multiple = threshold || 2;
+      if (!baseline || !quote.volume) return null;
+      const ratio = quote.volume / baseline;
+      return ratio >= multiple ? `Volume ${quote.volume.toLocaleString('en-IN')} is ${ratio.toFixed(1)}x normal` : null;
+    }
+  },
+  rsi_above: {
+    label: 'RSI Overbought',
+    importance: 'medium',
+    needsThreshold: false,
+    needsIndicators: true,
+    // Threshold is the RSI level (default 70)
+    check: ({ threshold, indicators }) => {
+      const level = threshold || 70;
+      if (indicators?.rsi === null || indicators?.rsi === undefined) return null;
+      return indicators.rsi >= level ? `RSI(14) is ${indicators.rsi}, at or above ${level}` : null;
+    }
+  },
+  rsi_below: {
+    label: 'RSI Oversold',
+    importance: 'medium',
+    needsThreshold: false,
+    needsIndicators: true,
+    // Threshold is the RSI level (default 30)
+    check: ({ threshold, indicators }) => {
+      const level = threshold || 30;
+      if (indicators?.rsi === null || indicators?.rsi === undefined) return null;
+      return indicators.rsi <= level ? `RSI(14) is ${indicators.rsi}, at or below ${level}` : null;
+    }
+  },
+  macd_bullish_cross: {
+    label: 'MACD Bullish Crossover',
+    importance: 'medium',
+    needsThreshold: false,
+    needsIndicators: true,
+    check: ({ previous, indicators }) =>
+      crossed('up', previous?.indicators?.macd?.histogram, 0, indicators?.macd?.histogram, 0)
+        ? `MACD ${indicators.macd.line} crossed above its signal line ${indicators.macd.signal}`
+        : null
+  },
+  macd_bearish_cross: {
+    label: 'MACD Bearish Crossover',
+    importance: 'medium',
+    needsThreshold: false,
+    needsIndicators: true,
+    check: ({ previous, indicators }) =>
+      crossed('down', previous?.indicators?.macd?.histogram, 0, indicators?.macd?.histogram, 0)
+        ? `MACD ${indicators.macd.line} crossed below its signal line ${indicators.macd.signal}`
+        : null
+  },
+  cross_above_sma: {
+    label: 'Crosses Above SMA',
+    importance: 'medium',
+    needsThreshold: false,
+    needsIndicators: true,
+    // Threshold is the SMA period: 20, 50 or 200 (default 50)
+    allowedThresholds: SMA_CROSS_PERIODS,
+    check: smaCrossCheck('up')
+  },
+  cross_below_sma: {
+    label: 'Crosses Below SMA',
+    importance: 'medium',
+    needsThreshold: false,
+    needsIndicators: true,
+    allowedThresholds: SMA_CROSS_PERIODS,
+    check: smaCrossCheck('down')
+  },
+  bollinger_breakout_up: {
+    label: 'Upper Bollinger Breakout',
+    importance: 'medium',
+    needsThreshold: false,
+    needsIndicators: true,
+    check: ({ quote, previous, indicators }) => {
+      const band = indicators?.bollinger?.upper;
+      return crossed('up', previous?.price, previous?.indicators?.bollinger?.upper, quote.price, band)
+        ? `Broke above the upper Bollinger Band ${band}`
+        : null;
+    }
+  },
+  bollinger_breakout_down: {
+    label: 'Lower Bollinger Breakdown',
+    importance: 'medium',
+    needsThreshold: false,
+    needsIndicators: true,
+    check: ({ quote, previous, indicators }) => {
+      const band = indicators?.bollinger?.lower;
+      return crossed('down', previous?.price, previous?.indicators?.bollinger?.lower, quote.price, band)
+        ? `Broke below the lower Bollinger Band ${band}`
+        : null;
+    }
+  }
+};
+
+// =============================================================================
+// RULE STORAGE
+// =============================================================================
+
+const validateRule = (input, existing = {}) => {
+  const rule = { ...existing, ...input };
+  const type = RULE_TYPES[rule.type];
+
+  if (!type) {
+    throw new AlertRuleError(`Unknown rule type. Use one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+  }
+
+  rule.symbol = String(rule.symbol || '').trim().toUpperCase();
+  if (!/^[A-Z0-9&.\-]{1,20}$/.test(rule.symbol)) throw new AlertRuleError('A valid symbol is required');
+
+  if (rule.threshold !== undefined && rule.threshold !== null) {
+    rule.threshold = Number(rule.threshold);
+    if (!Number.isFinite(rule.threshold)) throw new AlertRuleError('threshold must be a number');
+  }
+  if (type.needsThreshold && !Number.isFinite(rule.threshold)) {
+    throw new AlertRuleError(`${type.label} rules need a numeric threshold`);
+  }
+  if (type.allowedThresholds && Number.isFinite(rule.threshold) && !type.allowedThresholds.includes(rule.threshold)) {
+    throw new AlertRuleError(`${type.label} threshold must be one of: ${type.allowedThresholds.join(', ')}`);
+  }
+
+  rule.cooldownMinutes = Math.max(1, Number(rule.cooldownMinutes) || DEFAULT_COOLDOWN_MINUTES);
+  rule.enabled = rule.enabled !== false;
+  if (rule.market !== 'indian' && rule.market !== 'global') delete rule.market;
+
+  return rule;
+};
+
+const findUserRule = (state, userId, ruleId) => {
+  const rule = state.rules.find(r => r.id === ruleId && r.userId === userId);
+  if (!rule) throw new AlertRuleError(`Alert rule ${ruleId} not found`, 404);
+  return rule;
+};
+
+export const listRules = (userId) => store.get().rules.filter(r => r.userId === userId);
+
+export const createRule = (userId, input) => store.update(state => {
+  if (state.rules.filter(r => r.userId === userId).length >= MAX_RULES_PER_USER) {
+    throw new AlertRuleError(`A maximum of ${MAX_RULES_PER_USER} alert rules is allowed`);
+  }
+
+  const { symbol, market, type, threshold, cooldownMinutes, baselineVolume, note } = input || {};
+  const rule = validateRule({ symbol, market, type, threshold, cooldownMinutes, baselineVolume, note });
+  Object.assign(rule, {
+    id: crypto.randomUUID(),
+    userId,
+    createdAt: new Date().toISOString(),
+    lastTriggeredAt: null
+  });
+
+  state.rules.push(rule);
+  return rule;
+});
+
+export const updateRule = (userId, ruleId, input) => store.update(state => {
+  const rule = findUserRule(state, userId, ruleId);
+  const { threshold, cooldownMinutes, enabled, baselineVolume, note } = input || {};
+  const updates = Object.fromEntries(
+    Object.entries({ threshold, cooldownMinutes, enabled, baselineVolume, note }).filter(([, v]) => v !== undefined)
+  );
+
+  Object.assign(rule, validateRule(updates, rule), { updatedAt: new Date().toISOString() });
+  return rule;
+});
+
+export const deleteRule = (userId, ruleId) => store.update(state => {
+  const rule = findUserRule(state, userId, ruleId);
+  state.rules.splice(state.rules.indexOf(rule), 1);
+  return rule;
+});
+
+export const listAlertEvents = (userId, limit = 50) =>
+  store.get().events.filter(e => e.userId === userId).slice(0, limit);
+
+export const markAlertRead = (userId, alertId) => store.update(state => {
+  const ids = alertId === 'all'
+    ? state.events.filter(e => e.userId === userId).map(e => e.id)
+    : [alertId];
+
+  const updated = state.events.filter(e => e.userId === userId && ids.includes(e.id));
+  if (alertId !== 'all' && updated.length === 0) throw new AlertRuleError(`Alert ${alertId} not found`, 404);
+
+  updated.forEach(e => { e.read = true; });
+  return { updated: updated.length };
+});
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+// Last evaluated snapshot per symbol (price, levels, indicators), kept in memory
+const snapshots = new Map();
+
+// Keep the newest events per user only
+const keepNewestEvents = (state) => {
+  const counts = {};
+  state.events = state.events.filter(e => {
+    counts[e.userId] = (counts[e.userId] || 0) + 1;
+    return counts[e.userId] <= MAX_EVENTS_PER_USER;
+  });
+};
+
+const recordEvent = (rule, quote, trigger) => {
+  const type = RULE_TYPES[rule.type];
+  const now = new Date().toISOString();
+
+  const event = {
+    id: crypto.randomUUID(),
+    userId: rule.userId,
+    ruleId: rule.id,
+    symbol: rule.symbol,
+    company: quote.name || rule.symbol,
+    exchange: quote.exchange,
+    type: 'price_change', // WhatsApp template
+    category: type.label,
+    importance: type.importance,
+    description: `${quote.name || rule.symbol}: ${trigger}`,
+    time: now,
+    data: {
+      price: quote.price,
+      change: quote.change,
+      changePercent: `${quote.changePercent}%`,
+      volume: quote.volume,
+      currency: quote.currency,
+      ...(quote.extendedHours && {
+        session: quote.extendedHours.session,
+        extendedPrice: quote.extendedHours.price,
+        extendedChangePercent: `${quote.extendedHours.changePercent}%`
+      }),
+      trigger
+    },
+    read: false
+  };
+
+  store.update(state => {
+    const stored = state.rules.find(r => r.id === rule.id);
+    if (stored) stored.lastTriggeredAt = now;
+
+    state.events.unshift(event);
+    keepNewestEvents(state);
+  });
+
+  return event;
+};
+
+const isCoolingDown = (rule, now) =>
+  rule.lastTriggeredAt && now - new Date(rule.lastTriggeredAt).getTime() < rule.cooldownMinutes * 60 * 1000;
+
+// Evaluate every enabled rule once. Quotes (and indicators, when a rule needs
+// them) are fetched once per symbol no matter how many users watch it.
+// getIndicators(symbol, market) resolves to null when only simulated candles exist.
+export const evaluateRules = async ({ fetchQuote, getIndicators }) => {
+  const rules = store.get().rules.filter(r => r.enabled);
+  const bySymbol = new Map();
+  rules.forEach(rule => {
+    if (!bySymbol.has(rule.symbol)) bySymbol.set(rule.symbol, []);
+    bySymbol.get(rule.symbol).push(rule);
+  });
+
+  const fired = [];
+  const now = Date.now();
+
+  await Promise.all([...bySymbol.entries()].map(async ([symbol, symbolRules]) => {
+    const market = symbolRules.find(r => r.market)?.market;
+    let quote;
+    try {
+      quote = await fetchQuote(symbol, market);
+    } catch (error) {
+      console.log(`❌ Alert evaluation skipped ${symbol}: ${error.message}`);
+      return;
+    }
+
+    // Never alert off simulated prices, or off a last-known quote kept while providers
+    // are down. A quote past its cache TTL that is merely refreshing is still usable.
+    if (!quote || quote.mock) return;
+    if (quote.stale && (quote.staleReason === 'providers_failed' || quote.staleAge * 1000 > getAlertMaxQuoteAge())) return;
+
+    let indicators = null;
+    if (symbolRules.some(rule => RULE_TYPES[rule.type].needsIndicators)) {
+      try {
+        indicators = await getIndicators(symbol, market);
+      } catch (error) {
+        console.log(`⚠️ Indicators unavailable for ${symbol}: ${error.message}`);
+      }
+    }
+
+    // Pivot S1/R1 from the last completed session act as support/resistance
+    const levels = indicators?.pivots ? { support: indicators.pivots.s1, resistance: indicators.pivots.r1 } : null;
+
+    const previous = snapshots.get(symbol);
+    snapshots.set(symbol, { price: quote.price, levels, indicators, at: now });
+
+    symbolRules.forEach(rule => {
+      if (isCoolingDown(rule, now)) return;
+
+      const trigger = RULE_TYPES[rule.type].check({ quote, previous, threshold: rule.threshold, rule, indicators });
+      if (!trigger) return;
+
+      const event = recordEvent(rule, quote, trigger);
+      fired.push(event);
+      alertEvents.emit('alert', event);
+    });
+  }));
+
+  if (fired.length > 0) {
+    console.log(`🔔 Alert engine fired ${fired.length} alert(s) across ${bySymbol.size} symbols`);
+  }
+  return { evaluated: rules.length, symbols: bySymbol.size, fired: fired.length };
+};
+
+let scheduledTask = null;
+let isEvaluating = false;
+
+export const startAlertEngine = (deps) => {
+  const expression = process.env.ALERT_EVALUATION_CRON || DEFAULT_EVALUATION_CRON;
+  if (!cron.validate(expression)) {
+    console.error(`❌ Invalid ALERT_EVALUATION_CRON "${expression}", alert engine not started`);
+    return;
+  }
+
+  scheduledTask = cron.schedule(expression, async () => {
+    // Skip a tick rather than overlap when providers are slow
+    if (isEvaluating) return;
+    isEvaluating = true;
+    try {
+      await evaluateRules(deps);
+    } catch (error) {
+      console.error('Alert evaluation failed:', error);
+    } finally {
+      isEvaluating = false;
+    }
+  });
+
+  console.log(`🔔 Alert engine scheduled (${expression})`);
+};
+
+export const stopAlertEngine = () => {
+  scheduledTask?.stop();
+  scheduledTask = null;
+};
+
+// =============================================================================
+// FILING ALERTS
+// =============================================================================
+
+// Routine filings (trading window closures, newspaper copies, ...) are hidden and
+// only medium and high importance filings alert until a user changes this.
+// whatsapp also queues each filing alert to the user's own number.
+export const DEFAULT_FILING_PREFERENCES = { enabled: true, minImportance: 'medium', hideNoise: true, mutedCategories: [], whatsapp: false };
+
+export const getFilingPreferences = (userId) => ({
+  ...DEFAULT_FILING_PREFERENCES,
+  ...store.get().filingPreferences[userId]
+});
+
+export const updateFilingPreferences = (userId, input) => store.update(state => {
+  const preferences = { ...DEFAULT_FILING_PREFERENCES, ...state.filingPreferences[userId] };
+  const { enabled, minImportance, hideNoise, mutedCategories, whatsapp } = input || {};
+
+  if (enabled !== undefined) preferences.enabled = Boolean(enabled);
+  if (hideNoise !== undefined) preferences.hideNoise = Boolean(hideNoise);
+  if (whatsapp !== undefined) preferences.whatsapp = Boolean(whatsapp);
+  if (minImportance !== undefined) {
+    if (!IMPORTANCE_LEVELS.includes(minImportance)) {
+      throw new AlertRuleError(`minImportance must be one of: ${IMPORTANCE_LEVELS.join(', ')}`);
+    }
+    preferences.minImportance = minImportance;
+  }
+  if (mutedCategories !== undefined) {
+    if (!Array.isArray(mutedCategories) || mutedCategories.some(c => !FILING_CATEGORIES[c])) {
+      throw new AlertRuleError(`mutedCategories must list categories from: ${Object.keys(FILING_CATEGORIES).join(', ')}`);
+    }
+    preferences.mutedCategories = [...new Set(mutedCategories)];
+  }
+
+  state.filingPreferences[userId] = { ...preferences, updatedAt: new Date().toISOString() };
+  return state.filingPreferences[userId];
+});
+
+const wantsFiling = (preferences, filing) =>
+  preferences.enabled
+  && !(preferences.hideNoise && filing.noise)
+  && !preferences.mutedCategories.includes(filing.category)
+  && IMPORTANCE_LEVELS.indexOf(filing.importance) >= IMPORTANCE_LEVELS.indexOf(preferences.minImportance);
+
+// details ({ description, data }) carries figures read from the filing, e.g. the
+// revenue and profit the financial_results template shows
+const toFilingEvent = (filing, userId, now, details) => {
+  const category = FILING_CATEGORIES[filing.category] || FILING_CATEGORIES.other;
+  return {
+    id: crypto.randomUUID(),
+    userId,
+    ruleId: null,
+    filingId: filing.id,
+    symbol: filing.symbol,
+    company: filing.company,
+    exchange: filing.exchanges.join('/'),
+    type: category.alertType, // WhatsApp template
+    category: category.label,
+    importance: filing.importance,
+    sentiment: filing.sentiment,
+    description: details?.description || `${filing.company}: ${filing.subject}`,
+    time: now,
+    data: {
+      subject: filing.subject,
+      details: filing.description,
+      filedAt: filing.filedAt,
+      attachmentUrl: filing.attachmentUrl,
+      sentiment: filing.sentiment,
+      ...details?.data
+    },
+    read: false
+  };
+};
+
+// Plain-text body for the WhatsApp gateway; results alerts carry their highlights,
+// other filings the text the company filed
+const toWhatsAppMessage = (event) => [
+  `*${event.company} (${event.symbol})* - ${event.exchange}`,
+  '',
+  `🔔 *${event.category}*`,
+  event.description,
+  (event.data.highlights || event.data.details) && `\n${event.data.highlights || event.data.details}`,
+  event.data.attachmentUrl && `\n📎 ${event.data.attachmentUrl}`,
+  '',
+  '📱 Vibha StockAlerts'
+].filter(line => typeof line === 'string').join('\n');
+
+// Queues filing alerts for users who turned on WhatsApp delivery; getPhone(userId)
+// resolves their login number. A failed enqueue never blocks the in-app alert.
+const sendFilingWhatsApp = (events, getPhone) => events.forEach(event => {
+  if (!getFilingPreferences(event.userId).whatsapp) return;
+  const phone = getPhone(event.userId);
+  if (!phone) return;
+  try {
+    enqueueWhatsAppMessage({ to: phone, message: toWhatsAppMessage(event), userId: event.userId, dedupeKey: `filing:${event.filingId}` });
+  } catch (error) {
+    console.log(`❌ WhatsApp filing alert for ${event.symbol} not queued: ${error.message}`);
+  }
+});
+
+// Users with the symbol in a watchlist (getWatchers) or in an alert rule
+const findSymbolWatchers = (symbol, getWatchers) => [...new Set([
+  ...getWatchers(symbol),
+  ...store.get().rules.filter(r => r.symbol.replace(/\.(NS|BO)$/, '') === symbol).map(r => r.userId)
+])];
+
+// Alerts everyone watching the filing's symbol whose filing preferences let it through
+export const recordFilingAlerts = (filing, { getWatchers, getPhone = () => null, details = null }) => {
+  if (!filing.symbol) return [];
+  const recipients = findSymbolWatchers(filing.symbol, getWatchers).filter(userId => wantsFiling(getFilingPreferences(userId), filing));
+  if (recipients.length === 0) return [];
+
+  const now = new Date().toISOString();
+  const events = recipients.map(userId => toFilingEvent(filing, userId, now, details));
+  store.update(state => {
+    state.events.unshift(...events);
+    keepNewestEvents(state);
+  });
+
+  events.forEach(event => alertEvents.emit('alert', event));
+  sendFilingWhatsApp(events, getPhone);
+  console.log(`🔔 ${filing.symbol} ${FILING_CATEGORIES[filing.category]?.label || filing.category} filing alerted ${events.length} user(s)`);
+  return events;
+};
+
+// describeFiling(filing), when given, resolves to extra alert details for the filing or null
+export const startFilingAlerts = ({ getWatchers, getPhone, describeFiling = async () => null }) => {
+  announcementEvents.on('announcement', async (filing, { feed }) => {
+    // Recorded fixture feeds are test data, like simulated prices
+    if (feed === 'fixtures' || Date.now() - new Date(filing.filedAt).getTime() > getFilingAlertMaxAge()) return;
+    try {
+      const details = await describeFiling(filing).catch(error => {
+        console.log(`⚠️ ${filing.symbol} filing details unavailable: ${error.message}`);
+        return null;
+      });
+      recordFilingAlerts(filing, { getWatchers, getPhone, details });
+    } catch (error) {
+      console.error('Filing alerts failed:', error);
+    }
+  });
+};
+
+// =============================================================================
+// CORPORATE ACTION REMINDERS
+// =============================================================================
+
+const REMINDER_DATES = ['exDate', 'recordDate', 'meetingDate'];
+
+// Watchers hear about every action type two days before its ex-date and record date
+export const DEFAULT_ACTION_PREFERENCES = { enabled: true, daysBefore: 2, dates: ['exDate', 'recordDate'], mutedTypes: [] };
+
+export const getActionPreferences = (userId) => ({
+  ...DEFAULT_ACTION_PREFERENCES,
+  ...store.get().actionPreferences[userId]
+});
+
+export const updateActionPreferences = (userId, input) => store.update(state => {
+  const preferences = { ...DEFAULT_ACTION_PREFERENCES, ...state.actionPreferences[userId] };
+  const { enabled, daysBefore, dates, mutedTypes } = input || {};
+
+  if (enabled !== undefined) preferences.enabled = Boolean(enabled);
+  if (daysBefore !== undefined) {
+    if (!Number.isInteger(daysBefore) || daysBefore < 0 || daysBefore > MAX_REMINDER_DAYS) {
+      throw new AlertRuleError(`daysBefore must be a whole number from 0 to ${MAX_REMINDER_DAYS}`);
+    }
+    preferences.daysBefore = daysBefore;
+  }
+  if (dates !== undefined) {
+    if (!Array.isArray(dates) || dates.some(d => !REMINDER_DATES.includes(d))) {
+      throw new AlertRuleError(`dates must list dates from: ${REMINDER_DATES.join(', ')}`);
+    }
+    preferences.dates = [...new Set(dates)];
+  }
+  if (mutedTypes !== undefined) {
+    if (!Array.isArray(mutedTypes) || mutedTypes.some(t => !ACTION_TYPES[t])) {
+      throw new AlertRuleError(`mutedTypes must list types from: ${Object.keys(ACTION_TYPES).join(', ')}`);
+    }
+    preferences.mutedTypes = [...new Set(mutedTypes)];
+  }
+
+  state.actionPreferences[userId] = { ...preferences, updatedAt: new Date().toISOString() };
+  return state.actionPreferences[userId];
+});
+
+const formatDay = (date) => (date
+  ? new Date(`${date}T12:00:00Z`).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })
+  : null);
+
+const REMINDER_LABELS = { exDate: 'ex-date', recordDate: 'record date', meetingDate: 'meeting' };
+
+// In India the ex-date is usually the record date (T+1); one reminder covers both
+const datesCovered = ({ action, field, date }) =>
+  (field === 'exDate' && action.recordDate === date ? ['exDate', 'recordDate'] : [field]);
+
+const toActionEvent = (reminder, userId, now) => {
+  const { action, field, date, daysUntil } = reminder;
+  const when = daysUntil === 0 ? 'today' : daysUntil === 1 ? 'tomorrow' : `in ${daysUntil} days`;
+  const label = datesCovered(reminder).length > 1 ? 'ex & record date' : REMINDER_LABELS[field];
+  return {
+    id: crypto.randomUUID(),
+    userId,
+    ruleId: null,
+    actionId: action.id,
+    symbol: action.symbol,
+    company: action.company,
+    exchange: action.exchange,
+    type: 'corporate_action', // WhatsApp template
+    category: ACTION_TYPES[action.type].label,
+    importance: 'medium',
+    description: `${action.company}: ${describeAction(action)}, ${label} ${when} (${formatDay(date)})`,
+    time: now,
+    data: {
+      actionType: ACTION_TYPES[action.type].label,
+      details: describeAction(action),
+      dateType: field,
+      date,
+      daysUntil,
+      exDate: formatDay(action.exDate),
+      recordDate: formatDay(action.recordDate),
+      meetingDate: formatDay(action.meetingDate),
+      paymentDate: formatDay(action.paymentDate)
+    },
+    read: false
+  };
+};
+
+// Sends each watcher one reminder per action date once it is within their daysBefore.
+// A late start or a symbol added close to the date still gets the reminder.
+export const sendActionReminders = ({ getWatchers }, now = Date.now()) => {
+  const { actionReminders } = store.get();
+  const watchers = new Map();
+  const events = [];
+  const sent = {};
+
+  getUpcomingActionDates({ days: MAX_REMINDER_DAYS, now }).forEach(reminder => {
+    const { action, field, date, daysUntil } = reminder;
+    // Covered by the ex-date reminder
+    if (field === 'recordDate' && action.exDate === date) return;
+    if (!watchers.has(action.symbol)) watchers.set(action.symbol, findSymbolWatchers(action.symbol, getWatchers));
+
+    watchers.get(action.symbol).forEach(userId => {
+      const key = `${action.id}:${field}:${date}:${userId}`;
+      const preferences = getActionPreferences(userId);
+      if (actionReminders[key] || !preferences.enabled || daysUntil > preferences.daysBefore) return;
+      if (preferences.mutedTypes.includes(action.type) || !datesCovered(reminder).some(d => preferences.dates.includes(d))) return;
+      events.push(toActionEvent(reminder, userId, new Date(now).toISOString()));
+      sent[key] = date;
+    });
+  });
+
+  // Reminder keys are kept a week past their date, long after they could fire again
+  const expired = new Date(now - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  store.update(state => {
+    state.actionReminders = Object.fromEntries(
+      Object.entries({ ...state.actionReminders, ...sent }).filter(([, date]) => date >= expired));
+    state.events.unshift(...events);
+    keepNewestEvents(state);
+  });
+
+  events.forEach(event => alertEvents.emit('alert', event));
+  if (events.length > 0) console.log(`📅 Sent ${events.length} corporate action reminder(s)`);
+  return { sent: events.length };
+};
+
+let reminderTask = null;
+
+export const startActionReminders = (deps) => {
+  const expression = process.env.CORPORATE_ACTION_REMINDER_CRON || DEFAULT_REMINDER_CRON;
+  if (expression === 'off') return;
+  if (!cron.validate(expression)) {
+    console.error(`❌ Invalid CORPORATE_ACTION_REMINDER_CRON "${expression}", corporate action reminders disabled`);
+    return;
+  }
+
+  reminderTask = cron.schedule(expression, () => {
+    try {
+      sendActionReminders(deps);
+    } catch (error) {
+      console.error('Corporate action reminders failed:', error);
+    }
+  }, { timezone: 'Asia/Kolkata' });
+  console.log(`📅 Corporate action reminders scheduled (${expression} IST)`);
+};
+
+export const stopActionReminders = () => {
+  reminderTask?.stop();
+  reminderTask = null;
+};
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+export const createAlertRouter = () => {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      res.json({ data: await fn(req.user.id, req), timestamp: new Date().toISOString() });
+    } catch (error) {
+      const status = error instanceof AlertRuleError ? error.status : 500;
+      if (status === 500) console.error('Alert rule error:', error);
+      res.status(status).json({
+        error: status === 500 ? 'Alert operation failed' : error.message,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  router.get('/', handle((userId, req) =>
+    listAlertEvents(userId, Math.min(parseInt(req.query.limit) || 50, MAX_EVENTS_PER_USER))));
+
+  router.get('/rules/types', handle(() =>
+    Object.entries(RULE_TYPES).map(([id, t]) => ({
+      id,
+      label: t.label,
+      needsThreshold: t.needsThreshold,
+      usesIndicators: Boolean(t.needsIndicators),
+      ...(t.allowedThresholds && { allowedThresholds: t.allowedThresholds })
+    }))));
+
+  router.get('/filings/categories', handle(() => describeCategories()));
+
+  router.get('/filings/preferences', handle((userId) => getFilingPreferences(userId)));
+
+  router.put('/filings/preferences', handle((userId, req) => updateFilingPreferences(userId, req.body)));
+
+  router.get('/corporate-actions/preferences', handle((userId) => getActionPreferences(userId)));
+
+  router.put('/corporate-actions/preferences', handle((userId, req) => updateActionPreferences(userId, req.body)));
+
+  router.get('/rules', handle((userId) => listRules(userId)));
+
+  router.post('/rules', handle((userId, req) => createRule(userId, req.body)));
+
+  router.patch('/rules/:id', handle((userId, req) => updateRule(userId, req.params.id, req.body)));
+
+  router.delete('/rules/:id', handle((userId, req) => deleteRule(userId, req.params.id)));
+
+  router.post('/:id/read', handle((userId, req) => markAlertRead(userId, req.params.id)));
+
+  return router;
+};
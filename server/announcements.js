@@ -0,0 +1,576 @@
+// server/announcements.js - NSE/BSE Corporate Announcement Ingestion
+
+import express from 'express';
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import cron from 'node-cron';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { createJsonStore } from './json-store.js';
+import { requireAdmin } from './auth.js';
+import { callProvider } from './provider-health.js';
+import { getServerMode } from './server-mode.js';
+import { getSymbol, getSymbolByISIN, getSymbolByBSECode } from './symbol-master.js';
+import { classifyFiling, describeCategories, getClassifierStats, FILING_CATEGORIES, IMPORTANCE_LEVELS, SENTIMENTS } from './filing-classifier.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const store = createJsonStore('announcements', { filings: [], feeds: {} });
+
+// New filings are emitted here once classified and stored, with the feed they came from
+export const announcementEvents = new EventEmitter();
+
+const DEFAULT_POLL_CRON = '*/5 * * * *';
+const MAX_STORED_FILINGS = 5000;
+const BSE_PAGE_SIZE = 50;
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+// Settings are read per call so values from server/.env are picked up after dotenv runs
+const getRetentionDays = () => parseInt(process.env.ANNOUNCEMENT_RETENTION_DAYS) || 180;
+const getDedupeWindow = () => parseInt(process.env.ANNOUNCEMENT_DEDUPE_WINDOW) || 60 * 60 * 1000;
+const getLookbackDays = () => parseInt(process.env.ANNOUNCEMENT_LOOKBACK_DAYS) || 1;
+const getMaxBSEPages = () => parseInt(process.env.ANNOUNCEMENT_BSE_MAX_PAGES) || 5;
+export const getFixtureDir = () => process.env.ANNOUNCEMENT_FIXTURE_DIR || path.join(__dirname, 'fixtures');
+
+// live: exchange websites. fixtures: recorded feeds in server/fixtures, the default
+// outside live mode so demo and replay servers never call the exchanges
+const FEEDS = ['live', 'fixtures'];
+export const getAnnouncementFeed = () => {
+  const feed = process.env.ANNOUNCEMENT_FEED;
+  if (FEEDS.includes(feed)) return feed;
+  return getServerMode() === 'live' ? 'live' : 'fixtures';
+};
+
+export const EXCHANGES = ['NSE', 'BSE'];
+
+export class AnnouncementError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AnnouncementError';
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// NORMALIZATION
+// =============================================================================
+
+// Exchange timestamps are IST without a zone: "2026-10-16 19:05:10", "2026-10-16T19:07:41.17"
+const istToISO = (text) => {
+  const match = String(text || '').match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2})(\.\d+)?/);
+  if (!match) return null;
+  const date = new Date(`${match[1]}T${match[2]}${(match[3] || '').slice(0, 4)}+05:30`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const clean = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// One shape for both exchanges. `sources` keeps each exchange's copy of the filing.
+const toFiling = ({ exchange, sourceId, symbol, company, isin, bseCode, exchangeCategory, subject, description, attachmentUrl, filedAt, critical }) => {
+  const listing = (isin && getSymbolByISIN(isin)) || (bseCode && getSymbolByBSECode(bseCode)) || (symbol && getSymbol(symbol, 'indian'));
+  return {
+    symbol: listing?.symbol || symbol || null,
+    company: listing?.name || company,
+    isin: isin || listing?.isin || null,
+    bseCode: bseCode || listing?.bseCode || null,
+    market: 'indian',
+    exchanges: [exchange],
+    exchangeCategory,
+    subject,
+    description,
+    attachmentUrl: attachmentUrl || null,
+    filedAt,
+    critical: Boolean(critical),
+    sources: [{ exchange, sourceId: String(sourceId), filedAt, exchangeCategory, attachmentUrl: attachmentUrl || null }]
+  };
+};
+
+// https://www.nseindia.com/api/corporate-announcements rows
+export const normalizeNSEAnnouncement = (row) => {
+  const filedAt = istToISO(row.sort_date);
+  if (!row.seq_id || !row.symbol || !filedAt) return null;
+
+  return toFiling({
+    exchange: 'NSE',
+    sourceId: row.seq_id,
+    symbol: row.symbol,
+    company: clean(row.sm_name),
+    isin: row.sm_isin,
+    exchangeCategory: clean(row.desc),
+    subject: clean(row.desc),
+    description: clean(row.attchmntText),
+    attachmentUrl: row.attchmntFile,
+    filedAt
+  });
+};
+
+// BSE security ids in NSURL (.../reliance-industries-ltd/reliance/500325/) usually match NSE symbols
+const securityIdFromURL = (url) => String(url || '').split('/').filter(Boolean).slice(-2, -1)[0]?.toUpperCase() || null;
+
+const bseAttachmentURL = (row) => {
+  if (!row.ATTACHMENTNAME) return null;
+  const folder = Number(row.PDFFLAG) === 0 ? 'AttachLive' : 'AttachHis';
+  return `https://www.bseindia.com/xml-data/corpfiling/${folder}/${row.ATTACHMENTNAME}`;
+};
+
+// https://api.bseindia.com/BseIndiaAPI/api/AnnSubCategoryGetData rows
+export const normalizeBSEAnnouncement = (row) => {
+  const filedAt = istToISO(row.NEWS_DT || row.DT_TM);
+  if (!row.NEWSID || !filedAt) return null;
+
+  // NEWSSUB is "<company> - <scrip code> - <subject>"
+  const subject = clean(String(row.NEWSSUB || '').split(' - ').slice(2).join(' - ') || row.SUBCATNAME || row.NEWSSUB);
+
+  return toFiling({
+    exchange: 'BSE',
+    sourceId: row.NEWSID,
+    symbol: securityIdFromURL(row.NSURL),
+    company: clean(row.SLONGNAME),
+    bseCode: row.SCRIP_CD ? String(row.SCRIP_CD) : null,
+    exchangeCategory: clean([row.CATEGORYNAME, row.SUBCATNAME].filter(c => c && c !== 'NULL').join(' / ')),
+    subject,
+    description: clean([row.HEADLINE, row.MORE].filter(Boolean).join(' ')),
+    attachmentUrl: bseAttachmentURL(row),
+    filedAt,
+    critical: Number(row.CRITICALNEWS) === 1
+  });
+};
+
+// =============================================================================
+// FEEDS
+// =============================================================================
+
+// NSE only answers API calls that carry the cookies its home page sets
+let nseCookies = null;
+
+const primeNSESession = async () => {
+  const response = await axios.get('https://www.nseindia.com/', {
+    headers: { 'User-Agent': BROWSER_USER_AGENT, Accept: 'text/html' },
+    timeout: 10000
+  });
+  nseCookies = (response.headers['set-cookie'] || []).map(cookie => cookie.split(';')[0]).join('; ');
+};
+
+// NSE JSON API call with a session, re-primed once when the cookies have expired
+export const fetchNSEJSON = async (url, { params, referer }) => {
+  const request = () => axios.get(url, {
+    params,
+    headers: {
+      'User-Agent': BROWSER_USER_AGENT,
+      Accept: 'application/json',
+      Referer: referer,
+      Cookie: nseCookies || ''
+    },
+    timeout: 15000
+  });
+
+  if (!nseCookies) await primeNSESession();
+  try {
+    return (await request()).data;
+  } catch (error) {
+    if (![401, 403].includes(error.response?.status)) throw error;
+    await primeNSESession();
+    return (await request()).data;
+  }
+};
+
+// YYYY-MM-DD in IST; NSE wants DD-MM-YYYY and BSE YYYYMMDD
+const istDate = (epoch) => new Date(epoch).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+const fetchNSEFeed = ({ from, to }) => {
+  const nseDate = (date) => date.split('-').reverse().join('-');
+  return fetchNSEJSON('https://www.nseindia.com/api/corporate-announcements', {
+    params: { index: 'equities', from_date: nseDate(from), to_date: nseDate(to) },
+    referer: 'https://www.nseindia.com/companies-listing/corporate-filings-announcements'
+  });
+};
+
+const fetchBSEFeed = async ({ from, to }) => {
+  const rows = [];
+  for (let page = 1; page <= getMaxBSEPages(); page++) {
+    const response = await axios.get('https://api.bseindia.com/BseIndiaAPI/api/AnnSubCategoryGetData/w', {
+      params: {
+        pageno: page,
+        strCat: -1,
+        strPrevDate: from.replace(/-/g, ''),
+        strToDate: to.replace(/-/g, ''),
+        strScrip: '',
+        strSearch: 'P',
+        strType: 'C',
+        subcategory: -1
+      },
+      headers: { 'User-Agent': BROWSER_USER_AGENT, Referer: 'https://www.bseindia.com/', Origin: 'https://www.bseindia.com' },
+      timeout: 15000
+    });
+
+    const table = response.data?.Table || [];
+    rows.push(...table);
+    const total = response.data?.Table1?.[0]?.ROWCNT || 0;
+    if (table.length < BSE_PAGE_SIZE || rows.length >= total) break;
+  }
+  return { Table: rows };
+};
+
+// Recorded responses, in the exchanges' own formats
+const readFixture = (exchange) => {
+  const file = path.join(getFixtureDir(), `${exchange.toLowerCase()}-announcements.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+// Raw feed body -> unclassified filings (unparseable rows are dropped)
+export const parseFeed = (exchange, body) => {
+  if (exchange === 'NSE') {
+    const rows = Array.isArray(body) ? body : body?.data || [];
+    return rows.map(normalizeNSEAnnouncement).filter(Boolean);
+  }
+  if (exchange === 'BSE') {
+    const rows = Array.isArray(body) ? body : body?.Table || [];
+    return rows.map(normalizeBSEAnnouncement).filter(Boolean);
+  }
+  throw new AnnouncementError(`exchange must be one of: ${EXCHANGES.join(', ')}`);
+};
+
+const LIVE_FEEDS = {
+  NSE: (window) => callProvider('NSE Announcements', () => fetchNSEFeed(window)),
+  BSE: (window) => callProvider('BSE Announcements', () => fetchBSEFeed(window))
+};
+
+// =============================================================================
+// DEDUPLICATION & STORAGE
+// =============================================================================
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'has', 'with', 'about', 'that', 'this', 'from', 'its', 'are', 'was', 'under',
+  'informed', 'exchange', 'submitted', 'bse', 'nse', 'limited', 'ltd', 'company', 'regulation', 'sebi'
+]);
+
+const significantWords = (filing) => {
+  const companyWords = new Set(clean(filing.company).toLowerCase().split(/[^a-z0-9]+/));
+  return new Set(
+    `${filing.subject} ${filing.description}`.toLowerCase().split(/[^a-z0-9]+/)
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word) && !companyWords.has(word))
+  );
+};
+
+// Share of the shorter text's words found in the other; exchanges word the same
+// filing differently and at different lengths
+const textOverlap = (a, b) => {
+  const wordsA = significantWords(a);
+  const wordsB = significantWords(b);
+  const smaller = Math.min(wordsA.size, wordsB.size);
+  if (smaller === 0) return 0;
+  return [...wordsA].filter(word => wordsB.has(word)).length / smaller;
+};
+
+const sameCompany = (a, b) =>
+  (a.isin && b.isin && a.isin === b.isin)
+  || (a.bseCode && b.bseCode && a.bseCode === b.bseCode)
+  || (a.symbol && b.symbol && a.symbol === b.symbol);
+
+// The same filing sent to the other exchange: same company and category, filed
+// within ANNOUNCEMENT_DEDUPE_WINDOW, similar wording
+const isCrossListedCopy = (stored, filing) =>
+  !stored.exchanges.includes(filing.exchanges[0])
+  && stored.category === filing.category
+  && sameCompany(stored, filing)
+  && Math.abs(new Date(stored.filedAt) - new Date(filing.filedAt)) <= getDedupeWindow()
+  && textOverlap(stored, filing) >= 0.5;
+
+const mergeCopy = (stored, filing) => {
+  stored.exchanges = [...stored.exchanges, ...filing.exchanges].sort();
+  stored.sources.push(...filing.sources);
+  if (filing.filedAt < stored.filedAt) stored.filedAt = filing.filedAt;
+  if (filing.description.length > stored.description.length) stored.description = filing.description;
+  ['symbol', 'isin', 'bseCode', 'attachmentUrl'].forEach(key => { stored[key] = stored[key] || filing[key]; });
+  stored.critical = stored.critical || filing.critical;
+  if (IMPORTANCE_LEVELS.indexOf(filing.importance) > IMPORTANCE_LEVELS.indexOf(stored.importance)) stored.importance = filing.importance;
+  stored.updatedAt = new Date().toISOString();
+};
+
+const sourceKey = (source) => `${source.exchange}:${source.sourceId}`;
+
+// Stores new filings; returns { added, merged, duplicates } with the added and merged filings
+export const storeFilings = (filings) => store.update(state => {
+  const seen = new Set(state.filings.flatMap(f => f.sources.map(sourceKey)));
+  const result = { added: [], merged: [], duplicates: 0 };
+
+  filings.forEach(filing => {
+    if (seen.has(sourceKey(filing.sources[0]))) {
+      result.duplicates += 1;
+      return;
+    }
+    seen.add(sourceKey(filing.sources[0]));
+
+    const copyOf = state.filings.find(stored => isCrossListedCopy(stored, filing));
+    if (copyOf) {
+      mergeCopy(copyOf, filing);
+      result.merged.push(copyOf);
+      return;
+    }
+
+    const id = `ann_${crypto.createHash('sha1').update(sourceKey(filing.sources[0])).digest('hex').slice(0, 16)}`;
+    const stored = { id, ...filing, ingestedAt: new Date().toISOString() };
+    state.filings.push(stored);
+    result.added.push(stored);
+  });
+
+  // Newest first; filings past the retention period go
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000).toISOString();
+  state.filings = state.filings
+    .filter(f => f.filedAt >= cutoff)
+    .sort((a, b) => b.filedAt.localeCompare(a.filedAt))
+    .slice(0, MAX_STORED_FILINGS);
+
+  return result;
+});
+
+const recordFeedStatus = (exchange, status) => store.update(state => {
+  state.feeds[exchange] = { ...state.feeds[exchange], ...status };
+});
+
+// =============================================================================
+// INGESTION
+// =============================================================================
+
+// From the day of the last successful poll (or ANNOUNCEMENT_LOOKBACK_DAYS back) to today
+const pollWindow = (exchange) => {
+  const lastSuccessAt = store.get().feeds[exchange]?.lastSuccessAt;
+  const start = lastSuccessAt ? new Date(lastSuccessAt).getTime() : Date.now() - (getLookbackDays() - 1) * 24 * 60 * 60 * 1000;
+  return { from: istDate(start), to: istDate(Date.now()) };
+};
+
+const classify = async (filing) => {
+  const { category, importance, sentiment, sentimentScore, noise, classifiedBy, confidence, matched } = await classifyFiling(filing);
+  return { category, importance, sentiment, sentimentScore, noise, classification: { by: classifiedBy, confidence, matched } };
+};
+
+// Labels each filing with category, importance, sentiment and noise
+const classifyAll = (filings) =>
+  Promise.all(filings.map(async (filing) => ({ ...filing, ...(await classify(filing)) })));
+
+// Ingests filings already in the feed format of `exchange`
+export const ingestFeed = async (exchange, body, { feed = 'import' } = {}) => {
+  const filings = await classifyAll(parseFeed(exchange, body));
+  const { added, merged, duplicates } = storeFilings(filings);
+  added.forEach(filing => announcementEvents.emit('announcement', filing, { feed }));
+
+  if (added.length > 0 || merged.length > 0) {
+    console.log(`📰 ${exchange} announcements (${feed}): ${added.length} new, ${merged.length} matched on the other exchange`);
+  }
+  return { exchange, feed, fetched: filings.length, added: added.length, merged: merged.length, duplicates };
+};
+
+// Relabels every stored filing, after the keyword rules or the model change.
+// Only the labels are written back, so filings merged meanwhile keep their sources.
+export const reclassifyAnnouncements = async () => {
+  const filings = store.get().filings;
+  const labels = new Map(await Promise.all(filings.map(async (f) => [f.id, await classify(f)])));
+
+  return store.update(state => {
+    let changed = 0;
+    state.filings.forEach(stored => {
+      const label = labels.get(stored.id);
+      if (!label) return;
+      if (label.category !== stored.category || label.importance !== stored.importance || label.sentiment !== stored.sentiment) changed += 1;
+      Object.assign(stored, label);
+    });
+    return { classified: labels.size, changed };
+  });
+};
+
+// One poll of both exchanges; an exchange that fails does not stop the other
+export const ingestAnnouncements = async ({ feed = getAnnouncementFeed() } = {}) => {
+  const results = [];
+  for (const exchange of EXCHANGES) {
+    const polledAt = new Date().toISOString();
+    try {
+      const body = feed === 'fixtures' ? readFixture(exchange) : await LIVE_FEEDS[exchange](pollWindow(exchange));
+      if (body === null) {
+        results.push({ exchange, feed, fetched: 0, added: 0, merged: 0, duplicates: 0, note: 'no fixture file' });
+        continue;
+      }
+
+      const result = await ingestFeed(exchange, body, { feed });
+      recordFeedStatus(exchange, { feed, lastPollAt: polledAt, lastSuccessAt: polledAt, lastError: null, lastResult: result });
+      results.push(result);
+    } catch (error) {
+      console.log(`❌ ${exchange} announcements poll failed: ${error.message}`);
+      recordFeedStatus(exchange, { feed, lastPollAt: polledAt, lastError: error.message });
+      results.push({ exchange, feed, error: error.message });
+    }
+  }
+  return results;
+};
+
+let scheduledTask = null;
+let isPolling = false;
+
+// ANNOUNCEMENT_POLL_CRON=off turns polling off
+export const startAnnouncementPolling = () => {
+  const expression = process.env.ANNOUNCEMENT_POLL_CRON || DEFAULT_POLL_CRON;
+  if (expression === 'off') return;
+  if (!cron.validate(expression)) {
+    console.error(`❌ Invalid ANNOUNCEMENT_POLL_CRON "${expression}", announcement polling disabled`);
+    return;
+  }
+
+  const poll = async () => {
+    if (isPolling) return;
+    isPolling = true;
+    try {
+      await ingestAnnouncements();
+    } catch (error) {
+      console.error('Announcement polling failed:', error);
+    } finally {
+      isPolling = false;
+    }
+  };
+
+  scheduledTask = cron.schedule(expression, poll);
+  // Catch up on filings made while the server was down
+  poll();
+  console.log(`📰 Announcement polling scheduled (${expression}, ${getAnnouncementFeed()} feed)`);
+};
+
+export const stopAnnouncementPolling = () => {
+  scheduledTask?.stop();
+  scheduledTask = null;
+};
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+// importance is a minimum; noise: false hides routine filings (trading window,
+// newspaper publications, ...); exclude lists categories to leave out
+export const listAnnouncements = ({ symbol, category, exchange, importance, sentiment, noise, exclude = [], from, to, limit = 50, offset = 0 } = {}) => {
+  const categories = Object.keys(FILING_CATEGORIES);
+  [category, ...exclude].filter(Boolean).forEach(c => {
+    if (!categories.includes(c)) throw new AnnouncementError(`category must be one of: ${categories.join(', ')}`);
+  });
+  if (exchange && !EXCHANGES.includes(exchange)) {
+    throw new AnnouncementError(`exchange must be one of: ${EXCHANGES.join(', ')}`);
+  }
+  if (importance && !IMPORTANCE_LEVELS.includes(importance)) {
+    throw new AnnouncementError(`importance must be one of: ${IMPORTANCE_LEVELS.join(', ')}`);
+  }
+  if (sentiment && !SENTIMENTS.includes(sentiment)) {
+    throw new AnnouncementError(`sentiment must be one of: ${SENTIMENTS.join(', ')}`);
+  }
+
+  const wanted = symbol ? String(symbol).toUpperCase().replace(/\.(NS|BO)$/, '') : null;
+  const minImportance = IMPORTANCE_LEVELS.indexOf(importance || 'low');
+  const matches = store.get().filings.filter(f =>
+    (!wanted || f.symbol === wanted || f.bseCode === wanted)
+    && (!category || f.category === category)
+    && !exclude.includes(f.category)
+    && (!exchange || f.exchanges.includes(exchange))
+    && IMPORTANCE_LEVELS.indexOf(f.importance) >= minImportance
+    && (!sentiment || f.sentiment === sentiment)
+    && (noise === undefined || f.noise === noise)
+    && (!from || f.filedAt >= from)
+    && (!to || f.filedAt <= `${to}T23:59:59.999Z`));
+
+  return { total: matches.length, offset, limit, filings: matches.slice(offset, offset + limit) };
+};
+
+export const getAnnouncement = (id) => store.get().filings.find(f => f.id === id) || null;
+
+export const getAnnouncementStats = () => {
+  const { filings, feeds } = store.get();
+  const count = (key) => {
+    const counts = {};
+    filings.forEach(f => { counts[f[key]] = (counts[f[key]] || 0) + 1; });
+    return counts;
+  };
+  return {
+    feed: getAnnouncementFeed(),
+    stored: filings.length,
+    onBothExchanges: filings.filter(f => f.exchanges.length > 1).length,
+    noise: filings.filter(f => f.noise).length,
+    byCategory: count('category'),
+    byImportance: count('importance'),
+    bySentiment: count('sentiment'),
+    classifier: getClassifierStats(),
+    feeds,
+    polling: scheduledTask ? process.env.ANNOUNCEMENT_POLL_CRON || DEFAULT_POLL_CRON : null
+  };
+};
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const createAnnouncementRouter = () => {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      res.json({ data: await fn(req), timestamp: new Date().toISOString() });
+    } catch (error) {
+      const status = error instanceof AnnouncementError ? error.status : 500;
+      if (status === 500) console.error('Announcement error:', error);
+      res.status(status).json({
+        error: status === 500 ? 'Announcement operation failed' : error.message,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  // ?symbol=RELIANCE&category=financial_results&exchange=NSE&from=2026-10-01&to=2026-10-31
+  //  &importance=medium&sentiment=positive&noise=false&exclude=investor_meet,agm_egm
+  router.get('/', handle(async (req) => {
+    const { from, to } = req.query;
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      throw new AnnouncementError('from and to must be YYYY-MM-DD dates');
+    }
+    return listAnnouncements({
+      symbol: req.query.symbol,
+      category: req.query.category,
+      exchange: req.query.exchange?.toUpperCase(),
+      importance: req.query.importance,
+      sentiment: req.query.sentiment,
+      noise: req.query.noise === undefined ? undefined : req.query.noise === 'true',
+      exclude: req.query.exclude ? String(req.query.exclude).split(',').map(c => c.trim()).filter(Boolean) : [],
+      from,
+      to,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+  }));
+
+  router.get('/stats', handle(async () => getAnnouncementStats()));
+
+  router.get('/categories', handle(async () => describeCategories()));
+
+  // Poll now; { "feed": "fixtures" } ingests the recorded feeds
+  router.post('/ingest', requireAdmin, handle(async (req) => {
+    const feed = req.body?.feed || getAnnouncementFeed();
+    if (!FEEDS.includes(feed)) throw new AnnouncementError(`feed must be one of: ${FEEDS.join(', ')}`);
+    return ingestAnnouncements({ feed });
+  }));
+
+  // After changing the keyword rules or CLASSIFIER_MODEL_URL
+  router.post('/reclassify', requireAdmin, handle(async () => reclassifyAnnouncements()));
+
+  // A saved exchange response: curl --data-binary @nse.json -H 'Content-Type: application/json' .../import?exchange=NSE
+  router.post('/import', requireAdmin, handle(async (req) => {
+    const exchange = String(req.query.exchange || '').toUpperCase();
+    if (!EXCHANGES.includes(exchange)) throw new AnnouncementError(`exchange must be one of: ${EXCHANGES.join(', ')}`);
+    return ingestFeed(exchange, req.body);
+  }));
+
+  router.get('/:id', handle(async (req) => {
+    const filing = getAnnouncement(req.params.id);
+    if (!filing) throw new AnnouncementError(`Announcement ${req.params.id} not found`, 404);
+    return filing;
+  }));
+
+  return router;
+};
@@ -0,0 +1,330 @@
+// server/auth.js - Phone OTP Authentication with Signed Session Tokens
+
+import express from 'express';
+import crypto from 'crypto';
+import axios from 'axios';
+import { createJsonStore } from './json-store.js';
+import { enqueueWhatsAppMessage } from './whatsapp-gateway.js';
+
+const usersStore = createJsonStore('users', { users: {}, phoneIndex: {} });
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const OTP_LENGTH = 6;
+const OTP_TTL = 5 * 60 * 1000;            // 5 minutes
+const OTP_MAX_ATTEMPTS = 5;               // Wrong codes before the OTP is burned
+const OTP_RESEND_COOLDOWN = 30 * 1000;    // 30 seconds between sends
+const OTP_MAX_SENDS_PER_HOUR = 5;
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const TRIAL_DAYS = 30;
+
+// Routes reachable without a session token (matched against req.path under /api)
+const PUBLIC_ROUTES = [
+  /^\/auth\/otp\//,
+  /^\/health$/,
+  /^\/stocks\/(ticker|indian|global)$/,
+  /^\/stream$/,                     // SSE connect only; ticker symbols unless its ?token= is valid
+  /^\/calendar\/feed\/[^/]+\.ics$/   // Calendar apps; the path token identifies the user
+];
+
+// Open to everyone, but a valid token still attaches req.user for signed-in extras
+const OPTIONAL_AUTH_ROUTES = [
+  /^\/indices$/                     // Index levels for the landing page; breadth needs a session
+];
+
+let sessionSecret = null;
+const getSessionSecret = () => {
+  if (sessionSecret) return sessionSecret;
+
+  sessionSecret = process.env.JWT_SECRET;
+  if (!sessionSecret) {
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ JWT_SECRET not set - using a random secret, sessions will not survive a restart');
+  }
+  return sessionSecret;
+};
+
+export class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// OTP DELIVERY CHANNELS
+// =============================================================================
+
+// Each channel takes (phone, message) and resolves once the provider accepted it
+const OTP_DELIVERY_CHANNELS = {
+  console: async (phone, message) => {
+    console.log(`📟 [OTP console] to +${phone}: ${message}`);
+  },
+
+  // Delivered through the WhatsApp gateway queue and its configured provider
+  whatsapp: async (phone, message) => {
+    enqueueWhatsAppMessage({ to: phone, message });
+  },
+
+  sms: async (phone, message) => {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const from = process.env.TWILIO_SMS_FROM;
+    if (!sid || !authToken || !from) throw new Error('Twilio SMS credentials not configured');
+
+    await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`,
+      new URLSearchParams({ To: `+${phone}`, From: from, Body: message }),
+      { auth: { username: sid, password: authToken }, timeout: 10000 }
+    );
+  }
+};
+
+export const registerOTPChannel = (name, deliver) => {
+  OTP_DELIVERY_CHANNELS[name] = deliver;
+};
+
+const getOTPChannel = () => {
+  const name = process.env.OTP_CHANNEL || 'console';
+  const deliver = OTP_DELIVERY_CHANNELS[name];
+  if (!deliver) throw new Error(`Unknown OTP channel: ${name}`);
+  return { name, deliver };
+};
+
+// =============================================================================
+// OTP ISSUE & VERIFY
+// =============================================================================
+
+// Pending OTPs live in memory only; a restart simply asks users to resend
+const pendingOTPs = new Map();
+const sendHistory = new Map();
+
+export const normalizePhone = (phone) => {
+  let cleaned = String(phone || '').replace(/\D/g, '');
+
+  // Add country code if missing (assuming Indian numbers)
+  if (cleaned.length === 10) cleaned = '91' + cleaned;
+
+  if (cleaned.length < 11 || cleaned.length > 15) {
+    throw new AuthError('Enter a valid phone number with country code');
+  }
+  return cleaned;
+};
+
+const hashOTP = (phone, code) =>
+  crypto.createHmac('sha256', getSessionSecret()).update(`${phone}:${code}`).digest('hex');
+
+export const issueOTP = async (rawPhone) => {
+  const phone = normalizePhone(rawPhone);
+  const now = Date.now();
+
+  const recentSends = (sendHistory.get(phone) || []).filter(ts => now - ts < 60 * 60 * 1000);
+  if (recentSends.length >= OTP_MAX_SENDS_PER_HOUR) {
+    throw new AuthError('Too many OTP requests, please try again later', 429);
+  }
+  const lastSend = recentSends[recentSends.length - 1];
+  if (lastSend && now - lastSend < OTP_RESEND_COOLDOWN) {
+    const wait = Math.ceil((OTP_RESEND_COOLDOWN - (now - lastSend)) / 1000);
+    throw new AuthError(`Please wait ${wait}s before requesting another OTP`, 429);
+  }
+
+  const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  const channel = getOTPChannel();
+
+  await channel.deliver(phone, `${code} is your Vibha StockAlerts login code. It expires in ${OTP_TTL / 60000} minutes.`);
+
+  pendingOTPs.set(phone, { hash: hashOTP(phone, code), expiresAt: now + OTP_TTL, attempts: 0 });
+  sendHistory.set(phone, [...recentSends, now]);
+
+  return { phone, channel: channel.name, expiresIn: OTP_TTL / 1000 };
+};
+
+export const verifyOTP = (rawPhone, code) => {
+  const phone = normalizePhone(rawPhone);
+  const pending = pendingOTPs.get(phone);
+
+  if (!pending || Date.now() > pending.expiresAt) {
+    pendingOTPs.delete(phone);
+    throw new AuthError('OTP expired or not requested, please request a new one', 401);
+  }
+
+  pending.attempts += 1;
+
+  const expected = Buffer.from(pending.hash, 'hex');
+  const actual = Buffer.from(hashOTP(phone, String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const remaining = OTP_MAX_ATTEMPTS - pending.attempts;
+    if (remaining <= 0) {
+      pendingOTPs.delete(phone);
+      throw new AuthError('Too many incorrect attempts, please request a new OTP', 429);
+    }
+    throw new AuthError(`Incorrect OTP, ${remaining} attempt${remaining === 1 ? '' : 's'} left`, 401);
+  }
+
+  pendingOTPs.delete(phone);
+  return phone;
+};
+
+// =============================================================================
+// USERS & SESSION TOKENS
+// =============================================================================
+
+const findOrCreateUser = (phone, name) => usersStore.update(state => {
+  const now = new Date();
+  const existingId = state.phoneIndex[phone];
+
+  if (existingId) {
+    const user = state.users[existingId];
+    user.lastLoginAt = now.toISOString();
+    if (name && !user.name) user.name = name;
+    return user;
+  }
+
+  const user = {
+    id: crypto.randomUUID(),
+    phone,
+    name: name || null,
+    createdAt: now.toISOString(),
+    lastLoginAt: now.toISOString(),
+    trialEndsAt: new Date(now.getTime() + TRIAL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  };
+  state.users[user.id] = user;
+  state.phoneIndex[phone] = user.id;
+  return user;
+});
+
+export const getUser = (userId) => usersStore.get().users[userId] || null;
+
+const publicUser = (user) => ({
+  id: user.id,
+  phone: user.phone,
+  name: user.name || 'User',
+  joinDate: user.createdAt,
+  trialDaysLeft: Math.max(0, Math.ceil((new Date(user.trialEndsAt) - Date.now()) / (24 * 60 * 60 * 1000)))
+});
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', getSessionSecret()).update(data).digest('base64url');
+
+// Compact HS256 JWT so tokens stay readable by standard tooling
+export const createSessionToken = (user) => {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const now = Math.floor(Date.now() / 1000);
+  const payload = base64url(JSON.stringify({
+    sub: user.id,
+    phone: user.phone,
+    iat: now,
+    exp: now + Math.floor(SESSION_TTL / 1000)
+  }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+export const verifySessionToken = (token) => {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) throw new AuthError('Malformed session token', 401);
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AuthError('Invalid session token', 401);
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (!claims.exp || claims.exp * 1000 < Date.now()) throw new AuthError('Session expired', 401);
+
+  return claims;
+};
+
+// =============================================================================
+// MIDDLEWARE
+// =============================================================================
+
+// Mounted on /api; lets public ticker routes through and attaches req.user elsewhere
+export const requireAuth = (req, res, next) => {
+  if (req.method === 'OPTIONS' || PUBLIC_ROUTES.some(pattern => pattern.test(req.path))) {
+    return next();
+  }
+  const optional = OPTIONAL_AUTH_ROUTES.some(pattern => pattern.test(req.path));
+
+  let user;
+  try {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) throw new AuthError('Authentication required', 401);
+
+    const claims = verifySessionToken(token);
+    user = getUser(claims.sub);
+    if (!user) throw new AuthError('User no longer exists', 401);
+  } catch (error) {
+    if (optional) return next();
+    return res.status(error.status || 401).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Operator-only routes (symbol imports, ...); ADMIN_PHONES is a comma-separated list
+export const requireAdmin = (req, res, next) => {
+  const admins = (process.env.ADMIN_PHONES || '')
+    .split(',')
+    .map(phone => phone.trim())
+    .filter(Boolean)
+    .map(phone => { try { return normalizePhone(phone); } catch { return null; } });
+
+  if (req.user && admins.includes(req.user.phone)) return next();
+
+  res.status(403).json({
+    error: 'Administrator access required',
+    timestamp: new Date().toISOString()
+  });
+};
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+export const createAuthRouter = () => {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      res.json(await fn(req));
+    } catch (error) {
+      const status = error instanceof AuthError ? error.status : 500;
+      if (status === 500) console.error('Auth error:', error);
+      res.status(status).json({
+        error: status === 500 ? 'Authentication failed' : error.message,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  router.post('/otp/send', handle(async (req) => {
+    const result = await issueOTP(req.body?.phone);
+    return { success: true, ...result, timestamp: new Date().toISOString() };
+  }));
+
+  router.post('/otp/verify', handle(async (req) => {
+    const phone = verifyOTP(req.body?.phone, req.body?.code);
+    const user = findOrCreateUser(phone, req.body?.name?.trim());
+    return {
+      success: true,
+      token: createSessionToken(user),
+      expiresIn: SESSION_TTL / 1000,
+      user: publicUser(user),
+      timestamp: new Date().toISOString()
+    };
+  }));
+
+  router.get('/me', handle(async (req) => ({ user: publicUser(req.user) })));
+
+  return router;
+};
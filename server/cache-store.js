@@ -0,0 +1,305 @@
+// server/cache-store.js - Namespaced LRU Cache with an Optional Redis Backend
+
+import net from 'net';
+
+// Settings are read lazily so values from server/.env are picked up after dotenv runs
+const getMaxSize = () => parseInt(process.env.MAX_CACHE_SIZE) || 1000;
+const useRedis = () => process.env.USE_REDIS_CACHE === 'true' && Boolean(process.env.REDIS_URL);
+const getKeyPrefix = () => process.env.REDIS_KEY_PREFIX || 'vsa:';
+const logHits = () => process.env.LOG_CACHE_HITS === 'true';
+
+const REDIS_COMMAND_TIMEOUT = 2000;
+// After a Redis failure the in-process cache serves for this long before Redis is retried
+const REDIS_RETRY_AFTER = 30 * 1000;
+
+// =============================================================================
+// IN-PROCESS LRU BACKEND
+// =============================================================================
+
+// Map iteration order is insertion order, so re-inserting on every read keeps the
+// least recently used key first. Expired entries are dropped when touched.
+const createMemoryBackend = ({ onEvict }) => {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    entries.delete(key);
+    if (Date.now() >= entry.expiresAt) return null;
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const write = (key, value, ttl) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    while (entries.size > getMaxSize()) {
+      const [oldestKey, oldest] = entries.entries().next().value;
+      entries.delete(oldestKey);
+      if (Date.now() < oldest.expiresAt) onEvict(oldestKey);
+    }
+  };
+
+  return {
+    name: 'memory',
+    get: async (key) => read(key),
+    getMany: async (keys) => keys.map(read),
+    set: async (key, value, ttl) => write(key, value, ttl),
+    delete: async (key) => { entries.delete(key); },
+    size: (prefix) => [...entries.keys()].filter(key => key.startsWith(prefix)).length,
+    describe: () => ({ entries: entries.size, maxSize: getMaxSize() })
+  };
+};
+
+// =============================================================================
+// REDIS BACKEND (RESP over TCP; works with Redis, Valkey, KeyDB)
+// =============================================================================
+
+class RedisReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisReplyError';
+  }
+}
+
+const encodeCommand = (args) => {
+  const parts = args.map(arg => String(arg));
+  return `*${parts.length}\r\n${parts.map(part => `$${Buffer.byteLength(part)}\r\n${part}\r\n`).join('')}`;
+};
+
+// One reply from `buffer` at `start`: { value, end }, or null while incomplete
+const parseReply = (buffer, start = 0) => {
+  const lineEnd = buffer.indexOf('\r\n', start);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  if (type === '+') return { value: line, end: next };
+  if (type === '-') return { value: new RedisReplyError(line), end: next };
+  if (type === ':') return { value: Number(line), end: next };
+  if (type === '$') {
+    const length = Number(line);
+    if (length === -1) return { value: null, end: next };
+    if (buffer.length < next + length + 2) return null;
+    return { value: buffer.toString('utf8', next, next + length), end: next + length + 2 };
+  }
+  if (type === '*') {
+    const count = Number(line);
+    if (count === -1) return { value: null, end: next };
+    const items = [];
+    let offset = next;
+    for (let i = 0; i < count; i++) {
+      const item = parseReply(buffer, offset);
+      if (!item) return null;
+      items.push(item.value);
+      offset = item.end;
+    }
+    return { value: items, end: offset };
+  }
+  throw new Error(`Unexpected Redis reply type "${type}"`);
+};
+
+// Pipelined client: replies arrive in command order, so callbacks are a FIFO queue
+const createRedisClient = (url) => {
+  const target = new URL(url);
+  const password = decodeURIComponent(target.password || process.env.REDIS_PASSWORD || '');
+  const username = decodeURIComponent(target.username || '');
+  const database = parseInt(target.pathname.slice(1)) || 0;
+
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  const reset = (error) => {
+    pending.splice(0).forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    if (socket) socket.destroy();
+    socket = null;
+    ready = null;
+    buffer = Buffer.alloc(0);
+  };
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      let reply;
+      while (pending.length > 0 && (reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply.end);
+        const { resolve, reject, timer } = pending.shift();
+        clearTimeout(timer);
+        if (reply.value instanceof RedisReplyError) reject(reply.value);
+        else resolve(reply.value);
+      }
+    } catch (error) {
+      reset(error);
+    }
+  };
+
+  const write = (args) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reset(new Error(`Redis ${args[0]} timed out`)), REDIS_COMMAND_TIMEOUT);
+    pending.push({ resolve, reject, timer });
+    socket.write(encodeCommand(args));
+  });
+
+  const connect = () => {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      socket = net.createConnection({ host: target.hostname, port: parseInt(target.port) || 6379 });
+      socket.setNoDelay(true);
+      const timer = setTimeout(() => reset(new Error('Redis connect timed out')), REDIS_COMMAND_TIMEOUT);
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      socket.on('data', onData);
+      socket.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+        reset(error);
+      });
+      socket.on('close', () => reset(new Error('Redis connection closed')));
+    }).then(async () => {
+      if (password) await write(username ? ['AUTH', username, password] : ['AUTH', password]);
+      if (database) await write(['SELECT', database]);
+      console.log(`🧰 Connected to Redis cache at ${target.hostname}:${target.port || 6379}`);
+    });
+    ready.catch(() => {});
+    return ready;
+  };
+
+  return {
+    host: `${target.hostname}:${target.port || 6379}`,
+    command: async (args) => {
+      await connect();
+      return write(args);
+    },
+    isConnected: () => Boolean(socket) && !socket.connecting
+  };
+};
+
+// Values are stored as JSON under REDIS_KEY_PREFIX so several instances share them.
+// Any Redis error switches to the in-process cache for REDIS_RETRY_AFTER.
+const createRedisBackend = (url, fallback) => {
+  const client = createRedisClient(url);
+  let unavailableUntil = 0;
+  let lastError = null;
+
+  const guarded = (operation, fallbackOperation) => async (...args) => {
+    if (Date.now() < unavailableUntil) return fallbackOperation(...args);
+    try {
+      return await operation(...args);
+    } catch (error) {
+      unavailableUntil = Date.now() + REDIS_RETRY_AFTER;
+      lastError = error.message;
+      console.log(`⚠️ Redis cache unavailable (${error.message}), using the in-process cache for ${REDIS_RETRY_AFTER / 1000}s`);
+      return fallbackOperation(...args);
+    }
+  };
+
+  const decode = (raw) => (raw === null ? null : JSON.parse(raw));
+
+  return {
+    name: 'redis',
+    get: guarded(async (key) => decode(await client.command(['GET', getKeyPrefix() + key])), fallback.get),
+    getMany: guarded(async (keys) => {
+      if (keys.length === 0) return [];
+      const values = await client.command(['MGET', ...keys.map(key => getKeyPrefix() + key)]);
+      return values.map(decode);
+    }, fallback.getMany),
+    set: guarded(async (key, value, ttl) => {
+      await client.command(['SET', getKeyPrefix() + key, JSON.stringify(value), 'PX', Math.max(Math.round(ttl), 1)]);
+    }, fallback.set),
+    delete: guarded(async (key) => { await client.command(['DEL', getKeyPrefix() + key]); }, fallback.delete),
+    // Key counts live on the Redis server; only the fallback's are known here
+    size: (prefix) => (Date.now() < unavailableUntil ? fallback.size(prefix) : null),
+    describe: () => ({
+      host: client.host,
+      connected: client.isConnected(),
+      usingFallback: Date.now() < unavailableUntil,
+      lastError,
+      fallback: fallback.describe()
+    })
+  };
+};
+
+// =============================================================================
+// NAMESPACED CACHES
+// =============================================================================
+
+const namespaces = new Map(); // namespace -> { ttl, counters }
+
+const namespaceOf = (key) => key.slice(0, key.indexOf(':'));
+
+let backend = null;
+
+// Chosen on first use, after dotenv has run
+const getBackend = () => {
+  if (!backend) {
+    const memory = createMemoryBackend({
+      onEvict: (key) => {
+        const entry = namespaces.get(namespaceOf(key));
+        if (entry) entry.counters.evictions += 1;
+      }
+    });
+    backend = useRedis() ? createRedisBackend(process.env.REDIS_URL, memory) : memory;
+    console.log(`🧰 Cache backend: ${backend.name}`);
+  }
+  return backend;
+};
+
+// `ttl` is milliseconds or a function returning them; set() can override it per entry
+export const createCache = (namespace, { ttl }) => {
+  const counters = { hits: 0, misses: 0, sets: 0, evictions: 0 };
+  const getTTL = typeof ttl === 'function' ? ttl : () => ttl;
+  namespaces.set(namespace, { getTTL, counters });
+
+  const fullKey = (key) => `${namespace}:${key}`;
+
+  const count = (key, value) => {
+    if (value === null) {
+      counters.misses += 1;
+    } else {
+      counters.hits += 1;
+      if (logHits()) console.log(`📦 Cache hit ${fullKey(key)}`);
+    }
+    return value;
+  };
+
+  return {
+    get: async (key) => count(key, await getBackend().get(fullKey(key))),
+    getMany: async (keys) => {
+      const values = await getBackend().getMany(keys.map(fullKey));
+      return values.map((value, i) => count(keys[i], value));
+    },
+    set: async (key, value, entryTTL = getTTL()) => {
+      counters.sets += 1;
+      await getBackend().set(fullKey(key), value, entryTTL);
+    },
+    delete: async (key) => getBackend().delete(fullKey(key)),
+    ttl: getTTL
+  };
+};
+
+export const getCacheStats = () => {
+  const active = getBackend();
+  return {
+    backend: active.name,
+    maxSize: getMaxSize(),
+    ...(active.name === 'redis' ? { redis: active.describe() } : { entries: active.describe().entries }),
+    namespaces: Object.fromEntries([...namespaces.entries()].map(([namespace, { getTTL, counters }]) => {
+      const lookups = counters.hits + counters.misses;
+      return [namespace, {
+        ttl: getTTL(),
+        size: active.size(`${namespace}:`),
+        ...counters,
+        hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 10 : null
+      }];
+    }))
+  };
+};
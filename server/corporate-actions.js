@@ -0,0 +1,720 @@
+// server/corporate-actions.js - Dividends, Splits, Bonuses, Rights, Buybacks and AGMs with Ex and Record Dates
+
+import express from 'express';
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import cron from 'node-cron';
+import { createJsonStore } from './json-store.js';
+import { requireAdmin } from './auth.js';
+import { callProvider } from './provider-health.js';
+import { consumeQuota } from './provider-quota.js';
+import { getServerMode } from './server-mode.js';
+import { MARKETS, localDate } from './market-calendar.js';
+import { getSymbol } from './symbol-master.js';
+import { fetchNSEJSON, getFixtureDir } from './announcements.js';
+
+// feeds: { [subscription token]: userId } for calendar apps, which cannot send a session header
+const store = createJsonStore('corporate-actions', { actions: [], feeds: {}, lastSync: null });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SYNC_CRON = '0 */6 * * *'; // every six hours
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 400;
+const FEED_PAST_DAYS = 30;
+const FEED_AHEAD_DAYS = 180;
+const MAX_IMPORT_ACTIONS = 1000;
+
+// Settings are read per call so values from server/.env are picked up after dotenv runs
+const getLookbackDays = () => parseInt(process.env.CORPORATE_ACTION_LOOKBACK_DAYS) || 30;
+const getLookaheadDays = () => parseInt(process.env.CORPORATE_ACTION_LOOKAHEAD_DAYS) || 90;
+const getRetentionDays = () => parseInt(process.env.CORPORATE_ACTION_RETENTION_DAYS) || 400;
+const getFMPKey = () => (process.env.FMP_API_KEY && process.env.FMP_API_KEY !== 'demo' ? process.env.FMP_API_KEY : null);
+
+// live: NSE and FMP. fixtures: recorded feeds in server/fixtures, the default outside live mode
+const FEEDS = ['live', 'fixtures'];
+export const getCorporateActionFeed = () => {
+  const feed = process.env.CORPORATE_ACTION_FEED;
+  if (FEEDS.includes(feed)) return feed;
+  return getServerMode() === 'live' ? 'live' : 'fixtures';
+};
+
+export const ACTION_TYPES = {
+  dividend: { label: 'Dividend' },
+  split: { label: 'Stock Split' },
+  bonus: { label: 'Bonus Issue' },
+  rights: { label: 'Rights Issue' },
+  buyback: { label: 'Buyback' },
+  agm: { label: 'Annual General Meeting' }
+};
+
+// Dates an action can carry, in the order they happen
+export const ACTION_DATES = {
+  exDate: 'Ex-date',
+  recordDate: 'Record date',
+  meetingDate: 'Meeting date',
+  paymentDate: 'Payment date'
+};
+
+export class CorporateActionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CorporateActionError';
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// DATES
+// =============================================================================
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T12:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T12:00:00Z`) - Date.parse(`${from}T12:00:00Z`)) / DAY_MS);
+
+// Today in the exchange's own time zone
+const marketToday = (market, now = Date.now()) => localDate(now, MARKETS[market].timeZone);
+
+// NSE writes dates as 05-Nov-2026 and "-" when there is none
+const parseNSEDate = (value) => {
+  const match = String(value || '').trim().match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+  if (!match) return null;
+  const month = MONTHS.indexOf(match[2].toLowerCase());
+  return month < 0 ? null : `${match[3]}-${String(month + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+};
+
+const nseDate = (date) => date.split('-').reverse().join('-');
+
+// =============================================================================
+// NORMALIZATION
+// =============================================================================
+
+const round = (value) => Number(value.toFixed(4));
+
+// One NSE subject can announce several actions ("Annual General Meeting/Final Dividend - Rs 7.85 Per Share")
+const parseNSESubject = (subject, faceValue) => {
+  const text = String(subject || '');
+  const found = [];
+
+  if (/annual general meeting|\bagm\b/i.test(text)) found.push({ type: 'agm', details: {} });
+
+  const dividends = [...text.matchAll(/(interim|final|special)?\s*dividend\s*-?\s*(?:rs|re)\.?\s*([\d.]+)/gi)];
+  if (dividends.length > 0) {
+    found.push({
+      type: 'dividend',
+      details: {
+        amount: round(dividends.reduce((sum, [, , amount]) => sum + Number(amount), 0)),
+        kind: [...new Set(dividends.map(([, kind]) => (kind || '').toLowerCase()).filter(Boolean))].join(' + ') || null
+      }
+    });
+  }
+
+  const split = text.match(/(?:split|sub-?division).*?from\s*(?:rs|re)\.?\s*([\d.]+).*?to\s*(?:rs|re)\.?\s*([\d.]+)/i);
+  if (split) {
+    const [from, to] = [Number(split[1]), Number(split[2])];
+    found.push({ type: 'split', details: { ratio: `${round(from / to)}:1`, faceValueFrom: from, faceValueTo: to } });
+  }
+
+  const bonus = text.match(/bonus\s*(\d+)\s*:\s*(\d+)/i);
+  if (bonus) found.push({ type: 'bonus', details: { ratio: `${bonus[1]}:${bonus[2]}` } });
+
+  const rights = text.match(/rights\s*(\d+)\s*:\s*(\d+)(?:.*?premium\s*(?:rs|re)\.?\s*([\d.]+))?/i);
+  if (rights) {
+    const premium = rights[3] ? Number(rights[3]) : null;
+    found.push({
+      type: 'rights',
+      details: {
+        ratio: `${rights[1]}:${rights[2]}`,
+        price: premium !== null && Number.isFinite(faceValue) ? premium + faceValue : premium
+      }
+    });
+  }
+
+  if (/buy\s*-?\s*back/i.test(text)) found.push({ type: 'buyback', details: {} });
+  return found;
+};
+
+const toAction = ({ symbol, market, type, dates, ...rest }) => {
+  const keyDate = dates.exDate || dates.recordDate || dates.meetingDate;
+  return {
+    id: `${market}:${symbol}:${type}:${keyDate}`,
+    symbol,
+    market,
+    type,
+    ...rest,
+    exDate: dates.exDate || null,
+    recordDate: dates.recordDate || null,
+    meetingDate: dates.meetingDate || null,
+    paymentDate: dates.paymentDate || null
+  };
+};
+
+export const normalizeNSEActions = (row) => {
+  if (!row?.symbol || !row.subject) return [];
+  const exDate = parseNSEDate(row.exDate);
+  const recordDate = parseNSEDate(row.recDate) || parseNSEDate(row.bcStartDate);
+  if (!exDate && !recordDate) return [];
+
+  return parseNSESubject(row.subject, Number(row.faceVal)).map(({ type, details }) => toAction({
+    symbol: row.symbol.toUpperCase(),
+    market: 'indian',
+    exchange: 'NSE',
+    company: row.comp || row.symbol,
+    isin: row.isin || null,
+    type,
+    subject: row.subject,
+    currency: 'INR',
+    details,
+    // The meeting is held on the last day of book closure
+    dates: { exDate, recordDate, meetingDate: type === 'agm' ? parseNSEDate(row.bcEndDate) : null },
+    announcedAt: parseNSEDate(row.caBroadcastDate?.split(' ')[0]),
+    source: 'NSE'
+  }));
+};
+
+// FMP's calendars cover every US ticker; only symbols in the symbol master are kept
+const usListing = (symbol) => {
+  const listing = getSymbol(symbol, 'global');
+  return listing?.market === 'global' ? listing : null;
+};
+
+export const normalizeFMPDividend = (row) => {
+  const listing = usListing(row?.symbol);
+  if (!listing || !DATE_PATTERN.test(row.date || '')) return [];
+  return [toAction({
+    symbol: listing.symbol,
+    market: 'global',
+    exchange: listing.exchange,
+    company: listing.name,
+    isin: listing.isin || null,
+    type: 'dividend',
+    subject: `Dividend - $${row.dividend} per share`,
+    currency: 'USD',
+    details: { amount: Number(row.dividend), kind: null },
+    dates: { exDate: row.date, recordDate: row.recordDate || null, paymentDate: row.paymentDate || null },
+    announcedAt: row.declarationDate || null,
+    source: 'FMP'
+  })];
+};
+
+export const normalizeFMPSplit = (row) => {
+  const listing = usListing(row?.symbol);
+  if (!listing || !DATE_PATTERN.test(row.date || '') || !row.numerator || !row.denominator) return [];
+  const ratio = `${row.numerator}:${row.denominator}`;
+  return [toAction({
+    symbol: listing.symbol,
+    market: 'global',
+    exchange: listing.exchange,
+    company: listing.name,
+    isin: listing.isin || null,
+    type: 'split',
+    subject: `Stock split ${ratio}`,
+    currency: 'USD',
+    details: { ratio, reverse: row.numerator < row.denominator },
+    dates: { exDate: row.date },
+    announcedAt: null,
+    source: 'FMP'
+  })];
+};
+
+// Actions posted to /import, e.g. US AGMs and buybacks no free calendar carries
+const normalizeImportedAction = (input) => {
+  const symbol = String(input?.symbol || '').trim().toUpperCase().replace(/\.(NS|BO)$/, '');
+  if (!symbol) throw new CorporateActionError('Every action needs a symbol');
+  if (!ACTION_TYPES[input.type]) {
+    throw new CorporateActionError(`type must be one of: ${Object.keys(ACTION_TYPES).join(', ')}`);
+  }
+
+  const dates = {};
+  Object.keys(ACTION_DATES).forEach(field => {
+    if (input[field] === undefined || input[field] === null) return;
+    if (!DATE_PATTERN.test(input[field])) throw new CorporateActionError(`${field} must be a YYYY-MM-DD date`);
+    dates[field] = input[field];
+  });
+  if (!dates.exDate && !dates.recordDate && !dates.meetingDate) {
+    throw new CorporateActionError(`${symbol} ${input.type} needs an exDate, recordDate or meetingDate`);
+  }
+
+  const listing = getSymbol(symbol, input.market);
+  const market = input.market || listing?.market || 'indian';
+  if (!MARKETS[market]) throw new CorporateActionError(`market must be one of: ${Object.keys(MARKETS).join(', ')}`);
+
+  return toAction({
+    symbol,
+    market,
+    exchange: input.exchange || listing?.exchange || null,
+    company: input.company || listing?.name || symbol,
+    isin: listing?.isin || null,
+    type: input.type,
+    subject: input.subject || ACTION_TYPES[input.type].label,
+    currency: market === 'indian' ? 'INR' : 'USD',
+    details: input.details && typeof input.details === 'object' ? input.details : {},
+    dates,
+    announcedAt: null,
+    source: 'import'
+  });
+};
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+const lastDateOf = (action) => Object.keys(ACTION_DATES).map(field => action[field]).filter(Boolean).sort().pop();
+
+// Re-syncs update an action in place; actions whose last date is past retention are dropped
+const storeActions = (actions) => store.update(state => {
+  const now = new Date().toISOString();
+  const byId = new Map(state.actions.map(a => [a.id, a]));
+  let added = 0;
+  let updated = 0;
+
+  actions.forEach(action => {
+    const existing = byId.get(action.id);
+    if (existing) updated++;
+    else added++;
+    byId.set(action.id, { ...existing, ...action, createdAt: existing?.createdAt || now, updatedAt: now });
+  });
+
+  const cutoff = addDays(marketToday('indian'), -getRetentionDays());
+  state.actions = [...byId.values()]
+    .filter(a => lastDateOf(a) >= cutoff)
+    .sort((a, b) => (a.exDate || a.recordDate || a.meetingDate).localeCompare(b.exDate || b.recordDate || b.meetingDate));
+  return { added, updated };
+});
+
+// =============================================================================
+// SYNC
+// =============================================================================
+
+const readFixture = (file) => {
+  const fullPath = path.join(getFixtureDir(), file);
+  return fs.existsSync(fullPath) ? JSON.parse(fs.readFileSync(fullPath, 'utf8')) : null;
+};
+
+const fetchFMPCalendar = (calendar, { from, to }) => callProvider('Financial Modeling Prep', async () => {
+  consumeQuota('Financial Modeling Prep');
+  const response = await axios.get(`https://financialmodelingprep.com/api/v3/${calendar}`, {
+    params: { from, to, apikey: getFMPKey() },
+    timeout: 15000
+  });
+  return response.data;
+});
+
+const SOURCES = {
+  NSE: {
+    fixture: 'nse-corporate-actions.json',
+    fetch: ({ from, to }) => callProvider('NSE Corporate Actions', () => fetchNSEJSON('https://www.nseindia.com/api/corporates-corporateActions', {
+      params: { index: 'equities', from_date: nseDate(from), to_date: nseDate(to) },
+      referer: 'https://www.nseindia.com/companies-listing/corporate-filings-actions'
+    })),
+    normalize: normalizeNSEActions
+  },
+  'FMP dividends': {
+    fixture: 'fmp-dividend-calendar.json',
+    needsKey: true,
+    fetch: (window) => fetchFMPCalendar('stock_dividend_calendar', window),
+    normalize: normalizeFMPDividend
+  },
+  'FMP splits': {
+    fixture: 'fmp-split-calendar.json',
+    needsKey: true,
+    fetch: (window) => fetchFMPCalendar('stock_split_calendar', window),
+    normalize: normalizeFMPSplit
+  }
+};
+
+// One pass over every source; a source that fails does not stop the others
+export const syncCorporateActions = async ({ feed = getCorporateActionFeed() } = {}) => {
+  const today = marketToday('indian');
+  const window = { from: addDays(today, -getLookbackDays()), to: addDays(today, getLookaheadDays()) };
+  const results = [];
+
+  for (const [name, source] of Object.entries(SOURCES)) {
+    try {
+      if (feed === 'live' && source.needsKey && !getFMPKey()) {
+        results.push({ source: name, fetched: 0, added: 0, updated: 0, note: 'FMP_API_KEY not set' });
+        continue;
+      }
+      const body = feed === 'fixtures' ? readFixture(source.fixture) : await source.fetch(window);
+      const rows = Array.isArray(body) ? body : body?.data || [];
+      const actions = rows.flatMap(row => source.normalize(row));
+      results.push({ source: name, fetched: rows.length, ...storeActions(actions) });
+    } catch (error) {
+      console.error(`❌ ${name} corporate actions failed:`, error.message);
+      results.push({ source: name, fetched: 0, added: 0, updated: 0, error: error.message });
+    }
+  }
+
+  store.update(state => { state.lastSync = { at: new Date().toISOString(), feed, ...window, results }; });
+  const added = results.reduce((sum, r) => sum + r.added, 0);
+  if (added > 0) console.log(`📅 Corporate actions: ${added} new (${feed} feed)`);
+  return { feed, ...window, results };
+};
+
+export const importCorporateActions = (inputs) => {
+  if (!Array.isArray(inputs) || inputs.length === 0) throw new CorporateActionError('actions must be a non-empty array');
+  if (inputs.length > MAX_IMPORT_ACTIONS) throw new CorporateActionError(`At most ${MAX_IMPORT_ACTIONS} actions per import`);
+  return storeActions(inputs.map(normalizeImportedAction));
+};
+
+let scheduledTask = null;
+let isSyncing = false;
+
+export const startCorporateActionSync = () => {
+  const expression = process.env.CORPORATE_ACTION_SYNC_CRON || DEFAULT_SYNC_CRON;
+  if (expression === 'off') return;
+  if (!cron.validate(expression)) {
+    console.error(`❌ Invalid CORPORATE_ACTION_SYNC_CRON "${expression}", corporate action sync disabled`);
+    return;
+  }
+
+  const sync = async () => {
+    if (isSyncing) return;
+    isSyncing = true;
+    try {
+      await syncCorporateActions();
+    } catch (error) {
+      console.error('Corporate action sync failed:', error);
+    } finally {
+      isSyncing = false;
+    }
+  };
+
+  scheduledTask = cron.schedule(expression, sync);
+  sync();
+  console.log(`📅 Corporate action sync scheduled (${expression}, ${getCorporateActionFeed()} feed)`);
+};
+
+export const stopCorporateActionSync = () => {
+  scheduledTask?.stop();
+  scheduledTask = null;
+};
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+const parseList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(v => v.trim())
+  .filter(Boolean);
+
+const parseTypes = (value) => {
+  const types = parseList(value).map(t => t.toLowerCase());
+  const unknown = types.find(t => !ACTION_TYPES[t]);
+  if (unknown) throw new CorporateActionError(`Unknown type "${unknown}". Use: ${Object.keys(ACTION_TYPES).join(', ')}`);
+  return types;
+};
+
+const validateRange = (from, to) => {
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) throw new CorporateActionError('from and to must be YYYY-MM-DD dates');
+  if (to < from) throw new CorporateActionError('to must not be before from');
+  if (daysBetween(from, to) > MAX_RANGE_DAYS) throw new CorporateActionError(`Date range is limited to ${MAX_RANGE_DAYS} days`);
+};
+
+const symbolKey = (symbol, market) => `${market || '*'}:${String(symbol).toUpperCase().replace(/\.(NS|BO)$/, '')}`;
+
+// symbols: [{ symbol, market? }]; an entry without a market matches either market
+export const listCorporateActions = ({ from, to, symbols = null, types = [], market } = {}) => {
+  const start = from || marketToday('indian');
+  const end = to || addDays(start, DEFAULT_RANGE_DAYS);
+  validateRange(start, end);
+  if (market && !MARKETS[market]) throw new CorporateActionError(`market must be one of: ${Object.keys(MARKETS).join(', ')}`);
+
+  const wanted = symbols ? new Set(symbols.map(s => symbolKey(s.symbol, s.market))) : null;
+  const actions = store.get().actions.filter(action =>
+    (!market || action.market === market)
+    && (types.length === 0 || types.includes(action.type))
+    && (!wanted || wanted.has(symbolKey(action.symbol, action.market)) || wanted.has(symbolKey(action.symbol)))
+    && Object.keys(ACTION_DATES).some(field => action[field] && action[field] >= start && action[field] <= end));
+
+  return { from: start, to: end, count: actions.length, actions };
+};
+
+// Every ex, record and meeting date in the next `days` days, with days until it in the
+// exchange's time zone (reminders)
+export const getUpcomingActionDates = ({ days = 30, now = Date.now() } = {}) => {
+  const upcoming = [];
+  store.get().actions.forEach(action => {
+    const today = marketToday(action.market, now);
+    ['exDate', 'recordDate', 'meetingDate'].forEach(field => {
+      const date = action[field];
+      if (!date) return;
+      const daysUntil = daysBetween(today, date);
+      if (daysUntil >= 0 && daysUntil <= days) upcoming.push({ action, field, date, daysUntil });
+    });
+  });
+  return upcoming;
+};
+
+export const getCorporateActionStats = () => {
+  const { actions, lastSync, feeds } = store.get();
+  const count = (key) => actions.reduce((counts, a) => ({ ...counts, [a[key]]: (counts[a[key]] || 0) + 1 }), {});
+  return {
+    stored: actions.length,
+    byType: count('type'),
+    byMarket: count('market'),
+    bySource: count('source'),
+    subscriptions: Object.keys(feeds).length,
+    feed: getCorporateActionFeed(),
+    lastSync
+  };
+};
+
+// =============================================================================
+// DESCRIPTIONS
+// =============================================================================
+
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$' };
+
+// "Interim dividend ₹11 per share", "Stock split 5:1", "Rights issue 1:14 at ₹1,245"
+export const describeAction = (action) => {
+  const { details = {} } = action;
+  const money = (value) => `${CURRENCY_SYMBOLS[action.currency] || ''}${Number(value).toLocaleString(action.currency === 'INR' ? 'en-IN' : 'en-US')}`;
+  switch (action.type) {
+    case 'dividend': {
+      const kind = details.kind ? `${details.kind[0].toUpperCase()}${details.kind.slice(1)} dividend` : 'Dividend';
+      return details.amount ? `${kind} ${money(details.amount)} per share` : kind;
+    }
+    case 'split':
+      return `${details.reverse ? 'Reverse stock split' : 'Stock split'}${details.ratio ? ` ${details.ratio}` : ''}`;
+    case 'bonus':
+      return `Bonus issue${details.ratio ? ` ${details.ratio}` : ''}`;
+    case 'rights':
+      return `Rights issue${details.ratio ? ` ${details.ratio}` : ''}${details.price ? ` at ${money(details.price)}` : ''}`;
+    default:
+      return ACTION_TYPES[action.type].label;
+  }
+};
+
+// =============================================================================
+// ICALENDAR EXPORT
+// =============================================================================
+
+const escapeText = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const icsDate = (date) => date.replace(/-/g, '');
+const icsTimestamp = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// One all-day event per date; an ex-date that is also the record date (India's T+1) is one event
+const toCalendarEvents = (action) => {
+  const description = describeAction(action);
+  const dates = Object.keys(ACTION_DATES).filter(field => action[field]);
+  const events = [];
+  dates.forEach(field => {
+    if (field === 'recordDate' && action.recordDate === action.exDate) return;
+    const both = field === 'exDate' && action.recordDate === action.exDate;
+    const label = both ? 'Ex & record date' : ACTION_DATES[field];
+    events.push({
+      uid: `${action.id}:${field}@vibha-stockalerts`,
+      date: action[field],
+      summary: action.type === 'agm' && field === 'meetingDate'
+        ? `${action.symbol} AGM`
+        : `${action.symbol} ${label.toLowerCase()}: ${description}`,
+      description: [
+        `${action.company} (${action.symbol}${action.exchange ? `, ${action.exchange}` : ''})`,
+        description,
+        ...dates.map(f => `${ACTION_DATES[f]}: ${action[f]}`),
+        action.subject !== description ? action.subject : null
+      ].filter(Boolean).join('\n')
+    });
+  });
+  return events.map(event => ({ ...event, action }));
+};
+
+// alarmDays adds a display alarm that many days before each event
+export const toICalendar = (actions, { name = 'Corporate Actions', alarmDays = null } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Vibha StockAlerts//Corporate Actions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H'
+  ];
+
+  actions.flatMap(toCalendarEvents).forEach(({ uid, date, summary, description, action }) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${icsTimestamp(action.updatedAt || action.createdAt || Date.now())}`,
+      `DTSTART;VALUE=DATE:${icsDate(date)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(date, 1))}`,
+      `SUMMARY:${escapeText(summary)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      `CATEGORIES:${escapeText(ACTION_TYPES[action.type].label)}`,
+      'TRANSP:TRANSPARENT'
+    );
+    if (alarmDays !== null) {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(summary)}`, `TRIGGER:-P${alarmDays}D`, 'END:VALARM');
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// =============================================================================
+// CALENDAR SUBSCRIPTIONS
+// =============================================================================
+
+export const getFeedToken = (userId) => {
+  const existing = Object.entries(store.get().feeds).find(([, owner]) => owner === userId)?.[0];
+  if (existing) return existing;
+  return store.update(state => {
+    const token = crypto.randomBytes(24).toString('base64url');
+    state.feeds[token] = userId;
+    return token;
+  });
+};
+
+// Invalidates the old subscription URL
+export const rotateFeedToken = (userId) => {
+  store.update(state => {
+    Object.entries(state.feeds).filter(([, owner]) => owner === userId).forEach(([token]) => delete state.feeds[token]);
+  });
+  return getFeedToken(userId);
+};
+
+const getFeedOwner = (token) => store.get().feeds[token] || null;
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+// getWatchlists(userId) is injected by server.js; the watchlist filter and the
+// calendar feed follow the user's watchlist symbols
+export const createCorporateActionRouter = ({ getWatchlists }) => {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      res.json({ data: await fn(req), timestamp: new Date().toISOString() });
+    } catch (error) {
+      const status = error instanceof CorporateActionError ? error.status : 500;
+      if (status === 500) console.error('Corporate action error:', error);
+      res.status(status).json({
+        error: status === 500 ? 'Corporate action operation failed' : error.message,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  // ?watchlist=<id> or all, ?symbols=RELIANCE,AAPL; both narrow to the union of their symbols
+  const symbolFilter = (userId, query) => {
+    let symbols = null;
+    if (query.watchlist) {
+      const lists = getWatchlists(userId);
+      const chosen = query.watchlist === 'all' ? lists : lists.filter(list => list.id === query.watchlist);
+      if (chosen.length === 0) throw new CorporateActionError('Watchlist not found', 404);
+      symbols = chosen.flatMap(list => list.symbols.map(s => ({ symbol: s.symbol, market: s.market })));
+    }
+    if (query.symbols) symbols = [...(symbols || []), ...parseList(query.symbols).map(symbol => ({ symbol }))];
+    return symbols;
+  };
+
+  const parseAlarm = (value) => {
+    if (value === undefined) return null;
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0 || days > 30) throw new CorporateActionError('alarm must be a whole number of days from 0 to 30');
+    return days;
+  };
+
+  const queryActions = (userId, query) => listCorporateActions({
+    from: query.from,
+    to: query.to,
+    symbols: symbolFilter(userId, query),
+    types: parseTypes(query.type),
+    market: query.market
+  });
+
+  const sendCalendar = (res, actions, { alarmDays, filename }) => {
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="${filename}"`,
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(toICalendar(actions, { name: 'Vibha StockAlerts Corporate Actions', alarmDays }));
+  };
+
+  router.get('/', handle(async (req) => queryActions(req.user.id, req.query)));
+
+  router.get('/types', handle(async () => ({
+    types: Object.entries(ACTION_TYPES).map(([id, t]) => ({ id, label: t.label })),
+    dates: Object.entries(ACTION_DATES).map(([id, label]) => ({ id, label }))
+  })));
+
+  router.get('/stats', handle(async () => getCorporateActionStats()));
+
+  // Same filters as GET /, as a one-off .ics download
+  router.get('/export.ics', (req, res) => {
+    try {
+      const { actions } = queryActions(req.user.id, req.query);
+      sendCalendar(res, actions, { alarmDays: parseAlarm(req.query.alarm), filename: 'corporate-actions.ics' });
+    } catch (error) {
+      const status = error instanceof CorporateActionError ? error.status : 500;
+      if (status === 500) console.error('Calendar export error:', error);
+      res.status(status).json({ error: 'Failed to export calendar', message: error.message, timestamp: new Date().toISOString() });
+    }
+  });
+
+  // A URL for calendar apps: the token in the path stands in for the session
+  router.get('/subscription', handle(async (req) => {
+    const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${getFeedToken(req.user.id)}.ics`;
+    return { url, webcal: url.replace(/^https?:/, 'webcal:') };
+  }));
+
+  router.post('/subscription/rotate', handle(async (req) => {
+    const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${rotateFeedToken(req.user.id)}.ics`;
+    return { url, webcal: url.replace(/^https?:/, 'webcal:') };
+  }));
+
+  // Public route (see auth.js): the user's watchlists from a month back to six months ahead
+  router.get('/feed/:token.ics', (req, res) => {
+    try {
+      const userId = getFeedOwner(req.params.token);
+      if (!userId) throw new CorporateActionError('Unknown calendar subscription', 404);
+      const from = addDays(marketToday('indian'), -FEED_PAST_DAYS);
+      const { actions } = listCorporateActions({
+        from,
+        to: addDays(from, FEED_PAST_DAYS + FEED_AHEAD_DAYS),
+        symbols: symbolFilter(userId, { watchlist: 'all' }),
+        types: parseTypes(req.query.type)
+      });
+      sendCalendar(res, actions, { alarmDays: parseAlarm(req.query.alarm), filename: 'watchlist-corporate-actions.ics' });
+    } catch (error) {
+      const status = error instanceof CorporateActionError ? error.status : 500;
+      if (status === 500) console.error('Calendar feed error:', error);
+      res.status(status).json({ error: 'Failed to build calendar feed', message: error.message, timestamp: new Date().toISOString() });
+    }
+  });
+
+  router.post('/sync', requireAdmin, handle(async () => syncCorporateActions()));
+
+  // { actions: [{ symbol, market?, type, exDate?, recordDate?, meetingDate?, paymentDate?, subject?, details? }] }
+  router.post('/import', requireAdmin, handle(async (req) => importCorporateActions(req.body?.actions)));
+
+  return router;
+};
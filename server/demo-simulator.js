@@ -0,0 +1,109 @@
+// server/demo-simulator.js - Deterministic Seeded Price Simulator for Demo Mode
+
+import { getSymbol, getReferencePrice, estimateMarketCap } from './symbol-master.js';
+import { isMarketOpen, localDate } from './market-calendar.js';
+
+// Settings are read per call so values from server/.env are picked up after dotenv runs
+const getSeed = () => process.env.DEMO_SEED || 'vibha-demo';
+const getTickMs = () => parseInt(process.env.DEMO_TICK_MS) || 15 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MARKET_PROFILES = {
+  indian: { timeZone: 'Asia/Kolkata', currency: 'INR', exchange: 'NSE', dailyRange: 0.03, volume: 20000000 },
+  global: { timeZone: 'America/New_York', currency: 'USD', exchange: 'NYSE', dailyRange: 0.04, volume: 80000000 }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// =============================================================================
+// SEEDED RANDOMNESS
+// =============================================================================
+
+// DEMO_FROZEN_AT (any date string) pins the simulator clock, so every request
+// returns the same prices: handy for screenshots and tests
+export const demoNow = () => {
+  const frozen = Date.parse(process.env.DEMO_FROZEN_AT || '');
+  return Number.isFinite(frozen) ? frozen : Date.now();
+};
+
+// Prices move once per tick, not on every request
+export const demoTick = (now = demoNow()) => Math.floor(now / getTickMs());
+
+// FNV-1a, to turn the seed and the parts into a 32-bit state
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: the same seed and parts always give the same sequence in [0, 1)
+export const seededRandom = (...parts) => {
+  let state = hashString([getSeed(), ...parts].join('|'));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// =============================================================================
+// SIMULATED QUOTES
+// =============================================================================
+
+// The previous close, the day's drift and the wave phase are fixed per symbol and
+// local date; the price follows that drift plus a wave and a per-tick jitter, so a
+// given seed and instant always produce the same quote. `referencePrice` stands in
+// for the symbol master's, for instruments it does not list (indices).
+export const simulateQuote = (symbol, market, now = demoNow(), { referencePrice } = {}) => {
+  const profile = MARKET_PROFILES[market];
+  const record = getSymbol(symbol, market);
+  const reference = referencePrice || getReferencePrice(symbol, market);
+  const day = seededRandom(symbol, market, localDate(now, profile.timeZone));
+  const tick = demoTick(now);
+  const jitter = seededRandom(symbol, market, tick)();
+
+  const previousClose = reference * (1 + (day() - 0.5) * profile.dailyRange);
+  const drift = (day() - 0.5) * profile.dailyRange;
+  const phase = day() * 2 * Math.PI;
+  const spread = 1 + (day() * profile.dailyRange) / 3;
+  const progress = (now % DAY_MS) / DAY_MS;
+
+  const price = previousClose * (1 + drift * progress + Math.sin(tick / 20 + phase) * 0.004 + (jitter - 0.5) * 0.003);
+  const change = price - previousClose;
+
+  return {
+    symbol,
+    name: record?.name || symbol.replace('.NS', '').replace('.BO', ''),
+    price: round(price),
+    change: round(change),
+    changePercent: round((change / previousClose) * 100),
+    high: round(Math.max(price, previousClose) * spread),
+    low: round(Math.min(price, previousClose) / spread),
+    volume: Math.round(profile.volume * (0.25 + day()) * Math.max(progress, 0.05)),
+    previousClose: round(previousClose),
+    marketCap: estimateMarketCap(symbol, market, price),
+    sector: record?.sector || 'Unknown',
+    exchange: record?.exchange || profile.exchange,
+    currency: profile.currency,
+    marketOpen: isMarketOpen(market, now),
+    timestamp: new Date().toISOString(),
+    source: 'Demo_Simulator',
+    mock: true,
+    demo: true
+  };
+};
+
+export const getDemoSettings = () => {
+  const frozen = Date.parse(process.env.DEMO_FROZEN_AT || '');
+  return {
+    seed: getSeed(),
+    tickMs: getTickMs(),
+    frozenAt: Number.isFinite(frozen) ? new Date(frozen).toISOString() : null
+  };
+};
@@ -0,0 +1,203 @@
+// server/extended-hours.js - US Pre-Market and After-Hours Prices for Global Quotes
+
+import axios from 'axios';
+import { getMarketPhase } from './market-calendar.js';
+import { consumeQuota } from './provider-quota.js';
+import { seededRandom, demoTick } from './demo-simulator.js';
+
+// Session tags carried by every global quote
+export const US_SESSIONS = ['pre_market', 'regular', 'after_hours', 'closed'];
+const EXTENDED_SESSIONS = new Set(['pre_market', 'after_hours']);
+
+const getCacheTTL = () => parseInt(process.env.EXTENDED_HOURS_CACHE_TTL) || 60 * 1000;
+
+// Keys are read per call so values from server/.env are picked up after dotenv runs
+const apiKey = (name) => {
+  const key = process.env[name];
+  return key && key !== 'demo' ? key : null;
+};
+
+const YAHOO_PROXIES = [
+  'https://api.allorigins.win/raw?url=',
+  'https://cors-anywhere.herokuapp.com/',
+  'https://api.codetabs.com/v1/proxy?quest='
+];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// =============================================================================
+// SESSION
+// =============================================================================
+
+// Holidays, weekends and the overnight gap all count as closed
+export const getUsSession = (now = Date.now()) => {
+  const phase = getMarketPhase('global', now);
+  return {
+    session: US_SESSIONS.includes(phase.phase) ? phase.phase : 'closed',
+    startedAt: phase.phaseStartsAt,
+    endsAt: phase.phaseEndsAt
+  };
+};
+
+export const isExtendedSession = (session) => EXTENDED_SESSIONS.has(session);
+
+// =============================================================================
+// PROVIDERS
+// =============================================================================
+
+// Each fetch resolves to { price, tradedAt } for the latest extended-hours trade
+const EXTENDED_PROVIDERS = [
+  {
+    name: 'FMP_Aftermarket',
+    enabled: () => Boolean(apiKey('FMP_API_KEY')),
+    fetch: async (symbol) => {
+      consumeQuota('Financial Modeling Prep');
+      const response = await axios.get('https://financialmodelingprep.com/stable/aftermarket-trade', {
+        params: { symbol, apikey: apiKey('FMP_API_KEY') },
+        timeout: 8000
+      });
+      const trade = Array.isArray(response.data) ? response.data[0] : null;
+      if (!trade?.price) throw new Error(`No aftermarket trade for ${symbol}`);
+      return { price: trade.price, tradedAt: new Date(trade.timestamp).toISOString() };
+    }
+  },
+  {
+    name: 'Twelve_Data_Prepost',
+    enabled: () => Boolean(apiKey('TWELVE_DATA_API_KEY')),
+    fetch: async (symbol) => {
+      consumeQuota('Twelve Data');
+      const response = await axios.get('https://api.twelvedata.com/quote', {
+        params: { symbol, prepost: true, interval: '1min', apikey: apiKey('TWELVE_DATA_API_KEY') },
+        timeout: 8000
+      });
+      if (response.data.status === 'error') throw new Error(response.data.message);
+      const price = parseFloat(response.data.close);
+      if (!price) throw new Error(`No prepost quote for ${symbol}`);
+      return { price, tradedAt: new Date((response.data.last_quote_at || response.data.timestamp) * 1000).toISOString() };
+    }
+  },
+  {
+    name: 'Yahoo_Finance_Prepost',
+    enabled: () => true,
+    fetch: async (symbol) => {
+      const target = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol.replace('.', '-')}` +
+        '?interval=1m&range=1d&includePrePost=true';
+
+      for (const proxy of YAHOO_PROXIES) {
+        try {
+          const url = proxy.endsWith('=') ? `${proxy}${encodeURIComponent(target)}` : `${proxy}${target}`;
+          const response = await axios.get(url, {
+            timeout: 8000,
+            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
+          });
+
+          const data = response.data.chart?.result?.[0];
+          const closes = data?.indicators?.quote?.[0]?.close || [];
+          const last = closes.map((close, i) => ({ close, ts: data.timestamp[i] })).filter(c => c.close !== null).pop();
+          if (!last) throw new Error('No prepost candles in response');
+          return { price: last.close, tradedAt: new Date(last.ts * 1000).toISOString() };
+        } catch (error) {
+          console.log(`Yahoo prepost proxy ${proxy} failed: ${error.message}`);
+        }
+      }
+      throw new Error('All Yahoo Finance proxies failed');
+    }
+  }
+];
+
+// =============================================================================
+// EXTENDED PRICE CACHE
+// =============================================================================
+
+// symbol|session -> { trade, fetchedAt }; failures are cached as null so a
+// provider outage costs one round per symbol per TTL, not one per request
+const cache = new Map();
+const inFlight = new Map();
+
+const fetchExtendedTrade = async (symbol, sessionStart) => {
+  const errors = [];
+  for (const provider of EXTENDED_PROVIDERS.filter(p => p.enabled())) {
+    try {
+      const trade = await provider.fetch(symbol);
+      // A trade from before this session started is yesterday's after-hours print
+      if (sessionStart && trade.tradedAt < sessionStart) throw new Error('No trades yet this session');
+      return { ...trade, source: provider.name };
+    } catch (error) {
+      errors.push(`${provider.name}: ${error.message}`);
+    }
+  }
+  throw new Error(errors.join('; ') || 'No extended-hours providers enabled');
+};
+
+const getExtendedTrade = async (symbol, { session, startedAt }) => {
+  const key = `${symbol}|${session}`;
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < getCacheTTL()) return cached.trade;
+
+  if (!inFlight.has(key)) {
+    inFlight.set(key, fetchExtendedTrade(symbol, startedAt)
+      .catch(error => {
+        console.log(`⚠️ No ${session} price for ${symbol}: ${error.message}`);
+        return null;
+      })
+      .then(trade => {
+        cache.set(key, { trade, fetchedAt: Date.now() });
+        return trade;
+      })
+      .finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+};
+
+// =============================================================================
+// QUOTE ENRICHMENT
+// =============================================================================
+
+// The regular-session close is the reference: today's close after hours, the
+// previous close before the open. Outside the regular session the quote's price is
+// that close, since the regular-hours feeds stop updating at 16:00 ET.
+const describeMove = (quote, session, price, extra) => {
+  const change = price - quote.price;
+  return {
+    session,
+    price: round(price),
+    change: round(change),
+    changePercent: quote.price ? round((change / quote.price) * 100) : 0,
+    regularClose: quote.price,
+    ...extra
+  };
+};
+
+// Demo quotes get a seeded extended move so the UI has something to show
+const simulateExtendedHours = (quote, session) => {
+  const drift = (seededRandom(quote.symbol, session, demoTick())() - 0.5) * 0.03;
+  return describeMove(quote, session, quote.price * (1 + drift), {
+    tradedAt: new Date().toISOString(),
+    source: quote.source
+  });
+};
+
+// Adds `session` to a global quote and, during pre-market or after-hours,
+// an `extendedHours` block with the latest extended price and its move
+export const withExtendedHours = async (quote, now = Date.now()) => {
+  const current = getUsSession(now);
+  const tagged = { ...quote, session: current.session, extendedHours: null };
+  if (!isExtendedSession(current.session)) return tagged;
+
+  if (quote.demo) return { ...tagged, extendedHours: simulateExtendedHours(quote, current.session) };
+
+  const trade = await getExtendedTrade(quote.symbol, current);
+  if (!trade) return tagged;
+
+  return {
+    ...tagged,
+    extendedHours: describeMove(quote, current.session, trade.price, { tradedAt: trade.tradedAt, source: trade.source })
+  };
+};
+
+export const getExtendedHoursStatus = () => ({
+  ...getUsSession(),
+  cacheTTL: getCacheTTL(),
+  cachedSymbols: cache.size,
+  providers: EXTENDED_PROVIDERS.map(p => ({ name: p.name, enabled: p.enabled() }))
+});
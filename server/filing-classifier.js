@@ -0,0 +1,278 @@
+// server/filing-classifier.js - Keyword Classifier for Exchange Filings (Category, Importance, Sentiment)
+
+import axios from 'axios';
+import { callProvider } from './provider-health.js';
+
+// Settings are read per call so values from server/.env are picked up after dotenv runs
+const getModelURL = () => process.env.CLASSIFIER_MODEL_URL || null;
+const getModelTimeout = () => parseInt(process.env.CLASSIFIER_MODEL_TIMEOUT) || 3000;
+const getModelMinConfidence = () => parseFloat(process.env.CLASSIFIER_MODEL_MIN_CONFIDENCE) || 0.6;
+
+export const IMPORTANCE_LEVELS = ['low', 'medium', 'high'];
+export const SENTIMENTS = ['negative', 'neutral', 'positive'];
+
+// Below this keyword score a filing is 'other'
+const MIN_CATEGORY_SCORE = 2;
+
+// =============================================================================
+// CATEGORIES
+// =============================================================================
+
+// alertType is the WhatsApp template the alert uses. noise marks routine compliance
+// filings that users can hide. Each keyword adds its weight to the category's score,
+// doubled when it appears in the exchange category or subject rather than the body;
+// the highest score wins and ties go to the earlier category.
+export const FILING_CATEGORIES = {
+  financial_results: {
+    label: 'Financial Results',
+    alertType: 'financial_results',
+    importance: 'high',
+    keywords: [[/financial results?|result updates/, 3], [/\bresults?\b/, 1], [/(quarter|half year|year) ended/, 1], [/earnings/, 2]]
+  },
+  dividend: {
+    label: 'Dividend',
+    alertType: 'default',
+    importance: 'medium',
+    keywords: [[/dividend/, 3]]
+  },
+  buyback: {
+    label: 'Buyback',
+    alertType: 'default',
+    importance: 'high',
+    keywords: [[/buy[ -]?back/, 4]]
+  },
+  acquisition: {
+    label: 'Mergers & Acquisitions',
+    alertType: 'acquisition',
+    importance: 'high',
+    keywords: [[/acquisition|acquires?\b|acquired/, 3], [/amalgamation|merger|demerger|scheme of arrangement|takeover/, 3], [/open offer/, 2]]
+  },
+  credit_rating: {
+    label: 'Credit Rating',
+    alertType: 'credit_rating',
+    importance: 'medium',
+    keywords: [[/credit rating|\bratings?\b/, 3], [/crisil|icra|care ratings|india ratings|fitch|moody/, 1]]
+  },
+  insider_trading: {
+    label: 'Insider Trade',
+    alertType: 'default',
+    importance: 'medium',
+    keywords: [[/insider trading|\bsast\b/, 2], [/regulation 7\s?\(2\)|regulation 29|(acquisition|disposal) of shares|pledge/, 3], [/promoter/, 1]]
+  },
+  litigation: {
+    label: 'Litigation',
+    alertType: 'default',
+    importance: 'medium',
+    keywords: [[/litigation|lawsuit|arbitration|tribunal|\bnclt\b|high court|supreme court/, 3], [/penalty|show cause|tax demand|\border\b.*\b(passed|received)|dispute/, 2]]
+  },
+  board_meeting: {
+    label: 'Board Meeting',
+    alertType: 'board_meeting',
+    importance: 'medium',
+    keywords: [[/board meeting/, 3], [/meeting of the board|board of directors at its meeting/, 2]]
+  },
+  corporate_action: {
+    label: 'Corporate Action',
+    alertType: 'default',
+    importance: 'medium',
+    keywords: [[/record date|book closure/, 1], [/bonus|stock split|sub-?division|rights issue/, 3]]
+  },
+  agm_egm: {
+    label: 'General Meeting',
+    alertType: 'default',
+    importance: 'low',
+    keywords: [[/\bagm\b|\begm\b|general meeting|postal ballot|e-?voting/, 2]]
+  },
+  management_change: {
+    label: 'Management Change',
+    alertType: 'default',
+    importance: 'medium',
+    keywords: [[/change in (directors|management|key managerial)|appointment|resignation|cessation|re-?designation/, 3]]
+  },
+  investor_meet: {
+    label: 'Investor Meet',
+    alertType: 'default',
+    importance: 'low',
+    noise: true,
+    keywords: [[/analyst|institutional investor|investor meet|con\. call|conference call|earnings call/, 3]]
+  },
+  trading_window: {
+    label: 'Trading Window',
+    alertType: 'default',
+    importance: 'low',
+    noise: true,
+    keywords: [[/trading window/, 5]]
+  },
+  newspaper_publication: {
+    label: 'Newspaper Publication',
+    alertType: 'default',
+    importance: 'low',
+    noise: true,
+    keywords: [[/newspaper|advertisement/, 4]]
+  },
+  compliance: {
+    label: 'Compliance Filing',
+    alertType: 'default',
+    importance: 'low',
+    noise: true,
+    keywords: [[/regulation 74\s?\(5\)|compliance certificate|certificate under|reconciliation of share capital|loss of share certificate|duplicate share|allotment under eso[ps]/, 3]]
+  },
+  press_release: {
+    label: 'Press Release',
+    alertType: 'default',
+    importance: 'low',
+    keywords: [[/press release|media release/, 2]]
+  },
+  other: {
+    label: 'Company Update',
+    alertType: 'default',
+    importance: 'low',
+    keywords: []
+  }
+};
+
+// Public view of the categories for the API and the settings screen
+export const describeCategories = () =>
+  Object.entries(FILING_CATEGORIES).map(([id, c]) => ({ id, label: c.label, importance: c.importance, noise: Boolean(c.noise) }));
+
+// =============================================================================
+// IMPORTANCE & SENTIMENT
+// =============================================================================
+
+const MATERIAL_DECISION = /results|dividend|buy[ -]?back|bonus|split|fund ?raising|preferential|qip|merger|amalgamation|acquisition/;
+
+// First matching adjustment for the category wins over its default importance
+const IMPORTANCE_RULES = {
+  board_meeting: [
+    [(text) => /outcome/.test(text) && MATERIAL_DECISION.test(text), 'high'],
+    [(text) => /intimation|will be held|to consider/.test(text) && !MATERIAL_DECISION.test(text), 'low']
+  ],
+  credit_rating: [
+    [(text) => /downgrad|negative|default|suspend/.test(text), 'high'],
+    [(text) => /reaffirm/.test(text), 'low']
+  ],
+  litigation: [
+    [(text) => /fraud|insolvency|\bnclt\b|winding up|default|penalty of rs/.test(text), 'high']
+  ],
+  management_change: [
+    [(text) => /managing director|chief executive|\bceo\b|\bcfo\b|chairman/.test(text), 'high']
+  ]
+};
+
+const POSITIVE_WORDS = /upgrad|growth|grew|increase|higher|surge|record (high|revenue|profit)|dividend|bonus|buy[ -]?back|order (win|received)|bagged|awarded|wins? (a |an )?(contract|order)|approval received|expansion|commission(ed|ing)|launch/g;
+const NEGATIVE_WORDS = /downgrad|negative|\bloss\b|losses|decline|decrease|lower|fell|fall|penalty|\bfine[ds]?\b|default|fraud|resign|litigation|insolvency|show cause|suspen|impairment|write-?off|strike|fire\b|shutdown|delay|investigation|raid|search operation/g;
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+// Score in [-1, 1] from lexicon hits; a third of the hits leaning one way labels it
+const scoreSentiment = (text) => {
+  const positive = countMatches(text, POSITIVE_WORDS);
+  const negative = countMatches(text, NEGATIVE_WORDS);
+  const total = positive + negative;
+  const score = total === 0 ? 0 : Number(((positive - negative) / total).toFixed(2));
+  const label = score >= 0.34 ? 'positive' : score <= -0.34 ? 'negative' : 'neutral';
+  return { label, score };
+};
+
+const raiseTo = (importance, floor) =>
+  IMPORTANCE_LEVELS.indexOf(importance) < IMPORTANCE_LEVELS.indexOf(floor) ? floor : importance;
+
+// =============================================================================
+// CLASSIFICATION
+// =============================================================================
+
+const headlineOf = (filing) => `${filing.exchangeCategory || ''} ${filing.subject || ''}`.toLowerCase();
+const bodyOf = (filing) => String(filing.description || '').toLowerCase();
+
+// { category, importance, sentiment, sentimentScore, noise, classifiedBy, matched }
+export const classifyFilingByRules = (filing) => {
+  const headline = headlineOf(filing);
+  const body = bodyOf(filing);
+
+  let best = { category: 'other', score: 0, matched: [] };
+  Object.entries(FILING_CATEGORIES).forEach(([category, { keywords }]) => {
+    let score = 0;
+    const matched = [];
+    keywords.forEach(([pattern, weight]) => {
+      const hit = headline.match(pattern) || body.match(pattern);
+      if (!hit) return;
+      score += pattern.test(headline) ? weight * 2 : weight;
+      matched.push(hit[0]);
+    });
+    if (score > best.score) best = { category, score, matched };
+  });
+  if (best.score < MIN_CATEGORY_SCORE) best = { category: 'other', score: best.score, matched: [] };
+
+  const text = `${headline} ${body}`;
+  const definition = FILING_CATEGORIES[best.category];
+  const adjustment = (IMPORTANCE_RULES[best.category] || []).find(([applies]) => applies(text));
+  let importance = adjustment ? adjustment[1] : definition.importance;
+  // BSE flags price-sensitive filings as critical
+  if (filing.critical && !definition.noise) importance = raiseTo(importance, 'medium');
+
+  const sentiment = scoreSentiment(text);
+  return {
+    category: best.category,
+    importance,
+    sentiment: sentiment.label,
+    sentimentScore: sentiment.score,
+    noise: Boolean(definition.noise),
+    classifiedBy: 'rules',
+    matched: best.matched
+  };
+};
+
+const counters = { byRules: 0, byModel: 0, modelFallbacks: 0 };
+
+// CLASSIFIER_MODEL_URL points at a local model server. It receives
+// { text, categories, importance, sentiments } and answers
+// { category, importance, sentiment, confidence }; labels outside those lists, or
+// confidence under CLASSIFIER_MODEL_MIN_CONFIDENCE, fall back to the keyword rules.
+const askModel = async (filing) => {
+  const response = await axios.post(getModelURL(), {
+    text: `${filing.exchangeCategory || ''}\n${filing.subject || ''}\n${filing.description || ''}`.trim(),
+    categories: Object.keys(FILING_CATEGORIES),
+    importance: IMPORTANCE_LEVELS,
+    sentiments: SENTIMENTS
+  }, { timeout: getModelTimeout() });
+  return response.data || {};
+};
+
+export const classifyFiling = async (filing) => {
+  const rules = classifyFilingByRules(filing);
+  if (!getModelURL()) {
+    counters.byRules += 1;
+    return rules;
+  }
+
+  try {
+    const answer = await callProvider('Filing Classifier Model', () => askModel(filing));
+    if (!FILING_CATEGORIES[answer.category] || !(Number(answer.confidence) >= getModelMinConfidence())) {
+      counters.modelFallbacks += 1;
+      return rules;
+    }
+
+    counters.byModel += 1;
+    return {
+      ...rules,
+      category: answer.category,
+      importance: IMPORTANCE_LEVELS.includes(answer.importance) ? answer.importance : FILING_CATEGORIES[answer.category].importance,
+      sentiment: SENTIMENTS.includes(answer.sentiment) ? answer.sentiment : rules.sentiment,
+      // The lexicon score only describes the rules' label
+      sentimentScore: SENTIMENTS.includes(answer.sentiment) ? null : rules.sentimentScore,
+      noise: Boolean(FILING_CATEGORIES[answer.category].noise),
+      classifiedBy: 'model',
+      confidence: Number(answer.confidence),
+      matched: []
+    };
+  } catch (error) {
+    counters.modelFallbacks += 1;
+    console.log(`⚠️ Filing classifier model unavailable, using keyword rules: ${error.message}`);
+    return rules;
+  }
+};
+
+export const getClassifierStats = () => ({
+  model: getModelURL() ? { url: getModelURL(), minConfidence: getModelMinConfidence() } : null,
+  ...counters
+});
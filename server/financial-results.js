@@ -0,0 +1,504 @@
+// server/financial-results.js - Quarterly Result Figures Extracted from Exchange XBRL and Result Text
+
+import express from 'express';
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { createJsonStore } from './json-store.js';
+import { requireAdmin } from './auth.js';
+import { callProvider } from './provider-health.js';
+import { announcementEvents, fetchNSEJSON, getAnnouncementFeed, getFixtureDir } from './announcements.js';
+
+const store = createJsonStore('financial-results', { results: [] });
+
+const CRORE = 1e7;
+const MAX_RESULTS_PER_SYMBOL = 40; // ten years of quarters, both natures
+export const RESULT_NATURES = ['consolidated', 'standalone'];
+
+export class ResultsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ResultsError';
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// DATES & FORMATTING
+// =============================================================================
+
+const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const addMonths = (isoDate, months) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().slice(0, 10);
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "30-Sep-2026", "September 30, 2026", "30th September 2026", "30.09.2026" -> 2026-09-30
+const toISODate = (text) => {
+  const value = String(text || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+  let match = value.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/);
+  if (match) return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+
+  match = value.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([A-Za-z]+)[\s,-]+(\d{4})$/) || value.match(/^([A-Za-z]+)\s+(\d{1,2}),?\s+(\d{4})$/);
+  if (!match) return null;
+  const [day, month] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+  const monthIndex = MONTHS.indexOf(month.slice(0, 3).toLowerCase());
+  return monthIndex < 0 ? null : `${match[3]}-${String(monthIndex + 1).padStart(2, '0')}-${day.padStart(2, '0')}`;
+};
+
+// Indian fiscal years run April to March: the quarter ended 2026-09-30 is Q2 FY27
+export const fiscalQuarter = (periodEnd) => {
+  const [year, month] = periodEnd.split('-').map(Number);
+  const quarter = Math.floor(((month + 8) % 12) / 3) + 1;
+  const fiscalYear = month <= 3 ? year : year + 1;
+  return { quarter, fiscalYear, label: `Q${quarter} FY${String(fiscalYear).slice(-2)}` };
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const percentChange = (current, base) =>
+  Number.isFinite(current) && Number.isFinite(base) && base !== 0 ? round(((current - base) / Math.abs(base)) * 100, 1) : null;
+
+// ₹ crore figures in lakh grouping: 258430 -> 2,58,430
+const formatCrore = (value) => value.toLocaleString('en-IN', { maximumFractionDigits: 0 });
+
+const formatGrowth = (value, basis) => `${value >= 0 ? '+' : ''}${value}% ${basis}`;
+
+// =============================================================================
+// XBRL PARSING
+// =============================================================================
+
+// Ind-AS result taxonomy (in-bse-fin) elements NSE and BSE publish, first present wins.
+// Consolidated profit is the share attributable to owners of the parent where filed.
+const XBRL_FIELDS = {
+  revenue: ['RevenueFromOperations', 'Income'],
+  otherIncome: ['OtherIncome'],
+  totalIncome: ['Income'],
+  expenses: ['Expenses'],
+  profitBeforeTax: ['ProfitBeforeTax', 'ProfitLossBeforeTax'],
+  tax: ['TaxExpense'],
+  profit: ['ProfitOrLossAttributableToOwnersOfParent', 'ProfitLossForPeriod'],
+  eps: [
+    'BasicEarningsLossPerShareFromContinuingAndDiscontinuedOperations',
+    'BasicEarningsLossPerShareFromContinuingOperations',
+    'BasicEarningsPerShareAfterExtraordinaryItems'
+  ]
+};
+
+const PER_SHARE_FIELDS = ['eps'];
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+// Facts are read with patterns rather than a full XML parser; exchange result
+// instances are flat (contexts, units, then one element per fact)
+export const parseResultXBRL = (xml) => {
+  const contexts = new Map();
+  for (const [, id, body] of String(xml).matchAll(/<(?:[\w-]+:)?context\b[^>]*\bid="([^"]+)"[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?context>/g)) {
+    // Segment and other dimensional columns are not company totals
+    if (/<(?:[\w-]+:)?(segment|scenario)\b/.test(body)) continue;
+    const start = body.match(/<(?:[\w-]+:)?startDate>\s*([^<\s]+)/)?.[1];
+    const end = body.match(/<(?:[\w-]+:)?endDate>\s*([^<\s]+)/)?.[1];
+    contexts.set(id, { start: start || null, end: end || null });
+  }
+
+  const facts = new Map(); // element -> Map(contextId -> text)
+  for (const [, , element, attributes, value] of String(xml).matchAll(/<([\w-]+):(\w+)\b([^>]*)>([^<]*)<\/\1:\2>/g)) {
+    const contextRef = attributes.match(/contextRef="([^"]+)"/)?.[1];
+    if (!contextRef || !contexts.has(contextRef)) continue;
+    if (!facts.has(element)) facts.set(element, new Map());
+    facts.get(element).set(contextRef, decodeEntities(value.trim()));
+  }
+
+  const text = (element) => [...(facts.get(element)?.values() || [])][0] || null;
+  const periodStart = text('DateOfStartOfReportingPeriod');
+  const periodEnd = text('DateOfEndOfReportingPeriod');
+  if (!periodStart || !periodEnd) throw new ResultsError('XBRL document has no reporting period', 422);
+
+  const contextFor = (start, end) => [...contexts.entries()].find(([, p]) => p.start === start && p.end === end)?.[0];
+
+  const figuresFor = (contextId) => {
+    if (!contextId) return null;
+    const figures = {};
+    Object.entries(XBRL_FIELDS).forEach(([field, elements]) => {
+      const raw = elements.map(element => facts.get(element)?.get(contextId)).find(value => value !== undefined);
+      const number = Number(raw);
+      figures[field] = raw === undefined || !Number.isFinite(number)
+        ? null
+        : PER_SHARE_FIELDS.includes(field) ? number : round(number / CRORE);
+    });
+    return Object.values(figures).some(v => v !== null) ? figures : null;
+  };
+
+  // The result table's columns: this quarter, the one before it, the same quarter a year earlier
+  const yearAgoEnd = addDays(addMonths(addDays(periodEnd, 1), -12), -1);
+  return {
+    symbol: text('Symbol'),
+    company: text('NameOfTheCompany'),
+    bseCode: text('ScripCode'),
+    isin: text('ISIN'),
+    nature: /^consolidated/i.test(text('NatureOfReportStandaloneConsolidated') || '') ? 'consolidated' : 'standalone',
+    audited: /^audited/i.test(text('WhetherResultsAreAuditedOrUnaudited') || ''),
+    periodStart,
+    periodEnd,
+    current: figuresFor(contextFor(periodStart, periodEnd)),
+    previousQuarter: figuresFor(contextFor(addMonths(periodStart, -3), addDays(periodStart, -1))),
+    yearAgoQuarter: figuresFor(contextFor(addMonths(periodStart, -12), yearAgoEnd))
+  };
+};
+
+// =============================================================================
+// TEXT PARSING (PRESS RELEASES, RESULT PDF TEXT)
+// =============================================================================
+
+const AMOUNT = String.raw`(?:rs\.?|₹|inr)?\s*(-?[\d,]+(?:\.\d+)?)\s*(crores?|cr\b\.?|lakhs?|million|mn\b|billion|bn\b)`;
+const GROWTH = String.raw`(up|down|higher|lower|grew|rose|increased|decreased|declined|fell)?\s*(?:by\s*)?(-?[\d.]+)\s*%\s*(yoy|y-o-y|year[- ]on[- ]year|qoq|q-o-q|quarter[- ]on[- ]quarter|sequential(?:ly)?)`;
+
+const TEXT_LABELS = {
+  revenue: /revenue from operations|total revenue|gross revenue|revenues?|turnover/i,
+  profit: /net profit|profit after tax|\bpat\b|profit for the (?:quarter|period)/i
+};
+
+const toCrore = (number, unit) => {
+  const value = Number(number.replace(/,/g, ''));
+  if (/^lakh/i.test(unit)) return round(value / 100);
+  if (/^(million|mn)/i.test(unit)) return round(value / 10);
+  if (/^(billion|bn)/i.test(unit)) return round(value * 100);
+  return value;
+};
+
+// Amount and stated growth in the text following the first mention of a label
+const findFigure = (text, label) => {
+  const pattern = new RegExp(`(?:${label.source})[^\\d₹]{0,60}?${AMOUNT}`, 'i');
+  const match = text.match(pattern);
+  if (!match) return { value: null, growth: {} };
+
+  const growth = {};
+  const after = text.slice(match.index + match[0].length, match.index + match[0].length + 120);
+  for (const [, direction, percent, basis] of after.matchAll(new RegExp(GROWTH, 'gi'))) {
+    const key = /^(qoq|q-o-q|quarter|sequential)/i.test(basis) ? 'qoq' : 'yoy';
+    const sign = /down|lower|decreased|declined|fell/i.test(direction || '') ? -1 : 1;
+    if (growth[key] === undefined) growth[key] = sign * Math.abs(Number(percent));
+  }
+  return { value: toCrore(match[1], match[2]), growth };
+};
+
+export const parseResultText = (rawText) => {
+  const text = String(rawText || '').replace(/\s+/g, ' ');
+  const periodMatch = text.match(/(?:quarter|three months|period) ended (?:on )?([A-Za-z]+ \d{1,2},? \d{4}|\d{1,2}(?:st|nd|rd|th)? [A-Za-z]+,? \d{4}|\d{1,2}[./-]\d{1,2}[./-]\d{4})/i);
+  const periodEnd = periodMatch ? toISODate(periodMatch[1].replace(',', '')) : null;
+
+  const revenue = findFigure(text, TEXT_LABELS.revenue);
+  const profit = findFigure(text, TEXT_LABELS.profit);
+  const eps = text.match(/(?:basic )?(?:eps|earnings per share)[^\d₹]{0,40}?(?:rs\.?|₹|inr)?\s*(-?\d+(?:\.\d+)?)/i);
+
+  return {
+    nature: /consolidated/i.test(text) ? 'consolidated' : 'standalone',
+    periodStart: periodEnd ? addMonths(addDays(periodEnd, 1), -3) : null,
+    periodEnd,
+    current: { revenue: revenue.value, profit: profit.value, eps: eps ? Number(eps[1]) : null },
+    statedGrowth: { revenue: revenue.growth, profit: profit.growth }
+  };
+};
+
+// =============================================================================
+// RESULT RECORDS
+// =============================================================================
+
+const growthOf = (parsed, field) => ({
+  qoq: percentChange(parsed.current?.[field], parsed.previousQuarter?.[field]) ?? parsed.statedGrowth?.[field]?.qoq ?? null,
+  yoy: percentChange(parsed.current?.[field], parsed.yearAgoQuarter?.[field]) ?? parsed.statedGrowth?.[field]?.yoy ?? null
+});
+
+const describeGrowth = ({ yoy, qoq }) => {
+  const parts = [];
+  if (yoy !== null) parts.push(`${yoy >= 0 ? 'up' : 'down'} ${Math.abs(yoy)}% YoY`);
+  if (qoq !== null) parts.push(`${qoq >= 0 ? 'up' : 'down'} ${Math.abs(qoq)}% QoQ`);
+  return parts.length ? `, ${parts.join(', ')}` : '';
+};
+
+const buildHighlights = ({ figures, yearAgoQuarter, growth }) => {
+  const highlights = [];
+  if (figures.revenue !== null) highlights.push(`Revenue ₹${formatCrore(figures.revenue)} Cr${describeGrowth(growth.revenue)}`);
+  if (figures.profit !== null) highlights.push(`Net profit ₹${formatCrore(figures.profit)} Cr${describeGrowth(growth.profit)}`);
+  if (figures.eps !== null) {
+    highlights.push(yearAgoQuarter?.eps != null ? `EPS ₹${figures.eps} vs ₹${yearAgoQuarter.eps} a year ago` : `EPS ₹${figures.eps}`);
+  }
+  if (figures.revenue && figures.profit !== null) highlights.push(`Net margin ${round((figures.profit / figures.revenue) * 100, 1)}%`);
+  return highlights;
+};
+
+// One stored record per symbol, quarter and nature (consolidated or standalone)
+const toResult = (parsed, { symbol, company, source }) => {
+  const figures = { revenue: null, profit: null, eps: null, ...parsed.current };
+  const growth = { revenue: growthOf(parsed, 'revenue'), profit: growthOf(parsed, 'profit'), eps: growthOf(parsed, 'eps') };
+  const { quarter, fiscalYear, label } = fiscalQuarter(parsed.periodEnd);
+
+  return {
+    id: `${symbol}:${parsed.periodEnd}:${parsed.nature}`,
+    symbol,
+    company: company || parsed.company || symbol,
+    isin: parsed.isin || null,
+    nature: parsed.nature,
+    audited: Boolean(parsed.audited),
+    periodStart: parsed.periodStart,
+    periodEnd: parsed.periodEnd,
+    quarter,
+    fiscalYear,
+    label,
+    currency: 'INR',
+    unit: 'crore',
+    figures,
+    previousQuarter: parsed.previousQuarter || null,
+    yearAgoQuarter: parsed.yearAgoQuarter || null,
+    growth,
+    highlights: buildHighlights({ figures, yearAgoQuarter: parsed.yearAgoQuarter, growth }),
+    source,
+    parsedAt: new Date().toISOString()
+  };
+};
+
+// XBRL figures are never replaced by figures read from text
+const storeResult = (result) => store.update(state => {
+  const existing = state.results.find(r => r.id === result.id);
+  if (existing?.source.type === 'xbrl' && result.source.type !== 'xbrl') return existing;
+
+  state.results = state.results.filter(r => r.id !== result.id);
+  state.results.push(result);
+  state.results.sort((a, b) => b.periodEnd.localeCompare(a.periodEnd) || a.nature.localeCompare(b.nature));
+
+  const counts = {};
+  state.results = state.results.filter(r => {
+    counts[r.symbol] = (counts[r.symbol] || 0) + 1;
+    return counts[r.symbol] <= MAX_RESULTS_PER_SYMBOL;
+  });
+  return result;
+});
+
+// Fields of the financial_results WhatsApp template; consolidated figures when filed
+export const toTemplateData = (result) => {
+  const { quarter, fiscalYear, figures, growth } = result;
+  const growthText = ({ yoy, qoq }) => (yoy !== null ? formatGrowth(yoy, 'YoY') : qoq !== null ? formatGrowth(qoq, 'QoQ') : null);
+  return {
+    quarter: String(quarter),
+    year: String(fiscalYear).slice(-2),
+    revenue: figures.revenue !== null ? formatCrore(figures.revenue) : null,
+    revenueGrowth: growthText(growth.revenue),
+    profit: figures.profit !== null ? formatCrore(figures.profit) : null,
+    profitGrowth: growthText(growth.profit),
+    eps: figures.eps !== null ? String(figures.eps) : null,
+    highlights: result.highlights.map(h => `• ${h}`).join('\n'),
+    nature: result.nature
+  };
+};
+
+// =============================================================================
+// FETCHING & EXTRACTION
+// =============================================================================
+
+const NSE_RESULTS_URL = 'https://www.nseindia.com/api/corporates-financial-results';
+
+// NSE's list of a company's result filings, each linking its XBRL instance
+const fetchResultFilings = async (symbol, feed) => {
+  if (feed === 'fixtures') {
+    const file = path.join(getFixtureDir(), 'nse-financial-results.json');
+    if (!fs.existsSync(file)) return [];
+    return JSON.parse(fs.readFileSync(file, 'utf8')).filter(row => row.symbol === symbol);
+  }
+
+  const body = await callProvider('NSE Results', () => fetchNSEJSON(NSE_RESULTS_URL, {
+    params: { index: 'equities', symbol, period: 'Quarterly' },
+    referer: 'https://www.nseindia.com/companies-listing/corporate-filings-financial-results'
+  }));
+  return Array.isArray(body) ? body : body?.data || [];
+};
+
+// Recorded instances live in fixtures/results under the file name of the XBRL URL
+const fetchXBRL = async (url, feed) => {
+  if (feed === 'fixtures') {
+    const file = path.join(getFixtureDir(), 'results', path.basename(new URL(url).pathname));
+    if (!fs.existsSync(file)) throw new ResultsError(`No recorded XBRL for ${path.basename(file)}`, 404);
+    return fs.readFileSync(file, 'utf8');
+  }
+
+  return callProvider('NSE Results', async () => (await axios.get(url, {
+    responseType: 'text',
+    headers: { 'User-Agent': 'Mozilla/5.0' },
+    timeout: 20000
+  })).data);
+};
+
+// Parses the latest quarter's XBRL filings (consolidated and standalone) for a symbol.
+// When none can be read, the filing's own text is tried. Resolves to the stored results.
+export const extractResults = async (symbol, { filing = null, feed = getAnnouncementFeed() } = {}) => {
+  const results = [];
+  let rows = [];
+  try {
+    rows = (await fetchResultFilings(symbol, feed)).filter(row => row.xbrl && toISODate(row.toDate));
+  } catch (error) {
+    console.log(`⚠️ ${symbol} result filings unavailable: ${error.message}`);
+  }
+
+  const latest = rows.map(row => toISODate(row.toDate)).sort().pop();
+  for (const row of rows.filter(r => toISODate(r.toDate) === latest)) {
+    try {
+      const parsed = parseResultXBRL(await fetchXBRL(row.xbrl, feed));
+      if (!parsed.current) throw new ResultsError('XBRL document has no figures for the quarter', 422);
+      results.push(storeResult(toResult(parsed, {
+        symbol,
+        company: row.companyName,
+        source: { type: 'xbrl', exchange: 'NSE', url: row.xbrl, filingId: filing?.id || null, filedAt: row.broadCastDate || row.filingDate || null }
+      })));
+    } catch (error) {
+      console.log(`⚠️ ${symbol} result XBRL ${path.basename(row.xbrl)} not parsed: ${error.message}`);
+    }
+  }
+
+  if (results.length === 0 && filing) {
+    const parsed = parseResultText(`${filing.subject}. ${filing.description}`);
+    if (parsed.periodEnd && (parsed.current.revenue !== null || parsed.current.profit !== null)) {
+      results.push(storeResult(toResult(parsed, {
+        symbol,
+        company: filing.company,
+        source: { type: 'text', exchange: filing.exchanges.join('/'), url: filing.attachmentUrl, filingId: filing.id, filedAt: filing.filedAt }
+      })));
+    }
+  }
+
+  if (results.length > 0) {
+    console.log(`📊 ${symbol} ${results[0].label} results extracted (${results.map(r => `${r.nature} from ${r.source.type}`).join(', ')})`);
+  }
+  return results;
+};
+
+// The alert for a results filing and the results store wait on the same extraction
+const extractions = new Map(); // filing id -> Promise<results[]>
+
+export const extractResultsForFiling = (filing) => {
+  if (!extractions.has(filing.id)) {
+    const extraction = extractResults(filing.symbol, { filing })
+      .catch(error => {
+        console.error(`Result extraction failed for ${filing.symbol}:`, error);
+        return [];
+      })
+      .finally(() => setTimeout(() => extractions.delete(filing.id), 60 * 1000));
+    extractions.set(filing.id, extraction);
+  }
+  return extractions.get(filing.id);
+};
+
+// Alert description and template fields for a results filing, or null when no figures were found
+export const describeResultFiling = async (filing) => {
+  if (filing.category !== 'financial_results' || !filing.symbol) return null;
+  const results = await extractResultsForFiling(filing);
+  const result = results.find(r => r.nature === 'consolidated') || results[0];
+  if (!result) return null;
+
+  const data = toTemplateData(result);
+  const parts = [
+    data.revenue && `revenue ₹${data.revenue} Cr${data.revenueGrowth ? ` (${data.revenueGrowth})` : ''}`,
+    data.profit && `net profit ₹${data.profit} Cr${data.profitGrowth ? ` (${data.profitGrowth})` : ''}`
+  ].filter(Boolean);
+  return {
+    description: `${filing.company}: ${result.label} results, ${parts.join(', ')}`,
+    data
+  };
+};
+
+export const startResultsExtraction = () => {
+  announcementEvents.on('announcement', (filing) => {
+    if (filing.category === 'financial_results' && filing.symbol) extractResultsForFiling(filing);
+  });
+};
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+export const listResults = (rawSymbol, { nature, limit = 8 } = {}) => {
+  if (nature && !RESULT_NATURES.includes(nature)) {
+    throw new ResultsError(`nature must be one of: ${RESULT_NATURES.join(', ')}`);
+  }
+  const symbol = String(rawSymbol || '').toUpperCase().replace(/\.(NS|BO)$/, '');
+  return store.get().results
+    .filter(r => r.symbol === symbol && (!nature || r.nature === nature))
+    .slice(0, limit);
+};
+
+export const getResultsStats = () => {
+  const { results } = store.get();
+  return {
+    stored: results.length,
+    symbols: new Set(results.map(r => r.symbol)).size,
+    fromXBRL: results.filter(r => r.source.type === 'xbrl').length,
+    fromText: results.filter(r => r.source.type === 'text').length,
+    latest: results.reduce((latest, r) => (!latest || r.parsedAt > latest ? r.parsedAt : latest), null)
+  };
+};
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+export const createResultsRouter = () => {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      res.json({ data: await fn(req), timestamp: new Date().toISOString() });
+    } catch (error) {
+      const status = error instanceof ResultsError ? error.status : 500;
+      if (status === 500) console.error('Results error:', error);
+      res.status(status).json({
+        error: status === 500 ? 'Results operation failed' : error.message,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  router.get('/stats', handle(async () => getResultsStats()));
+
+  // Re-read the latest quarter for a symbol from NSE
+  router.post('/refresh', requireAdmin, handle(async (req) => {
+    const symbol = String(req.body?.symbol || '').toUpperCase().replace(/\.(NS|BO)$/, '');
+    if (!symbol) throw new ResultsError('symbol is required');
+    return extractResults(symbol);
+  }));
+
+  // { symbol, xbrl: "<xbrli:xbrl ...>" } or { symbol, text: "...", nature } with the text of
+  // a result PDF or press release (e.g. from pdftotext)
+  router.post('/import', requireAdmin, handle(async (req) => {
+    const { xbrl, text, nature } = req.body || {};
+    const symbol = String(req.body?.symbol || '').toUpperCase().replace(/\.(NS|BO)$/, '');
+    if (!symbol) throw new ResultsError('symbol is required');
+
+    if (xbrl) {
+      const parsed = parseResultXBRL(xbrl);
+      if (!parsed.current) throw new ResultsError('XBRL document has no figures for the quarter', 422);
+      return storeResult(toResult(parsed, { symbol, source: { type: 'xbrl', exchange: null, url: null, filingId: null, filedAt: null } }));
+    }
+
+    if (!text) throw new ResultsError('xbrl or text is required');
+    if (nature && !RESULT_NATURES.includes(nature)) throw new ResultsError(`nature must be one of: ${RESULT_NATURES.join(', ')}`);
+    const parsed = parseResultText(text);
+    if (!parsed.periodEnd) throw new ResultsError('No "quarter ended <date>" found in the text', 422);
+    if (parsed.current.revenue === null && parsed.current.profit === null) throw new ResultsError('No revenue or profit figures found in the text', 422);
+    return storeResult(toResult({ ...parsed, nature: nature || parsed.nature }, {
+      symbol,
+      source: { type: 'text', exchange: null, url: null, filingId: null, filedAt: null }
+    }));
+  }));
+
+  return router;
+};
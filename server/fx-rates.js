@@ -0,0 +1,290 @@
+// server/fx-rates.js - USD/INR Exchange Rate with Provider Fallback and Currency Conversion
+
+import express from 'express';
+import axios from 'axios';
+import { createJsonStore } from './json-store.js';
+import { consumeQuota } from './provider-quota.js';
+import { getServerMode } from './server-mode.js';
+
+// The last rate any provider returned survives restarts and provider outages
+const store = createJsonStore('fx-rates', { rates: {} });
+
+export const SUPPORTED_CURRENCIES = ['INR', 'USD'];
+
+const PAIR = 'USD/INR';
+
+// Used in demo mode unless FX_USDINR_FALLBACK sets another rate
+const DEMO_USD_INR = 83;
+
+const getCacheTTL = () => parseInt(process.env.FX_CACHE_TTL) || 10 * 60 * 1000;
+
+// Keys are read per call so values from server/.env are picked up after dotenv runs
+const apiKey = (name) => {
+  const key = process.env[name];
+  return key && key !== 'demo' ? key : null;
+};
+
+export class FxError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FxError';
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// PROVIDERS
+// =============================================================================
+
+const toRate = (value) => {
+  const rate = parseFloat(value);
+  if (!Number.isFinite(rate) || rate <= 0) throw new Error('Provider returned no usable rate');
+  return rate;
+};
+
+// Intraday providers first (they need keys), then the free daily reference rates
+const FX_PROVIDERS = [
+  {
+    name: 'Alpha_Vantage_FX',
+    enabled: () => Boolean(apiKey('ALPHA_VANTAGE_API_KEY')),
+    fetch: async () => {
+      consumeQuota('Alpha Vantage');
+      const response = await axios.get('https://www.alphavantage.co/query', {
+        params: { function: 'CURRENCY_EXCHANGE_RATE', from_currency: 'USD', to_currency: 'INR', apikey: apiKey('ALPHA_VANTAGE_API_KEY') },
+        timeout: 8000
+      });
+      const data = response.data['Realtime Currency Exchange Rate'];
+      if (!data) throw new Error(response.data.Note || response.data.Information || 'No exchange rate in response');
+      return { rate: toRate(data['5. Exchange Rate']), asOf: new Date(`${data['6. Last Refreshed']}Z`).toISOString() };
+    }
+  },
+  {
+    name: 'Twelve_Data_FX',
+    enabled: () => Boolean(apiKey('TWELVE_DATA_API_KEY')),
+    fetch: async () => {
+      consumeQuota('Twelve Data');
+      const response = await axios.get('https://api.twelvedata.com/exchange_rate', {
+        params: { symbol: PAIR, apikey: apiKey('TWELVE_DATA_API_KEY') },
+        timeout: 8000
+      });
+      if (response.data.status === 'error') throw new Error(response.data.message);
+      return { rate: toRate(response.data.rate), asOf: new Date(response.data.timestamp * 1000).toISOString() };
+    }
+  },
+  {
+    name: 'Frankfurter_ECB',
+    enabled: () => true,
+    fetch: async () => {
+      const response = await axios.get('https://api.frankfurter.app/latest', {
+        params: { from: 'USD', to: 'INR' },
+        timeout: 8000
+      });
+      return { rate: toRate(response.data.rates?.INR), asOf: new Date(`${response.data.date}T16:00:00Z`).toISOString() };
+    }
+  },
+  {
+    name: 'Open_ER_API',
+    enabled: () => true,
+    fetch: async () => {
+      const response = await axios.get('https://open.er-api.com/v6/latest/USD', { timeout: 8000 });
+      if (response.data.result !== 'success') throw new Error(response.data['error-type'] || 'Request failed');
+      return { rate: toRate(response.data.rates?.INR), asOf: new Date(response.data.time_last_update_unix * 1000).toISOString() };
+    }
+  }
+];
+
+// =============================================================================
+// RATE CACHE
+// =============================================================================
+
+let current = null;     // { rate, source, asOf, fetchedAt }
+let inFlight = null;    // One provider round at a time however many requests need a rate
+
+const fetchFromProviders = async () => {
+  const errors = [];
+  for (const provider of FX_PROVIDERS.filter(p => p.enabled())) {
+    try {
+      const { rate, asOf } = await provider.fetch();
+      return { rate, source: provider.name, asOf, fetchedAt: new Date().toISOString() };
+    } catch (error) {
+      errors.push(`${provider.name}: ${error.message}`);
+    }
+  }
+  throw new Error(errors.join('; ') || 'No FX providers enabled');
+};
+
+const lastKnownRate = () => {
+  const saved = store.get().rates[PAIR];
+  if (saved) return saved;
+
+  // Operators can seed a rate for offline installs that have never reached a provider
+  const seeded = parseFloat(process.env.FX_USDINR_FALLBACK);
+  return Number.isFinite(seeded) && seeded > 0
+    ? { rate: seeded, source: 'FX_USDINR_FALLBACK', asOf: null, fetchedAt: null }
+    : null;
+};
+
+// Fresh rate from cache or providers; falls back to the last known rate, marked stale
+export const getUsdInrRate = async () => {
+  // Demo conversions stay reproducible and offline
+  if (getServerMode() === 'demo') {
+    const seeded = parseFloat(process.env.FX_USDINR_FALLBACK);
+    return { pair: PAIR, rate: seeded > 0 ? seeded : DEMO_USD_INR, source: 'Demo_Simulator', asOf: null, fetchedAt: null, stale: false };
+  }
+
+  if (current && Date.now() - Date.parse(current.fetchedAt) < getCacheTTL()) {
+    return { pair: PAIR, ...current, stale: false };
+  }
+
+  if (!inFlight) {
+    inFlight = fetchFromProviders()
+      .then(rate => {
+        current = rate;
+        store.update(state => { state.rates[PAIR] = rate; });
+        console.log(`💱 ${PAIR} ${rate.rate} from ${rate.source}`);
+        return rate;
+      })
+      .finally(() => { inFlight = null; });
+  }
+
+  try {
+    return { pair: PAIR, ...(await inFlight), stale: false };
+  } catch (error) {
+    const fallback = lastKnownRate();
+    if (!fallback) throw new FxError(`No ${PAIR} rate available: ${error.message}`, 503);
+
+    console.log(`⚠️ FX providers failed, using last known ${PAIR} ${fallback.rate}: ${error.message}`);
+    return {
+      pair: PAIR,
+      ...fallback,
+      stale: true,
+      age: fallback.fetchedAt ? Math.round((Date.now() - Date.parse(fallback.fetchedAt)) / 1000) : null
+    };
+  }
+};
+
+export const validateCurrency = (currency) => {
+  if (currency === undefined || currency === '') return null;
+  const clean = String(currency).toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(clean)) {
+    throw new FxError(`Unsupported currency "${currency}". Use one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+  }
+  return clean;
+};
+
+// Rate to multiply an amount in `from` by to get `to`, with where it came from
+export const getConversion = async (from, to) => {
+  if (from === to) return { from, to, rate: 1, source: 'identity', asOf: null, stale: false };
+
+  const usdInr = await getUsdInrRate();
+  if (from === 'USD' && to === 'INR') return { from, to, ...usdInr, rate: usdInr.rate };
+  if (from === 'INR' && to === 'USD') return { from, to, ...usdInr, rate: 1 / usdInr.rate };
+  throw new FxError(`Cannot convert ${from} to ${to}`);
+};
+
+// =============================================================================
+// CONVERSION
+// =============================================================================
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Market caps follow each currency's display convention: INR in crores, USD in billions
+const MARKET_CAP_UNITS = { INR: 1e7, USD: 1e9 };
+
+const convertAmount = (value, rate) => (typeof value === 'number' ? round(value * rate) : value);
+
+export const convertMarketCap = (marketCap, from, to, rate) => {
+  if (typeof marketCap !== 'number') return marketCap;
+  return round((marketCap * MARKET_CAP_UNITS[from] * rate) / MARKET_CAP_UNITS[to]);
+};
+
+const QUOTE_PRICE_FIELDS = ['price', 'change', 'high', 'low', 'open', 'previousClose'];
+
+// Copy of a quote expressed in `conversion.to`; changePercent and volume are unaffected
+export const convertQuote = (quote, conversion) => {
+  const from = quote.currency;
+  if (!from || from === conversion.to) return { ...quote, originalCurrency: from };
+
+  const rate = from === conversion.from ? conversion.rate : 1 / conversion.rate;
+  const converted = { ...quote, currency: conversion.to, originalCurrency: from };
+  QUOTE_PRICE_FIELDS.forEach(field => { converted[field] = convertAmount(quote[field], rate); });
+  converted.marketCap = convertMarketCap(quote.marketCap, from, conversion.to, rate);
+  if (quote.extendedHours) {
+    converted.extendedHours = {
+      ...quote.extendedHours,
+      price: convertAmount(quote.extendedHours.price, rate),
+      change: convertAmount(quote.extendedHours.change, rate),
+      regularClose: convertAmount(quote.extendedHours.regularClose, rate)
+    };
+  }
+  converted.fxRate = round(rate, 6);
+  return converted;
+};
+
+// Converts every quote to one currency; returns the quotes plus the rate used
+export const convertQuotes = async (quotes, currency) => {
+  const foreign = quotes.find(q => q?.currency && q.currency !== currency);
+  if (!foreign) return { quotes, fx: { to: currency, rate: 1, source: 'identity' } };
+
+  const conversion = await getConversion(foreign.currency, currency);
+  return { quotes: quotes.map(q => (q ? convertQuote(q, conversion) : q)), fx: describeConversion(conversion) };
+};
+
+export const describeConversion = (conversion) => ({
+  pair: PAIR,
+  from: conversion.from,
+  to: conversion.to,
+  rate: round(conversion.rate, 6),
+  source: conversion.source,
+  asOf: conversion.asOf,
+  stale: conversion.stale,
+  ...(conversion.age !== undefined && { age: conversion.age })
+});
+
+export const getFxStatus = () => ({
+  pair: PAIR,
+  current: current || null,
+  lastKnown: store.get().rates[PAIR] || null,
+  cacheTTL: getCacheTTL(),
+  providers: FX_PROVIDERS.map(p => ({ name: p.name, enabled: p.enabled() }))
+});
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+export const createFxRouter = () => {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      res.json({ data: await fn(req), timestamp: new Date().toISOString() });
+    } catch (error) {
+      const status = error instanceof FxError ? error.status : 500;
+      if (status === 500) console.error('FX error:', error);
+      res.status(status).json({
+        error: status === 500 ? 'FX operation failed' : error.message,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  router.get('/', handle(async () => getUsdInrRate()));
+
+  router.get('/status', handle(async () => getFxStatus()));
+
+  // GET /api/fx/convert?amount=100&from=USD&to=INR
+  router.get('/convert', handle(async (req) => {
+    const amount = Number(req.query.amount);
+    if (!Number.isFinite(amount)) throw new FxError('amount must be a number');
+    const from = validateCurrency(req.query.from);
+    const to = validateCurrency(req.query.to);
+    if (!from || !to) throw new FxError('from and to are required (INR or USD)');
+
+    const conversion = await getConversion(from, to);
+    return { amount, result: round(amount * conversion.rate), ...describeConversion(conversion) };
+  }));
+
+  return router;
+};
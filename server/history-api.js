@@ -0,0 +1,335 @@
+// server/history-api.js - Historical OHLCV Candles with Multi-Provider Fallback
+
+import axios from 'axios';
+import { consumeQuota, hasQuota } from './provider-quota.js';
+import { callProvider, rankProviders } from './provider-health.js';
+import { isLiveMode } from './server-mode.js';
+import { seededRandom, demoNow } from './demo-simulator.js';
+import { MARKETS, getTradingSession, localDate } from './market-calendar.js';
+
+// Keys are read per call so values from server/.env are picked up after dotenv runs
+const apiKey = (name) => {
+  const key = process.env[name];
+  return key && key !== 'demo' ? key : null;
+};
+
+const YAHOO_PROXIES = [
+  'https://api.allorigins.win/raw?url=',
+  'https://cors-anywhere.herokuapp.com/',
+  'https://api.codetabs.com/v1/proxy?quest='
+];
+
+// =============================================================================
+// INTERVALS & RANGES
+// =============================================================================
+
+// Every history provider failed in live mode
+export class HistoryUnavailableError extends Error {
+  constructor(symbol, errors) {
+    super(`No history provider returned candles for ${symbol}: ${errors.map(e => `${e.provider}: ${e.error}`).join('; ') || 'none enabled'}`);
+    this.name = 'HistoryUnavailableError';
+    this.status = 503;
+    this.errors = errors;
+  }
+}
+
+export const HISTORY_INTERVALS = {
+  '1m': { yahoo: '1m', twelveData: '1min', fmp: '1min', alphaVantage: '1min', intraday: true, cacheTtl: 60 * 1000, stepMs: 60 * 1000 },
+  '5m': { yahoo: '5m', twelveData: '5min', fmp: '5min', alphaVantage: '5min', intraday: true, cacheTtl: 5 * 60 * 1000, stepMs: 5 * 60 * 1000 },
+  '1d': { yahoo: '1d', twelveData: '1day', fmp: null, alphaVantage: null, intraday: false, cacheTtl: 60 * 60 * 1000, stepMs: 24 * 60 * 60 * 1000 }
+};
+
+// tradingDays trims by distinct session dates, calendarDays by wall-clock window
+export const HISTORY_RANGES = {
+  '1d': { yahoo: '1d', tradingDays: 1 },
+  '5d': { yahoo: '5d', tradingDays: 5 },
+  '1mo': { yahoo: '1mo', calendarDays: 31 },
+  '1y': { yahoo: '1y', calendarDays: 366 }
+};
+
+// Providers only keep a limited intraday window
+const ALLOWED_RANGES = {
+  '1m': ['1d', '5d'],
+  '5m': ['1d', '5d', '1mo'],
+  '1d': ['5d', '1mo', '1y']
+};
+
+export const validateHistoryParams = (interval = '1d', range = '1mo') => {
+  if (!HISTORY_INTERVALS[interval]) {
+    throw new Error(`Unsupported interval "${interval}". Use one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}`);
+  }
+  if (!HISTORY_RANGES[range]) {
+    throw new Error(`Unsupported range "${range}". Use one of: ${Object.keys(HISTORY_RANGES).join(', ')}`);
+  }
+  if (!ALLOWED_RANGES[interval].includes(range)) {
+    throw new Error(`Interval ${interval} supports ranges: ${ALLOWED_RANGES[interval].join(', ')}`);
+  }
+  return { interval, range };
+};
+
+// =============================================================================
+// NORMALIZATION HELPERS
+// =============================================================================
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toCandle = (timestamp, open, high, low, close, volume) => ({
+  time: new Date(timestamp).toISOString(),
+  timestamp,
+  open: round(open),
+  high: round(high),
+  low: round(low),
+  close: round(close),
+  volume: Math.round(volume || 0)
+});
+
+const isValidCandle = (c) => [c.open, c.high, c.low, c.close].every(v => Number.isFinite(v) && v > 0);
+
+// Providers that return "YYYY-MM-DD HH:mm:ss" report exchange-local time
+const exchangeTimeToEpoch = (value, timeZone) => {
+  const [datePart, timePart = '00:00:00'] = value.split(' ');
+  const asUTC = Date.parse(`${datePart}T${timePart}Z`);
+  const local = new Date(new Date(asUTC).toLocaleString('en-US', { timeZone }));
+  const utc = new Date(new Date(asUTC).toLocaleString('en-US', { timeZone: 'UTC' }));
+  return asUTC - (local - utc);
+};
+
+export const sessionDate = (timestamp, timeZone) =>
+  new Date(timestamp).toLocaleDateString('en-CA', { timeZone });
+
+export const trimToRange = (candles, range, timeZone) => {
+  if (candles.length === 0) return candles;
+  const spec = HISTORY_RANGES[range];
+
+  if (spec.tradingDays) {
+    const dates = [...new Set(candles.map(c => sessionDate(c.timestamp, timeZone)))];
+    const keep = new Set(dates.slice(-spec.tradingDays));
+    return candles.filter(c => keep.has(sessionDate(c.timestamp, timeZone)));
+  }
+
+  const cutoff = candles[candles.length - 1].timestamp - spec.calendarDays * 24 * 60 * 60 * 1000;
+  return candles.filter(c => c.timestamp >= cutoff);
+};
+
+// =============================================================================
+// PROVIDER FETCHERS
+// =============================================================================
+
+export const fetchYahooHistory = async (yahooSymbol, interval, range) => {
+  const target = `https://query1.finance.yahoo.com/v8/finance/chart/${yahooSymbol}` +
+    `?interval=${HISTORY_INTERVALS[interval].yahoo}&range=${HISTORY_RANGES[range].yahoo}`;
+
+  for (const proxy of YAHOO_PROXIES) {
+    try {
+      // Query-param style proxies need the target URL encoded to keep its own query string
+      const url = proxy.endsWith('=') ? `${proxy}${encodeURIComponent(target)}` : `${proxy}${target}`;
+      const response = await axios.get(url, {
+        timeout: 8000,
+        headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
+      });
+
+      const data = response.data.chart?.result?.[0];
+      if (!data?.timestamp) throw new Error('No chart data in response');
+
+      const quote = data.indicators.quote[0];
+      return data.timestamp
+        .map((ts, i) => toCandle(ts * 1000, quote.open[i], quote.high[i], quote.low[i], quote.close[i], quote.volume[i]))
+        .filter(isValidCandle);
+    } catch (error) {
+      console.log(`Yahoo history proxy ${proxy} failed: ${error.message}`);
+      continue;
+    }
+  }
+  throw new Error('All Yahoo Finance proxies failed');
+};
+
+export const fetchTwelveDataHistory = async (symbol, interval, range, timeZone) => {
+  consumeQuota('Twelve Data');
+  const response = await axios.get('https://api.twelvedata.com/time_series', {
+    params: {
+      symbol,
+      interval: HISTORY_INTERVALS[interval].twelveData,
+      outputsize: 5000,
+      apikey: apiKey('TWELVE_DATA_API_KEY')
+    },
+    timeout: 10000
+  });
+
+  if (response.data.status === 'error') throw new Error(response.data.message);
+  const values = response.data.values || [];
+
+  return values
+    .map(v => toCandle(
+      exchangeTimeToEpoch(v.datetime, timeZone),
+      parseFloat(v.open), parseFloat(v.high), parseFloat(v.low), parseFloat(v.close), parseInt(v.volume)
+    ))
+    .filter(isValidCandle)
+    .reverse();
+};
+
+export const fetchFMPHistory = async (symbol, interval, range, timeZone) => {
+  const base = 'https://financialmodelingprep.com/api/v3';
+  const fmpInterval = HISTORY_INTERVALS[interval].fmp;
+
+  consumeQuota('Financial Modeling Prep');
+  const response = fmpInterval
+    ? await axios.get(`${base}/historical-chart/${fmpInterval}/${symbol}`, {
+      params: { apikey: apiKey('FMP_API_KEY') }, timeout: 10000
+    })
+    : await axios.get(`${base}/historical-price-full/${symbol}`, {
+      params: { apikey: apiKey('FMP_API_KEY'), timeseries: 400 }, timeout: 10000
+    });
+
+  const rows = fmpInterval ? response.data : response.data.historical;
+  if (!Array.isArray(rows) || rows.length === 0) throw new Error(`No FMP history for ${symbol}`);
+
+  return rows
+    .map(r => toCandle(exchangeTimeToEpoch(r.date, timeZone), r.open, r.high, r.low, r.close, r.volume))
+    .filter(isValidCandle)
+    .reverse();
+};
+
+export const fetchAlphaVantageHistory = async (symbol, interval, range, timeZone) => {
+  const avInterval = HISTORY_INTERVALS[interval].alphaVantage;
+  const params = avInterval
+    ? { function: 'TIME_SERIES_INTRADAY', symbol, interval: avInterval, outputsize: 'full' }
+    : { function: 'TIME_SERIES_DAILY', symbol, outputsize: range === '1y' ? 'full' : 'compact' };
+
+  consumeQuota('Alpha Vantage');
+  const response = await axios.get('https://www.alphavantage.co/query', {
+    params: { ...params, apikey: apiKey('ALPHA_VANTAGE_API_KEY') },
+    timeout: 10000
+  });
+
+  const seriesKey = Object.keys(response.data).find(key => key.startsWith('Time Series'));
+  if (!seriesKey) {
+    throw new Error(response.data.Note || response.data['Error Message'] || `No Alpha Vantage history for ${symbol}`);
+  }
+
+  return Object.entries(response.data[seriesKey])
+    .map(([time, v]) => toCandle(
+      exchangeTimeToEpoch(time, timeZone),
+      parseFloat(v['1. open']), parseFloat(v['2. high']), parseFloat(v['3. low']),
+      parseFloat(v['4. close']), parseInt(v['5. volume'])
+    ))
+    .filter(isValidCandle)
+    .reverse();
+};
+
+// =============================================================================
+// SMART MULTI-PROVIDER HISTORY FETCHER
+// =============================================================================
+
+const getHistoryProviders = (symbol, market) => {
+  if (market === 'indian') {
+    const listed = symbol.includes('.') ? symbol : `${symbol}.NS`;
+    return [
+      { name: 'Financial Modeling Prep', priority: 1, fetch: (i, r, tz) => fetchFMPHistory(listed, i, r, tz), enabled: Boolean(apiKey('FMP_API_KEY')) },
+      { name: 'Twelve Data', priority: 2, fetch: (i, r, tz) => fetchTwelveDataHistory(listed, i, r, tz), enabled: Boolean(apiKey('TWELVE_DATA_API_KEY')) },
+      { name: 'Yahoo Finance (Proxy)', priority: 3, fetch: (i, r) => fetchYahooHistory(listed, i, r), enabled: true }
+    ];
+  }
+
+  return [
+    { name: 'Alpha Vantage', priority: 1, fetch: (i, r, tz) => fetchAlphaVantageHistory(symbol, i, r, tz), enabled: Boolean(apiKey('ALPHA_VANTAGE_API_KEY')) },
+    { name: 'Twelve Data', priority: 2, fetch: (i, r, tz) => fetchTwelveDataHistory(symbol, i, r, tz), enabled: Boolean(apiKey('TWELVE_DATA_API_KEY')) },
+    { name: 'Financial Modeling Prep', priority: 3, fetch: (i, r, tz) => fetchFMPHistory(symbol, i, r, tz), enabled: Boolean(apiKey('FMP_API_KEY')) },
+    { name: 'Yahoo Finance (Proxy)', priority: 4, fetch: (i, r) => fetchYahooHistory(symbol.replace('.', '-'), i, r), enabled: true }
+  ];
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_MOCK_CANDLES = 2000;
+
+// Bar start times covering the range, oldest first: one per trading session for
+// daily bars, every stepMs within each session for intraday ones. Weekends,
+// holidays, overnight hours and bars that have not started yet are left out.
+const mockCandleTimes = (market, interval, range, now) => {
+  const { stepMs, intraday } = HISTORY_INTERVALS[interval];
+  const { tradingDays, calendarDays } = HISTORY_RANGES[range];
+  const { timeZone } = MARKETS[market];
+  const today = Date.parse(`${localDate(now, timeZone)}T12:00:00Z`);
+  // Enough calendar days to find the sessions even across long holiday breaks
+  const lookback = tradingDays ? tradingDays * 3 + 10 : calendarDays;
+
+  const sessions = [];
+  for (let offset = 0; offset <= lookback && !(tradingDays && sessions.length >= tradingDays); offset++) {
+    const date = new Date(today - offset * DAY_MS).toISOString().slice(0, 10);
+    const session = getTradingSession(market, date);
+    if (session && session.start <= now) sessions.unshift({ date, session });
+  }
+
+  const times = sessions.flatMap(({ date, session }) => {
+    if (!intraday) return [exchangeTimeToEpoch(date, timeZone)];
+    const bars = [];
+    for (let t = session.start; t < session.end && t <= now; t += stepMs) bars.push(t);
+    return bars;
+  });
+  return times.slice(-MAX_MOCK_CANDLES);
+};
+
+// Seeded random walk ending at the demo or replayed quote; the same seed, quote and
+// clock give the same candles
+const generateMockHistory = (quote, interval, range, market) => {
+  const { intraday } = HISTORY_INTERVALS[interval];
+  const { timeZone } = MARKETS[market];
+  const times = mockCandleTimes(market, interval, range, demoNow());
+  const stepVolatility = intraday ? 0.002 : 0.015;
+
+  const candles = [];
+  let close = quote.price;
+  const random = seededRandom(quote.symbol, 'history', interval, range, times[times.length - 1]);
+
+  for (const timestamp of [...times].reverse()) {
+    const open = close * (1 + (random() - 0.5) * 2 * stepVolatility);
+    const high = Math.max(open, close) * (1 + random() * stepVolatility);
+    const low = Math.min(open, close) * (1 - random() * stepVolatility);
+    const volume = (quote.volume || 1000000) / (intraday ? 75 : 1) * (0.5 + random());
+    candles.push(toCandle(timestamp, open, high, low, close, volume));
+    close = open;
+  }
+
+  return trimToRange(candles.reverse(), range, timeZone);
+};
+
+// Live mode asks the providers and fails without them; demo and replay modes never
+// call a provider and simulate candles up to the current quote
+export const fetchStockHistory = async (symbol, { interval, range, market, fetchQuote }) => {
+  const timeZone = market === 'indian' ? 'Asia/Kolkata' : 'America/New_York';
+
+  if (!isLiveMode()) {
+    const quote = await fetchQuote(symbol, market);
+    return {
+      candles: generateMockHistory(quote, interval, range, market),
+      source: 'Demo_Simulator',
+      timeZone,
+      mock: true
+    };
+  }
+
+  // Same breakers and latency ranking as quote fetches, so a provider that is down
+  // for quotes is skipped for charts too
+  const enabledProviders = getHistoryProviders(symbol, market).filter(p => p.enabled && hasQuota(p.name));
+  const providers = rankProviders(enabledProviders);
+  const errors = enabledProviders
+    .filter(p => !providers.includes(p))
+    .map(p => ({ provider: p.name, error: 'Circuit open' }));
+
+  for (const provider of providers) {
+    try {
+      console.log(`Trying ${provider.name} history for ${symbol} (${interval}/${range})...`);
+      const fetched = await callProvider(provider.name, () => provider.fetch(interval, range, timeZone));
+      const candles = trimToRange(fetched, range, timeZone);
+      if (candles.length === 0) throw new Error('Provider returned no candles for the range');
+
+      console.log(`✅ ${candles.length} candles from ${provider.name} for ${symbol}`);
+      return { candles, source: provider.name, timeZone };
+    } catch (error) {
+      console.log(`❌ ${provider.name} history failed for ${symbol}: ${error.message}`);
+      errors.push({ provider: provider.name, error: error.message });
+    }
+  }
+
+  console.log(`⚠️ All history providers failed for ${symbol}`);
+  throw new HistoryUnavailableError(symbol, errors);
+};
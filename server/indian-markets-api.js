@@ -1,32 +1,42 @@
 // server/indian-markets-api.js - Enhanced with Multiple FREE APIs and Better Error Handling
 
 import axios from 'axios';
+import { getSymbol, estimateMarketCap } from './symbol-master.js';
+import { isMarketOpen } from './market-calendar.js';
+import {
+  callProvider, rankProviders, getProviderHealth, fetchBatchThroughProviders, QuoteUnavailableError
+} from './provider-health.js';
+import { consumeQuota, hasQuota, getProviderQuota } from './provider-quota.js';
 
 // =============================================================================
 // MULTIPLE FREE API CONFIGURATIONS
 // =============================================================================
 
 // 1. Financial Modeling Prep (FREE: 250 calls/day)
-const FMP_API_KEY = process.env.FMP_API_KEY || 'demo'; // Demo key for testing
 const FMP_BASE = 'https://financialmodelingprep.com/api/v3';
 
 // 2. Alpha Vantage (FREE: 500 calls/day)
-const ALPHA_VANTAGE_API_KEY = process.env.ALPHA_VANTAGE_API_KEY || 'demo';
 
 // 3. Polygon.io (FREE: 5 calls/minute)
 const POLYGON_API_KEY = process.env.POLYGON_API_KEY || 'demo';
 
 // 4. Twelve Data (FREE: 800 calls/day)
-const TWELVE_DATA_API_KEY = process.env.TWELVE_DATA_API_KEY || 'demo';
 
 // 5. IEX Cloud (FREE: 50,000 calls/month)
 const IEX_API_KEY = process.env.IEX_API_KEY || 'demo';
 
+// Keys are read per call so values from server/.env are picked up after dotenv runs
+const apiKey = (name) => {
+  const key = process.env[name];
+  return key && key !== 'demo' ? key : null;
+};
+
 // =============================================================================
 // ENHANCED YAHOO FINANCE WITH CORS PROXY
 // =============================================================================
 
-const YAHOO_PROXIES = [
+// Also used for index levels (server/market-indices.js)
+export const YAHOO_PROXIES = [
   'https://api.allorigins.win/raw?url=',
   'https://cors-anywhere.herokuapp.com/',
   'https://api.codetabs.com/v1/proxy?quest='
@@ -91,49 +101,63 @@ export const fetchFMPIndianStock = async (symbol) => {
   try {
     const fmpSymbol = symbol.includes('.') ? symbol : `${symbol}.NS`;
     
+    consumeQuota('Financial Modeling Prep');
     const response = await axios.get(`${FMP_BASE}/quote/${fmpSymbol}`, {
-      params: { apikey: FMP_API_KEY },
+      params: { apikey: apiKey('FMP_API_KEY') },
       timeout: 10000
     });
 
     const data = response.data[0];
     if (!data) throw new Error(`No FMP data for ${symbol}`);
 
-    return {
-      symbol: symbol,
-      name: data.name || getIndianCompanyName(symbol),
-      price: Math.round(data.price * 100) / 100,
-      change: Math.round(data.change * 100) / 100,
-      changePercent: Math.round(data.changesPercentage * 100) / 100,
-      high: Math.round(data.dayHigh * 100) / 100,
-      low: Math.round(data.dayLow * 100) / 100,
-      volume: data.volume || 0,
-      previousClose: Math.round(data.previousClose * 100) / 100,
-      marketCap: data.marketCap || calculateIndianMarketCap(symbol, data.price),
-      sector: getIndianSector(symbol),
-      exchange: 'NSE',
-      currency: 'INR',
-      marketOpen: isIndianMarketOpen(),
-      timestamp: new Date().toISOString(),
-      source: 'Financial_Modeling_Prep'
-    };
+    return toFMPQuote(symbol, data, 'indian');
   } catch (error) {
     console.error(`FMP error for ${symbol}:`, error.message);
     throw error;
   }
 };
 
+// Shared by the single and batch fetchers of both markets
+const toFMPQuote = (symbol, data, market) => {
+  const listing = getSymbol(symbol, market);
+  const indian = market === 'indian';
+
+  return {
+    symbol: symbol,
+    name: data.name || (indian ? getIndianCompanyName(symbol) : listing?.name || symbol),
+    price: Math.round(data.price * 100) / 100,
+    change: Math.round(data.change * 100) / 100,
+    changePercent: Math.round(data.changesPercentage * 100) / 100,
+    high: Math.round(data.dayHigh * 100) / 100,
+    low: Math.round(data.dayLow * 100) / 100,
+    volume: data.volume || 0,
+    averageVolume: data.avgVolume || undefined,
+    previousClose: Math.round(data.previousClose * 100) / 100,
+    // Global market caps are shown in billions of USD
+    marketCap: indian
+      ? data.marketCap || calculateIndianMarketCap(symbol, data.price)
+      : data.marketCap ? Math.round(data.marketCap / 1e7) / 100 : estimateMarketCap(symbol, 'global', data.price),
+    sector: listing?.sector || 'Unknown',
+    exchange: indian ? 'NSE' : data.exchange || listing?.exchange || 'NYSE',
+    currency: indian ? 'INR' : 'USD',
+    marketOpen: isMarketOpen(market),
+    timestamp: new Date().toISOString(),
+    source: 'Financial_Modeling_Prep'
+  };
+};
+
 // =============================================================================
 // ALPHA VANTAGE GLOBAL QUOTE
 // =============================================================================
 
 export const fetchAlphaVantageStock = async (symbol) => {
   try {
+    consumeQuota('Alpha Vantage');
     const response = await axios.get('https://www.alphavantage.co/query', {
       params: {
         function: 'GLOBAL_QUOTE',
         symbol: symbol.includes('.') ? symbol : `${symbol}.NS`,
-        apikey: ALPHA_VANTAGE_API_KEY
+        apikey: apiKey('ALPHA_VANTAGE_API_KEY')
       },
       timeout: 10000
     });
@@ -178,10 +202,11 @@ export const fetchAlphaVantageStock = async (symbol) => {
 
 export const fetchTwelveDataStock = async (symbol) => {
   try {
+    consumeQuota('Twelve Data');
     const response = await axios.get('https://api.twelvedata.com/quote', {
       params: {
         symbol: symbol.includes('.') ? symbol : `${symbol}.NS`,
-        apikey: TWELVE_DATA_API_KEY
+        apikey: apiKey('TWELVE_DATA_API_KEY')
       },
       timeout: 10000
     });
@@ -189,223 +214,203 @@ export const fetchTwelveDataStock = async (symbol) => {
     const data = response.data;
     if (data.status === 'error') throw new Error(data.message);
 
-    const price = parseFloat(data.close) || 0;
-    const previousClose = parseFloat(data.previous_close) || price;
-    const change = price - previousClose;
-    const changePercent = (change / previousClose) * 100;
-
-    return {
-      symbol: symbol,
-      name: data.name || getIndianCompanyName(symbol),
-      price: Math.round(price * 100) / 100,
-      change: Math.round(change * 100) / 100,
-      changePercent: Math.round(changePercent * 100) / 100,
-      high: Math.round((parseFloat(data.high) || price) * 100) / 100,
-      low: Math.round((parseFloat(data.low) || price) * 100) / 100,
-      volume: parseInt(data.volume) || 0,
-      previousClose: Math.round(previousClose * 100) / 100,
-      marketCap: calculateIndianMarketCap(symbol, price),
-      sector: getIndianSector(symbol),
-      exchange: data.exchange || 'NSE',
-      currency: 'INR',
-      marketOpen: isIndianMarketOpen(),
-      timestamp: new Date().toISOString(),
-      source: 'Twelve_Data'
-    };
+    return toTwelveDataQuote(symbol, data, 'indian');
   } catch (error) {
     console.error(`Twelve Data error for ${symbol}:`, error.message);
     throw error;
   }
 };
 
-// =============================================================================
-// SMART MULTI-PROVIDER FETCHER WITH PRIORITY FALLBACK
-// =============================================================================
-
-export const fetchIndianStockData = async (symbol) => {
-  const providers = [
-    { 
-      name: 'Financial Modeling Prep', 
-      fetch: fetchFMPIndianStock,
-      priority: 1,
-      enabled: FMP_API_KEY && FMP_API_KEY !== 'demo'
-    },
-    { 
-      name: 'Twelve Data', 
-      fetch: fetchTwelveDataStock,
-      priority: 2,
-      enabled: TWELVE_DATA_API_KEY && TWELVE_DATA_API_KEY !== 'demo'
-    },
-    { 
-      name: 'Alpha Vantage', 
-      fetch: fetchAlphaVantageStock,
-      priority: 3,
-      enabled: ALPHA_VANTAGE_API_KEY && ALPHA_VANTAGE_API_KEY !== 'demo'
-    },
-    { 
-      name: 'Yahoo Finance (Proxy)', 
-      fetch: fetchYahooIndianStock,
-      priority: 4,
-      enabled: true // Always enabled as fallback
-    }
-  ];
-
-  // Sort by priority and filter enabled providers
-  const enabledProviders = providers
-    .filter(p => p.enabled)
-    .sort((a, b) => a.priority - b.priority);
+const toTwelveDataQuote = (symbol, data, market) => {
+  const listing = getSymbol(symbol, market);
+  const indian = market === 'indian';
 
-  console.log(`Fetching ${symbol} using ${enabledProviders.length} providers...`);
+  const price = parseFloat(data.close) || 0;
+  const previousClose = parseFloat(data.previous_close) || price;
+  const change = price - previousClose;
+  const changePercent = (change / previousClose) * 100;
 
-  // Try each provider in order
-  for (const provider of enabledProviders) {
-    try {
-      console.log(`Trying ${provider.name} for ${symbol}...`);
-      const data = await provider.fetch(symbol);
-      console.log(`✅ Success with ${provider.name} for ${symbol}`);
-      return data;
-    } catch (error) {
-      console.log(`❌ ${provider.name} failed for ${symbol}: ${error.message}`);
-      continue;
-    }
-  }
-
-  // If all providers fail, return realistic mock data
-  console.log(`⚠️ All providers failed for ${symbol}, using enhanced mock data`);
-  return generateEnhancedMockData(symbol);
-};
-
-// =============================================================================
-// ENHANCED MOCK DATA GENERATOR
-// =============================================================================
-
-const generateEnhancedMockData = (symbol) => {
-  const basePrice = getIndianBasePrice(symbol);
-  const volatility = getIndianVolatility(symbol);
-  
-  // Generate realistic intraday movement
-  const timeBasedVariation = Math.sin(Date.now() / 10000) * 0.5;
-  const randomVariation = (Math.random() - 0.5) * 2;
-  const totalVariation = (timeBasedVariation + randomVariation) * volatility;
-  
-  const price = Math.max(basePrice + totalVariation, basePrice * 0.8); // Ensure price doesn't go too low
-  const change = totalVariation;
-  const changePercent = (change / basePrice) * 100;
-  
   return {
     symbol: symbol,
-    name: getIndianCompanyName(symbol),
+    name: data.name || (indian ? getIndianCompanyName(symbol) : listing?.name || symbol),
     price: Math.round(price * 100) / 100,
     change: Math.round(change * 100) / 100,
     changePercent: Math.round(changePercent * 100) / 100,
-    high: Math.round((price + Math.abs(change) * 0.3) * 100) / 100,
-    low: Math.round((price - Math.abs(change) * 0.3) * 100) / 100,
-    volume: Math.floor(Math.random() * 20000000) + 5000000, // 5M-25M volume
-    previousClose: Math.round(basePrice * 100) / 100,
-    marketCap: calculateIndianMarketCap(symbol, price),
-    sector: getIndianSector(symbol),
-    exchange: 'NSE',
-    currency: 'INR',
-    marketOpen: isIndianMarketOpen(),
+    high: Math.round((parseFloat(data.high) || price) * 100) / 100,
+    low: Math.round((parseFloat(data.low) || price) * 100) / 100,
+    volume: parseInt(data.volume) || 0,
+    averageVolume: parseInt(data.average_volume) || undefined,
+    previousClose: Math.round(previousClose * 100) / 100,
+    marketCap: estimateMarketCap(symbol, market, price),
+    sector: listing?.sector || 'Unknown',
+    exchange: data.exchange || listing?.exchange || (indian ? 'NSE' : 'NYSE'),
+    currency: indian ? 'INR' : 'USD',
+    marketOpen: isMarketOpen(market),
     timestamp: new Date().toISOString(),
-    source: 'Enhanced_Mock_Data',
-    mock: true
+    source: 'Twelve_Data'
   };
 };
 
 // =============================================================================
-// HELPER FUNCTIONS & DATA
+// BATCH QUOTES (FMP and Twelve Data take comma-separated symbol lists)
 // =============================================================================
 
-const INDIAN_COMPANIES = {
-  'RELIANCE': { name: 'Reliance Industries Ltd', sector: 'Oil & Gas', basePrice: 2800, volatility: 80 },
-  'TCS': { name: 'Tata Consultancy Services', sector: 'IT Services', basePrice: 3900, volatility: 120 },
-  'HDFCBANK': { name: 'HDFC Bank Limited', sector: 'Banking', basePrice: 1650, volatility: 60 },
-  'INFY': { name: 'Infosys Limited', sector: 'IT Services', basePrice: 1750, volatility: 90 },
-  'HINDUNILVR': { name: 'Hindustan Unilever Ltd', sector: 'FMCG', basePrice: 2650, volatility: 100 },
-  'ITC': { name: 'ITC Limited', sector: 'FMCG', basePrice: 450, volatility: 25 },
-  'SBIN': { name: 'State Bank of India', sector: 'Banking', basePrice: 650, volatility: 40 },
-  'BHARTIARTL': { name: 'Bharti Airtel Limited', sector: 'Telecom', basePrice: 950, volatility: 50 },
-  'ASIANPAINT': { name: 'Asian Paints Limited', sector: 'Paints', basePrice: 3200, volatility: 150 },
-  'MARUTI': { name: 'Maruti Suzuki India Ltd', sector: 'Automotive', basePrice: 10500, volatility: 400 },
-  'ADANIGREEN': { name: 'Adani Green Energy Ltd', sector: 'Renewable Energy', basePrice: 1200, volatility: 200 },
-  'TATASTEEL': { name: 'Tata Steel Limited', sector: 'Steel', basePrice: 140, volatility: 30 },
-  'WIPRO': { name: 'Wipro Limited', sector: 'IT Services', basePrice: 450, volatility: 35 },
-  'LT': { name: 'Larsen & Toubro Limited', sector: 'Engineering', basePrice: 3400, volatility: 120 },
-  'HCLTECH': { name: 'HCL Technologies Limited', sector: 'IT Services', basePrice: 1200, volatility: 80 }
-};
+// Indian symbols go upstream with their .NS suffix; global symbols as listed
+const toProviderSymbol = (symbol, market) =>
+  market === 'indian' && !symbol.includes('.') ? `${symbol}.NS` : symbol;
 
-const getIndianCompanyName = (symbol) => {
-  const clean = symbol.replace('.NS', '').replace('.BO', '');
-  return INDIAN_COMPANIES[clean]?.name || clean;
-};
+// Each resolves to a Map of symbol -> quote; symbols the provider does not
+// know are simply absent, and the caller fetches those one by one
+export const fetchFMPBatch = async (symbols, market = 'indian') => {
+  const bySymbol = new Map(symbols.map(s => [toProviderSymbol(s, market), s]));
 
-const getIndianSector = (symbol) => {
-  const clean = symbol.replace('.NS', '').replace('.BO', '');
-  return INDIAN_COMPANIES[clean]?.sector || 'Unknown';
-};
+  consumeQuota('Financial Modeling Prep');
+  const response = await axios.get(`${FMP_BASE}/quote/${[...bySymbol.keys()].join(',')}`, {
+    params: { apikey: apiKey('FMP_API_KEY') },
+    timeout: 10000
+  });
 
-const getIndianBasePrice = (symbol) => {
-  const clean = symbol.replace('.NS', '').replace('.BO', '');
-  return INDIAN_COMPANIES[clean]?.basePrice || 1000;
-};
+  // Errors (bad key, limit reached) come back as an object instead of a list
+  if (!Array.isArray(response.data)) {
+    throw new Error(response.data?.['Error Message'] || 'Unexpected FMP batch response');
+  }
 
-const getIndianVolatility = (symbol) => {
-  const clean = symbol.replace('.NS', '').replace('.BO', '');
-  return INDIAN_COMPANIES[clean]?.volatility || 50;
+  const quotes = new Map();
+  response.data.forEach(data => {
+    const symbol = bySymbol.get(data.symbol);
+    if (symbol && data.price) quotes.set(symbol, toFMPQuote(symbol, data, market));
+  });
+  return quotes;
 };
 
-const calculateIndianMarketCap = (symbol, price) => {
-  const shares = { // Outstanding shares in crores
-    'RELIANCE': 676, 'TCS': 365, 'HDFCBANK': 547, 'INFY': 425,
-    'HINDUNILVR': 235, 'ITC': 1240, 'SBIN': 891, 'BHARTIARTL': 534,
-    'ASIANPAINT': 96, 'MARUTI': 30, 'ADANIGREEN': 154, 'TATASTEEL': 123,
-    'WIPRO': 527, 'LT': 140, 'HCLTECH': 271
-  };
-  const clean = symbol.replace('.NS', '').replace('.BO', '');
-  return Math.round((shares[clean] || 100) * price);
+export const fetchTwelveDataBatch = async (symbols, market = 'indian') => {
+  const bySymbol = new Map(symbols.map(s => [toProviderSymbol(s, market), s]));
+
+  // Twelve Data bills one credit per symbol, batched or not
+  consumeQuota('Twelve Data', bySymbol.size);
+  const response = await axios.get('https://api.twelvedata.com/quote', {
+    params: { symbol: [...bySymbol.keys()].join(','), apikey: apiKey('TWELVE_DATA_API_KEY') },
+    timeout: 10000
+  });
+  if (response.data.status === 'error') throw new Error(response.data.message);
+
+  // A single-symbol request comes back unkeyed
+  const entries = bySymbol.size === 1 ? [[[...bySymbol.keys()][0], response.data]] : Object.entries(response.data);
+
+  const quotes = new Map();
+  entries.forEach(([providerSymbol, data]) => {
+    const symbol = bySymbol.get(providerSymbol);
+    if (symbol && data?.status !== 'error' && parseFloat(data?.close)) {
+      quotes.set(symbol, toTwelveDataQuote(symbol, data, market));
+    }
+  });
+  return quotes;
 };
 
-const isIndianMarketOpen = () => {
-  const now = new Date();
-  const ist = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Kolkata"}));
-  const hour = ist.getHours();
-  const minute = ist.getMinutes();
-  const day = ist.getDay();
-  
-  // Monday to Friday, 9:15 AM to 3:30 PM IST
-  const isWeekday = day >= 1 && day <= 5;
-  const isMarketHours = (hour > 9 || (hour === 9 && minute >= 15)) && hour < 15 || (hour === 15 && minute <= 30);
-  
-  return isWeekday && isMarketHours;
-};
+// Free Twelve Data keys allow 8 credits a minute, so batches stay that small by default
+export const getTwelveDataBatchSize = () => parseInt(process.env.TWELVE_DATA_BATCH_SIZE) || 8;
 
 // =============================================================================
-// API HEALTH CHECK FUNCTION
+// SMART MULTI-PROVIDER FETCHER WITH PRIORITY FALLBACK
 // =============================================================================
 
-export const checkAPIHealth = async () => {
-  const apis = [
-    { name: 'Financial Modeling Prep', key: FMP_API_KEY, url: `${FMP_BASE}/quote/AAPL?apikey=${FMP_API_KEY}` },
-    { name: 'Alpha Vantage', key: ALPHA_VANTAGE_API_KEY, url: `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=AAPL&apikey=${ALPHA_VANTAGE_API_KEY}` },
-    { name: 'Twelve Data', key: TWELVE_DATA_API_KEY, url: `https://api.twelvedata.com/quote?symbol=AAPL&apikey=${TWELVE_DATA_API_KEY}` }
-  ];
+// Limits are the providers' free-tier allowances, shown on the status routes
+const INDIAN_PROVIDERS = [
+  {
+    name: 'Financial Modeling Prep',
+    fetch: fetchFMPIndianStock,
+    fetchBatch: (symbols) => fetchFMPBatch(symbols, 'indian'),
+    batchSize: () => 50,
+    priority: 1,
+    limit: '250/day',
+    enabled: () => Boolean(apiKey('FMP_API_KEY'))
+  },
+  {
+    name: 'Twelve Data',
+    fetch: fetchTwelveDataStock,
+    fetchBatch: (symbols) => fetchTwelveDataBatch(symbols, 'indian'),
+    batchSize: getTwelveDataBatchSize,
+    priority: 2,
+    limit: '800/day',
+    enabled: () => Boolean(apiKey('TWELVE_DATA_API_KEY'))
+  },
+  {
+    name: 'Alpha Vantage',
+    fetch: fetchAlphaVantageStock,
+    priority: 3,
+    limit: '500/day',
+    enabled: () => Boolean(apiKey('ALPHA_VANTAGE_API_KEY'))
+  },
+  {
+    name: 'Yahoo Finance (Proxy)',
+    fetch: fetchYahooIndianStock,
+    priority: 4,
+    limit: 'Unlimited',
+    enabled: () => true // Always enabled as fallback
+  }
+];
 
-  const results = {};
-  
-  for (const api of apis) {
+// Providers whose circuit is open or whose daily quota is spent are skipped;
+// the rest are tried fastest first. `skip` names providers already known not to
+// carry the symbol (they answered a batch without it).
+export const fetchIndianStockData = async (symbol, { skip = [] } = {}) => {
+  const enabledProviders = INDIAN_PROVIDERS.filter(p => p.enabled() && !skip.includes(p.name));
+  const routed = rankProviders(enabledProviders.filter(p => hasQuota(p.name)));
+
+  console.log(`Fetching ${symbol} using ${routed.length}/${enabledProviders.length} available providers...`);
+
+  const reasons = [];
+  for (const provider of routed) {
     try {
-      if (!api.key || api.key === 'demo') {
-        results[api.name] = 'API Key Not Configured';
-        continue;
-      }
-      
-      const response = await axios.get(api.url, { timeout: 5000 });
-      results[api.name] = response.status === 200 ? 'Working' : 'Error';
+      console.log(`Trying ${provider.name} for ${symbol}...`);
+      const data = await callProvider(provider.name, () => provider.fetch(symbol));
+      console.log(`✅ Success with ${provider.name} for ${symbol}`);
+      return data;
     } catch (error) {
-      results[api.name] = `Error: ${error.message}`;
+      console.log(`❌ ${provider.name} failed for ${symbol}: ${error.message}`);
+      reasons.push(`${provider.name}: ${error.message}`);
     }
   }
-  
-  return results;
+
+  // No made-up prices: the caller reports the symbol as unavailable
+  console.log(`⚠️ All providers failed for ${symbol}`);
+  throw new QuoteUnavailableError(symbol, reasons);
+};
+
+// Whole lists in as few upstream calls as possible, then one by one for the rest
+export const fetchIndianStocksData = async (symbols) => {
+  const batchProviders = INDIAN_PROVIDERS.filter(p => p.fetchBatch && p.enabled() && hasQuota(p.name));
+  const { quotes, missing, answered } = await fetchBatchThroughProviders(batchProviders, symbols);
+
+  if (missing.length > 0) {
+    console.log(`↪️ ${missing.length}/${symbols.length} Indian symbols not in any batch, fetching individually`);
+  }
+  const singles = await Promise.allSettled(missing.map(symbol => fetchIndianStockData(symbol, { skip: answered })));
+  missing.forEach((symbol, i) => quotes.set(symbol, singles[i].status === 'fulfilled' ? singles[i].value : singles[i].reason));
+
+  // A symbol no provider could price comes back as its QuoteUnavailableError
+  return symbols.map(symbol => quotes.get(symbol));
 };
+
+// Configuration plus live breaker state for every Indian quote provider
+export const getIndianProviderStatus = () => INDIAN_PROVIDERS.map(p => ({
+  ...getProviderHealth(p.name),
+  priority: p.priority,
+  limit: p.limit,
+  configured: p.enabled(),
+  quota: getProviderQuota(p.name)
+}));
+
+// =============================================================================
+// HELPER FUNCTIONS & DATA
+// =============================================================================
+
+// Company details come from the symbol master (server/symbol-master.js)
+const getIndianCompanyName = (symbol) =>
+  getSymbol(symbol, 'indian')?.name || symbol.replace('.NS', '').replace('.BO', '');
+
+const getIndianSector = (symbol) => getSymbol(symbol, 'indian')?.sector || 'Unknown';
+
+const calculateIndianMarketCap = (symbol, price) => estimateMarketCap(symbol, 'indian', price);
+
+const isIndianMarketOpen = () => isMarketOpen('indian');
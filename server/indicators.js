@@ -0,0 +1,259 @@
+// server/indicators.js - Technical Indicators Computed over OHLCV Candle History
+
+// Series functions take oldest-first values and return an array of the same
+// length, with null where there is not enough history yet.
+
+export const SMA_PERIODS = [20, 50, 200];
+export const EMA_PERIODS = [12, 26, 50];
+
+const round = (value, digits = 2) =>
+  value === null || value === undefined || !Number.isFinite(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const last = (series) => (series.length > 0 ? series[series.length - 1] : null);
+
+// =============================================================================
+// MOVING AVERAGES
+// =============================================================================
+
+export const sma = (values, period) =>
+  values.map((_, i) => (i < period - 1 ? null : average(values.slice(i - period + 1, i + 1))));
+
+// Seeded with the SMA of the first `period` values; leading nulls are skipped so
+// it can run over another indicator's output (e.g. the MACD signal line)
+export const ema = (values, period) => {
+  const out = Array(values.length).fill(null);
+  const start = values.findIndex(v => v !== null && v !== undefined);
+  if (start === -1 || values.length - start < period) return out;
+
+  const k = 2 / (period + 1);
+  let current = average(values.slice(start, start + period));
+  out[start + period - 1] = current;
+
+  for (let i = start + period; i < values.length; i++) {
+    current = values[i] * k + current * (1 - k);
+    out[i] = current;
+  }
+  return out;
+};
+
+// =============================================================================
+// MOMENTUM
+// =============================================================================
+
+// Wilder's RSI
+export const rsi = (closes, period = 14) => {
+  const out = Array(closes.length).fill(null);
+  if (closes.length <= period) return out;
+
+  const toRSI = (gain, loss) => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const delta = closes[i] - closes[i - 1];
+    if (delta > 0) gain += delta; else loss -= delta;
+  }
+  gain /= period;
+  loss /= period;
+  out[period] = toRSI(gain, loss);
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const delta = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(delta, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-delta, 0)) / period;
+    out[i] = toRSI(gain, loss);
+  }
+  return out;
+};
+
+export const macd = (closes, fast = 12, slow = 26, signalPeriod = 9) => {
+  const fastEMA = ema(closes, fast);
+  const slowEMA = ema(closes, slow);
+  const line = closes.map((_, i) => (fastEMA[i] === null || slowEMA[i] === null ? null : fastEMA[i] - slowEMA[i]));
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((v, i) => (v === null || signal[i] === null ? null : v - signal[i]));
+  return { line, signal, histogram };
+};
+
+// =============================================================================
+// VOLATILITY
+// =============================================================================
+
+export const bollingerBands = (closes, period = 20, multiplier = 2) => {
+  const middle = sma(closes, period);
+  const upper = [];
+  const lower = [];
+
+  middle.forEach((mean, i) => {
+    if (mean === null) {
+      upper.push(null);
+      lower.push(null);
+      return;
+    }
+    const window = closes.slice(i - period + 1, i + 1);
+    const deviation = Math.sqrt(average(window.map(v => (v - mean) ** 2)));
+    upper.push(mean + multiplier * deviation);
+    lower.push(mean - multiplier * deviation);
+  });
+  return { upper, middle, lower };
+};
+
+// Wilder's Average True Range
+export const atr = (candles, period = 14) => {
+  const out = Array(candles.length).fill(null);
+  if (candles.length <= period) return out;
+
+  const trueRange = candles.map((c, i) => {
+    if (i === 0) return c.high - c.low;
+    const prevClose = candles[i - 1].close;
+    return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+  });
+
+  let current = average(trueRange.slice(1, period + 1));
+  out[period] = current;
+  for (let i = period + 1; i < candles.length; i++) {
+    current = (current * (period - 1) + trueRange[i]) / period;
+    out[i] = current;
+  }
+  return out;
+};
+
+// =============================================================================
+// VOLUME & LEVELS
+// =============================================================================
+
+// Cumulative VWAP from the first candle given
+export const vwap = (candles) => {
+  let priceVolume = 0;
+  let volume = 0;
+  return candles.map(c => {
+    priceVolume += ((c.high + c.low + c.close) / 3) * c.volume;
+    volume += c.volume;
+    return volume > 0 ? priceVolume / volume : null;
+  });
+};
+
+// Classic floor-trader pivots from one completed session
+export const pivotPoints = ({ high, low, close }) => {
+  const pivot = (high + low + close) / 3;
+  return {
+    pivot: round(pivot),
+    r1: round(2 * pivot - low),
+    r2: round(pivot + (high - low)),
+    r3: round(high + 2 * (pivot - low)),
+    s1: round(2 * pivot - high),
+    s2: round(pivot - (high - low)),
+    s3: round(low - 2 * (high - pivot))
+  };
+};
+
+// Collapse intraday candles into one bar per session date
+const toSessionBars = (candles, sessionKey) => {
+  const sessions = new Map();
+  candles.forEach(c => {
+    const key = sessionKey(c.timestamp);
+    const bar = sessions.get(key);
+    if (!bar) {
+      sessions.set(key, { ...c, candles: [c] });
+      return;
+    }
+    bar.high = Math.max(bar.high, c.high);
+    bar.low = Math.min(bar.low, c.low);
+    bar.close = c.close;
+    bar.volume += c.volume;
+    bar.candles.push(c);
+  });
+  return [...sessions.values()];
+};
+
+// =============================================================================
+// SNAPSHOT & SUMMARY
+// =============================================================================
+
+// Latest value of every indicator. `sessionKey` maps a timestamp to its trading
+// date so intraday candles can be grouped for pivots and session VWAP.
+export const computeIndicators = (candles, { intraday = false, sessionKey }) => {
+  const closes = candles.map(c => c.close);
+  const sessions = intraday ? toSessionBars(candles, sessionKey) : candles;
+  const previousSession = sessions[sessions.length - 2];
+
+  const macdSeries = macd(closes);
+  const bands = bollingerBands(closes);
+  const atrValue = last(atr(candles));
+  const price = last(closes);
+
+  const upper = last(bands.upper);
+  const lower = last(bands.lower);
+
+  return {
+    price: round(price),
+    bars: candles.length,
+    sma: Object.fromEntries(SMA_PERIODS.map(p => [p, round(last(sma(closes, p)))])),
+    ema: Object.fromEntries(EMA_PERIODS.map(p => [p, round(last(ema(closes, p)))])),
+    rsi: round(last(rsi(closes))),
+    macd: {
+      line: round(last(macdSeries.line), 4),
+      signal: round(last(macdSeries.signal), 4),
+      histogram: round(last(macdSeries.histogram), 4)
+    },
+    bollinger: {
+      upper: round(upper),
+      middle: round(last(bands.middle)),
+      lower: round(lower),
+      percentB: upper !== null && upper !== lower ? round((price - lower) / (upper - lower), 4) : null
+    },
+    atr: round(atrValue),
+    atrPercent: atrValue !== null && price ? round((atrValue / price) * 100) : null,
+    // Intraday: VWAP of the latest session; daily: anchored to the start of the range
+    vwap: round(last(vwap(intraday ? last(sessions).candles : candles))),
+    pivots: previousSession ? pivotPoints(previousSession) : null,
+    averageVolume: sessions.length > 1
+      ? Math.round(average(sessions.slice(-21, -1).map(s => s.volume)))
+      : null
+  };
+};
+
+// Human-readable analysis shown on stock details
+export const summarizeIndicators = (indicators, quote) => {
+  const price = quote?.price ?? indicators.price;
+
+  const votes = [
+    indicators.sma[20] !== null ? Math.sign(price - indicators.sma[20]) : 0,
+    indicators.sma[20] !== null && indicators.sma[50] !== null ? Math.sign(indicators.sma[20] - indicators.sma[50]) : 0,
+    indicators.macd.histogram !== null ? Math.sign(indicators.macd.histogram) : 0
+  ];
+  const score = votes.reduce((sum, v) => sum + v, 0);
+
+  const trend = score >= 3 ? 'Strong Bullish'
+    : score >= 1 ? 'Bullish'
+      : score <= -3 ? 'Strong Bearish'
+        : score <= -1 ? 'Bearish'
+          : 'Neutral';
+
+  const volatility = indicators.atrPercent === null ? 'Unknown'
+    : indicators.atrPercent > 3 ? 'High'
+      : indicators.atrPercent > 1.5 ? 'Medium'
+        : 'Low';
+
+  const volumeRatio = quote?.volume && indicators.averageVolume ? quote.volume / indicators.averageVolume : null;
+  const strength = volumeRatio === null ? 'Unknown'
+    : volumeRatio >= 1.5 ? 'Strong'
+      : volumeRatio >= 0.8 ? 'Medium'
+        : 'Weak';
+
+  const momentum = indicators.rsi === null ? 'Unknown'
+    : indicators.rsi >= 70 ? 'Overbought'
+      : indicators.rsi <= 30 ? 'Oversold'
+        : 'Neutral';
+
+  return {
+    trend,
+    volatility,
+    strength,
+    momentum,
+    support: indicators.pivots?.s1 ?? indicators.bollinger.lower,
+    resistance: indicators.pivots?.r1 ?? indicators.bollinger.upper
+  };
+};
@@ -0,0 +1,58 @@
+// server/json-store.js - Lightweight JSON File Persistence for Server-Side State
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Resolved lazily so DATA_DIR from server/.env is honoured (dotenv loads after imports)
+export const getDataDir = () => process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// =============================================================================
+// JSON STORE FACTORY
+// =============================================================================
+
+// Each store is one JSON document kept in memory and flushed to disk on every
+// change. Writes go to a temp file first and are renamed into place, so a crash
+// mid-write never leaves a half-written document behind.
+export const createJsonStore = (name, defaults = {}) => {
+  let state = null;
+
+  const filePath = () => path.join(getDataDir(), `${name}.json`);
+
+  const load = () => {
+    if (state) return state;
+
+    try {
+      const raw = fs.readFileSync(filePath(), 'utf8');
+      state = { ...structuredClone(defaults), ...JSON.parse(raw) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`⚠️ Could not read ${name} store, starting empty:`, error.message);
+      }
+      state = structuredClone(defaults);
+    }
+    return state;
+  };
+
+  const save = () => {
+    const target = filePath();
+    const tempFile = `${target}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tempFile, target);
+  };
+
+  return {
+    name,
+    get: () => load(),
+    // Apply a mutation and persist it; returns whatever the mutator returns
+    update: (mutator) => {
+      const result = mutator(load());
+      save();
+      return result;
+    }
+  };
+};
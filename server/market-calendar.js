@@ -0,0 +1,363 @@
+// server/market-calendar.js - Exchange Holiday Calendars, Special Sessions and Session Phases
+
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDataDir } from './json-store.js';
+import { requireAdmin } from './auth.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Shipped with the app; operators drop newer years or corrections into DATA_DIR/calendars
+const SHIPPED_DIR = path.join(__dirname, 'calendars');
+const getOverrideDir = () => process.env.MARKET_CALENDAR_DIR || path.join(getDataDir(), 'calendars');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKAHEAD_DAYS = 20;
+
+export class CalendarError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CalendarError';
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// MARKET DEFINITIONS
+// =============================================================================
+
+// Phases of a normal trading day in exchange-local time. Phases after `regular`
+// move with an early close.
+export const MARKETS = {
+  indian: {
+    timeZone: 'Asia/Kolkata',
+    zoneLabel: 'IST',
+    exchanges: ['NSE', 'BSE'],
+    phases: [
+      { phase: 'pre_open', start: '09:00', end: '09:15' },
+      { phase: 'regular', start: '09:15', end: '15:30' },
+      { phase: 'closing', start: '15:30', end: '15:40' },
+      { phase: 'post_close', start: '15:40', end: '16:00' }
+    ]
+  },
+  global: {
+    timeZone: 'America/New_York',
+    zoneLabel: 'ET',
+    exchanges: ['NYSE', 'NASDAQ'],
+    phases: [
+      { phase: 'pre_market', start: '04:00', end: '09:30' },
+      { phase: 'regular', start: '09:30', end: '16:00' },
+      { phase: 'after_hours', start: '16:00', end: '20:00' }
+    ]
+  }
+};
+
+// Phases in which orders actually trade at exchange prices
+const OPEN_PHASES = new Set(['regular', 'muhurat']);
+
+const PHASE_LABELS = {
+  pre_open: 'Pre-open session',
+  regular: 'Normal market',
+  closing: 'Closing price session',
+  post_close: 'Post-close session',
+  pre_market: 'Pre-market',
+  after_hours: 'After-hours',
+  muhurat: 'Muhurat trading',
+  closed: 'Closed',
+  weekend: 'Closed for the weekend',
+  holiday: 'Exchange holiday'
+};
+
+const getMarket = (market) => {
+  const definition = MARKETS[market];
+  if (!definition) throw new CalendarError(`Unknown market "${market}". Use one of: ${Object.keys(MARKETS).join(', ')}`);
+  return definition;
+};
+
+// =============================================================================
+// TIME ZONE HELPERS
+// =============================================================================
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) =>
+  `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+
+// YYYY-MM-DD of `epoch` in the exchange's time zone
+export const localDate = (epoch, timeZone) => new Date(epoch).toLocaleDateString('en-CA', { timeZone });
+
+const zoneOffset = (epoch, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(epoch)).map(p => [p.type, p.value]));
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(epoch / 1000) * 1000;
+};
+
+// Epoch of a wall-clock time on a date in the exchange's zone (DST-aware)
+const localToEpoch = (date, hhmm, timeZone) => {
+  const guess = Date.parse(`${date}T${hhmm}:00Z`);
+  return guess - zoneOffset(guess - zoneOffset(guess, timeZone), timeZone);
+};
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T12:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const isWeekend = (date) => [0, 6].includes(new Date(`${date}T12:00:00Z`).getUTCDay());
+
+// =============================================================================
+// CALENDAR FILES
+// =============================================================================
+
+let calendars = null; // market -> { holidays: Map, specialSessions: Map, earlyCloses: Map, files: [] }
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+const validateEntries = (entries = [], file, timeFields = []) => entries.filter(entry => {
+  const valid = DATE_PATTERN.test(entry.date) && timeFields.every(f => entry[f] === undefined || TIME_PATTERN.test(entry[f]));
+  if (!valid) console.log(`⚠️ ${file}: skipping invalid calendar entry ${JSON.stringify(entry)}`);
+  return valid;
+});
+
+const readCalendarFile = (file) => {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!MARKETS[data.market]) throw new Error(`"market" must be one of ${Object.keys(MARKETS).join(', ')}`);
+    return { ...data, file: path.basename(file) };
+  } catch (error) {
+    console.log(`⚠️ Skipping calendar ${path.basename(file)}: ${error.message}`);
+    return null;
+  }
+};
+
+const listJsonFiles = (dir) => (fs.existsSync(dir)
+  ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort().map(f => path.join(dir, f))
+  : []);
+
+// Later files win per date, so an override can correct or cancel a shipped entry.
+// `{ "date": ..., "cancelled": true }` removes whatever the date had before.
+export const loadCalendars = () => {
+  const next = Object.fromEntries(Object.keys(MARKETS).map(market => [market, {
+    holidays: new Map(), specialSessions: new Map(), earlyCloses: new Map(), files: []
+  }]));
+
+  [...listJsonFiles(SHIPPED_DIR), ...listJsonFiles(getOverrideDir())]
+    .map(readCalendarFile)
+    .filter(Boolean)
+    .forEach(data => {
+      const target = next[data.market];
+      target.files.push(data.file);
+      const apply = (map, entries) => entries.forEach(entry => {
+        if (entry.cancelled) map.delete(entry.date); else map.set(entry.date, entry);
+      });
+      apply(target.holidays, validateEntries(data.holidays, data.file));
+      apply(target.specialSessions, validateEntries(data.specialSessions, data.file, ['preOpen', 'open', 'close', 'postClose']));
+      apply(target.earlyCloses, validateEntries(data.earlyCloses, data.file, ['close']));
+    });
+
+  calendars = next;
+  const counts = Object.entries(next).map(([market, c]) => `${market} ${c.holidays.size} holidays`).join(', ');
+  console.log(`📅 Market calendars loaded: ${counts}`);
+  return getCalendarStats();
+};
+
+const getCalendar = (market) => {
+  if (!calendars) loadCalendars();
+  return calendars[market];
+};
+
+export const getCalendarStats = () => Object.fromEntries(Object.entries(calendars || {}).map(([market, c]) => [market, {
+  files: c.files,
+  holidays: c.holidays.size,
+  specialSessions: c.specialSessions.size,
+  earlyCloses: c.earlyCloses.size,
+  coversThrough: [...c.holidays.keys()].sort().pop() || null
+}]));
+
+// =============================================================================
+// SESSION SCHEDULES
+// =============================================================================
+
+// Every phase of one exchange-local date as epoch ranges
+export const getSessionSchedule = (market, date) => {
+  const definition = getMarket(market);
+  const calendar = getCalendar(market);
+  const special = calendar.specialSessions.get(date);
+  const holiday = calendar.holidays.get(date);
+  const earlyClose = calendar.earlyCloses.get(date);
+
+  const toRange = ({ phase, start, end }) => ({
+    phase,
+    start: localToEpoch(date, start, definition.timeZone),
+    end: localToEpoch(date, end, definition.timeZone),
+    localStart: start,
+    localEnd: end
+  });
+
+  // Special sessions (Muhurat) run even on holidays and weekends
+  if (special) {
+    const phases = [
+      special.preOpen && { phase: 'pre_open', start: special.preOpen, end: special.open },
+      { phase: special.type === 'muhurat' ? 'muhurat' : 'regular', start: special.open, end: special.close },
+      special.postClose && { phase: 'post_close', start: special.close, end: special.postClose }
+    ].filter(Boolean);
+    return {
+      market, date, tradingDay: true, special: { ...special }, holiday: holiday || null, earlyClose: null,
+      phases: phases.map(toRange)
+    };
+  }
+
+  if (holiday) return { market, date, tradingDay: false, holiday, special: null, earlyClose: null, phases: [] };
+  if (isWeekend(date)) return { market, date, tradingDay: false, weekend: true, holiday: null, special: null, earlyClose: null, phases: [] };
+
+  // An early close shortens the regular session and pulls every later phase forward
+  const regular = definition.phases.find(p => p.phase === 'regular');
+  const shift = earlyClose ? toMinutes(earlyClose.close) - toMinutes(regular.end) : 0;
+  const phases = definition.phases.map(p => {
+    if (p.phase === 'regular') return { ...p, end: fromMinutes(toMinutes(p.end) + shift) };
+    if (toMinutes(p.start) >= toMinutes(regular.end)) {
+      return { ...p, start: fromMinutes(toMinutes(p.start) + shift), end: fromMinutes(toMinutes(p.end) + shift) };
+    }
+    return p;
+  });
+
+  return { market, date, tradingDay: true, holiday: null, special: null, earlyClose: earlyClose || null, phases: phases.map(toRange) };
+};
+
+const openPhaseOf = (schedule) => schedule.phases.find(p => OPEN_PHASES.has(p.phase)) || null;
+
+// The phase that trades at exchange prices on one exchange-local date (regular or
+// Muhurat), or null on holidays and weekends
+export const getTradingSession = (market, date) => openPhaseOf(getSessionSchedule(market, date));
+
+// Start of the next open phase strictly after `now`
+export const getNextSession = (market, now = Date.now()) => {
+  const { timeZone } = getMarket(market);
+  const today = localDate(now, timeZone);
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const schedule = getSessionSchedule(market, addDays(today, offset));
+    const open = openPhaseOf(schedule);
+    if (open && open.start > now) {
+      return {
+        date: schedule.date,
+        opensAt: new Date(open.start).toISOString(),
+        closesAt: new Date(open.end).toISOString(),
+        phase: open.phase,
+        name: schedule.special?.name || schedule.earlyClose?.name || null
+      };
+    }
+  }
+  return null;
+};
+
+// Exact phase right now plus what comes next
+export const getMarketPhase = (market, now = Date.now()) => {
+  const definition = getMarket(market);
+  const date = localDate(now, definition.timeZone);
+  const schedule = getSessionSchedule(market, date);
+  const current = schedule.phases.find(p => now >= p.start && now < p.end);
+
+  const phase = current?.phase
+    || (schedule.holiday && !schedule.special ? 'holiday' : schedule.weekend ? 'weekend' : 'closed');
+  const open = OPEN_PHASES.has(phase);
+  const todaysOpen = openPhaseOf(schedule);
+
+  return {
+    market,
+    phase,
+    label: PHASE_LABELS[phase],
+    open,
+    date,
+    timeZone: definition.timeZone,
+    exchanges: definition.exchanges,
+    phaseStartsAt: current ? new Date(current.start).toISOString() : null,
+    phaseEndsAt: current ? new Date(current.end).toISOString() : null,
+    closesAt: open ? new Date(current.end).toISOString() : null,
+    nextSession: open ? null : getNextSession(market, now),
+    tradingHours: todaysOpen ? `${todaysOpen.localStart} - ${todaysOpen.localEnd} ${definition.zoneLabel}` : null,
+    holiday: schedule.holiday ? schedule.holiday.name : null,
+    earlyClose: schedule.earlyClose ? { name: schedule.earlyClose.name, close: schedule.earlyClose.close } : null,
+    specialSession: schedule.special
+      ? { name: schedule.special.name, type: schedule.special.type, tentative: Boolean(schedule.special.tentative) }
+      : null,
+    phases: schedule.phases.map(p => ({ phase: p.phase, start: p.localStart, end: p.localEnd }))
+  };
+};
+
+export const isMarketOpen = (market, now = Date.now()) => getMarketPhase(market, now).open;
+
+// Holidays, special sessions and early closes within [from, to] (exchange-local dates)
+export const getCalendarEvents = (market, { from, to } = {}) => {
+  const { timeZone } = getMarket(market);
+  const start = from || localDate(Date.now(), timeZone);
+  const end = to || addDays(start, 365);
+  if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end)) throw new CalendarError('from and to must be YYYY-MM-DD dates');
+
+  const calendar = getCalendar(market);
+  const inRange = (entry) => entry.date >= start && entry.date <= end;
+  const events = [
+    ...[...calendar.holidays.values()].filter(inRange).map(e => ({ type: 'holiday', ...e })),
+    ...[...calendar.specialSessions.values()].filter(inRange).map(e => ({ ...e, type: e.type || 'special_session' })),
+    ...[...calendar.earlyCloses.values()].filter(inRange).map(e => ({ type: 'early_close', ...e }))
+  ];
+  return { market, from: start, to: end, events: events.sort((a, b) => a.date.localeCompare(b.date)) };
+};
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+export const createCalendarRouter = () => {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      res.json({ data: await fn(req), timestamp: new Date().toISOString() });
+    } catch (error) {
+      const status = error instanceof CalendarError ? error.status : 500;
+      if (status === 500) console.error('Calendar error:', error);
+      res.status(status).json({
+        error: status === 500 ? 'Calendar operation failed' : error.message,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  router.get('/', handle(async (req) => {
+    const markets = req.query.market ? [req.query.market] : Object.keys(MARKETS);
+    return markets.map(market => getCalendarEvents(market, { from: req.query.from, to: req.query.to }));
+  }));
+
+  router.get('/stats', handle(async () => {
+    if (!calendars) loadCalendars();
+    return getCalendarStats();
+  }));
+
+  router.post('/reload', requireAdmin, handle(async () => loadCalendars()));
+
+  // Full phase schedule for one exchange-local date
+  router.get('/:market/:date', handle(async (req) => {
+    if (!DATE_PATTERN.test(req.params.date)) throw new CalendarError('date must be YYYY-MM-DD');
+    const schedule = getSessionSchedule(req.params.market, req.params.date);
+    return {
+      ...schedule,
+      phases: schedule.phases.map(p => ({
+        phase: p.phase,
+        start: p.localStart,
+        end: p.localEnd,
+        startsAt: new Date(p.start).toISOString(),
+        endsAt: new Date(p.end).toISOString()
+      }))
+    };
+  }));
+
+  return router;
+};
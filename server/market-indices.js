@@ -0,0 +1,401 @@
+// server/market-indices.js - Index Levels, Advance/Decline Breadth and Constituents
+
+import express from 'express';
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDataDir } from './json-store.js';
+import { createCache } from './cache-store.js';
+import { requireAdmin } from './auth.js';
+import { isMarketOpen } from './market-calendar.js';
+import { simulateQuote } from './demo-simulator.js';
+import { YAHOO_PROXIES } from './indian-markets-api.js';
+import { callProvider, rankProviders, fetchBatchThroughProviders, QuoteUnavailableError } from './provider-health.js';
+import { consumeQuota, hasQuota } from './provider-quota.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Shipped with the app; operators drop reconstituted indices into DATA_DIR/indices
+const SHIPPED_FILE = path.join(__dirname, 'indices', 'indices.json');
+const getOverrideDir = () => process.env.MARKET_INDICES_DIR || path.join(getDataDir(), 'indices');
+
+const FMP_BASE = 'https://financialmodelingprep.com/api/v3';
+// Breadth quotes every constituent, so it is kept far longer than the index levels
+const getBreadthTTL = () => parseInt(process.env.INDEX_BREADTH_TTL) || 15 * 60 * 1000;
+const MARKETS = ['indian', 'global'];
+
+export class IndexError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'IndexError';
+    this.status = status;
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// =============================================================================
+// INDEX DEFINITIONS
+// =============================================================================
+
+let indices = null; // id -> { id, name, market, exchange, providerSymbol, referenceLevel, constituents, ... }
+let loadedFiles = [];
+
+const readIndexFile = (file) => {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(data.indices)) throw new Error('expected an "indices" list');
+    return data.indices.map(index => {
+      if (!index.id || !index.providerSymbol || !MARKETS.includes(index.market) || !Array.isArray(index.constituents)) {
+        throw new Error(`index ${index.id || '(no id)'} needs id, providerSymbol, market and constituents`);
+      }
+      return { ...index, id: index.id.toUpperCase(), file: path.basename(file) };
+    });
+  } catch (error) {
+    console.error(`⚠️ Skipping index file ${file}: ${error.message}`);
+    return [];
+  }
+};
+
+// Later files win per index id, so an override can replace a shipped index outright
+export const loadIndices = () => {
+  const overrideDir = getOverrideDir();
+  const overrides = fs.existsSync(overrideDir)
+    ? fs.readdirSync(overrideDir).filter(f => f.endsWith('.json')).sort().map(f => path.join(overrideDir, f))
+    : [];
+
+  const next = new Map();
+  const files = [SHIPPED_FILE, ...overrides];
+  files.forEach(file => readIndexFile(file).forEach(index => next.set(index.id, index)));
+
+  indices = next;
+  loadedFiles = files.map(file => path.basename(file));
+  console.log(`📈 Market indices loaded: ${[...next.keys()].join(', ')}`);
+  return getIndicesStats();
+};
+
+const getIndices = () => {
+  if (!indices) loadIndices();
+  return indices;
+};
+
+export const listIndices = (market) => {
+  if (market && !MARKETS.includes(market)) throw new IndexError(`market must be one of: ${MARKETS.join(', ')}`);
+  return [...getIndices().values()].filter(index => !market || index.market === market);
+};
+
+export const getIndex = (id) => {
+  const index = getIndices().get(String(id).toUpperCase());
+  if (!index) throw new IndexError(`Unknown index ${id}; available: ${[...getIndices().keys()].join(', ')}`, 404);
+  return index;
+};
+
+export const getIndicesStats = () => ({
+  files: loadedFiles,
+  indices: [...getIndices().values()].map(index => ({
+    id: index.id,
+    market: index.market,
+    constituents: index.constituents.length,
+    constituentsAsOf: index.constituentsAsOf || null
+  }))
+});
+
+const describeIndex = (index) => ({
+  id: index.id,
+  name: index.name,
+  market: index.market,
+  exchange: index.exchange,
+  constituentCount: index.constituentCount ?? null,
+  constituentsAsOf: index.constituentsAsOf || null
+});
+
+// =============================================================================
+// INDEX LEVELS
+// =============================================================================
+
+// Same shape from every provider; `symbol` is the index id so the quote cache,
+// recorder and replay key on it like on any quote
+const toIndexLevel = (index, { level, previousClose, high, low, open }, source) => {
+  const change = level - previousClose;
+  return {
+    symbol: index.id,
+    name: index.name,
+    level: round(level),
+    change: round(change),
+    changePercent: round((change / previousClose) * 100),
+    high: round(high || level),
+    low: round(low || level),
+    open: open ? round(open) : null,
+    previousClose: round(previousClose),
+    currency: index.market === 'indian' ? 'INR' : 'USD',
+    marketOpen: isMarketOpen(index.market),
+    timestamp: new Date().toISOString(),
+    source
+  };
+};
+
+// FMP quotes indices by their caret symbols, several per call
+const fetchFMPIndexBatch = async (ids) => {
+  const byProviderSymbol = new Map(ids.map(id => [getIndex(id).providerSymbol, id]));
+
+  consumeQuota('Financial Modeling Prep');
+  const response = await axios.get(`${FMP_BASE}/quote/${[...byProviderSymbol.keys()].map(encodeURIComponent).join(',')}`, {
+    params: { apikey: process.env.FMP_API_KEY },
+    timeout: 10000
+  });
+  if (!Array.isArray(response.data)) {
+    throw new Error(response.data?.['Error Message'] || 'Unexpected FMP index response');
+  }
+
+  const levels = new Map();
+  response.data.forEach(data => {
+    const id = byProviderSymbol.get(data.symbol);
+    if (!id || !data.price) return;
+    levels.set(id, toIndexLevel(getIndex(id), {
+      level: data.price,
+      previousClose: data.previousClose || data.price,
+      high: data.dayHigh,
+      low: data.dayLow,
+      open: data.open
+    }, 'Financial_Modeling_Prep'));
+  });
+  return levels;
+};
+
+const fetchYahooIndex = async (id) => {
+  const index = getIndex(id);
+
+  for (const proxy of YAHOO_PROXIES) {
+    try {
+      const url = `${proxy}https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(index.providerSymbol)}`;
+      const response = await axios.get(url, {
+        timeout: 8000,
+        headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
+      });
+
+      const meta = response.data.chart?.result?.[0]?.meta;
+      if (!meta?.regularMarketPrice) throw new Error('No data in response');
+
+      return toIndexLevel(index, {
+        level: meta.regularMarketPrice,
+        previousClose: meta.chartPreviousClose || meta.previousClose || meta.regularMarketPrice,
+        high: meta.regularMarketDayHigh,
+        low: meta.regularMarketDayLow
+      }, 'Yahoo_Finance_Proxy');
+    } catch (error) {
+      console.log(`Yahoo proxy ${proxy} failed for ${index.providerSymbol}: ${error.message}`);
+    }
+  }
+  throw new Error('All Yahoo Finance proxies failed');
+};
+
+const INDEX_BATCH_PROVIDERS = [
+  {
+    name: 'Financial Modeling Prep',
+    fetchBatch: fetchFMPIndexBatch,
+    batchSize: () => 50,
+    priority: 1,
+    enabled: () => Boolean(process.env.FMP_API_KEY && process.env.FMP_API_KEY !== 'demo')
+  }
+];
+
+const INDEX_PROVIDERS = [
+  { name: 'Yahoo Finance (Proxy)', fetch: fetchYahooIndex, priority: 1 }
+];
+
+const fetchIndexLevel = async (id) => {
+  const reasons = [];
+  for (const provider of rankProviders(INDEX_PROVIDERS)) {
+    try {
+      return await callProvider(provider.name, () => provider.fetch(id));
+    } catch (error) {
+      reasons.push(`${provider.name}: ${error.message}`);
+    }
+  }
+  throw new QuoteUnavailableError(id, reasons.length > 0 ? reasons : ['every index provider is cooling down']);
+};
+
+// Same contract as the stock fetchers: levels in order, an Error for an index no provider priced
+export const fetchIndexLevels = async (ids) => {
+  const batchProviders = INDEX_BATCH_PROVIDERS.filter(p => p.enabled() && hasQuota(p.name));
+  const { quotes, missing } = await fetchBatchThroughProviders(batchProviders, ids);
+
+  const singles = await Promise.allSettled(missing.map(fetchIndexLevel));
+  missing.forEach((id, i) => quotes.set(id, singles[i].status === 'fulfilled' ? singles[i].value : singles[i].reason));
+  return ids.map(id => quotes.get(id));
+};
+
+// Demo mode: seeded levels around each index's referenceLevel
+export const simulateIndexLevels = (ids) => ids.map(id => {
+  const index = getIndex(id);
+  const quote = simulateQuote(index.id, index.market, undefined, { referencePrice: index.referenceLevel });
+  return {
+    ...toIndexLevel(index, { level: quote.price, previousClose: quote.previousClose, high: quote.high, low: quote.low }, quote.source),
+    mock: true,
+    demo: true
+  };
+});
+
+// =============================================================================
+// BREADTH
+// =============================================================================
+
+// Counts over the listed constituents that have a quote. For the US indices only
+// the largest members are listed, so `complete` is false there.
+const summarizeBreadth = (index, quotes) => {
+  const priced = quotes.filter(Boolean);
+  const advances = priced.filter(q => q.change > 0).length;
+  const declines = priced.filter(q => q.change < 0).length;
+
+  return {
+    advances,
+    declines,
+    unchanged: priced.length - advances - declines,
+    priced: priced.length,
+    listed: index.constituents.length,
+    complete: index.constituents.length === index.constituentCount && priced.length === index.constituents.length,
+    advanceDeclineRatio: declines > 0 ? round(advances / declines) : null,
+    asOf: new Date().toISOString()
+  };
+};
+
+// index id -> summarizeBreadth() result
+const breadthCache = createCache('index-breadth', { ttl: getBreadthTTL });
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+// fetchLevels(ids) resolves like a quote loader's getMany ({ quotes, errors });
+// fetchQuotes(entries) resolves to stock quotes (or null) in entry order
+export const createIndicesRouter = ({ fetchLevels, fetchQuotes }) => {
+  const router = express.Router();
+
+  const fail = (res, error, fallbackMessage) => {
+    const status = error.status || 500;
+    if (status === 500) console.error('Indices error:', error);
+    res.status(status).json({
+      error: status === 500 ? fallbackMessage : error.message,
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  // Constituent quotes for several indices in one pass through the quote loaders
+  const fetchConstituents = async (selected) => {
+    const entries = selected.flatMap(index => index.constituents.map(symbol => ({ symbol, market: index.market })));
+    const quotes = await fetchQuotes(entries);
+
+    let offset = 0;
+    return selected.map(index => {
+      const slice = quotes.slice(offset, offset + index.constituents.length);
+      offset += index.constituents.length;
+      return slice;
+    });
+  };
+
+  // Cached breadth, quoting constituents only for indices whose summary has expired
+  const getBreadth = async (selected) => {
+    const cached = await Promise.all(selected.map(index => breadthCache.get(index.id)));
+    const missing = selected.filter((index, i) => !cached[i]);
+    if (missing.length === 0) return cached;
+
+    const constituents = await fetchConstituents(missing);
+    const fresh = new Map(missing.map((index, i) => [index.id, summarizeBreadth(index, constituents[i])]));
+    await Promise.all([...fresh].map(([id, breadth]) => breadthCache.set(id, breadth)));
+    return selected.map((index, i) => cached[i] || fresh.get(index.id));
+  };
+
+  // ?market=indian|global. Levels only unless ?breadth=true, which needs a session
+  // and is served from a cache of INDEX_BREADTH_TTL.
+  router.get('/', async (req, res) => {
+    try {
+      const selected = listIndices(req.query.market);
+      const withBreadth = Boolean(req.user) && req.query.breadth === 'true';
+
+      const [levels, breadth] = await Promise.all([
+        fetchLevels(selected.map(index => index.id)),
+        withBreadth ? getBreadth(selected) : null
+      ]);
+
+      const data = selected
+        .map((index, i) => levels.quotes[i] && {
+          ...describeIndex(index),
+          ...levels.quotes[i],
+          ...(withBreadth && { breadth: breadth[i] })
+        })
+        .filter(Boolean);
+
+      res.json({
+        summary: {
+          total: data.length,
+          market: req.query.market || 'all',
+          errors: levels.errors.length,
+          mockData: data.filter(index => index.mock).length,
+          staleLevels: data.filter(index => index.stale).length,
+          timestamp: Date.now()
+        },
+        data,
+        errors: levels.errors.map(({ symbol, error }) => ({ index: symbol, error }))
+      });
+    } catch (error) {
+      fail(res, error, 'Failed to fetch market indices');
+    }
+  });
+
+  router.get('/stats', (req, res) => {
+    res.json({ data: getIndicesStats(), timestamp: new Date().toISOString() });
+  });
+
+  router.post('/reload', requireAdmin, (req, res) => {
+    try {
+      res.json({ data: loadIndices(), timestamp: new Date().toISOString() });
+    } catch (error) {
+      fail(res, error, 'Failed to reload market indices');
+    }
+  });
+
+  // Level, breadth and every listed constituent's quote; ?sort=change orders by move
+  router.get('/:id', async (req, res) => {
+    try {
+      const index = getIndex(req.params.id);
+      const [levels, [quotes]] = await Promise.all([fetchLevels([index.id]), fetchConstituents([index])]);
+      const breadth = summarizeBreadth(index, quotes);
+      await breadthCache.set(index.id, breadth);
+
+      const level = levels.quotes[0];
+      if (!level) throw new IndexError(levels.errors[0]?.error || `No level for ${index.id}`, 503);
+
+      const constituents = index.constituents
+        .map((symbol, i) => quotes[i] && {
+          symbol,
+          name: quotes[i].name,
+          price: quotes[i].price,
+          change: quotes[i].change,
+          changePercent: quotes[i].changePercent,
+          volume: quotes[i].volume,
+          marketCap: quotes[i].marketCap,
+          sector: quotes[i].sector,
+          stale: quotes[i].stale,
+          mock: quotes[i].mock
+        })
+        .filter(Boolean);
+      if (req.query.sort === 'change') constituents.sort((a, b) => b.changePercent - a.changePercent);
+
+      res.json({
+        ...describeIndex(index),
+        ...level,
+        breadth,
+        constituents,
+        errors: index.constituents
+          .filter((symbol, i) => !quotes[i])
+          .map(symbol => ({ symbol, error: 'No quote available' }))
+      });
+    } catch (error) {
+      fail(res, error, 'Failed to fetch index');
+    }
+  });
+
+  return router;
+};
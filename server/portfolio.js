@@ -0,0 +1,286 @@
+// server/portfolio.js - Per-User Holdings with Cost Basis and Live P&L
+
+import express from 'express';
+import crypto from 'crypto';
+import { createJsonStore } from './json-store.js';
+import { resolveUserId } from './watchlists.js';
+import { sessionDate } from './history-api.js';
+import { validateCurrency, getConversion, describeConversion, FxError } from './fx-rates.js';
+
+const store = createJsonStore('portfolio', { users: {} });
+
+const MAX_HOLDINGS_PER_USER = 500;
+const MAX_BROKER_LENGTH = 40;
+
+const MARKET_TIME_ZONES = { INR: 'Asia/Kolkata', USD: 'America/New_York' };
+
+export class PortfolioError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PortfolioError';
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const toPositiveNumber = (value, field) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) throw new PortfolioError(`${field} must be a positive number`);
+  return number;
+};
+
+// YYYY-MM-DD, not in the future; judged in IST, which is ahead of New York
+const toBuyDate = (value) => {
+  const date = String(value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+    throw new PortfolioError('buyDate must be a date in YYYY-MM-DD format');
+  }
+  if (date > sessionDate(Date.now(), MARKET_TIME_ZONES.INR)) throw new PortfolioError('buyDate cannot be in the future');
+  return date;
+};
+
+const toBroker = (value) => {
+  const broker = String(value || '').trim();
+  if (broker.length > MAX_BROKER_LENGTH) {
+    throw new PortfolioError(`broker must be ${MAX_BROKER_LENGTH} characters or fewer`);
+  }
+  return broker || null;
+};
+
+// Full validation for a new lot; `partial` checks only the fields present (PATCH)
+const validateHolding = (input, { partial = false } = {}) => {
+  const clean = {};
+  const has = (field) => !partial || input[field] !== undefined;
+
+  if (!partial) {
+    const symbol = String(input.symbol || '').trim().toUpperCase();
+    if (!/^[A-Z0-9&.\-]{1,20}$/.test(symbol)) throw new PortfolioError(`Invalid symbol: ${input.symbol}`);
+    clean.symbol = symbol;
+    clean.market = input.market === 'indian' || input.market === 'global' ? input.market : undefined;
+  }
+
+  if (has('quantity')) clean.quantity = toPositiveNumber(input.quantity, 'quantity');
+  if (has('averagePrice')) clean.averagePrice = toPositiveNumber(input.averagePrice, 'averagePrice');
+  if (has('buyDate')) clean.buyDate = toBuyDate(input.buyDate);
+  if (has('broker')) clean.broker = toBroker(input.broker);
+
+  return clean;
+};
+
+// =============================================================================
+// HOLDING OPERATIONS
+// =============================================================================
+
+const getUserHoldings = (state, userId) => {
+  if (!state.users[userId]) state.users[userId] = [];
+  return state.users[userId];
+};
+
+const findHolding = (holdings, holdingId) => {
+  const holding = holdings.find(h => h.id === holdingId);
+  if (!holding) throw new PortfolioError(`Holding ${holdingId} not found`, 404);
+  return holding;
+};
+
+export const getHoldings = (userId) => store.get().users[userId] || [];
+
+// Each call records one lot; buying the same stock twice keeps both cost bases
+export const addHolding = (userId, input) => store.update(state => {
+  const holdings = getUserHoldings(state, userId);
+  if (holdings.length >= MAX_HOLDINGS_PER_USER) {
+    throw new PortfolioError(`A maximum of ${MAX_HOLDINGS_PER_USER} holdings is allowed`);
+  }
+
+  const now = new Date().toISOString();
+  const holding = { id: crypto.randomUUID(), ...validateHolding(input), createdAt: now, updatedAt: now };
+  holdings.push(holding);
+  return holding;
+});
+
+export const updateHolding = (userId, holdingId, input) => store.update(state => {
+  const holding = findHolding(getUserHoldings(state, userId), holdingId);
+  Object.assign(holding, validateHolding(input, { partial: true }), { updatedAt: new Date().toISOString() });
+  return holding;
+});
+
+export const deleteHolding = (userId, holdingId) => store.update(state => {
+  const holdings = getUserHoldings(state, userId);
+  const holding = findHolding(holdings, holdingId);
+  holdings.splice(holdings.indexOf(holding), 1);
+  return holding;
+});
+
+// =============================================================================
+// VALUATION
+// =============================================================================
+
+// A lot bought today has no previous close to compare with, so its day change
+// runs from the buy price instead
+const valueHolding = (holding, quote) => {
+  const costBasis = holding.quantity * holding.averagePrice;
+  if (!quote) return { ...holding, costBasis: round(costBasis), quote: null };
+
+  const currency = quote.currency || (holding.market === 'global' ? 'USD' : 'INR');
+  const marketValue = holding.quantity * quote.price;
+  const boughtToday = holding.buyDate === sessionDate(Date.now(), MARKET_TIME_ZONES[currency] || 'UTC');
+  const dayChange = boughtToday
+    ? marketValue - costBasis
+    : holding.quantity * (quote.change || 0);
+  const openingValue = marketValue - dayChange;
+
+  return {
+    ...holding,
+    name: quote.name || holding.symbol,
+    market: holding.market || (quote.currency === 'INR' ? 'indian' : 'global'),
+    sector: quote.sector || 'Unknown',
+    currency,
+    price: quote.price,
+    costBasis: round(costBasis),
+    marketValue: round(marketValue),
+    dayChange: round(dayChange),
+    dayChangePercent: openingValue ? round((dayChange / openingValue) * 100) : 0,
+    unrealizedPnL: round(marketValue - costBasis),
+    unrealizedPnLPercent: round(((marketValue - costBasis) / costBasis) * 100),
+    mock: Boolean(quote.mock),
+    quote
+  };
+};
+
+// Weight of each group (sector, market, symbol) in its currency's market value
+const allocate = (holdings, keyOf, total) => {
+  const groups = new Map();
+  holdings.forEach(h => groups.set(keyOf(h), (groups.get(keyOf(h)) || 0) + h.marketValue));
+  return [...groups.entries()]
+    .map(([key, value]) => ({ key, value: round(value), weight: total ? round((value / total) * 100) : 0 }))
+    .sort((a, b) => b.value - a.value);
+};
+
+// INR and USD holdings are totalled separately; a converted `total` is added by getPortfolio
+export const summarizeHoldings = (valued) => {
+  const priced = valued.filter(h => h.quote);
+  const currencies = [...new Set(priced.map(h => h.currency))];
+
+  const byCurrency = Object.fromEntries(currencies.map(currency => {
+    const inCurrency = priced.filter(h => h.currency === currency);
+    const sum = (field) => inCurrency.reduce((acc, h) => acc + h[field], 0);
+    const marketValue = sum('marketValue');
+    const costBasis = sum('costBasis');
+    const dayChange = sum('dayChange');
+
+    return [currency, {
+      holdings: inCurrency.length,
+      marketValue: round(marketValue),
+      costBasis: round(costBasis),
+      dayChange: round(dayChange),
+      dayChangePercent: marketValue - dayChange ? round((dayChange / (marketValue - dayChange)) * 100) : 0,
+      unrealizedPnL: round(marketValue - costBasis),
+      unrealizedPnLPercent: costBasis ? round(((marketValue - costBasis) / costBasis) * 100) : 0,
+      allocation: {
+        bySector: allocate(inCurrency, h => h.sector, marketValue),
+        byMarket: allocate(inCurrency, h => h.market, marketValue),
+        bySymbol: allocate(inCurrency, h => h.symbol, marketValue)
+      }
+    }];
+  }));
+
+  return {
+    holdings: valued.length,
+    symbols: new Set(valued.map(h => h.symbol)).size,
+    unpriced: valued.filter(h => !h.quote).map(h => h.symbol),
+    mockPrices: priced.some(h => h.mock),
+    byCurrency
+  };
+};
+
+const HOLDING_MONEY_FIELDS = ['averagePrice', 'price', 'costBasis', 'marketValue', 'dayChange', 'unrealizedPnL'];
+
+// Cost basis is converted at today's rate as well, so P&L reflects price moves only
+const convertHolding = (holding, conversion) => {
+  if (!holding.quote || holding.currency === conversion.to) return holding;
+
+  const rate = holding.currency === conversion.from ? conversion.rate : 1 / conversion.rate;
+  const converted = { ...holding, currency: conversion.to, originalCurrency: holding.currency };
+  HOLDING_MONEY_FIELDS.forEach(field => { converted[field] = round(holding[field] * rate); });
+  return converted;
+};
+
+export const getPortfolio = async (userId, fetchQuotes, { currency } = {}) => {
+  const holdings = getHoldings(userId);
+
+  // One quote per symbol even when it is held in several lots, fetched as one batch per market
+  const keys = [...new Set(holdings.map(h => `${h.symbol}|${h.market || ''}`))];
+  const quotes = new Map();
+  try {
+    const fetched = await fetchQuotes(keys.map(key => {
+      const [symbol, market] = key.split('|');
+      return { symbol, market: market || undefined };
+    }));
+    keys.forEach((key, i) => quotes.set(key, fetched[i]));
+  } catch (error) {
+    console.error('Portfolio quotes failed:', error.message);
+  }
+
+  const valued = holdings.map(h => valueHolding(h, quotes.get(`${h.symbol}|${h.market || ''}`)));
+  const summary = summarizeHoldings(valued);
+  if (!currency) return { holdings: valued, summary };
+
+  const foreign = valued.find(h => h.quote && h.currency !== currency);
+  const conversion = foreign ? await getConversion(foreign.currency, currency) : null;
+  const converted = conversion ? valued.map(h => convertHolding(h, conversion)) : valued;
+
+  return {
+    holdings: converted,
+    summary: {
+      ...summary,
+      total: { currency, ...summarizeHoldings(converted).byCurrency[currency] },
+      fx: conversion ? describeConversion(conversion) : null
+    }
+  };
+};
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+// fetchQuotes([{ symbol, market }]) is injected by server.js, as for watchlists
+export const createPortfolioRouter = ({ fetchQuotes }) => {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      const userId = resolveUserId(req);
+      const result = await fn(userId, req);
+      res.json({ data: result, timestamp: new Date().toISOString() });
+    } catch (error) {
+      const status = error instanceof PortfolioError || error instanceof FxError ? error.status : 500;
+      if (status === 500) console.error('Portfolio error:', error);
+      res.status(status).json({
+        error: status === 500 ? 'Portfolio operation failed' : error.message,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  // ?currency=INR|USD adds summary.total with every holding converted to that currency
+  router.get('/', handle(async (userId, req) =>
+    getPortfolio(userId, fetchQuotes, { currency: validateCurrency(req.query.currency) })));
+
+  router.get('/summary', handle(async (userId, req) =>
+    (await getPortfolio(userId, fetchQuotes, { currency: validateCurrency(req.query.currency) })).summary));
+
+  router.get('/holdings', handle(async (userId) => getHoldings(userId)));
+
+  router.post('/holdings', handle(async (userId, req) => addHolding(userId, req.body || {})));
+
+  router.patch('/holdings/:id', handle(async (userId, req) => updateHolding(userId, req.params.id, req.body || {})));
+
+  router.delete('/holdings/:id', handle(async (userId, req) => deleteHolding(userId, req.params.id)));
+
+  return router;
+};
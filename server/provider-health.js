@@ -0,0 +1,233 @@
+// server/provider-health.js - Per-Provider Circuit Breakers and Latency Tracking
+
+// Thresholds are read per call so values from server/.env are picked up after dotenv runs
+const getFailureThreshold = () => parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 3;
+const getBaseCooldown = () => parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT) || 60 * 1000;
+// Failures further apart than this do not add up to an open circuit
+const getResetWindow = () => parseInt(process.env.CIRCUIT_BREAKER_RESET) || 5 * 60 * 1000;
+const MAX_COOLDOWN = 15 * 60 * 1000;
+
+// Weight of the newest sample in the moving latency average
+const LATENCY_SMOOTHING = 0.3;
+
+// Latencies closer than this are treated as equal and priority decides
+const LATENCY_TOLERANCE_MS = 250;
+
+export class ProviderUnavailableError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} circuit is open until ${new Date(retryAt).toISOString()}`);
+    this.name = 'ProviderUnavailableError';
+    this.provider = name;
+    this.retryAt = retryAt;
+  }
+}
+
+// Every provider failed or was skipped for a symbol; `reasons` lists why
+export class QuoteUnavailableError extends Error {
+  constructor(symbol, reasons = []) {
+    super(`No live quote for ${symbol}: ${reasons.join('; ') || 'no providers available'}`);
+    this.name = 'QuoteUnavailableError';
+    this.symbol = symbol;
+    this.status = 503;
+  }
+}
+
+// =============================================================================
+// BREAKER STATE
+// =============================================================================
+
+// closed: calls flow. open: calls are skipped until the cooldown ends.
+// half_open: one trial call decides whether to close again or re-open for longer.
+const breakers = new Map();
+
+const getBreaker = (name) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, {
+      name,
+      state: 'closed',
+      consecutiveFailures: 0,
+      successes: 0,
+      failures: 0,
+      skipped: 0,
+      latencyMs: null,
+      cooldownMs: getBaseCooldown(),
+      openedAt: null,
+      retryAt: null,
+      trialInFlight: false,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null
+    });
+  }
+  return breakers.get(name);
+};
+
+const open = (breaker, now) => {
+  breaker.state = 'open';
+  breaker.openedAt = now;
+  breaker.retryAt = now + breaker.cooldownMs;
+  console.log(`🔌 ${breaker.name} circuit opened for ${Math.round(breaker.cooldownMs / 1000)}s: ${breaker.lastError}`);
+};
+
+// Whether a call may go through now; moves an expired open breaker to half_open
+const admit = (breaker, now) => {
+  if (breaker.state === 'closed') return true;
+  if (breaker.state === 'open' && now < breaker.retryAt) return false;
+  if (breaker.state === 'open') breaker.state = 'half_open';
+
+  // Only one trial at a time while half open
+  if (breaker.trialInFlight) return false;
+  breaker.trialInFlight = true;
+  return true;
+};
+
+const recordSuccess = (breaker, latency) => {
+  if (breaker.state !== 'closed') console.log(`🔌 ${breaker.name} circuit closed after a successful trial`);
+  breaker.state = 'closed';
+  breaker.trialInFlight = false;
+  breaker.consecutiveFailures = 0;
+  breaker.cooldownMs = getBaseCooldown();
+  breaker.retryAt = null;
+  breaker.successes += 1;
+  breaker.lastSuccessAt = Date.now();
+  breaker.latencyMs = breaker.latencyMs === null
+    ? latency
+    : Math.round(LATENCY_SMOOTHING * latency + (1 - LATENCY_SMOOTHING) * breaker.latencyMs);
+};
+
+const recordFailure = (breaker, error) => {
+  const now = Date.now();
+  const wasTrial = breaker.state === 'half_open';
+  if (breaker.lastFailureAt && now - breaker.lastFailureAt > getResetWindow()) breaker.consecutiveFailures = 0;
+  breaker.trialInFlight = false;
+  breaker.consecutiveFailures += 1;
+  breaker.failures += 1;
+  breaker.lastError = error.message;
+  breaker.lastFailureAt = now;
+
+  // A failed trial backs off twice as long as the last cooldown
+  if (wasTrial) {
+    breaker.cooldownMs = Math.min(breaker.cooldownMs * 2, MAX_COOLDOWN);
+    open(breaker, now);
+  } else if (breaker.state === 'closed' && breaker.consecutiveFailures >= getFailureThreshold()) {
+    open(breaker, now);
+  }
+};
+
+// =============================================================================
+// CALLS & ROUTING
+// =============================================================================
+
+export const isProviderAvailable = (name, now = Date.now()) => {
+  const breaker = getBreaker(name);
+  if (breaker.state === 'closed') return true;
+  if (breaker.state === 'open') return now >= breaker.retryAt;
+  return !breaker.trialInFlight;
+};
+
+// Runs fn() through the named provider's breaker, timing it
+export const callProvider = async (name, fn) => {
+  const breaker = getBreaker(name);
+  if (!admit(breaker, Date.now())) {
+    breaker.skipped += 1;
+    throw new ProviderUnavailableError(name, breaker.retryAt || Date.now());
+  }
+
+  const started = Date.now();
+  try {
+    const result = await fn();
+    recordSuccess(breaker, Date.now() - started);
+    return result;
+  } catch (error) {
+    // Running out of our own daily budget says nothing about the provider's health
+    if (error.name === 'QuotaExceededError') {
+      breaker.trialInFlight = false;
+    } else {
+      recordFailure(breaker, error);
+    }
+    throw error;
+  }
+};
+
+// Available providers, fastest first. Providers with no latency sample yet keep
+// their priority slot so they get measured; near-equal latencies fall back to priority.
+export const rankProviders = (providers) => {
+  const now = Date.now();
+  return providers
+    .filter(p => isProviderAvailable(p.name, now))
+    .sort((a, b) => {
+      const latencyA = getBreaker(a.name).latencyMs;
+      const latencyB = getBreaker(b.name).latencyMs;
+      if (latencyA === null || latencyB === null || Math.abs(latencyA - latencyB) < LATENCY_TOLERANCE_MS) {
+        return a.priority - b.priority;
+      }
+      return latencyA - latencyB;
+    });
+};
+
+// Walks batch-capable providers ({ name, fetchBatch, batchSize }) in routing
+// order until every symbol has a quote. A provider that answers without some
+// symbols is not asked about them again; they go to the next provider.
+export const fetchBatchThroughProviders = async (providers, symbols) => {
+  const quotes = new Map();
+  const answered = [];
+  let missing = [...new Set(symbols)];
+
+  for (const provider of rankProviders(providers)) {
+    if (missing.length === 0) break;
+
+    const size = provider.batchSize();
+    const chunks = [];
+    for (let i = 0; i < missing.length; i += size) chunks.push(missing.slice(i, i + size));
+
+    let answeredAll = true;
+    for (const chunk of chunks) {
+      try {
+        const batch = await callProvider(provider.name, () => provider.fetchBatch(chunk));
+        batch.forEach((quote, symbol) => quotes.set(symbol, quote));
+      } catch (error) {
+        answeredAll = false;
+        console.log(`❌ ${provider.name} batch of ${chunk.length} failed: ${error.message}`);
+      }
+    }
+
+    if (answeredAll) answered.push(provider.name);
+    const before = missing.length;
+    missing = missing.filter(symbol => !quotes.has(symbol));
+    console.log(`📦 ${provider.name} batch returned ${before - missing.length}/${before} symbols in ${chunks.length} call(s)`);
+  }
+
+  return { quotes, missing, answered };
+};
+
+// =============================================================================
+// STATUS
+// =============================================================================
+
+const describeBreaker = (breaker) => {
+  const calls = breaker.successes + breaker.failures;
+  return {
+    name: breaker.name,
+    state: breaker.state,
+    healthy: breaker.state === 'closed',
+    consecutiveFailures: breaker.consecutiveFailures,
+    successes: breaker.successes,
+    failures: breaker.failures,
+    skipped: breaker.skipped,
+    successRate: calls ? Math.round((breaker.successes / calls) * 1000) / 10 : null,
+    latencyMs: breaker.latencyMs,
+    retryAt: breaker.retryAt ? new Date(breaker.retryAt).toISOString() : null,
+    lastError: breaker.lastError,
+    lastFailureAt: breaker.lastFailureAt ? new Date(breaker.lastFailureAt).toISOString() : null,
+    lastSuccessAt: breaker.lastSuccessAt ? new Date(breaker.lastSuccessAt).toISOString() : null
+  };
+};
+
+export const getProviderHealth = (name) => describeBreaker(getBreaker(name));
+
+export const getAllProviderHealth = () => ({
+  failureThreshold: getFailureThreshold(),
+  baseCooldownMs: getBaseCooldown(),
+  resetWindowMs: getResetWindow(),
+  providers: [...breakers.values()].map(describeBreaker)
+});
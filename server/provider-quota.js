@@ -0,0 +1,113 @@
+// server/provider-quota.js - Persisted Daily Request Ledger for Rate-Limited Data Providers
+
+import { createJsonStore } from './json-store.js';
+import { localDate } from './market-calendar.js';
+
+// usage: { [provider]: { [YYYY-MM-DD]: requests } } survives restarts
+const store = createJsonStore('provider-quota', { usage: {} });
+
+const KEEP_DAYS = 7;
+
+// Free-tier daily allowances; each can be raised for paid plans
+const PROVIDER_QUOTAS = {
+  'Financial Modeling Prep': { limitEnv: 'FMP_DAILY_LIMIT', defaultLimit: 250 },
+  'Twelve Data': { limitEnv: 'TWELVE_DATA_DAILY_LIMIT', defaultLimit: 800 },
+  'Alpha Vantage': { limitEnv: 'ALPHA_VANTAGE_DAILY_LIMIT', defaultLimit: 500 }
+};
+
+// Providers count their day in UTC; QUOTA_DAY_TIMEZONE=IST follows Indian midnight instead
+const DAY_TIME_ZONES = { UTC: 'UTC', IST: 'Asia/Kolkata' };
+
+const getDayTimeZone = () => DAY_TIME_ZONES[String(process.env.QUOTA_DAY_TIMEZONE || 'UTC').toUpperCase()] || 'UTC';
+
+// Requests held back from the cap for calls already in flight
+const getReserve = () => {
+  const reserve = parseInt(process.env.QUOTA_RESERVE);
+  return Number.isFinite(reserve) && reserve >= 0 ? reserve : 5;
+};
+
+const getLimit = (name) => {
+  const quota = PROVIDER_QUOTAS[name];
+  return parseInt(process.env[quota.limitEnv]) || quota.defaultLimit;
+};
+
+export class QuotaExceededError extends Error {
+  constructor(name, limit) {
+    super(`${name} daily quota of ${limit} requests is used up`);
+    this.name = 'QuotaExceededError';
+    this.provider = name;
+  }
+}
+
+// =============================================================================
+// LEDGER
+// =============================================================================
+
+const today = () => localDate(Date.now(), getDayTimeZone());
+
+const usedToday = (name) => store.get().usage[name]?.[today()] || 0;
+
+// Routing stops this many requests short of the provider's own cap
+export const hasQuota = (name, count = 1) => {
+  if (!PROVIDER_QUOTAS[name]) return true;
+  return usedToday(name) + count <= getLimit(name) - getReserve();
+};
+
+// Records outbound requests; call it right before the HTTP request goes out.
+// `count` is for providers that bill a batch per symbol (Twelve Data credits).
+export const consumeQuota = (name, count = 1) => {
+  if (!PROVIDER_QUOTAS[name]) return;
+  if (!hasQuota(name, count)) throw new QuotaExceededError(name, getLimit(name));
+
+  const day = today();
+  store.update(state => {
+    const days = state.usage[name] || (state.usage[name] = {});
+    days[day] = (days[day] || 0) + count;
+
+    // Only the last week is kept
+    Object.keys(days).sort().slice(0, -KEEP_DAYS).forEach(old => { delete days[old]; });
+  });
+
+  const used = usedToday(name);
+  if (!hasQuota(name)) {
+    console.log(`🧮 ${name} reached its daily budget (${used}/${getLimit(name)}), routing elsewhere until tomorrow`);
+  }
+};
+
+// =============================================================================
+// STATUS
+// =============================================================================
+
+// Start of the next ledger day; both midnights fall on a quarter hour
+const nextReset = () => {
+  const timeZone = getDayTimeZone();
+  const now = Date.now();
+  let probe = now - (now % (15 * 60 * 1000));
+  const current = localDate(now, timeZone);
+  while (localDate(probe, timeZone) === current) probe += 15 * 60 * 1000;
+  return new Date(probe).toISOString();
+};
+
+export const getProviderQuota = (name) => {
+  if (!PROVIDER_QUOTAS[name]) return null;
+  const limit = getLimit(name);
+  const used = usedToday(name);
+  return {
+    day: today(),
+    limit,
+    used,
+    remaining: Math.max(limit - used, 0),
+    reserve: getReserve(),
+    exhausted: !hasQuota(name),
+    resetsAt: nextReset()
+  };
+};
+
+export const getQuotaStatus = () => ({
+  dayTimeZone: getDayTimeZone(),
+  reserve: getReserve(),
+  providers: Object.fromEntries(Object.keys(PROVIDER_QUOTAS).map(name => [name, {
+    ...getProviderQuota(name),
+    history: store.get().usage[name] || {}
+  }]))
+});
@@ -0,0 +1,158 @@
+// server/quote-cache.js - Per-Symbol Quote Cache with Single-Flight Upstream Fetches
+
+import { createCache } from './cache-store.js';
+
+// Quotes younger than this are fresh; older ones are served stale while a refresh runs
+const getQuoteTTL = () => parseInt(process.env.QUOTE_CACHE_TTL) || 60 * 1000;
+// The last quote is kept this long (a weekend plus a holiday) to serve while providers are down
+const getMaxStaleAge = () => parseInt(process.env.QUOTE_MAX_STALE_AGE) || 72 * 60 * 60 * 1000;
+
+// =============================================================================
+// QUOTE LOADER
+// =============================================================================
+
+// One loader per market. fetchMany(symbols) resolves to quotes in the same order,
+// with an Error in place of a symbol that could not be priced.
+// Routes, watchlists, alerts and streams all read through the same loader, so a
+// symbol is fetched once per TTL however many callers (or `limit` values) want it,
+// and callers arriving while it is being fetched wait on that fetch. Quotes live in
+// the shared cache (`<name>-quotes` namespace); in-flight fetches are per process.
+//
+// Past the TTL the cached quote is returned at once, marked stale, and refreshed in
+// the background. A refresh that fails (every provider failed) does not replace the
+// last quote; it keeps being served as stale.
+export const createQuoteLoader = (name, fetchMany) => {
+  const cache = createCache(`${name}-quotes`, { ttl: getMaxStaleAge });
+  const inFlight = new Map();  // symbol -> Promise<{ quote, fetchedAt, checkedAt, failed } | { error }>
+  const counters = { coalesced: 0, upstreamCalls: 0, servedStale: 0, revalidations: 0, keptLastQuote: 0 };
+
+  // `previous` holds the cached entries being revalidated, kept if the refresh fails
+  const startFetch = (symbols, previous = new Map()) => {
+    counters.upstreamCalls += 1;
+    const batch = fetchMany(symbols);
+
+    symbols.forEach((symbol, i) => {
+      const prior = previous.get(symbol);
+
+      // Failures never reject: callers get { error } and report it per symbol
+      const fail = async (error) => {
+        if (!prior) return { error };
+
+        // The kept quote expires when it would have anyway, however often it is revalidated
+        const remaining = getMaxStaleAge() - (Date.now() - prior.fetchedAt);
+        if (remaining <= 0) {
+          await cache.delete(symbol);
+          return { error };
+        }
+
+        counters.keptLastQuote += 1;
+        console.log(`🕰️ Keeping last ${name} quote for ${symbol} (${error.message})`);
+        const entry = { ...prior, checkedAt: Date.now(), failed: true };
+        await cache.set(symbol, entry, remaining);
+        return entry;
+      };
+
+      const promise = batch
+        .then(async (quotes) => {
+          const quote = quotes[i];
+          if (quote instanceof Error) return fail(quote);
+          if (!quote) return fail(new Error(`No quote returned for ${symbol}`));
+
+          const now = Date.now();
+          const entry = { quote, fetchedAt: now, checkedAt: now, failed: false };
+          await cache.set(symbol, entry);
+          return entry;
+        })
+        .catch(fail)
+        .finally(() => {
+          if (inFlight.get(symbol) === promise) inFlight.delete(symbol);
+        });
+      inFlight.set(symbol, promise);
+    });
+  };
+
+  // Every served quote says whether it is stale, so stream deltas can clear the flag
+  const present = (entry, now) => {
+    if (!entry || entry.error) return null;
+    const age = now - entry.fetchedAt;
+    if (age < getQuoteTTL()) return { ...entry.quote, stale: false };
+
+    counters.servedStale += 1;
+    return {
+      ...entry.quote,
+      stale: true,
+      staleAge: Math.round(age / 1000),
+      staleReason: entry.failed ? 'providers_failed' : 'refreshing'
+    };
+  };
+
+  // symbol -> cached or fetched entry ({ error } when unavailable), plus the cache hit count
+  const resolve = async (unique) => {
+    const now = Date.now();
+    const cached = await cache.getMany(unique);
+    const resolved = new Map();
+    const missing = [];
+    const revalidate = new Map();
+    let fromCache = 0;
+
+    unique.forEach((symbol, i) => {
+      const entry = cached[i];
+      if (entry) {
+        fromCache += 1;
+        resolved.set(symbol, entry);
+        // One background refresh per TTL, also after a failed one
+        if (now - entry.checkedAt >= getQuoteTTL() && !inFlight.has(symbol)) revalidate.set(symbol, entry);
+      } else if (inFlight.has(symbol)) {
+        counters.coalesced += 1;
+      } else {
+        missing.push(symbol);
+      }
+    });
+
+    if (missing.length > 0) startFetch(missing);
+    // Not awaited: callers get the stale quotes now
+    if (revalidate.size > 0) {
+      counters.revalidations += revalidate.size;
+      startFetch([...revalidate.keys()], revalidate);
+    }
+
+    const pending = unique.filter(symbol => !resolved.has(symbol));
+    const entries = await Promise.all(pending.map(symbol => inFlight.get(symbol)));
+    pending.forEach((symbol, i) => resolved.set(symbol, entries[i]));
+
+    return { resolved, fromCache };
+  };
+
+  // Resolves to { quotes (in request order, null when unavailable), fromCache,
+  // errors: [{ symbol, error }] for the unavailable ones }
+  const getMany = async (symbols) => {
+    const unique = [...new Set(symbols)];
+    const { resolved, fromCache } = await resolve(unique);
+
+    const servedAt = Date.now();
+    const errors = unique
+      .filter(symbol => resolved.get(symbol).error)
+      .map(symbol => ({ symbol, error: resolved.get(symbol).error.message }));
+    return { quotes: symbols.map(symbol => present(resolved.get(symbol), servedAt)), fromCache, errors };
+  };
+
+  // Throws the symbol's error (usually a QuoteUnavailableError) when it has no quote
+  const get = async (symbol) => {
+    const { resolved } = await resolve([symbol]);
+    const entry = resolved.get(symbol);
+    if (entry.error) throw entry.error;
+    return present(entry, Date.now());
+  };
+
+  // Hits, misses and size are in the cache namespace stats
+  const stats = () => ({
+    name,
+    namespace: `${name}-quotes`,
+    ttl: getQuoteTTL(),
+    maxStaleAge: getMaxStaleAge(),
+    inFlight: inFlight.size,
+    ...counters
+  });
+
+  return { get, getMany, stats };
+};
@@ -0,0 +1,138 @@
+// server/quote-replay.js - Recording Live Quotes and Replaying Them in Replay Mode
+
+import fs from 'fs';
+import path from 'path';
+import { getDataDir } from './json-store.js';
+import { QuoteUnavailableError } from './provider-health.js';
+
+// Settings are read per call so values from server/.env are picked up after dotenv runs
+export const isRecording = () => process.env.QUOTE_RECORDING === 'true';
+const getReplaySpeed = () => parseFloat(process.env.REPLAY_SPEED) || 1;
+
+const recordingsDir = () => path.join(getDataDir(), 'recordings');
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+
+// Live quotes are appended as JSON lines ({ t, market, symbol, quote }), one file per
+// UTC day. `symbol` is the one requested, which replay looks up by.
+export const recordQuotes = (market, symbols, quotes) => {
+  if (!isRecording()) return;
+
+  const t = Date.now();
+  const lines = quotes
+    .map((quote, i) => ({ symbol: symbols[i], quote }))
+    .filter(({ quote }) => quote && !(quote instanceof Error))
+    .map(({ symbol, quote }) => JSON.stringify({ t, market, symbol, quote }));
+  if (lines.length === 0) return;
+
+  try {
+    const dir = recordingsDir();
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(path.join(dir, `quotes-${new Date(t).toISOString().slice(0, 10)}.jsonl`), `${lines.join('\n')}\n`);
+  } catch (error) {
+    console.error('⚠️ Could not record quotes:', error.message);
+  }
+};
+
+// =============================================================================
+// REPLAY
+// =============================================================================
+
+// { file, startedAt, firstT, span, frames, tracks: Map<'market|symbol', [{ t, quote }]> }
+let replay = null;
+
+const latestRecording = () => {
+  const dir = recordingsDir();
+  if (!fs.existsSync(dir)) return null;
+  const files = fs.readdirSync(dir).filter(f => f.startsWith('quotes-') && f.endsWith('.jsonl')).sort();
+  return files.length > 0 ? path.join(dir, files[files.length - 1]) : null;
+};
+
+const getReplayFile = () => process.env.REPLAY_FILE || latestRecording();
+
+const loadReplay = () => {
+  if (replay) return replay;
+
+  const file = getReplayFile();
+  if (!file) throw new Error('No recording to replay: set REPLAY_FILE, or run live with QUOTE_RECORDING=true first');
+
+  const tracks = new Map();
+  let firstT = Infinity;
+  let lastT = -Infinity;
+  let frames = 0;
+
+  fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const { t, market, symbol, quote } = JSON.parse(line);
+      const key = `${market}|${symbol || quote.symbol}`;
+      if (!tracks.has(key)) tracks.set(key, []);
+      tracks.get(key).push({ t, quote });
+      firstT = Math.min(firstT, t);
+      lastT = Math.max(lastT, t);
+      frames += 1;
+    } catch (error) {
+      // A line cut short by a crash mid-append is skipped
+    }
+  });
+  if (frames === 0) throw new Error(`Recording ${file} has no quotes`);
+
+  tracks.forEach(track => track.sort((a, b) => a.t - b.t));
+  replay = { file, startedAt: Date.now(), firstT, span: lastT - firstT, frames, tracks };
+  console.log(`⏯️ Replaying ${frames} recorded quotes for ${tracks.size} symbols from ${file}`);
+  return replay;
+};
+
+// Recorded time that corresponds to now; loops back to the start at the end
+const replayPosition = (state) =>
+  state.firstT + (((Date.now() - state.startedAt) * getReplaySpeed()) % (state.span + 1));
+
+// Last frame at or before `position`, or the first frame
+const frameAt = (track, position) => {
+  let low = 0;
+  let high = track.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (track[mid].t <= position) low = mid;
+    else high = mid - 1;
+  }
+  return track[low];
+};
+
+// Same contract as the live fetchers: quotes in order, an Error for a symbol not recorded.
+// Replayed quotes are not current, so they carry mock: true like demo quotes.
+export const replayQuotes = (market, symbols) => {
+  const state = loadReplay();
+  const position = replayPosition(state);
+
+  return symbols.map(symbol => {
+    const track = state.tracks.get(`${market}|${symbol}`);
+    if (!track) return new QuoteUnavailableError(symbol, ['not in the replay recording']);
+
+    const frame = frameAt(track, position);
+    return {
+      ...frame.quote,
+      timestamp: new Date().toISOString(),
+      recordedAt: new Date(frame.t).toISOString(),
+      source: `${frame.quote.source} (replay)`,
+      mock: true,
+      replay: true
+    };
+  });
+};
+
+export const getReplayStatus = () => {
+  if (!replay) return { file: getReplayFile(), loaded: false, speed: getReplaySpeed() };
+  return {
+    file: replay.file,
+    loaded: true,
+    speed: getReplaySpeed(),
+    frames: replay.frames,
+    symbols: replay.tracks.size,
+    from: new Date(replay.firstT).toISOString(),
+    to: new Date(replay.firstT + replay.span).toISOString(),
+    position: new Date(replayPosition(replay)).toISOString()
+  };
+};
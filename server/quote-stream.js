@@ -0,0 +1,316 @@
+// server/quote-stream.js - Server-Sent Events Push Channel for Quotes, Market Status and Alerts
+
+import express from 'express';
+import crypto from 'crypto';
+import { alertEvents } from './alert-engine.js';
+import { verifySessionToken, getUser } from './auth.js';
+
+const MARKET_CHECK_INTERVAL = 30 * 1000;
+const HEARTBEAT_INTERVAL = 25 * 1000;    // Keeps proxies from closing idle connections
+const MAX_SYMBOLS_PER_CLIENT = 50;
+const FAILED_SYMBOL_TTL = 5 * 60 * 1000; // Symbols whose quote fetch failed are not polled again for this long
+const SYMBOL_PATTERN = /^[A-Z0-9&.\-]{1,20}$/;
+
+// Quote fields compared between polls; only changed ones are pushed
+const DELTA_FIELDS = ['price', 'change', 'changePercent', 'high', 'low', 'volume', 'marketOpen', 'source', 'mock', 'session', 'extendedHours', 'stale', 'staleReason'];
+
+const getPollInterval = () => parseInt(process.env.STREAM_POLL_INTERVAL) || 15000;
+// Each feed is its own upstream poll loop, so their total is capped across all clients
+const getMaxFeeds = () => parseInt(process.env.STREAM_MAX_FEEDS) || 200;
+
+export class StreamError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StreamError';
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// CLIENTS & SHARED SYMBOL FEEDS
+// =============================================================================
+
+const clients = new Map();   // clientId -> { id, res, symbols:Set, userId }
+const feeds = new Map();     // symbol -> { symbol, timer, lastQuote, inFlight }
+const failedSymbols = new Map(); // symbol -> epoch until which it is not fetched again
+
+let streamDeps = null;       // { fetchQuote, getMarketStatus, isPublicSymbol }
+let marketTimer = null;
+let heartbeatTimer = null;
+let lastMarketStatus = null;
+
+const send = (client, event, data) => {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const broadcast = (event, data, filter = () => true) => {
+  clients.forEach(client => {
+    if (filter(client)) send(client, event, data);
+  });
+};
+
+const diffQuote = (previous, quote) => {
+  const changes = {};
+  DELTA_FIELDS.forEach(field => {
+    // extendedHours is an object, so compare by value
+    if (quote[field] !== undefined && JSON.stringify(quote[field]) !== JSON.stringify(previous[field])) changes[field] = quote[field];
+  });
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// One poll loop per symbol, shared by every client listening to it
+const isFailing = (symbol) => {
+  const until = failedSymbols.get(symbol);
+  if (until && until <= Date.now()) failedSymbols.delete(symbol);
+  return failedSymbols.has(symbol);
+};
+
+const pollFeed = async (feed) => {
+  if (feed.inFlight || isFailing(feed.symbol)) return;
+  feed.inFlight = true;
+
+  try {
+    const quote = await streamDeps.fetchQuote(feed.symbol);
+    failedSymbols.delete(feed.symbol);
+    const previous = feed.lastQuote;
+    feed.lastQuote = quote;
+
+    let payload = { snapshot: true, ...quote };
+    if (previous) {
+      const changes = diffQuote(previous, quote);
+      if (!changes) return;
+      payload = { snapshot: false, ...changes };
+    }
+
+    broadcast('quote', { ...payload, symbol: feed.symbol, timestamp: quote.timestamp || new Date().toISOString() },
+      client => client.symbols.has(feed.symbol));
+  } catch (error) {
+    // Unknown symbols and exhausted providers would otherwise be re-fetched on every tick
+    failedSymbols.set(feed.symbol, Date.now() + FAILED_SYMBOL_TTL);
+    console.log(`❌ Stream poll failed for ${feed.symbol}, retrying in ${FAILED_SYMBOL_TTL / 60000} min: ${error.message}`);
+  } finally {
+    feed.inFlight = false;
+  }
+};
+
+const acquireFeed = (symbol) => {
+  if (feeds.has(symbol)) return feeds.get(symbol);
+
+  const feed = { symbol, timer: null, lastQuote: null, inFlight: false };
+  feed.timer = setInterval(() => pollFeed(feed), getPollInterval());
+  feeds.set(symbol, feed);
+  pollFeed(feed);
+  return feed;
+};
+
+// Stops the symbol's loop once no connected client listens to it
+const releaseFeed = (symbol) => {
+  const stillWatched = [...clients.values()].some(client => client.symbols.has(symbol));
+  const feed = feeds.get(symbol);
+  if (stillWatched || !feed) return;
+
+  clearInterval(feed.timer);
+  feeds.delete(symbol);
+};
+
+const parseSymbols = (input) => {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  const symbols = list.map(s => String(s).trim().toUpperCase()).filter(Boolean);
+
+  const invalid = symbols.find(s => !SYMBOL_PATTERN.test(s));
+  if (invalid) throw new StreamError(`Invalid symbol: ${invalid}`);
+  return [...new Set(symbols)];
+};
+
+export const subscribeClient = (client, input) => {
+  const symbols = parseSymbols(input).filter(s => !client.symbols.has(s));
+  if (client.symbols.size + symbols.length > MAX_SYMBOLS_PER_CLIENT) {
+    throw new StreamError(`A stream can follow at most ${MAX_SYMBOLS_PER_CLIENT} symbols`);
+  }
+
+  // Without a session a stream carries the public ticker symbols only
+  const restricted = client.userId ? null : symbols.find(s => !streamDeps.isPublicSymbol(s));
+  if (restricted) throw new StreamError(`Sign in to stream ${restricted}; anonymous streams carry the ticker symbols only`, 401);
+
+  const failing = symbols.find(s => !feeds.has(s) && isFailing(s));
+  if (failing) throw new StreamError(`No quotes available for ${failing}`, 404);
+
+  const newFeeds = symbols.filter(s => !feeds.has(s)).length;
+  if (feeds.size + newFeeds > getMaxFeeds()) {
+    throw new StreamError('The stream is following as many symbols as it can; try again later', 503);
+  }
+
+  symbols.forEach(symbol => {
+    client.symbols.add(symbol);
+    const feed = acquireFeed(symbol);
+
+    // Late joiners get the last known quote straight away instead of waiting a poll
+    if (feed.lastQuote) {
+      send(client, 'quote', { snapshot: true, ...feed.lastQuote, symbol });
+    }
+  });
+  return [...client.symbols];
+};
+
+export const unsubscribeClient = (client, input) => {
+  parseSymbols(input).forEach(symbol => {
+    client.symbols.delete(symbol);
+    releaseFeed(symbol);
+  });
+  return [...client.symbols];
+};
+
+// =============================================================================
+// MARKET TRANSITIONS & HEARTBEAT
+// =============================================================================
+
+const checkMarketStatus = () => {
+  const status = streamDeps.getMarketStatus();
+
+  if (lastMarketStatus) {
+    Object.entries(status).forEach(([market, isOpen]) => {
+      if (lastMarketStatus[market] === isOpen) return;
+
+      console.log(`🔔 ${market} market ${isOpen ? 'opened' : 'closed'}`);
+      broadcast('market', {
+        market,
+        status: isOpen ? 'open' : 'closed',
+        marketStatus: status,
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+  lastMarketStatus = status;
+};
+
+// Timers only run while at least one client is connected
+const startTimers = () => {
+  if (marketTimer) return;
+
+  lastMarketStatus = streamDeps.getMarketStatus();
+  marketTimer = setInterval(checkMarketStatus, MARKET_CHECK_INTERVAL);
+  heartbeatTimer = setInterval(() => {
+    clients.forEach(client => client.res.write(': heartbeat\n\n'));
+  }, HEARTBEAT_INTERVAL);
+};
+
+const stopTimers = () => {
+  clearInterval(marketTimer);
+  clearInterval(heartbeatTimer);
+  marketTimer = null;
+  heartbeatTimer = null;
+};
+
+const disconnectClient = (client) => {
+  clients.delete(client.id);
+  client.symbols.forEach(symbol => releaseFeed(symbol));
+  if (clients.size === 0) stopTimers();
+};
+
+export const getStreamStats = () => ({
+  clients: clients.size,
+  feeds: [...feeds.values()].map(feed => ({
+    symbol: feed.symbol,
+    listeners: [...clients.values()].filter(c => c.symbols.has(feed.symbol)).length,
+    lastUpdate: feed.lastQuote?.timestamp || null,
+    failing: isFailing(feed.symbol)
+  })),
+  maxFeeds: getMaxFeeds(),
+  pollInterval: getPollInterval()
+});
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+// Only the connect route is public: the ticker symbols and market status need no login.
+// Passing ?token= (EventSource cannot send headers) unlocks any symbol and also delivers
+// that user's fired alerts on the same connection. Subscribe, unsubscribe and stats
+// need a session, and a stream can only be changed by the user who opened it.
+export const createStreamRouter = (deps) => {
+  const router = express.Router();
+  streamDeps = deps;
+
+  alertEvents.on('alert', (event) => {
+    broadcast('alert', event, client => client.userId === event.userId);
+  });
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      res.json({ data: await fn(req), timestamp: new Date().toISOString() });
+    } catch (error) {
+      const status = error instanceof StreamError ? error.status : 500;
+      if (status === 500) console.error('Stream error:', error);
+      res.status(status).json({
+        error: status === 500 ? 'Stream operation failed' : error.message,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  const findClient = (clientId, userId) => {
+    const client = clients.get(clientId);
+    if (!client || client.userId !== userId) throw new StreamError(`Stream ${clientId} is not connected`, 404);
+    return client;
+  };
+
+  router.get('/', (req, res) => {
+    let userId = null;
+    let symbols;
+    try {
+      if (req.query.token) {
+        const user = getUser(verifySessionToken(req.query.token).sub);
+        if (!user) throw new StreamError('User no longer exists', 401);
+        userId = user.id;
+      }
+      symbols = parseSymbols(req.query.symbols);
+    } catch (error) {
+      return res.status(error.status || 400).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { id: crypto.randomUUID(), res, symbols: new Set(), userId };
+    clients.set(client.id, client);
+    startTimers();
+
+    send(client, 'ready', {
+      clientId: client.id,
+      authenticated: Boolean(userId),
+      marketStatus: lastMarketStatus,
+      pollInterval: getPollInterval()
+    });
+
+    try {
+      subscribeClient(client, symbols);
+    } catch (error) {
+      send(client, 'error', { message: error.message });
+    }
+
+    req.on('close', () => disconnectClient(client));
+  });
+
+  router.post('/:clientId/subscribe', handle(async (req) => {
+    const client = findClient(req.params.clientId, req.user.id);
+    return { clientId: client.id, symbols: subscribeClient(client, req.body?.symbols) };
+  }));
+
+  router.post('/:clientId/unsubscribe', handle(async (req) => {
+    const client = findClient(req.params.clientId, req.user.id);
+    return { clientId: client.id, symbols: unsubscribeClient(client, req.body?.symbols) };
+  }));
+
+  router.get('/stats', handle(async () => getStreamStats()));
+
+  return router;
+};
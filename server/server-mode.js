@@ -0,0 +1,43 @@
+// server/server-mode.js - Live, Demo and Replay Server Modes
+
+import { getDemoSettings } from './demo-simulator.js';
+import { getReplayStatus, isRecording } from './quote-replay.js';
+
+// live: provider data only; a symbol no provider can price is reported as an error.
+// demo: every quote comes from the seeded simulator, no provider is called.
+// replay: quotes recorded in live mode (QUOTE_RECORDING=true) are played back.
+export const SERVER_MODES = ['live', 'demo', 'replay'];
+
+const MODE_LABELS = {
+  live: 'Live market data',
+  demo: 'Demo: simulated prices',
+  replay: 'Replay: recorded prices'
+};
+
+let warnedMode = null;
+
+// Read per call so SERVER_MODE from server/.env is picked up after dotenv runs
+export const getServerMode = () => {
+  const mode = String(process.env.SERVER_MODE || 'live').toLowerCase();
+  if (SERVER_MODES.includes(mode)) return mode;
+
+  if (warnedMode !== mode) {
+    console.log(`⚠️ Unknown SERVER_MODE "${process.env.SERVER_MODE}", running live (use ${SERVER_MODES.join(', ')})`);
+    warnedMode = mode;
+  }
+  return 'live';
+};
+
+export const isLiveMode = () => getServerMode() === 'live';
+
+export const describeServerMode = () => {
+  const mode = getServerMode();
+  return {
+    mode,
+    label: MODE_LABELS[mode],
+    liveData: mode === 'live',
+    recording: mode === 'live' && isRecording(),
+    ...(mode === 'demo' && { demo: getDemoSettings() }),
+    ...(mode === 'replay' && { replay: getReplayStatus() })
+  };
+};
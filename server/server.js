@@ -7,7 +7,38 @@ import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 
 // Import our enhanced Indian Markets API module
-import { fetchIndianStockData, checkAPIHealth } from './indian-markets-api.js';
+import {
+  fetchIndianStocksData, fetchFMPBatch, fetchTwelveDataBatch, getTwelveDataBatchSize, getIndianProviderStatus
+} from './indian-markets-api.js';
+import {
+  callProvider, getProviderHealth, getAllProviderHealth, fetchBatchThroughProviders, QuoteUnavailableError
+} from './provider-health.js';
+import { consumeQuota, hasQuota, getProviderQuota, getQuotaStatus } from './provider-quota.js';
+import { createWatchlistRouter, getSymbolWatchers, getWatchlists } from './watchlists.js';
+import { createPortfolioRouter } from './portfolio.js';
+import { createCalendarRouter, getMarketPhase, isMarketOpen, loadCalendars } from './market-calendar.js';
+import { withExtendedHours, getUsSession, getExtendedHoursStatus } from './extended-hours.js';
+import { createFxRouter, validateCurrency, convertQuotes, convertQuote, getConversion, describeConversion, FxError } from './fx-rates.js';
+import { createAuthRouter, getUser, requireAuth } from './auth.js';
+import { createAlertRouter, startAlertEngine, startFilingAlerts, startActionReminders } from './alert-engine.js';
+import { createWhatsAppRouter, startWhatsAppWorker } from './whatsapp-gateway.js';
+import { fetchStockHistory, validateHistoryParams, sessionDate, HISTORY_INTERVALS } from './history-api.js';
+import { computeIndicators, summarizeIndicators } from './indicators.js';
+import { createStreamRouter } from './quote-stream.js';
+import { createQuoteLoader } from './quote-cache.js';
+import { createCache, getCacheStats } from './cache-store.js';
+import { getServerMode, describeServerMode } from './server-mode.js';
+import { simulateQuote } from './demo-simulator.js';
+import { recordQuotes, replayQuotes } from './quote-replay.js';
+import { createIndicesRouter, fetchIndexLevels, simulateIndexLevels, loadIndices } from './market-indices.js';
+import { createAnnouncementRouter, startAnnouncementPolling } from './announcements.js';
+import { createResultsRouter, describeResultFiling, listResults, startResultsExtraction } from './financial-results.js';
+import { createCorporateActionRouter, startCorporateActionSync } from './corporate-actions.js';
+import {
+  createSymbolRouter, startSymbolMasterRefresh, getSymbol, getFeaturedSymbols,
+  estimateMarketCap, getSymbolMasterStats
+} from './symbol-master.js';
+import { searchSymbols } from './symbol-search.js';
 
 dotenv.config();
 
@@ -26,45 +57,29 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Session auth - everything under /api except public ticker data needs a token
+app.use('/api', requireAuth);
+app.use('/api/auth', createAuthRouter());
+
 // API Configurations
 const ALPHA_VANTAGE_API_KEY = process.env.ALPHA_VANTAGE_API_KEY || 'demo';
 
-// Enhanced Cache with TTL
-const cache = new Map();
+// Namespaced caches on the shared LRU (or Redis) backend; TTLs are read per call
 const CACHE_DURATION = 60000; // 1 minute for real-time data
 const LONG_CACHE_DURATION = 300000; // 5 minutes for search results
 
-// Market Classifications - Enhanced
-const INDIAN_SYMBOLS = [
-  'RELIANCE', 'TCS', 'HDFCBANK', 'INFY', 'HINDUNILVR', 'ITC', 'SBIN', 
-  'BHARTIARTL', 'ASIANPAINT', 'MARUTI', 'ADANIGREEN', 'TATASTEEL', 
-  'WIPRO', 'LT', 'HCLTECH', 'ICICIBANK', 'KOTAKBANK', 'BAJFINANCE'
-];
+const envTTL = (name, fallback) => () => parseInt(process.env[name]) || fallback;
 
-const GLOBAL_SYMBOLS = [
-  'AAPL', 'GOOGL', 'MSFT', 'AMZN', 'TSLA', 'META', 'NVDA', 'NFLX', 
-  'BRK.B', 'JPM', 'V', 'JNJ', 'WMT', 'PG', 'UNH', 'DIS', 'ADBE', 'CRM'
-];
+const detailsCache = createCache('details', { ttl: envTTL('STOCK_DETAIL_CACHE_TTL', CACHE_DURATION) });
+const searchCache = createCache('search', { ttl: envTTL('SEARCH_CACHE_TTL', LONG_CACHE_DURATION) });
+// History entries set their own TTL from the candle interval
+const historyCache = createCache('history', { ttl: CACHE_DURATION });
 
-// Enhanced Cache functions
-const getCachedData = (key) => {
-  const cached = cache.get(key);
-  if (cached && Date.now() - cached.timestamp < cached.ttl) {
-    return cached.data;
-  }
-  cache.delete(key); // Clean up expired cache
-  return null;
-};
+// Default ticker constituents come from the symbol master's featured listings
+const getIndianTickerSymbols = () => getFeaturedSymbols('indian');
+const getGlobalTickerSymbols = () => getFeaturedSymbols('global');
 
-const setCachedData = (key, data, ttl = CACHE_DURATION) => {
-  cache.set(key, { data, timestamp: Date.now(), ttl });
-  
-  // Clean up old cache entries (simple memory management)
-  if (cache.size > 1000) {
-    const oldestKey = cache.keys().next().value;
-    cache.delete(oldestKey);
-  }
-};
+const cacheAgeOf = (timestamp) => Math.round((Date.now() - new Date(timestamp).getTime()) / 1000);
 
 // =============================================================================
 // 🇮🇳 INDIAN STOCKS ONLY ENDPOINT
@@ -73,46 +88,13 @@ const setCachedData = (key, data, ttl = CACHE_DURATION) => {
 app.get('/api/stocks/indian', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 12;
-    const cacheKey = `indian-stocks-${limit}`;
-    
-    // Check cache first
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) {
-      console.log('📦 Serving cached Indian stocks data');
-      return res.json({
-        ...cachedData,
-        cached: true,
-        cacheAge: Math.round((Date.now() - cachedData.timestamp) / 1000)
-      });
-    }
-
-    const indianStocks = [];
-    const promises = [];
+    const currency = validateCurrency(req.query.currency);
     const errors = [];
 
     // Fetch Indian stocks only
-    const indianSymbols = INDIAN_SYMBOLS.slice(0, limit);
+    const indianSymbols = getIndianTickerSymbols().slice(0, limit);
     console.log(`🇮🇳 Fetching ${indianSymbols.length} Indian stocks...`);
-    
-    promises.push(
-      ...indianSymbols.map(async (symbol) => {
-        try {
-          return await fetchIndianStockData(symbol);
-        } catch (error) {
-          errors.push({ symbol, error: error.message, market: 'indian' });
-          return null;
-        }
-      })
-    );
-
-    const results = await Promise.all(promises);
-    
-    // Filter out null results and add to indianStocks
-    results.forEach(result => {
-      if (result) {
-        indianStocks.push(result);
-      }
-    });
+    const { quotes: indianStocks, freshness } = await fetchMarketQuotes('indian', indianSymbols, errors);
 
     // Sort by absolute change percentage for more interesting display
     indianStocks.sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
@@ -123,10 +105,11 @@ app.get('/api/stocks/indian', async (req, res) => {
       market: 'indian',
       sources: [...new Set(indianStocks.map(s => s.source))],
       errors: errors.length,
+      mode: getServerMode(),
       mockData: indianStocks.filter(s => s.mock).length,
       gainers: indianStocks.filter(s => s.change > 0).length,
       losers: indianStocks.filter(s => s.change < 0).length,
-      cached: false,
+      ...describeFreshness([freshness]),
       timestamp: Date.now(),
       marketOpen: isIndianMarketOpen()
     };
@@ -136,15 +119,12 @@ app.get('/api/stocks/indian', async (req, res) => {
       data: indianStocks,
       errors: errors.length > 0 ? errors : undefined
     };
-    
-    // Cache the successful response
-    setCachedData(cacheKey, response, CACHE_DURATION);
-    
+
     console.log(`✅ Indian stocks response: ${summary.total} stocks (${summary.gainers} gainers, ${summary.losers} losers)`);
-    res.json(response);
+    res.json(await inCurrency(response, currency));
   } catch (error) {
     console.error('Error in Indian stocks endpoint:', error);
-    res.status(500).json({ 
+    res.status(error instanceof FxError ? error.status : 500).json({ 
       error: 'Failed to fetch Indian stocks data',
       message: error.message,
       timestamp: new Date().toISOString()
@@ -159,49 +139,17 @@ app.get('/api/stocks/indian', async (req, res) => {
 app.get('/api/stocks/global', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 12;
-    const cacheKey = `global-stocks-${limit}`;
-    
-    // Check cache first
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) {
-      console.log('📦 Serving cached Global stocks data');
-      return res.json({
-        ...cachedData,
-        cached: true,
-        cacheAge: Math.round((Date.now() - cachedData.timestamp) / 1000)
-      });
-    }
-
-    const globalStocks = [];
-    const promises = [];
+    const currency = validateCurrency(req.query.currency);
+    const moves = parseMoves(req.query.moves);
     const errors = [];
 
     // Fetch Global stocks only
-    const globalSymbols = GLOBAL_SYMBOLS.slice(0, limit);
+    const globalSymbols = getGlobalTickerSymbols().slice(0, limit);
     console.log(`🌍 Fetching ${globalSymbols.length} Global stocks...`);
-    
-    promises.push(
-      ...globalSymbols.map(async (symbol) => {
-        try {
-          return await fetchGlobalStockData(symbol);
-        } catch (error) {
-          errors.push({ symbol, error: error.message, market: 'global' });
-          return null;
-        }
-      })
-    );
-
-    const results = await Promise.all(promises);
-    
-    // Filter out null results and add to globalStocks
-    results.forEach(result => {
-      if (result) {
-        globalStocks.push(result);
-      }
-    });
+    const { quotes: globalStocks, freshness } = await fetchMarketQuotes('global', globalSymbols, errors);
 
     // Sort by absolute change percentage for more interesting display
-    globalStocks.sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
+    globalStocks.sort((a, b) => Math.abs(moveOf(b, moves)) - Math.abs(moveOf(a, moves)));
 
     // Generate comprehensive summary
     const summary = {
@@ -209,12 +157,16 @@ app.get('/api/stocks/global', async (req, res) => {
       market: 'global',
       sources: [...new Set(globalStocks.map(s => s.source))],
       errors: errors.length,
+      mode: getServerMode(),
       mockData: globalStocks.filter(s => s.mock).length,
       gainers: globalStocks.filter(s => s.change > 0).length,
       losers: globalStocks.filter(s => s.change < 0).length,
-      cached: false,
+      ...describeFreshness([freshness]),
       timestamp: Date.now(),
-      marketOpen: isGlobalMarketOpen()
+      marketOpen: isGlobalMarketOpen(),
+      session: getUsSession().session,
+      moves,
+      extendedHours: summarizeExtendedMoves(globalStocks)
     };
 
     const response = {
@@ -222,15 +174,12 @@ app.get('/api/stocks/global', async (req, res) => {
       data: globalStocks,
       errors: errors.length > 0 ? errors : undefined
     };
-    
-    // Cache the successful response
-    setCachedData(cacheKey, response, CACHE_DURATION);
-    
+
     console.log(`✅ Global stocks response: ${summary.total} stocks (${summary.gainers} gainers, ${summary.losers} losers)`);
-    res.json(response);
+    res.json(await inCurrency(response, currency));
   } catch (error) {
     console.error('Error in Global stocks endpoint:', error);
-    res.status(500).json({ 
+    res.status(error instanceof FxError ? error.status : 500).json({ 
       error: 'Failed to fetch Global stocks data',
       message: error.message,
       timestamp: new Date().toISOString()
@@ -247,88 +196,48 @@ app.get('/api/stocks/ticker', async (req, res) => {
     const includeIndian = req.query.indian !== 'false';
     const includeGlobal = req.query.global !== 'false';
     const limit = parseInt(req.query.limit) || 15;
+    const currency = validateCurrency(req.query.currency);
+    const moves = parseMoves(req.query.moves);
     
     // If specific market requested, redirect to specific endpoint
+    const redirectQuery = new URLSearchParams({ limit: Math.ceil(limit), moves, ...(currency && { currency }) });
     if (includeIndian && !includeGlobal) {
-      return res.redirect(`/api/stocks/indian?limit=${Math.ceil(limit)}`);
+      return res.redirect(`/api/stocks/indian?${redirectQuery}`);
     }
     if (includeGlobal && !includeIndian) {
-      return res.redirect(`/api/stocks/global?limit=${Math.ceil(limit)}`);
-    }
-    
-    const cacheKey = `unified-ticker-${includeIndian}-${includeGlobal}-${limit}`;
-    
-    // Check cache first
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) {
-      console.log('📦 Serving cached ticker data');
-      return res.json({
-        ...cachedData,
-        summary: {
-          ...cachedData.summary,
-          cached: true,
-          cacheAge: Math.round((Date.now() - cachedData.summary.timestamp) / 1000)
-        }
-      });
+      return res.redirect(`/api/stocks/global?${redirectQuery}`);
     }
 
-    const allStocks = [];
+
     const promises = [];
     const errors = [];
 
     // 🇮🇳 Fetch Indian stocks using enhanced multi-provider system
     if (includeIndian) {
-      const indianSymbols = INDIAN_SYMBOLS.slice(0, Math.ceil(limit * 0.6));
+      const indianSymbols = getIndianTickerSymbols().slice(0, Math.ceil(limit * 0.6));
       console.log(`🇮🇳 Fetching ${indianSymbols.length} Indian stocks using enhanced API system...`);
-      
-      promises.push(
-        ...indianSymbols.map(async (symbol) => {
-          try {
-            return await fetchIndianStockData(symbol);
-          } catch (error) {
-            errors.push({ symbol, error: error.message, market: 'indian' });
-            return null;
-          }
-        })
-      );
+      promises.push(fetchMarketQuotes('indian', indianSymbols, errors));
     }
 
     // 🌍 Fetch Global stocks
     if (includeGlobal) {
-      const globalSymbols = GLOBAL_SYMBOLS.slice(0, Math.floor(limit * 0.4));
+      const globalSymbols = getGlobalTickerSymbols().slice(0, Math.floor(limit * 0.4));
       console.log(`🌍 Fetching ${globalSymbols.length} Global stocks...`);
-      
-      promises.push(
-        ...globalSymbols.map(async (symbol) => {
-          try {
-            return await fetchGlobalStockData(symbol);
-          } catch (error) {
-            errors.push({ symbol, error: error.message, market: 'global' });
-            return null;
-          }
-        })
-      );
+      promises.push(fetchMarketQuotes('global', globalSymbols, errors));
     }
 
     const results = await Promise.all(promises);
-    
-    // Filter out null results and add to allStocks
-    results.forEach(result => {
-      if (result) {
-        allStocks.push(result);
-      }
-    });
+    const allStocks = results.flatMap(result => result.quotes);
 
     // Enhanced sorting logic
     allStocks.sort((a, b) => {
       // Prioritize Indian stocks during Indian market hours
-      if (isIndianMarketOpen()) {
-        if (a.currency === 'INR' && b.currency === 'USD') return -1;
-        if (a.currency === 'USD' && b.currency === 'INR') return 1;
+      if (isIndianMarketOpen() && a.market !== b.market) {
+        return a.market === 'indian' ? -1 : 1;
       }
       
       // Sort by absolute change percentage for more interesting display
-      return Math.abs(b.changePercent) - Math.abs(a.changePercent);
+      return Math.abs(moveOf(b, moves)) - Math.abs(moveOf(a, moves));
     });
 
     const finalData = allStocks.slice(0, limit);
@@ -336,17 +245,21 @@ app.get('/api/stocks/ticker', async (req, res) => {
     // Generate comprehensive summary
     const summary = {
       total: finalData.length,
-      indian: finalData.filter(s => s.currency === 'INR').length,
-      global: finalData.filter(s => s.currency === 'USD').length,
+      indian: finalData.filter(s => s.market === 'indian').length,
+      global: finalData.filter(s => s.market === 'global').length,
       sources: [...new Set(finalData.map(s => s.source))],
       errors: errors.length,
+      mode: getServerMode(),
       mockData: finalData.filter(s => s.mock).length,
-      cached: false,
+      ...describeFreshness(results.map(result => result.freshness)),
       timestamp: Date.now(),
       marketStatus: {
         indian: isIndianMarketOpen(),
-        global: isGlobalMarketOpen()
-      }
+        global: isGlobalMarketOpen(),
+        globalSession: getUsSession().session
+      },
+      moves,
+      extendedHours: summarizeExtendedMoves(finalData)
     };
 
     const response = {
@@ -354,15 +267,12 @@ app.get('/api/stocks/ticker', async (req, res) => {
       data: finalData,
       errors: errors.length > 0 ? errors : undefined
     };
-    
-    // Cache the successful response
-    setCachedData(cacheKey, response, CACHE_DURATION);
-    
+
     console.log(`✅ Ticker response: ${summary.indian} Indian + ${summary.global} Global stocks (${summary.mockData} mock)`);
-    res.json(response);
+    res.json(await inCurrency(response, currency));
   } catch (error) {
     console.error('Error in unified ticker:', error);
-    res.status(500).json({ 
+    res.status(error instanceof FxError ? error.status : 500).json({ 
       error: 'Failed to fetch ticker data',
       message: error.message,
       timestamp: new Date().toISOString()
@@ -370,6 +280,66 @@ app.get('/api/stocks/ticker', async (req, res) => {
   }
 });
 
+// =============================================================================
+// 🔍 ENHANCED STOCK SEARCH ENDPOINT
+// =============================================================================
+
+// Registered before the /:symbol routes so /search/<query> is never read as a symbol
+app.get('/api/stocks/search/:query', async (req, res) => {
+  try {
+    const { query } = req.params;
+    const marketFilter = req.query.market; // 'indian', 'global', or undefined for both
+    const exchangeFilter = req.query.exchange; // NSE, BSE, NYSE, NASDAQ, ...
+    const cacheKey = `${query.toLowerCase()}-${marketFilter || 'all'}-${exchangeFilter || 'all'}-${req.query.limit || ''}-${req.query.offset || ''}`;
+    
+    const cachedData = await searchCache.get(cacheKey);
+    if (cachedData) {
+      return res.json(cachedData);
+    }
+
+    const { total, offset, limit, breakdown, results } = searchSymbols(query, {
+      market: marketFilter,
+      exchange: exchangeFilter,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+
+    const response = {
+      query,
+      marketFilter: marketFilter || 'all',
+      exchangeFilter: exchangeFilter ? exchangeFilter.toUpperCase() : 'all',
+      results: results.map(({ record, score, matchedOn }) => ({
+        symbol: record.symbol,
+        name: record.name,
+        isin: record.isin || null,
+        sector: record.sector || null,
+        market: record.market,
+        currency: record.currency,
+        exchange: record.exchange,
+        exchanges: record.exchanges,
+        flag: record.market === 'indian' ? '🇮🇳' : '🇺🇸',
+        score,
+        matchedOn
+      })),
+      total,
+      offset,
+      limit,
+      hasMore: offset + results.length < total,
+      breakdown,
+      timestamp: new Date().toISOString()
+    };
+
+    await searchCache.set(cacheKey, response);
+    res.json(response);
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ 
+      error: 'Search failed',
+      message: error.message 
+    });
+  }
+});
+
 // =============================================================================
 // 📈 ENHANCED INDIVIDUAL STOCK DETAILS
 // =============================================================================
@@ -377,49 +347,43 @@ app.get('/api/stocks/ticker', async (req, res) => {
 app.get('/api/stocks/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const cacheKey = `stock-details-${symbol}`;
-    
+    const currency = validateCurrency(req.query.currency);
+
     // Check cache
-    const cachedData = getCachedData(cacheKey);
+    const cachedData = await detailsCache.get(symbol);
     if (cachedData) {
-      return res.json({
+      return res.json(await stockDetailsInCurrency({
         ...cachedData,
         cached: true,
-        cacheAge: Math.round((Date.now() - cachedData.timestamp) / 1000)
-      });
+        cacheAge: cacheAgeOf(cachedData.fetchedAt)
+      }, currency));
     }
 
-    let stockData;
-    
-    // Determine if it's an Indian or Global stock
-    const cleanSymbol = symbol.replace('.NS', '').replace('.BO', '');
-    const isIndianStock = INDIAN_SYMBOLS.includes(cleanSymbol);
-    
-    if (isIndianStock) {
-      console.log(`🇮🇳 Fetching Indian stock details: ${symbol}`);
-      stockData = await fetchIndianStockData(symbol);
-    } else {
-      console.log(`🌍 Fetching Global stock details: ${symbol}`);
-      stockData = await fetchGlobalStockData(symbol);
+    // Copied so the analysis is not written onto the shared per-symbol quote
+    const stockData = { ...(await fetchStockQuote(symbol)) };
+
+    // Analysis from daily indicators; the quote is still useful without it
+    try {
+      const { history, indicators } = await getStockIndicators(symbol);
+      stockData.analysis = {
+        ...summarizeIndicators(indicators, stockData),
+        basis: `${indicators.bars} daily candles (${history.source})`
+      };
+      stockData.indicators = indicators;
+    } catch (analysisError) {
+      console.log(`⚠️ Indicator analysis unavailable for ${symbol}: ${analysisError.message}`);
+      stockData.analysis = null;
     }
 
-    // Add enhanced analysis
-    stockData.analysis = {
-      trend: calculateTrend(stockData.changePercent),
-      volatility: calculateVolatility(stockData.high, stockData.low, stockData.price),
-      strength: calculateStrength(stockData.volume, stockData.marketCap),
-      support: calculateSupport(stockData.low, stockData.price),
-      resistance: calculateResistance(stockData.high, stockData.price)
-    };
-
     // Add timestamp for cache tracking
     stockData.fetchedAt = new Date().toISOString();
 
-    setCachedData(cacheKey, stockData, CACHE_DURATION);
-    res.json(stockData);
+    // A stale quote is being refreshed right now, so it is not worth keeping
+    if (!stockData.stale) await detailsCache.set(symbol, stockData);
+    res.json(await stockDetailsInCurrency(stockData, currency));
   } catch (error) {
     console.error(`Error fetching stock ${req.params.symbol}:`, error);
-    res.status(404).json({ 
+    res.status(error instanceof FxError || error instanceof QuoteUnavailableError ? error.status : 404).json({ 
       error: 'Stock not found or data unavailable',
       symbol: req.params.symbol,
       message: error.message,
@@ -429,69 +393,194 @@ app.get('/api/stocks/:symbol', async (req, res) => {
 });
 
 // =============================================================================
-// 🔍 ENHANCED STOCK SEARCH ENDPOINT
+// 🕯️ HISTORICAL OHLCV CANDLES
 // =============================================================================
 
-app.get('/api/stocks/search/:query', async (req, res) => {
+app.get('/api/stocks/:symbol/history', async (req, res) => {
   try {
-    const { query } = req.params;
-    const marketFilter = req.query.market; // 'indian', 'global', or undefined for both
-    const cacheKey = `search-${query.toLowerCase()}-${marketFilter || 'all'}`;
-    
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) {
-      return res.json(cachedData);
+    const symbol = req.params.symbol.toUpperCase();
+    const { interval = '1d', range = '1mo' } = req.query;
+
+    try {
+      validateHistoryParams(interval, range);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid history parameters',
+        message: validationError.message,
+        timestamp: new Date().toISOString()
+      });
     }
 
-    let searchSymbols = [];
-    
-    // Filter symbols based on market preference
-    if (marketFilter === 'indian') {
-      searchSymbols = INDIAN_SYMBOLS;
-    } else if (marketFilter === 'global') {
-      searchSymbols = GLOBAL_SYMBOLS;
-    } else {
-      searchSymbols = [...INDIAN_SYMBOLS, ...GLOBAL_SYMBOLS];
+    res.json(await getStockHistory(symbol, { interval, range, market: req.query.market }));
+  } catch (error) {
+    console.error(`Error fetching history for ${req.params.symbol}:`, error);
+    res.status(error.status || 500).json({
+      error: 'Failed to fetch historical data',
+      symbol: req.params.symbol,
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// =============================================================================
+// 📐 TECHNICAL INDICATORS
+// =============================================================================
+
+app.get('/api/stocks/:symbol/indicators', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const { interval = '1d', range = '1y' } = req.query;
+
+    try {
+      validateHistoryParams(interval, range);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid indicator parameters',
+        message: validationError.message,
+        timestamp: new Date().toISOString()
+      });
     }
 
-    const results = searchSymbols
-      .filter(symbol => 
-        symbol.toLowerCase().includes(query.toLowerCase()) ||
-        getCompanyName(symbol).toLowerCase().includes(query.toLowerCase())
-      )
-      .map(symbol => ({
-        symbol,
-        name: getCompanyName(symbol),
-        market: INDIAN_SYMBOLS.includes(symbol) ? 'indian' : 'global',
-        currency: INDIAN_SYMBOLS.includes(symbol) ? 'INR' : 'USD',
-        exchange: INDIAN_SYMBOLS.includes(symbol) ? 'NSE' : getGlobalExchange(symbol),
-        flag: INDIAN_SYMBOLS.includes(symbol) ? '🇮🇳' : '🇺🇸'
-      }))
-      .slice(0, 10);
+    const market = resolveMarket(symbol, req.query.market);
+    const [{ history, indicators }, quote] = await Promise.all([
+      getStockIndicators(symbol, { interval, range, market }),
+      fetchStockQuote(symbol, market)
+    ]);
 
-    const response = {
-      query,
-      marketFilter: marketFilter || 'all',
-      results,
-      total: results.length,
-      breakdown: {
-        indian: results.filter(r => r.market === 'indian').length,
-        global: results.filter(r => r.market === 'global').length
-      },
+    res.json({
+      symbol,
+      market,
+      interval,
+      range,
+      bars: indicators.bars,
+      indicators,
+      summary: summarizeIndicators(indicators, quote),
+      source: history.source,
+      mock: history.mock,
       timestamp: new Date().toISOString()
-    };
+    });
+  } catch (error) {
+    console.error(`Error computing indicators for ${req.params.symbol}:`, error);
+    res.status(error.status || 500).json({
+      error: 'Failed to compute indicators',
+      symbol: req.params.symbol,
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-    setCachedData(cacheKey, response, LONG_CACHE_DURATION);
-    res.json(response);
+// =============================================================================
+// 📊 QUARTERLY RESULTS
+// =============================================================================
+
+app.get('/api/stocks/:symbol/results', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const limit = Math.min(parseInt(req.query.limit) || 8, 40);
+    const results = listResults(symbol, { nature: req.query.nature, limit });
+
+    res.json({
+      symbol,
+      results,
+      latest: results[0]?.label || null,
+      count: results.length,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ 
-      error: 'Search failed',
-      message: error.message 
+    console.error(`Error fetching results for ${req.params.symbol}:`, error);
+    res.status(error.status || 500).json({
+      error: 'Failed to fetch results',
+      symbol: req.params.symbol,
+      message: error.message,
+      timestamp: new Date().toISOString()
     });
   }
 });
 
+// =============================================================================
+// ⭐ USER WATCHLISTS
+// =============================================================================
+
+app.use('/api/watchlists', createWatchlistRouter({
+  fetchQuotes: (entries) => fetchStockQuotes(entries)
+}));
+
+// =============================================================================
+// 📰 CORPORATE ANNOUNCEMENTS (NSE/BSE FILINGS)
+// =============================================================================
+
+app.use('/api/announcements', createAnnouncementRouter());
+app.use('/api/results', createResultsRouter());
+
+// =============================================================================
+// 📅 CORPORATE ACTIONS CALENDAR (DIVIDENDS, SPLITS, BONUSES, RIGHTS, BUYBACKS, AGMS)
+// =============================================================================
+
+app.use('/api/calendar', createCorporateActionRouter({ getWatchlists }));
+
+// =============================================================================
+// 💼 PORTFOLIO HOLDINGS & P&L
+// =============================================================================
+
+app.use('/api/portfolio', createPortfolioRouter({
+  fetchQuotes: (entries) => fetchStockQuotes(entries)
+}));
+
+// =============================================================================
+// 💱 FX RATES (USD/INR)
+// =============================================================================
+
+app.use('/api/fx', createFxRouter());
+
+// =============================================================================
+// 🔔 PRICE ALERT RULES & FIRED ALERTS
+// =============================================================================
+
+app.use('/api/alerts', createAlertRouter());
+
+// =============================================================================
+// 💬 WHATSAPP GATEWAY (credentials stay server-side)
+// =============================================================================
+
+app.use('/api/whatsapp', createWhatsAppRouter());
+
+// =============================================================================
+// 📇 SYMBOL MASTER
+// =============================================================================
+
+app.use('/api/symbols', createSymbolRouter());
+
+// =============================================================================
+// 📡 REAL-TIME STREAM (SERVER-SENT EVENTS)
+// =============================================================================
+
+app.use('/api/stream', createStreamRouter({
+  fetchQuote: (symbol) => fetchStockQuote(symbol),
+  getMarketStatus: () => ({ indian: isIndianMarketOpen(), global: isGlobalMarketOpen() }),
+  // The same symbols the public ticker endpoints serve
+  isPublicSymbol: (symbol) => {
+    const bare = symbol.replace(/\.(NS|BO)$/, '');
+    return getIndianTickerSymbols().includes(bare) || getGlobalTickerSymbols().includes(bare);
+  }
+}));
+
+// =============================================================================
+// 📅 EXCHANGE HOLIDAY CALENDARS & SESSION PHASES
+// =============================================================================
+
+app.use('/api/markets/calendar', createCalendarRouter());
+
+// =============================================================================
+// 📈 MARKET INDICES (NIFTY, SENSEX, BANKNIFTY, S&P 500, NASDAQ)
+// =============================================================================
+
+app.use('/api/indices', createIndicesRouter({
+  fetchLevels: (ids) => quoteLoaders.indices.getMany(ids),
+  fetchQuotes: (entries) => fetchStockQuotes(entries)
+}));
+
 // =============================================================================
 // 🏛️ ENHANCED MARKET STATUS WITH DUAL MARKET INFO
 // =============================================================================
@@ -501,56 +590,89 @@ app.get('/api/markets/status', async (req, res) => {
     const now = new Date();
     const istTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Kolkata"}));
     const usTime = new Date(now.toLocaleString("en-US", {timeZone: "America/New_York"}));
+    const indianPhase = getMarketPhase('indian', now.getTime());
+    const globalPhase = getMarketPhase('global', now.getTime());
 
-    // Check API health
-    const apiHealth = await checkAPIHealth();
+    // Breaker state from real traffic; nothing is probed here
+    const indianProviders = getIndianProviderStatus();
 
     // Calculate market statistics
-    const indianCacheSize = Array.from(cache.keys()).filter(key => key.includes('indian')).length;
-    const globalCacheSize = Array.from(cache.keys()).filter(key => key.includes('global')).length;
+    const cacheStats = getCacheStats();
+    const indianCacheSize = cacheStats.namespaces['indian-quotes'].size;
+    const globalCacheSize = cacheStats.namespaces['global-quotes'].size;
 
     res.json({
       timestamp: now.toISOString(),
+      mode: describeServerMode(),
       dual_tickers: {
         indian: {
-          open: isIndianMarketOpen(),
-          nextSession: getNextIndianSession(),
+          open: indianPhase.open,
+          phase: indianPhase.phase,
+          phaseLabel: indianPhase.label,
+          phaseEndsAt: indianPhase.phaseEndsAt,
+          closesAt: indianPhase.closesAt,
+          nextSession: indianPhase.nextSession,
+          holiday: indianPhase.holiday,
+          specialSession: indianPhase.specialSession,
+          earlyClose: indianPhase.earlyClose,
+          sessionPhases: indianPhase.phases,
           timezone: 'IST',
           currentTime: istTime.toLocaleString(),
           exchanges: ['NSE', 'BSE'],
-          tradingHours: '9:15 AM - 3:30 PM IST',
-          symbols: INDIAN_SYMBOLS.length,
+          tradingHours: indianPhase.tradingHours || 'Closed today',
+          symbols: getSymbolMasterStats().byMarket.indian || 0,
           cacheEntries: indianCacheSize,
           endpoints: ['/api/stocks/indian', '/api/stocks/ticker?indian=true&global=false'],
-          dataSources: [
-            { name: 'Financial Modeling Prep', status: apiHealth['Financial Modeling Prep'] || 'Not Configured', limit: '250/day', priority: 1 },
-            { name: 'Twelve Data', status: apiHealth['Twelve Data'] || 'Not Configured', limit: '800/day', priority: 2 },
-            { name: 'Alpha Vantage', status: apiHealth['Alpha Vantage'] || 'Not Configured', limit: '500/day', priority: 3 },
-            { name: 'Yahoo Finance (Proxy)', status: 'Available', limit: 'Unlimited', priority: 4 }
-          ]
+          dataSources: indianProviders.map(p => ({
+            name: p.name,
+            status: describeProviderState(p),
+            limit: p.limit,
+            priority: p.priority,
+            latencyMs: p.latencyMs,
+            retryAt: p.retryAt,
+            quota: p.quota
+          }))
         },
         global: {
-          open: isGlobalMarketOpen(),
-          nextSession: getNextUSSession(),
+          open: globalPhase.open,
+          phase: globalPhase.phase,
+          phaseLabel: globalPhase.label,
+          phaseEndsAt: globalPhase.phaseEndsAt,
+          closesAt: globalPhase.closesAt,
+          nextSession: globalPhase.nextSession,
+          holiday: globalPhase.holiday,
+          specialSession: globalPhase.specialSession,
+          earlyClose: globalPhase.earlyClose,
+          sessionPhases: globalPhase.phases,
+          extendedHours: getExtendedHoursStatus(),
           timezone: 'EST/EDT',
           currentTime: usTime.toLocaleString(),
           exchanges: ['NYSE', 'NASDAQ'],
-          tradingHours: '9:30 AM - 4:00 PM EST',
-          symbols: GLOBAL_SYMBOLS.length,
+          tradingHours: globalPhase.tradingHours || 'Closed today',
+          symbols: getSymbolMasterStats().byMarket.global || 0,
           cacheEntries: globalCacheSize,
           endpoints: ['/api/stocks/global', '/api/stocks/ticker?indian=false&global=true'],
           dataSources: [
-            { name: 'Alpha Vantage', status: process.env.ALPHA_VANTAGE_API_KEY ? 'Configured' : 'Not Configured', limit: '500/day' },
-            { name: 'Enhanced Mock Data', status: 'Available', limit: 'Unlimited' }
+            {
+              name: 'Alpha Vantage',
+              status: describeProviderState({
+                ...getProviderHealth('Alpha Vantage'),
+                configured: ALPHA_VANTAGE_API_KEY !== 'demo',
+                quota: getProviderQuota('Alpha Vantage')
+              }),
+              limit: '500/day',
+              quota: getProviderQuota('Alpha Vantage')
+            }
           ]
         }
       },
       system: {
         cache: {
-          total: cache.size,
+          backend: cacheStats.backend,
+          total: Object.values(cacheStats.namespaces).reduce((sum, ns) => sum + ns.size, 0),
           indian: indianCacheSize,
           global: globalCacheSize,
-          maxSize: 1000
+          maxSize: cacheStats.maxSize
         },
         performance: {
           uptime: Math.floor(process.uptime()),
@@ -573,45 +695,40 @@ app.get('/api/markets/status', async (req, res) => {
 
 app.get('/api/health', async (req, res) => {
   try {
-    const apiStatus = await checkAPIHealth();
+    const indianProviders = getIndianProviderStatus();
     
     const healthData = {
       status: 'OK',
       timestamp: new Date().toISOString(),
       uptime: Math.floor(process.uptime()),
+      mode: describeServerMode(),
       memory: {
         used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
         total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
         unit: 'MB'
       },
       cache: {
-        size: cache.size,
-        maxSize: 1000,
-        breakdown: {
-          indian: Array.from(cache.keys()).filter(key => key.includes('indian')).length,
-          global: Array.from(cache.keys()).filter(key => key.includes('global')).length,
-          unified: Array.from(cache.keys()).filter(key => key.includes('unified')).length
-        }
+        ...getCacheStats(),
+        quoteLoaders: getQuoteLoaderStats()
       },
       dual_markets: {
         indian: {
           status: '🇮🇳 Multi-Provider System',
-          providers: Object.keys(apiStatus).length + 1, // +1 for Yahoo proxy
-          primary: 'Financial Modeling Prep',
-          symbols: INDIAN_SYMBOLS.length,
+          providers: indianProviders.filter(p => p.configured).length,
+          healthy: indianProviders.filter(p => p.configured && p.healthy).length,
+          symbols: getSymbolMasterStats().byMarket.indian || 0,
           endpoint: '/api/stocks/indian'
         },
         global: {
-          status: '🌍 Alpha Vantage + Mock',
+          status: '🌍 Batch Providers + Alpha Vantage',
           configured: process.env.ALPHA_VANTAGE_API_KEY ? true : false,
-          symbols: GLOBAL_SYMBOLS.length,
+          symbols: getSymbolMasterStats().byMarket.global || 0,
           endpoint: '/api/stocks/global'
         }
       },
-      apis: {
-        ...apiStatus,
-        'Yahoo Finance (Proxy)': 'Available (Fallback)'
-      },
+      apis: Object.fromEntries(indianProviders.map(p => [p.name, describeProviderState(p)])),
+      providers: getAllProviderHealth(),
+      quotas: getQuotaStatus(),
       endpoints: {
         separateTickers: {
           indian: '/api/stocks/indian',
@@ -619,8 +736,24 @@ app.get('/api/health', async (req, res) => {
         },
         unified: '/api/stocks/ticker',
         stockDetail: '/api/stocks/:symbol',
+        history: '/api/stocks/:symbol/history?interval=1d&range=1mo',
+        indicators: '/api/stocks/:symbol/indicators?interval=1d&range=1y',
+        results: '/api/stocks/:symbol/results?nature=consolidated',
         search: '/api/stocks/search/:query',
         markets: '/api/markets/status',
+        calendar: '/api/markets/calendar',
+        indices: '/api/indices',
+        announcements: '/api/announcements',
+        corporateActions: '/api/calendar?watchlist=all',
+        watchlists: '/api/watchlists',
+        portfolio: '/api/portfolio',
+        fx: '/api/fx',
+        alerts: '/api/alerts',
+        alertRules: '/api/alerts/rules',
+        whatsapp: '/api/whatsapp/health',
+        stream: '/api/stream?symbols=RELIANCE,AAPL',
+        symbols: '/api/symbols/stats',
+        auth: '/api/auth/otp/send',
         setup: '/api/setup'
       }
     };
@@ -662,7 +795,7 @@ app.get('/api/setup', (req, res) => {
     },
 
     currentStatus: {
-      working: ['Dual ticker system', 'Yahoo Finance (Proxy)', 'Enhanced Mock Data'],
+      working: ['Dual ticker system', 'Yahoo Finance (Proxy)', 'Demo mode (SERVER_MODE=demo)'],
       needSetup: ['Financial Modeling Prep', 'Twelve Data', 'Alpha Vantage'],
       priority: 'Add API keys for better data quality and higher limits'
     },
@@ -717,6 +850,360 @@ app.get('/api/setup', (req, res) => {
       }
     },
 
+    authentication: {
+      description: 'Phone OTP login - every /api route except public ticker data needs a session token',
+      flow: [
+        'POST /api/auth/otp/send { phone }',
+        'POST /api/auth/otp/verify { phone, code, name? } → { token }',
+        'Send "Authorization: Bearer <token>" on every other request'
+      ],
+      envVariables: {
+        JWT_SECRET: 'Secret used to sign session tokens (random per restart if unset)',
+        OTP_CHANNEL: 'console (dev, prints the code) | whatsapp (via the WhatsApp gateway) | sms',
+        TWILIO_ACCOUNT_SID: 'Twilio account (OTP_CHANNEL=sms)',
+        TWILIO_AUTH_TOKEN: 'Twilio auth token',
+        TWILIO_SMS_FROM: 'Twilio sender number'
+      }
+    },
+
+    whatsappGateway: {
+      description: 'Outbound WhatsApp messages are queued durably on the server and retried with backoff',
+      providers: ['cloud (WhatsApp Cloud API)', 'twilio (Twilio WhatsApp)', 'file (local sink for development)'],
+      envVariables: {
+        WHATSAPP_PROVIDER: 'cloud | twilio | file (default: file)',
+        WHATSAPP_API_KEY: 'WhatsApp Cloud API access token',
+        WHATSAPP_PHONE_NUMBER_ID: 'WhatsApp Cloud API sender phone number id',
+        TWILIO_WHATSAPP_FROM: 'Twilio WhatsApp-enabled sender number, e.g. +14155238886',
+        WHATSAPP_SINK_FILE: 'Where the file provider writes messages (default: data/whatsapp-sink.log)',
+        WHATSAPP_ALLOW_ANY_RECIPIENT: 'Set true to let users message numbers other than their own'
+      }
+    },
+
+    alertEngine: {
+      description: 'Price alert rules are evaluated server-side against fresh quotes',
+      ruleTypes: [
+        'price_above', 'price_below', 'change_percent_above', 'change_percent_below',
+        'cross_resistance', 'cross_support', 'volume_spike',
+        'rsi_above', 'rsi_below', 'macd_bullish_cross', 'macd_bearish_cross',
+        'cross_above_sma', 'cross_below_sma', 'bollinger_breakout_up', 'bollinger_breakout_down'
+      ],
+      notes: [
+        'Each rule has a cooldown (default 60 minutes) so it does not re-fire on every poll',
+        'Rules are never evaluated against demo or replayed quotes, nor against a last quote kept because every provider failed',
+        'Indicator rules and support/resistance use a year of daily candles; support/resistance are pivot S1/R1',
+        'New exchange filings alert users who watch the symbol or have a rule on it, filtered by their filing preferences',
+        'Filing preferences default to medium importance and up, with routine filings (trading window, newspaper publications, investor meets, compliance certificates) hidden',
+        'Set whatsapp: true in the filing preferences to also get filing and results alerts on WhatsApp at the login number, through the WhatsApp gateway queue',
+        'Corporate action reminders go to watchers a set number of days (default 2) before each ex-date and record date, once per date; meeting dates can be added in the preferences'
+      ],
+      envVariables: {
+        ALERT_EVALUATION_CRON: 'Evaluation schedule in cron syntax (default: every minute)',
+        ALERT_MAX_QUOTE_AGE: 'Milliseconds past which a cached quote still refreshing is too old to evaluate (default: 300000)',
+        FILING_ALERT_MAX_AGE: 'Milliseconds after which a newly ingested filing no longer alerts (default: 86400000)',
+        CORPORATE_ACTION_REMINDER_CRON: 'Reminder schedule in cron syntax, IST (default: 30 8 * * *; off disables)'
+      }
+    },
+
+    historicalData: {
+      description: 'Normalized OHLCV candles for Indian and Global symbols',
+      intervals: ['1m', '5m', '1d'],
+      ranges: {
+        '1m': ['1d', '5d'],
+        '5m': ['1d', '5d', '1mo'],
+        '1d': ['5d', '1mo', '1y']
+      },
+      providers: {
+        indian: ['Financial Modeling Prep', 'Twelve Data', 'Yahoo Finance (Proxy)'],
+        global: ['Alpha Vantage', 'Twelve Data', 'Financial Modeling Prep', 'Yahoo Finance (Proxy)']
+      },
+      notes: [
+        'Candles are cached per interval: 1 minute for 1m, 5 minutes for 5m, 1 hour for 1d',
+        'Pass market=indian|global to override automatic market detection'
+      ]
+    },
+
+    technicalIndicators: {
+      description: 'Indicators computed over candle history from the historical data providers',
+      indicators: ['SMA 20/50/200', 'EMA 12/26/50', 'RSI 14', 'MACD 12/26/9', 'Bollinger Bands 20/2', 'ATR 14', 'VWAP', 'Pivot points (S1-S3, R1-R3)'],
+      endpoint: '/api/stocks/:symbol/indicators?interval=1d&range=1y',
+      notes: [
+        'Stock details analysis (trend, volatility, strength, support, resistance) is derived from daily indicators',
+        'VWAP covers the latest session for intraday intervals and the whole range for daily candles'
+      ]
+    },
+
+    symbolMaster: {
+      description: 'Every known listing (name, ISIN, sector, exchange, lot size, currency) loaded from exchange files',
+      supportedFiles: {
+        'nse-equity': 'NSE EQUITY_L.csv (securities available for equity segment)',
+        'bse-scrip': 'BSE "List of Scrips" CSV export',
+        'nasdaq-listed': 'nasdaqtrader.com nasdaqlisted.txt',
+        'nasdaq-other': 'nasdaqtrader.com otherlisted.txt (NYSE, NYSE American, Arca)',
+        custom: 'symbol,name,isin,sector,exchange,currency,lotSize,featured,referencePrice,sharesOutstanding,aliases'
+      },
+      notes: [
+        'Drop files into SYMBOL_MASTER_DIR and call POST /api/symbols/refresh - no redeploy needed',
+        'POST /api/symbols/refresh with {"download": true} fetches the NSE and NASDAQ lists first',
+        'server/symbols/seed.csv ships sectors, aliases and the ticker line-up (featured column)',
+        'GET /api/stocks/search/:query ranks symbol, ISIN, alias and company-name matches and tolerates typos',
+        'Search filters: ?market=indian|global, ?exchange=NSE|BSE|NYSE|NASDAQ, paginate with ?limit= (max 50) and ?offset='
+      ],
+      envVariables: {
+        SYMBOL_MASTER_DIR: 'Directory holding listing files (default: data/symbols)',
+        SYMBOL_MASTER_REFRESH_CRON: 'Optional schedule for downloading fresh lists, e.g. "0 7 * * 1-5"',
+        ADMIN_PHONES: 'Comma-separated phone numbers allowed to import and refresh symbol lists'
+      }
+    },
+
+    realtimeStream: {
+      description: 'Server-Sent Events push channel replacing client-side polling',
+      events: {
+        ready: 'Sent on connect with the clientId used for subscribe/unsubscribe',
+        quote: 'Full snapshot on first update, then only the fields that changed',
+        market: 'Indian or Global market open/close transitions',
+        alert: 'Fired price alerts for the user identified by ?token='
+      },
+      notes: [
+        'Each symbol is fetched by one shared loop however many clients follow it',
+        'Loops stop automatically when the last client for a symbol disconnects',
+        'Without ?token= a stream may only follow the public ticker symbols',
+        'Subscribe, unsubscribe and stats need a session; only the user who opened a stream (with ?token=) can change its symbols',
+        'Symbols whose quote fetch fails are not fetched again for 5 minutes'
+      ],
+      envVariables: {
+        STREAM_POLL_INTERVAL: 'Milliseconds between quote fetches per symbol (default: 15000)',
+        STREAM_MAX_FEEDS: 'Most symbols polled at once across all clients (default: 200)'
+      }
+    },
+
+    portfolio: {
+      description: 'Per-user holdings valued with the same quotes as the tickers',
+      holdingFields: {
+        symbol: 'RELIANCE, AAPL, ...',
+        market: 'indian | global (optional, resolved from the symbol master)',
+        quantity: 'Shares held in this lot',
+        averagePrice: 'Average buy price in the listing currency',
+        buyDate: 'YYYY-MM-DD',
+        broker: 'Optional, e.g. Zerodha'
+      },
+      notes: [
+        'Each POST records one lot; several lots of the same stock are valued together',
+        'Summary is split by currency (INR, USD) with market value, day change, unrealized P&L and sector/market allocation',
+        'A lot bought today counts its day change from the buy price',
+        '?currency=INR|USD adds a single-currency total converted at the current rate'
+      ]
+    },
+
+    marketCalendar: {
+      description: 'NSE/BSE and NYSE/NASDAQ holidays, Muhurat trading, early closes and session phases',
+      phases: {
+        indian: 'pre_open 09:00, regular 09:15, closing 15:30, post_close 15:40-16:00 IST',
+        global: 'pre_market 04:00, regular 09:30, after_hours 16:00-20:00 ET (moved up on early-close days)'
+      },
+      notes: [
+        'server/calendars/*.json ship the published holiday lists; add next year\'s circular as a JSON file in MARKET_CALENDAR_DIR',
+        'Override files win per date; {"date": "...", "cancelled": true} removes a shipped entry',
+        'POST /api/markets/calendar/reload picks up new files without a restart',
+        '/api/markets/status reports the exact phase, the next session and any holiday or early close today'
+      ],
+      envVariables: {
+        MARKET_CALENDAR_DIR: 'Directory for calendar override files (default: DATA_DIR/calendars)'
+      }
+    },
+    marketIndices: {
+      description: 'NIFTY 50, SENSEX, NIFTY BANK, S&P 500 and NASDAQ Composite levels with advance/decline breadth and constituents',
+      providers: 'FMP batch quote when FMP_API_KEY is set, then Yahoo Finance (Proxy); demo and replay modes work as for stocks',
+      notes: [
+        'Breadth counts advancing, declining and unchanged constituents from the same cached quotes as the tickers',
+        'The Indian indices list every constituent; the US ones list their largest members, so their breadth is a sample (complete: false)',
+        'server/indices/indices.json ships the constituent lists; drop a reconstituted index into MARKET_INDICES_DIR and POST /api/indices/reload',
+        'GET /api/indices returns levels only; ?breadth=true adds breadth for signed-in users from a cache kept INDEX_BREADTH_TTL',
+        'GET /api/indices needs no login; without a session it returns levels only',
+        'GET /api/indices/:id always quotes the constituents and refreshes that index\'s cached breadth'
+      ],
+      envVariables: {
+        MARKET_INDICES_DIR: 'Directory for index override files (default: DATA_DIR/indices)',
+        INDEX_BREADTH_TTL: 'Milliseconds index breadth is cached for the list route (default: 900000)'
+      }
+    },
+    announcements: {
+      description: 'Corporate filings polled from NSE and BSE, normalized into one event per filing with symbol, category, attachment and filing time',
+      notes: [
+        'A filing sent to both exchanges is stored once, with both exchanges in sources (same company and category, filed within the dedupe window, similar wording)',
+        'BSE filings are matched to symbols by scrip code, then by the security id in the BSE URL',
+        'Outside live mode the recorded feeds in server/fixtures are ingested instead of the exchange websites',
+        'POST /api/announcements/import?exchange=NSE|BSE ingests a saved exchange response (admin)',
+        'Every filing is labelled with category, importance (high/medium/low), sentiment and noise by keyword rules; GET /api/announcements/categories lists the categories',
+        'Set CLASSIFIER_MODEL_URL to a local model server to label filings instead; it receives { text, categories, importance, sentiments } and answers { category, importance, sentiment, confidence }, and the keyword rules are used whenever it is unreachable or unsure',
+        'POST /api/announcements/reclassify relabels stored filings after the rules or model change (admin)'
+      ],
+      envVariables: {
+        ANNOUNCEMENT_FEED: 'live or fixtures (default: live in live mode, fixtures otherwise)',
+        ANNOUNCEMENT_POLL_CRON: 'Poll schedule (default: */5 * * * *; off disables polling)',
+        ANNOUNCEMENT_FIXTURE_DIR: 'Directory with nse-announcements.json and bse-announcements.json (default: server/fixtures)',
+        ANNOUNCEMENT_LOOKBACK_DAYS: 'Days fetched on the first poll (default: 1)',
+        ANNOUNCEMENT_BSE_MAX_PAGES: 'BSE result pages fetched per poll (default: 5)',
+        ANNOUNCEMENT_DEDUPE_WINDOW: 'Milliseconds between NSE and BSE copies of one filing (default: 3600000)',
+        ANNOUNCEMENT_RETENTION_DAYS: 'Days filings are kept (default: 180)',
+        CLASSIFIER_MODEL_URL: 'Optional local classifier endpoint (default: keyword rules only)',
+        CLASSIFIER_MODEL_TIMEOUT: 'Milliseconds to wait for the model (default: 3000)',
+        CLASSIFIER_MODEL_MIN_CONFIDENCE: 'Model answers below this confidence fall back to the rules (default: 0.6)'
+      }
+    },
+    financialResults: {
+      description: 'Quarterly revenue, net profit and EPS with QoQ and YoY growth, read from the XBRL NSE publishes with every result filing',
+      notes: [
+        'A financial results filing triggers extraction of the latest quarter, consolidated and standalone; figures are in ₹ crore',
+        'Consolidated profit is the share attributable to owners of the parent; alerts use consolidated figures when the company files them',
+        'Results alerts carry revenue, revenueGrowth, profit, profitGrowth, eps and highlights, and include them in the WhatsApp message when the user turned WhatsApp filing alerts on',
+        'When no XBRL can be read (e.g. BSE-only companies), revenue, profit, EPS and stated growth are read from the filing text',
+        'Result PDFs are not parsed directly: POST /api/results/import with { symbol, text } from a text rendition such as pdftotext output, or { symbol, xbrl } (admin)',
+        'XBRL figures are never replaced by figures read from text',
+        'Outside live mode the recorded result list and XBRL in server/fixtures are used'
+      ],
+      envVariables: {
+        ANNOUNCEMENT_FEED: 'Also selects live or recorded result filings',
+        ANNOUNCEMENT_FIXTURE_DIR: 'Directory with nse-financial-results.json and results/*.xml (default: server/fixtures)'
+      }
+    },
+    corporateActions: {
+      description: 'Dividends, splits, bonuses, rights issues, buybacks and AGMs with their ex, record, meeting and payment dates, for Indian and US symbols',
+      notes: [
+        'Indian actions come from the NSE corporate actions list; US dividends and splits from the FMP dividend and split calendars (FMP_API_KEY), kept for symbols in the symbol master',
+        'US buybacks, rights and AGMs have no free calendar: POST /api/calendar/import adds them, or any action a feed missed (admin)',
+        'An action is listed when any of its dates falls in from..to (default: today and the next 90 days); watchlist=<id>|all and symbols=... narrow it to those symbols',
+        'GET /api/calendar/export.ics downloads the same list as an iCalendar file; alarm=N adds a reminder N days before each date',
+        'GET /api/calendar/subscription returns a private URL to subscribe to from Google Calendar, Apple Calendar or Outlook; it follows all the user\'s watchlists and POST /api/calendar/subscription/rotate revokes it',
+        'AGM meeting dates are taken from the end of NSE book closure; an ex-date that is also the record date is one calendar event',
+        'Outside live mode the recorded feeds in server/fixtures are used'
+      ],
+      envVariables: {
+        CORPORATE_ACTION_FEED: 'live or fixtures (default: live in live mode, fixtures otherwise)',
+        CORPORATE_ACTION_SYNC_CRON: 'Sync schedule (default: 0 */6 * * *; off disables)',
+        CORPORATE_ACTION_LOOKBACK_DAYS: 'Days before today fetched on each sync (default: 30)',
+        CORPORATE_ACTION_LOOKAHEAD_DAYS: 'Days after today fetched on each sync (default: 90)',
+        CORPORATE_ACTION_RETENTION_DAYS: 'Days actions are kept after their last date (default: 400)'
+      }
+    },
+    providerHealth: {
+      description: 'Circuit breakers and latency tracking for every quote provider',
+      states: {
+        closed: 'Healthy; calls flow normally',
+        open: 'Skipped after repeated failures until the cooldown ends',
+        half_open: 'One trial call decides whether to close again or stay open twice as long'
+      },
+      notes: [
+        'Healthy providers are tried fastest first; latencies within 250ms keep the configured priority',
+        'Breaker state comes from real traffic and appears in /api/health and /api/markets/status',
+        'Alpha Vantage shares one breaker between Indian and Global quotes',
+        'Tickers, watchlists and portfolios fetch quotes as FMP/Twelve Data batches; only symbols missing from every batch are fetched one by one',
+        'Quotes are cached per symbol, so ticker, watchlist and detail requests share them whatever their limit',
+        'Concurrent requests for a symbol that is already being fetched wait on that fetch instead of calling the provider again',
+        'Coalesced requests per market appear under cache.quoteLoaders in /api/health',
+        'Past QUOTE_CACHE_TTL the last quote is served at once with stale: true, staleAge (seconds) and staleReason while it refreshes in the background',
+        'If every provider fails, the last real quote keeps being served (staleReason: providers_failed)'
+      ],
+      quotas: {
+        'Financial Modeling Prep': '250/day (FMP_DAILY_LIMIT)',
+        'Twelve Data': '800/day (TWELVE_DATA_DAILY_LIMIT)',
+        'Alpha Vantage': '500/day (ALPHA_VANTAGE_DAILY_LIMIT)'
+      },
+      quotaNotes: [
+        'Every request to a keyed provider (quotes, history, FX, extended hours) is counted in DATA_DIR/provider-quota.json',
+        'Routing stops QUOTA_RESERVE requests short of the cap and resumes at the next UTC (or IST) midnight',
+        'Usage and remaining budget appear per provider in /api/markets/status and /api/health'
+      ],
+      envVariables: {
+        CIRCUIT_BREAKER_THRESHOLD: 'Consecutive failures that open a circuit (default: 3)',
+        CIRCUIT_BREAKER_TIMEOUT: 'First cooldown once a circuit opens, doubled per failed trial up to 15 minutes (default: 60000)',
+        CIRCUIT_BREAKER_RESET: 'Failures further apart than this start a new count (default: 300000)',
+        FMP_DAILY_LIMIT: 'FMP requests per day (default: 250)',
+        TWELVE_DATA_DAILY_LIMIT: 'Twelve Data requests per day (default: 800)',
+        ALPHA_VANTAGE_DAILY_LIMIT: 'Alpha Vantage requests per day (default: 500)',
+        QUOTA_DAY_TIMEZONE: 'UTC or IST: which midnight starts a new quota day (default: UTC)',
+        QUOTA_RESERVE: 'Requests held back below each cap for calls already in flight (default: 5)',
+        TWELVE_DATA_BATCH_SIZE: 'Symbols per Twelve Data batch call; free keys allow 8 credits a minute (default: 8)'
+      }
+    },
+    caching: {
+      description: 'LRU cache split into namespaces (indian-quotes, global-quotes, indices-quotes, index-breadth, details, search, history), each with its own TTL',
+      backends: {
+        memory: 'In-process LRU, the default; least recently used entries go first once MAX_CACHE_SIZE is reached',
+        redis: 'Any Redis-compatible server (Redis, Valkey, KeyDB) so several server instances share quotes'
+      },
+      notes: [
+        'Hits, misses, evictions, size and hit rate per namespace appear under cache in /api/health',
+        'If Redis stops answering, the in-process cache serves for 30 seconds before Redis is tried again',
+        'Concurrent fetches of the same symbol are coalesced per instance, not across instances'
+      ],
+      envVariables: {
+        MAX_CACHE_SIZE: 'Entries kept by the in-process LRU (default: 1000)',
+        QUOTE_CACHE_TTL: 'Milliseconds a per-symbol quote is fresh; after that it is served stale and refreshed (default: 60000)',
+        QUOTE_MAX_STALE_AGE: 'Milliseconds the last quote is kept for stale serving (default: 259200000, 72 hours)',
+        STOCK_DETAIL_CACHE_TTL: 'Milliseconds a stock detail with its analysis is reused (default: 60000)',
+        SEARCH_CACHE_TTL: 'Milliseconds a search result page is reused (default: 300000)',
+        USE_REDIS_CACHE: 'true to use the Redis backend (default: false)',
+        REDIS_URL: 'redis://[user:password@]host:port[/db]',
+        REDIS_PASSWORD: 'Password when it is not part of REDIS_URL',
+        REDIS_KEY_PREFIX: 'Prefix for every cache key in Redis (default: vsa:)',
+        LOG_CACHE_HITS: 'true to log every cache hit'
+      }
+    },
+    serverMode: {
+      description: 'Where quotes come from: live providers, the seeded demo simulator, or a replayed recording',
+      modes: {
+        live: 'Provider data only; a symbol no provider can price is listed under errors, never filled with made-up prices',
+        demo: 'Deterministic simulated prices from DEMO_SEED; no provider is called',
+        replay: 'Quotes recorded in live mode with QUOTE_RECORDING=true, played back in a loop'
+      },
+      notes: [
+        'The active mode is in /api/health and /api/markets/status, and every quote route summary carries it',
+        'Demo and replayed quotes are marked mock: true; alerts never fire on them',
+        'Recordings are JSON lines under DATA_DIR/recordings, one file per UTC day',
+        'Instances in different modes sharing one Redis need different REDIS_KEY_PREFIX values'
+      ],
+      envVariables: {
+        SERVER_MODE: 'live, demo or replay (default: live)',
+        DEMO_SEED: 'Seed for simulated prices; the same seed gives the same prices (default: vibha-demo)',
+        DEMO_TICK_MS: 'Milliseconds between simulated price moves (default: 15000)',
+        DEMO_FROZEN_AT: 'Date to pin the simulator clock to, for screenshots and tests',
+        QUOTE_RECORDING: 'true to record live quotes for replay (default: false)',
+        REPLAY_FILE: 'Recording to replay (default: the latest one under DATA_DIR/recordings)',
+        REPLAY_SPEED: 'Playback speed multiplier (default: 1)'
+      }
+    },
+    extendedHours: {
+      description: 'US pre-market (04:00-09:30 ET) and after-hours (16:00-20:00 ET) prices on global quotes',
+      fields: {
+        session: 'pre_market | regular | after_hours | closed, on every global quote',
+        extendedHours: '{ session, price, change, changePercent, regularClose, tradedAt, source } or null'
+      },
+      providers: ['FMP aftermarket trades (FMP_API_KEY)', 'Twelve Data prepost quote (TWELVE_DATA_API_KEY)', 'Yahoo Finance (Proxy)'],
+      notes: [
+        'Change is measured against the regular-session close: today\'s after 16:00, the previous one before 09:30',
+        'Add ?moves=extended to /api/stocks/ticker or /api/stocks/global to rank by the extended-hours move',
+        'Alert rule types extended_price_above/below and extended_move_above/below only fire outside regular hours'
+      ],
+      envVariables: {
+        EXTENDED_HOURS_CACHE_TTL: 'Milliseconds to reuse an extended-hours price (default: 60000)'
+      }
+    },
+
+    currencyConversion: {
+      description: 'USD/INR rate with provider fallback; ?currency=INR|USD on ticker, stock detail and portfolio routes',
+      providers: ['Alpha Vantage (intraday, needs key)', 'Twelve Data (intraday, needs key)', 'Frankfurter / ECB (daily, free)', 'open.er-api.com (daily, free)'],
+      notes: [
+        'Converted responses carry an fx block with the rate, its source and asOf time',
+        'price, change, high, low and previousClose are converted; changePercent and volume are unchanged',
+        'Market caps follow the target currency convention: crores for INR, billions for USD',
+        'When every provider fails the last known rate is used and flagged stale'
+      ],
+      envVariables: {
+        FX_CACHE_TTL: 'Milliseconds a fetched rate is reused (default: 600000)',
+        FX_USDINR_FALLBACK: 'Optional seed rate for installs that have never reached a provider'
+      }
+    },
+
     testCommands: {
       description: 'Test your dual ticker system',
       commands: [
@@ -724,6 +1211,7 @@ app.get('/api/setup', (req, res) => {
         'curl http://localhost:3001/api/stocks/indian',
         'curl http://localhost:3001/api/stocks/global', 
         'curl http://localhost:3001/api/stocks/ticker',
+        'curl -H "Authorization: Bearer <token>" "http://localhost:3001/api/stocks/RELIANCE/history?interval=5m&range=5d"',
         'curl http://localhost:3001/api/markets/status'
       ]
     },
@@ -739,10 +1227,13 @@ app.get('/api/setup', (req, res) => {
         '',
         '// Fetch both (unified ticker)',
         'fetch("/api/stocks/ticker?limit=24")',
+        'fetch("/api/stocks/ticker?limit=24&currency=INR")  // everything in rupees',
         '',
         '// Search within specific market',
         'fetch("/api/stocks/search/apple?market=global")',
-        'fetch("/api/stocks/search/reliance?market=indian")'
+        'fetch("/api/stocks/search/reliance?market=indian")',
+        'fetch("/api/stocks/search/hul")                      // alias -> HINDUNILVR',
+        'fetch("/api/stocks/search/infosis?exchange=NSE")     // typo-tolerant'
       ]
     }
   };
@@ -754,25 +1245,69 @@ app.get('/api/setup', (req, res) => {
 // GLOBAL MARKET DATA FETCHER (Enhanced with Better Error Handling)
 // =============================================================================
 
-const fetchGlobalStockData = async (symbol) => {
+// Alpha Vantage has no batch quote, so it stays the per-symbol fallback
+const GLOBAL_BATCH_PROVIDERS = [
+  {
+    name: 'Financial Modeling Prep',
+    fetchBatch: (symbols) => fetchFMPBatch(symbols, 'global'),
+    batchSize: () => 50,
+    priority: 1,
+    enabled: () => Boolean(process.env.FMP_API_KEY && process.env.FMP_API_KEY !== 'demo')
+  },
+  {
+    name: 'Twelve Data',
+    fetchBatch: (symbols) => fetchTwelveDataBatch(symbols, 'global'),
+    batchSize: getTwelveDataBatchSize,
+    priority: 2,
+    enabled: () => Boolean(process.env.TWELVE_DATA_API_KEY && process.env.TWELVE_DATA_API_KEY !== 'demo')
+  }
+];
+
+// Regular-session quotes plus the session tag and any pre-market/after-hours move
+const fetchGlobalStocksData = async (symbols) => {
+  const batchProviders = GLOBAL_BATCH_PROVIDERS.filter(p => p.enabled() && hasQuota(p.name));
+  const { quotes, missing } = await fetchBatchThroughProviders(batchProviders, symbols);
+
+  if (missing.length > 0 && batchProviders.length > 0) {
+    console.log(`↪️ ${missing.length}/${symbols.length} Global symbols not in any batch, fetching individually`);
+  }
+  const singles = await Promise.allSettled(missing.map(symbol => fetchGlobalRegularQuote(symbol)));
+  missing.forEach((symbol, i) => quotes.set(symbol, singles[i].status === 'fulfilled' ? singles[i].value : singles[i].reason));
+
+  // A symbol no provider could price stays its QuoteUnavailableError
+  return Promise.all(symbols.map(symbol => {
+    const quote = quotes.get(symbol);
+    return quote instanceof Error ? quote : withExtendedHours(quote);
+  }));
+};
+
+const fetchGlobalRegularQuote = async (symbol) => {
   try {
     if (!ALPHA_VANTAGE_API_KEY || ALPHA_VANTAGE_API_KEY === 'demo') {
       throw new Error('Alpha Vantage API key required for global stocks');
     }
+    if (!hasQuota('Alpha Vantage')) {
+      throw new Error('Alpha Vantage daily quota used up');
+    }
 
-    const response = await axios.get('https://www.alphavantage.co/query', {
-      params: {
-        function: 'GLOBAL_QUOTE',
-        symbol: symbol,
-        apikey: ALPHA_VANTAGE_API_KEY
-      },
-      timeout: 10000
-    });
+    // Shares the Alpha Vantage breaker with the Indian provider chain
+    const quote = await callProvider('Alpha Vantage', async () => {
+      consumeQuota('Alpha Vantage');
+      const response = await axios.get('https://www.alphavantage.co/query', {
+        params: {
+          function: 'GLOBAL_QUOTE',
+          symbol: symbol,
+          apikey: ALPHA_VANTAGE_API_KEY
+        },
+        timeout: 10000
+      });
 
-    const quote = response.data['Global Quote'];
-    if (!quote || Object.keys(quote).length === 0) {
-      throw new Error(`No data available for ${symbol}`);
-    }
+      const globalQuote = response.data['Global Quote'];
+      if (!globalQuote || Object.keys(globalQuote).length === 0) {
+        throw new Error(`No data available for ${symbol}`);
+      }
+      return globalQuote;
+    });
 
     const price = parseFloat(quote['05. price']) || 0;
     const change = parseFloat(quote['09. change']) || 0;
@@ -799,201 +1334,221 @@ const fetchGlobalStockData = async (symbol) => {
     };
   } catch (error) {
     console.error(`Error fetching global stock ${symbol}:`, error.message);
-    
-    // Return mock data for global stocks if API fails
-    return generateGlobalMockData(symbol);
+    throw new QuoteUnavailableError(symbol, [`Alpha Vantage: ${error.message}`]);
   }
 };
 
-const generateGlobalMockData = (symbol) => {
-  const basePrice = getGlobalBasePrice(symbol);
-  const volatility = getGlobalVolatility(symbol);
-  
-  const timeBasedVariation = Math.sin(Date.now() / 10000) * 0.5;
-  const randomVariation = (Math.random() - 0.5) * 2;
-  const totalVariation = (timeBasedVariation + randomVariation) * volatility;
-  
-  const price = Math.max(basePrice + totalVariation, basePrice * 0.85);
-  const change = totalVariation;
-  const changePercent = (change / basePrice) * 100;
-  
-  return {
-    symbol: symbol,
-    name: getGlobalCompanyName(symbol),
-    price: Math.round(price * 100) / 100,
-    change: Math.round(change * 100) / 100,
-    changePercent: Math.round(changePercent * 100) / 100,
-    high: Math.round((price + Math.abs(change) * 0.4) * 100) / 100,
-    low: Math.round((price - Math.abs(change) * 0.4) * 100) / 100,
-    volume: Math.floor(Math.random() * 100000000) + 10000000,
-    previousClose: Math.round(basePrice * 100) / 100,
-    marketCap: calculateGlobalMarketCap(symbol, price),
-    sector: getGlobalSector(symbol),
-    exchange: getGlobalExchange(symbol),
-    currency: 'USD',
-    marketOpen: isGlobalMarketOpen(),
-    timestamp: new Date().toISOString(),
-    source: 'Mock_Global_Data',
-    mock: true
-  };
+// ?currency=INR|USD converts after the cache, so one cached copy serves both currencies
+const inCurrency = async (response, currency) => {
+  if (!currency) return response;
+  const { quotes, fx } = await convertQuotes(response.data, currency);
+  return { ...response, data: quotes, summary: { ...response.summary, currency }, fx };
 };
 
-// =============================================================================
-// UTILITY FUNCTIONS
-// =============================================================================
+// Indicators stay in the listing currency; the analysis levels shown next to the price follow it
+const stockDetailsInCurrency = async (stockData, currency) => {
+  if (!currency || stockData.currency === currency) return stockData;
+
+  const conversion = await getConversion(stockData.currency, currency);
+  const toTarget = (value) => (typeof value === 'number' ? Math.round(value * conversion.rate * 100) / 100 : value);
+  const converted = convertQuote(stockData, conversion);
+  if (stockData.analysis) {
+    converted.analysis = {
+      ...stockData.analysis,
+      support: toTarget(stockData.analysis.support),
+      resistance: toTarget(stockData.analysis.resistance)
+    };
+  }
+  return { ...converted, fx: describeConversion(conversion) };
+};
+
+// An explicit market wins; otherwise the symbol suffix, then the symbol master decides
+const resolveMarket = (symbol, market) => {
+  if (market) return market === 'indian' ? 'indian' : 'global';
+
+  if (symbol.endsWith('.NS') || symbol.endsWith('.BO')) return 'indian';
+  return getSymbol(symbol)?.market || 'global';
+};
+
+// Candle history through the shared cache; the TTL follows the interval
+const getStockHistory = async (symbol, { interval = '1d', range = '1mo', market } = {}) => {
+  const resolvedMarket = resolveMarket(symbol, market);
+  const cacheKey = `${resolvedMarket}-${symbol}-${interval}-${range}`;
+
+  const cachedData = await historyCache.get(cacheKey);
+  if (cachedData) {
+    return {
+      ...cachedData,
+      cached: true,
+      cacheAge: cacheAgeOf(cachedData.timestamp)
+    };
+  }
+
+  const history = await fetchStockHistory(symbol, {
+    interval, range, market: resolvedMarket, fetchQuote: fetchStockQuote
+  });
 
-const isIndianMarketOpen = () => {
-  const now = new Date();
-  const ist = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Kolkata"}));
-  const hour = ist.getHours();
-  const minute = ist.getMinutes();
-  const day = ist.getDay();
-  
-  const isWeekday = day >= 1 && day <= 5;
-  const isMarketHours = (hour > 9 || (hour === 9 && minute >= 15)) && (hour < 15 || (hour === 15 && minute <= 30));
-  
-  return isWeekday && isMarketHours;
+  const response = {
+    symbol,
+    market: resolvedMarket,
+    interval,
+    range,
+    timeZone: history.timeZone,
+    count: history.candles.length,
+    candles: history.candles,
+    source: history.source,
+    mock: history.mock || false,
+    ...(history.errors && { providerErrors: history.errors }),
+    timestamp: new Date().toISOString()
+  };
+
+  await historyCache.set(cacheKey, response, history.mock ? CACHE_DURATION : HISTORY_INTERVALS[interval].cacheTtl);
+  return response;
 };
 
-const isGlobalMarketOpen = () => {
-  const now = new Date();
-  const est = new Date(now.toLocaleString("en-US", {timeZone: "America/New_York"}));
-  const hour = est.getHours();
-  const day = est.getDay();
-  return day >= 1 && day <= 5 && hour >= 9 && hour < 16;
+// Defaults to a year of daily candles: enough warm-up for the 200-day SMA
+const getStockIndicators = async (symbol, { interval = '1d', range = '1y', market } = {}) => {
+  const history = await getStockHistory(symbol, { interval, range, market });
+  const indicators = computeIndicators(history.candles, {
+    intraday: HISTORY_INTERVALS[interval].intraday,
+    sessionKey: (timestamp) => sessionDate(timestamp, history.timeZone)
+  });
+  return { history, indicators };
 };
 
-const GLOBAL_COMPANIES = {
-  'AAPL': { name: 'Apple Inc.', sector: 'Technology', basePrice: 175, volatility: 8 },
-  'GOOGL': { name: 'Alphabet Inc.', sector: 'Technology', basePrice: 142, volatility: 6 },
-  'MSFT': { name: 'Microsoft Corporation', sector: 'Technology', basePrice: 378, volatility: 12 },
-  'AMZN': { name: 'Amazon.com Inc.', sector: 'E-commerce', basePrice: 153, volatility: 7 },
-  'TSLA': { name: 'Tesla Inc.', sector: 'Electric Vehicles', basePrice: 248, volatility: 15 },
-  'META': { name: 'Meta Platforms Inc.', sector: 'Social Media', basePrice: 325, volatility: 12 },
-  'NVDA': { name: 'NVIDIA Corporation', sector: 'Semiconductors', basePrice: 465, volatility: 20 },
-  'NFLX': { name: 'Netflix Inc.', sector: 'Entertainment', basePrice: 445, volatility: 18 },
-  'BRK.B': { name: 'Berkshire Hathaway Inc.', sector: 'Conglomerate', basePrice: 350, volatility: 10 },
-  'JPM': { name: 'JPMorgan Chase & Co.', sector: 'Banking', basePrice: 145, volatility: 8 },
-  'V': { name: 'Visa Inc.', sector: 'Financial Services', basePrice: 245, volatility: 12 },
-  'JNJ': { name: 'Johnson & Johnson', sector: 'Healthcare', basePrice: 160, volatility: 6 },
-  'WMT': { name: 'Walmart Inc.', sector: 'Retail', basePrice: 155, volatility: 7 },
-  'PG': { name: 'Procter & Gamble Co.', sector: 'Consumer Goods', basePrice: 150, volatility: 5 },
-  'UNH': { name: 'UnitedHealth Group Inc.', sector: 'Healthcare', basePrice: 525, volatility: 15 },
-  'DIS': { name: 'The Walt Disney Company', sector: 'Entertainment', basePrice: 95, volatility: 10 },
-  'ADBE': { name: 'Adobe Inc.', sector: 'Software', basePrice: 525, volatility: 18 },
-  'CRM': { name: 'Salesforce Inc.', sector: 'Software', basePrice: 210, volatility: 15 }
+// Where quotes come from follows SERVER_MODE. Live mode never makes prices up:
+// a symbol no provider can price comes back as an Error and is reported per symbol.
+const LIVE_FETCHERS = {
+  indian: (symbols) => fetchIndianStocksData(symbols),
+  global: (symbols) => fetchGlobalStocksData(symbols),
+  indices: (ids) => fetchIndexLevels(ids)
 };
 
-const getGlobalCompanyName = (symbol) => GLOBAL_COMPANIES[symbol]?.name || symbol;
-const getGlobalSector = (symbol) => GLOBAL_COMPANIES[symbol]?.sector || 'Unknown';
-const getGlobalBasePrice = (symbol) => GLOBAL_COMPANIES[symbol]?.basePrice || 100;
-const getGlobalVolatility = (symbol) => GLOBAL_COMPANIES[symbol]?.volatility || 5;
-const getGlobalExchange = (symbol) => {
-  const nasdaqStocks = ['AAPL', 'GOOGL', 'MSFT', 'AMZN', 'TSLA', 'META', 'NVDA', 'NFLX', 'ADBE', 'CRM'];
-  return nasdaqStocks.includes(symbol) ? 'NASDAQ' : 'NYSE';
+const DEMO_FETCHERS = {
+  indian: (symbols) => symbols.map(symbol => simulateQuote(symbol, 'indian')),
+  global: (symbols) => Promise.all(symbols.map(symbol => withExtendedHours(simulateQuote(symbol, 'global')))),
+  indices: (ids) => simulateIndexLevels(ids)
 };
 
-const getCompanyName = (symbol) => {
-  return INDIAN_SYMBOLS.includes(symbol) ? 
-    getIndianCompanyName(symbol) : 
-    getGlobalCompanyName(symbol);
+const fetchModeQuotes = async (market, symbols) => {
+  const mode = getServerMode();
+  if (mode === 'demo') return DEMO_FETCHERS[market](symbols);
+  if (mode === 'replay') return replayQuotes(market, symbols);
+
+  const quotes = await LIVE_FETCHERS[market](symbols);
+  recordQuotes(market, symbols, quotes);
+  return quotes;
 };
 
-const calculateGlobalMarketCap = (symbol, price) => {
-  const shares = { // Outstanding shares in billions
-    'AAPL': 15.7, 'GOOGL': 12.9, 'MSFT': 7.4, 'AMZN': 10.7,
-    'TSLA': 3.2, 'META': 2.5, 'NVDA': 2.5, 'NFLX': 0.44,
-    'BRK.B': 1.5, 'JPM': 2.9, 'V': 2.1, 'JNJ': 2.6,
-    'WMT': 2.7, 'PG': 2.4, 'UNH': 0.9, 'DIS': 1.8,
-    'ADBE': 0.46, 'CRM': 0.98
-  };
-  return Math.round((shares[symbol] || 1) * price);
+// One loader per market, plus one for index levels: quotes are cached per symbol, and concurrent requests
+// for the same symbol share one upstream fetch
+const quoteLoaders = {
+  indian: createQuoteLoader('indian', (symbols) => fetchModeQuotes('indian', symbols)),
+  global: createQuoteLoader('global', (symbols) => fetchModeQuotes('global', symbols)),
+  indices: createQuoteLoader('indices', (ids) => fetchModeQuotes('indices', ids))
 };
 
-const calculateTrend = (changePercent) => {
-  if (changePercent > 3) return 'Strong Bullish';
-  if (changePercent > 1) return 'Bullish';
-  if (changePercent < -3) return 'Strong Bearish';
-  if (changePercent < -1) return 'Bearish';
-  return 'Neutral';
+// Route lists for one market; symbols without a quote are listed in `errors`.
+// `freshness` says how many quotes came from the cache and when the oldest was fetched.
+const fetchMarketQuotes = async (market, symbols, errors) => {
+  try {
+    const { quotes, fromCache, errors: unavailable } = await quoteLoaders[market].getMany(symbols);
+    unavailable.forEach(({ symbol, error }) => errors.push({ symbol, error, market }));
+    const found = quotes.filter(Boolean).map(quote => ({ ...quote, market }));
+    return {
+      quotes: found,
+      freshness: { total: found.length, fromCache, stale: found.filter(q => q.stale).length, oldest: oldestTimestamp(found) }
+    };
+  } catch (error) {
+    symbols.forEach(symbol => errors.push({ symbol, error: error.message, market }));
+    return { quotes: [], freshness: { total: 0, fromCache: 0, stale: 0, oldest: null } };
+  }
 };
 
-const calculateVolatility = (high, low, price) => {
-  const range = ((high - low) / price) * 100;
-  if (range > 5) return 'High';
-  if (range > 2) return 'Medium';
-  return 'Low';
+const oldestTimestamp = (quotes) => {
+  const times = quotes.map(q => new Date(q.timestamp).getTime()).filter(Number.isFinite);
+  return times.length > 0 ? Math.min(...times) : null;
 };
 
-const calculateStrength = (volume, marketCap) => {
-  const turnover = (volume * 100) / marketCap;
-  if (turnover > 0.1) return 'Strong';
-  if (turnover > 0.05) return 'Medium';
-  return 'Weak';
+// `cached` only when every quote in the response was served from the cache
+const describeFreshness = (parts) => {
+  const total = parts.reduce((sum, p) => sum + p.total, 0);
+  const fromCache = parts.reduce((sum, p) => sum + p.fromCache, 0);
+  const oldest = parts.map(p => p.oldest).filter(t => t !== null);
+  return {
+    cached: total > 0 && fromCache >= total,
+    cachedQuotes: fromCache,
+    staleQuotes: parts.reduce((sum, p) => sum + p.stale, 0),
+    cacheAge: oldest.length > 0 ? Math.round((Date.now() - Math.min(...oldest)) / 1000) : 0
+  };
 };
 
-const calculateSupport = (low, price) => Math.round((low * 0.98) * 100) / 100;
-const calculateResistance = (high, price) => Math.round((high * 1.02) * 100) / 100;
-
-const getNextIndianSession = () => {
-  const now = new Date();
-  const ist = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Kolkata"}));
-  const nextDay = new Date(ist);
-  
-  if (ist.getDay() === 5) { // Friday
-    nextDay.setDate(ist.getDate() + 3); // Next Monday
-  } else if (ist.getDay() === 6) { // Saturday
-    nextDay.setDate(ist.getDate() + 2); // Next Monday
-  } else {
-    nextDay.setDate(ist.getDate() + 1); // Next day
-  }
-  
-  nextDay.setHours(9, 15, 0, 0);
-  return nextDay.toISOString();
+// Quotes for [{ symbol, market }] entries in order (watchlists, portfolios),
+// with one loader call per market
+const fetchStockQuotes = async (entries) => {
+  const markets = entries.map(({ symbol, market }) => resolveMarket(symbol, market));
+  const symbolsOf = (market) => [...new Set(entries.filter((_, i) => markets[i] === market).map(e => e.symbol))];
+
+  const [indian, global] = await Promise.all(['indian', 'global'].map(market => (
+    symbolsOf(market).length > 0 ? quoteLoaders[market].getMany(symbolsOf(market)) : { quotes: [] }
+  )));
+
+  const byKey = new Map();
+  symbolsOf('indian').forEach((symbol, i) => byKey.set(`indian|${symbol}`, indian.quotes[i]));
+  symbolsOf('global').forEach((symbol, i) => byKey.set(`global|${symbol}`, global.quotes[i]));
+  return entries.map(({ symbol }, i) => byKey.get(`${markets[i]}|${symbol}`) || null);
 };
 
-const getNextUSSession = () => {
-  const now = new Date();
-  const est = new Date(now.toLocaleString("en-US", {timeZone: "America/New_York"}));
-  const nextDay = new Date(est);
-  
-  if (est.getDay() === 5) { // Friday
-    nextDay.setDate(est.getDate() + 3); // Next Monday
-  } else if (est.getDay() === 6) { // Saturday
-    nextDay.setDate(est.getDate() + 2); // Next Monday
-  } else {
-    nextDay.setDate(est.getDate() + 1); // Next day
-  }
-  
-  nextDay.setHours(9, 30, 0, 0);
-  return nextDay.toISOString();
+// Route a symbol to the Indian or Global quote loader
+// Throws QuoteUnavailableError (status 503) when no provider can price it
+const fetchStockQuote = async (symbol, market) => quoteLoaders[resolveMarket(symbol, market)].get(symbol);
+
+const getQuoteLoaderStats = () => ({
+  indian: quoteLoaders.indian.stats(),
+  global: quoteLoaders.global.stats(),
+  indices: quoteLoaders.indices.stats()
+});
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+// Holidays, special sessions and early closes come from server/market-calendar.js
+const isIndianMarketOpen = () => isMarketOpen('indian');
+const isGlobalMarketOpen = () => isMarketOpen('global');
+
+// Human-readable provider state for the status routes
+const describeProviderState = (provider) => {
+  if (!provider.configured) return 'API Key Not Configured';
+  if (provider.quota?.exhausted) return 'Daily Quota Used';
+  if (provider.state === 'open') return 'Circuit Open';
+  if (provider.state === 'half_open') return 'Recovering';
+  return provider.successes > 0 ? 'Working' : 'Available';
 };
 
-// Helper function to get Indian company name (imported from indian-markets-api.js)
-const getIndianCompanyName = (symbol) => {
-  const companies = {
-    'RELIANCE': 'Reliance Industries Ltd',
-    'TCS': 'Tata Consultancy Services',
-    'HDFCBANK': 'HDFC Bank Limited',
-    'INFY': 'Infosys Limited',
-    'HINDUNILVR': 'Hindustan Unilever Ltd',
-    'ITC': 'ITC Limited',
-    'SBIN': 'State Bank of India',
-    'BHARTIARTL': 'Bharti Airtel Limited',
-    'ASIANPAINT': 'Asian Paints Limited',
-    'MARUTI': 'Maruti Suzuki India Ltd',
-    'ADANIGREEN': 'Adani Green Energy Ltd',
-    'TATASTEEL': 'Tata Steel Limited',
-    'WIPRO': 'Wipro Limited',
-    'LT': 'Larsen & Toubro Limited',
-    'HCLTECH': 'HCL Technologies Limited',
-    'ICICIBANK': 'ICICI Bank Limited',
-    'KOTAKBANK': 'Kotak Mahindra Bank',
-    'BAJFINANCE': 'Bajaj Finance Limited'
+// ?moves=extended ranks global quotes by their pre-market/after-hours move when they have one
+const parseMoves = (value) => (value === 'extended' ? 'extended' : 'regular');
+
+const moveOf = (stock, moves) =>
+  (moves === 'extended' && stock.extendedHours ? stock.extendedHours.changePercent : stock.changePercent) || 0;
+
+const summarizeExtendedMoves = (stocks) => {
+  const extended = stocks.filter(s => s.extendedHours);
+  if (extended.length === 0) return null;
+  return {
+    session: extended[0].extendedHours.session,
+    quotes: extended.length,
+    gainers: extended.filter(s => s.extendedHours.change > 0).length,
+    losers: extended.filter(s => s.extendedHours.change < 0).length
   };
-  return companies[symbol.replace('.NS', '').replace('.BO', '')] || symbol;
 };
 
+// Company details come from the symbol master (server/symbol-master.js)
+const getGlobalCompanyName = (symbol) => getSymbol(symbol, 'global')?.name || symbol;
+const getGlobalSector = (symbol) => getSymbol(symbol, 'global')?.sector || 'Unknown';
+const getGlobalExchange = (symbol) => getSymbol(symbol, 'global')?.exchange || 'NYSE';
+const calculateGlobalMarketCap = (symbol, price) => estimateMarketCap(symbol, 'global', price);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Server error:', error);
@@ -1015,11 +1570,112 @@ app.use('*', (req, res) => {
       },
       unified: 'GET /api/stocks/ticker',
       stockDetail: 'GET /api/stocks/:symbol',
+      history: 'GET /api/stocks/:symbol/history?interval=1m|5m|1d&range=1d|5d|1mo|1y',
+      indicators: 'GET /api/stocks/:symbol/indicators?interval=1d&range=1y',
+      results: 'GET /api/stocks/:symbol/results?nature=consolidated|standalone&limit=8',
       search: 'GET /api/stocks/search/:query',
+      auth: {
+        sendOTP: 'POST /api/auth/otp/send',
+        verifyOTP: 'POST /api/auth/otp/verify',
+        me: 'GET /api/auth/me'
+      },
+      watchlists: {
+        list: 'GET /api/watchlists?quotes=true',
+        create: 'POST /api/watchlists',
+        reorder: 'PUT /api/watchlists/order',
+        rename: 'PATCH /api/watchlists/:id',
+        remove: 'DELETE /api/watchlists/:id',
+        addSymbol: 'POST /api/watchlists/:id/symbols',
+        removeSymbol: 'DELETE /api/watchlists/:id/symbols/:symbol',
+        reorderSymbols: 'PUT /api/watchlists/:id/symbols/order'
+      },
+      portfolio: {
+        valuation: 'GET /api/portfolio',
+        summary: 'GET /api/portfolio/summary',
+        holdings: 'GET /api/portfolio/holdings',
+        addHolding: 'POST /api/portfolio/holdings',
+        updateHolding: 'PATCH /api/portfolio/holdings/:id',
+        deleteHolding: 'DELETE /api/portfolio/holdings/:id'
+      },
+      fx: {
+        rate: 'GET /api/fx',
+        status: 'GET /api/fx/status',
+        convert: 'GET /api/fx/convert?amount=100&from=USD&to=INR'
+      },
+      alerts: {
+        list: 'GET /api/alerts',
+        markRead: 'POST /api/alerts/:id/read',
+        ruleTypes: 'GET /api/alerts/rules/types',
+        rules: 'GET /api/alerts/rules',
+        createRule: 'POST /api/alerts/rules',
+        updateRule: 'PATCH /api/alerts/rules/:id',
+        deleteRule: 'DELETE /api/alerts/rules/:id',
+        filingCategories: 'GET /api/alerts/filings/categories',
+        filingPreferences: 'GET /api/alerts/filings/preferences',
+        updateFilingPreferences: 'PUT /api/alerts/filings/preferences',
+        actionPreferences: 'GET /api/alerts/corporate-actions/preferences',
+        updateActionPreferences: 'PUT /api/alerts/corporate-actions/preferences'
+      },
+      whatsapp: {
+        health: 'GET /api/whatsapp/health',
+        send: 'POST /api/whatsapp/send',
+        status: 'GET /api/whatsapp/messages/:id'
+      },
+      symbols: {
+        list: 'GET /api/symbols?market=indian&exchange=NSE&limit=100&offset=0',
+        stats: 'GET /api/symbols/stats',
+        lookup: 'GET /api/symbols/:symbol',
+        byISIN: 'GET /api/symbols/isin/:isin',
+        refresh: 'POST /api/symbols/refresh (admin)',
+        import: 'POST /api/symbols/import?name=file.csv (admin, raw text body)'
+      },
+      stream: {
+        connect: 'GET /api/stream?symbols=A,B&token=<session token>',
+        subscribe: 'POST /api/stream/:clientId/subscribe',
+        unsubscribe: 'POST /api/stream/:clientId/unsubscribe',
+        stats: 'GET /api/stream/stats'
+      },
       system: {
         health: 'GET /api/health',
         setup: 'GET /api/setup',
         markets: 'GET /api/markets/status'
+      },
+      calendar: {
+        events: 'GET /api/markets/calendar?market=indian&from=2026-01-01&to=2026-12-31',
+        schedule: 'GET /api/markets/calendar/:market/:date',
+        stats: 'GET /api/markets/calendar/stats',
+        reload: 'POST /api/markets/calendar/reload (admin)'
+      },
+      indices: {
+        list: 'GET /api/indices?market=indian|global&breadth=true',
+        detail: 'GET /api/indices/:id?sort=change',
+        stats: 'GET /api/indices/stats',
+        reload: 'POST /api/indices/reload (admin)'
+      },
+      announcements: {
+        list: 'GET /api/announcements?symbol=RELIANCE&category=financial_results&exchange=NSE&importance=medium&noise=false&from=2026-10-01&to=2026-10-31',
+        detail: 'GET /api/announcements/:id',
+        categories: 'GET /api/announcements/categories',
+        stats: 'GET /api/announcements/stats',
+        reclassify: 'POST /api/announcements/reclassify (admin)',
+        ingest: 'POST /api/announcements/ingest (admin)',
+        import: 'POST /api/announcements/import?exchange=NSE|BSE (admin)'
+      },
+      results: {
+        stats: 'GET /api/results/stats',
+        refresh: 'POST /api/results/refresh (admin)',
+        import: 'POST /api/results/import (admin)'
+      },
+      corporateActions: {
+        list: 'GET /api/calendar?from=2026-10-01&to=2026-12-31&watchlist=all&symbols=RELIANCE,AAPL&type=dividend,split&market=indian',
+        types: 'GET /api/calendar/types',
+        stats: 'GET /api/calendar/stats',
+        export: 'GET /api/calendar/export.ics (same filters as list, optional alarm=2)',
+        subscription: 'GET /api/calendar/subscription',
+        rotateSubscription: 'POST /api/calendar/subscription/rotate',
+        feed: 'GET /api/calendar/feed/:token.ics (no session needed)',
+        sync: 'POST /api/calendar/sync (admin)',
+        import: 'POST /api/calendar/import (admin)'
       }
     },
     timestamp: new Date().toISOString()
@@ -1028,9 +1684,10 @@ app.use('*', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`\n🚀 Vibha StockAlerts Enhanced Dual-Ticker Server running on port ${PORT}`);
+  console.log(`🎛️ Mode: ${describeServerMode().label} (SERVER_MODE=${getServerMode()})`);
   console.log(`\n📊 DUAL TICKER SYSTEM:`);
-  console.log(`   🇮🇳 Indian Markets: /api/stocks/indian (${INDIAN_SYMBOLS.length} symbols)`);
-  console.log(`   🌍 Global Markets: /api/stocks/global (${GLOBAL_SYMBOLS.length} symbols)`);
+  console.log(`   🇮🇳 Indian Markets: /api/stocks/indian (${getIndianTickerSymbols().length} ticker symbols)`);
+  console.log(`   🌍 Global Markets: /api/stocks/global (${getGlobalTickerSymbols().length} ticker symbols)`);
   console.log(`   🔄 Unified Ticker: /api/stocks/ticker (backwards compatible)`);
   console.log(`\n🔗 API Providers:`);
   console.log(`   🇮🇳 Indian: Multi-Provider (FMP + Twelve Data + Alpha Vantage + Yahoo Proxy)`);
@@ -1042,4 +1699,26 @@ app.listen(PORT, () => {
   console.log(`   📚 Setup Guide: http://localhost:${PORT}/api/setup`);
   console.log(`   📊 Market Status: http://localhost:${PORT}/api/markets/status`);
   console.log(`\n✨ Dual-ticker system ready! Better user experience with separate market focus.`);
+
+  startAlertEngine({
+    fetchQuote: fetchStockQuote,
+    // Indicator rules never fire off simulated candles
+    getIndicators: async (symbol, market) => {
+      const { history, indicators } = await getStockIndicators(symbol, { market });
+      return history.mock ? null : indicators;
+    }
+  });
+  startFilingAlerts({
+    getWatchers: getSymbolWatchers,
+    getPhone: (userId) => getUser(userId)?.phone,
+    describeFiling: describeResultFiling
+  });
+  startActionReminders({ getWatchers: getSymbolWatchers });
+  startWhatsAppWorker();
+  startSymbolMasterRefresh();
+  loadCalendars();
+  loadIndices();
+  startResultsExtraction();
+  startAnnouncementPolling();
+  startCorporateActionSync();
 });
@@ -0,0 +1,541 @@
+// server/symbol-master.js - Symbol Master Built from Exchange Listing Files
+
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import cron from 'node-cron';
+import { fileURLToPath } from 'url';
+import { getDataDir } from './json-store.js';
+import { requireAdmin } from './auth.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Shipped with the app: sectors, aliases, ticker order and mock reference prices
+const SEED_FILE = path.join(__dirname, 'symbols', 'seed.csv');
+
+// Operators drop exchange files here (or import/download them through the API)
+const getSymbolDir = () => process.env.SYMBOL_MASTER_DIR || path.join(getDataDir(), 'symbols');
+
+const MAX_IMPORT_SIZE = '25mb';
+
+// Files fetched by POST /api/symbols/refresh { download: true } and the optional cron.
+// BSE has no stable public URL for its scrip master, so it is imported manually.
+const DOWNLOAD_SOURCES = {
+  'nse-equity.csv': 'https://archives.nseindia.com/content/equities/EQUITY_L.csv',
+  'nasdaq-listed.txt': 'https://www.nasdaqtrader.com/dynamic/SymDir/nasdaqlisted.txt',
+  'nasdaq-other.txt': 'https://www.nasdaqtrader.com/dynamic/SymDir/otherlisted.txt'
+};
+
+const INDIAN_EXCHANGES = ['NSE', 'BSE'];
+
+const US_EXCHANGE_CODES = {
+  A: 'NYSE American',
+  N: 'NYSE',
+  P: 'NYSE Arca',
+  Z: 'Cboe BZX',
+  V: 'IEX'
+};
+
+export class SymbolMasterError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SymbolMasterError';
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// FILE PARSING
+// =============================================================================
+
+// RFC 4180-style parsing: quoted fields may contain delimiters, quotes and newlines
+const parseDelimited = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+
+  const [header = [], ...body] = rows;
+  const keys = header.map(h => h.replace(/^\uFEFF/, '').trim());
+  return body.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] || '').trim()])));
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(String(value ?? '').replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+const splitAliases = (value) => String(value || '').split('|').map(a => a.trim()).filter(Boolean);
+
+// Each format turns its file into partial records: { symbol, market, exchange, ... }
+const FORMATS = {
+  // NSE "Securities available for Equity segment" (EQUITY_L.csv)
+  'nse-equity': {
+    delimiter: ',',
+    detect: (header) => header.includes('SYMBOL') && header.includes('NAME OF COMPANY'),
+    toRecord: (row) => ({
+      symbol: row.SYMBOL,
+      name: row['NAME OF COMPANY'],
+      isin: row['ISIN NUMBER'],
+      series: row.SERIES,
+      lotSize: toNumber(row['MARKET LOT']),
+      exchange: 'NSE',
+      market: 'indian',
+      currency: 'INR'
+    })
+  },
+
+  // BSE "List of Scrips" export; both the old and the sector-name layouts
+  'bse-scrip': {
+    delimiter: ',',
+    detect: (header) => header.includes('Security Code') && header.includes('Security Id'),
+    toRecord: (row) => {
+      if (row.Status && row.Status !== 'Active') return null;
+      if (row.Instrument && row.Instrument !== 'Equity') return null;
+      return {
+        symbol: row['Security Id'],
+        name: row['Issuer Name'] || row['Security Name'],
+        isin: row['ISIN No'],
+        sector: row['Sector Name'] || row.Industry,
+        bseCode: row['Security Code'],
+        lotSize: 1,
+        exchange: 'BSE',
+        market: 'indian',
+        currency: 'INR'
+      };
+    }
+  },
+
+  // nasdaqtrader.com nasdaqlisted.txt
+  'nasdaq-listed': {
+    delimiter: '|',
+    detect: (header) => header.includes('Symbol') && header.includes('Market Category'),
+    toRecord: (row) => {
+      if (!row.Symbol || row.Symbol.startsWith('File Creation Time') || row['Test Issue'] === 'Y') return null;
+      return {
+        symbol: row.Symbol,
+        name: row['Security Name'],
+        lotSize: toNumber(row['Round Lot Size']),
+        type: row.ETF === 'Y' ? 'etf' : 'equity',
+        exchange: 'NASDAQ',
+        market: 'global',
+        currency: 'USD'
+      };
+    }
+  },
+
+  // nasdaqtrader.com otherlisted.txt (NYSE, NYSE American, Arca, ...)
+  'nasdaq-other': {
+    delimiter: '|',
+    detect: (header) => header.includes('ACT Symbol') && header.includes('Exchange'),
+    toRecord: (row) => {
+      if (!row['ACT Symbol'] || row['ACT Symbol'].startsWith('File Creation Time') || row['Test Issue'] === 'Y') return null;
+      return {
+        symbol: row['ACT Symbol'],
+        name: row['Security Name'],
+        lotSize: toNumber(row['Round Lot Size']),
+        type: row.ETF === 'Y' ? 'etf' : 'equity',
+        exchange: US_EXCHANGE_CODES[row.Exchange] || row.Exchange,
+        market: 'global',
+        currency: 'USD'
+      };
+    }
+  },
+
+  // Our own overlay layout (seed.csv); any column may be left empty
+  custom: {
+    delimiter: ',',
+    detect: (header) => header.includes('symbol') && header.includes('name'),
+    toRecord: (row) => {
+      const exchange = (row.exchange || '').toUpperCase() || null;
+      const market = row.market || (INDIAN_EXCHANGES.includes(exchange) || row.currency === 'INR' ? 'indian' : 'global');
+      return {
+        symbol: row.symbol,
+        name: row.name,
+        isin: row.isin,
+        sector: row.sector,
+        exchange,
+        market,
+        currency: row.currency || (market === 'indian' ? 'INR' : 'USD'),
+        lotSize: toNumber(row.lotSize),
+        featured: toNumber(row.featured),
+        referencePrice: toNumber(row.referencePrice),
+        sharesOutstanding: toNumber(row.sharesOutstanding),
+        bseCode: row.bseCode,
+        aliases: splitAliases(row.aliases)
+      };
+    }
+  }
+};
+
+const FORMAT_PRIORITY = ['nse-equity', 'bse-scrip', 'nasdaq-listed', 'nasdaq-other'];
+
+export const detectFormat = (text) => {
+  const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+  for (const [name, format] of Object.entries(FORMATS)) {
+    const header = firstLine.split(format.delimiter).map(h => h.replace(/"/g, '').trim());
+    if (format.detect(header)) return name;
+  }
+  return null;
+};
+
+export const parseListingFile = (text, formatName = detectFormat(text)) => {
+  const format = FORMATS[formatName];
+  if (!format) throw new SymbolMasterError('Unrecognised listing file format');
+
+  return parseDelimited(text, format.delimiter)
+    .map(row => format.toRecord(row))
+    .filter(record => record && record.symbol)
+    .map(record => ({ ...record, symbol: record.symbol.toUpperCase(), source: formatName }));
+};
+
+// =============================================================================
+// INDEX
+// =============================================================================
+
+// symbol -> listings; a bare ticker can exist on both sides (INFY on NSE and NYSE)
+let bySymbol = new Map();
+let byISIN = new Map();
+let byBSECode = new Map();
+let lastRefresh = null;
+let loadedFiles = [];
+let version = 0; // Bumped on every rebuild so derived indexes know to rebuild too
+
+// Empty values from an overlay never wipe what an exchange file provided
+const mergeRecord = (target, source) => {
+  Object.entries(source).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === '') return;
+    if (key === 'aliases') {
+      target.aliases = [...new Set([...(target.aliases || []), ...value])];
+    } else if (key === 'source') {
+      target.sources = [...new Set([...(target.sources || []), value])];
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+};
+
+const buildIndex = (batches) => {
+  const records = new Map(); // `${market}:${symbol}` -> record
+  const isinIndex = new Map();
+  let conflicts = 0;
+
+  batches.forEach(({ records: batch }) => batch.forEach(record => {
+    // A BSE row for a company already listed on NSE enriches that listing
+    const sameCompany = record.exchange === 'BSE' && record.isin ? isinIndex.get(record.isin) : null;
+    if (sameCompany && sameCompany.exchange !== 'BSE') {
+      sameCompany.bseCode = record.bseCode;
+      sameCompany.exchanges = [...new Set([...(sameCompany.exchanges || [sameCompany.exchange]), 'BSE'])];
+      if (!sameCompany.sector && record.sector) sameCompany.sector = record.sector;
+      return;
+    }
+
+    const key = `${record.market}:${record.symbol}`;
+    const existing = records.get(key);
+    if (existing && record.exchange && existing.exchange && existing.isin && record.isin && existing.isin !== record.isin) {
+      conflicts++;
+      return;
+    }
+
+    const merged = mergeRecord(existing || { aliases: [], sources: [] }, record);
+    merged.exchanges = [...new Set([...(merged.exchanges || []), merged.exchange].filter(Boolean))];
+    records.set(key, merged);
+    if (merged.isin) isinIndex.set(merged.isin, merged);
+  }));
+
+  const symbolIndex = new Map();
+  const bseCodeIndex = new Map();
+  records.forEach(record => {
+    if (record.bseCode) bseCodeIndex.set(String(record.bseCode), record);
+    if (!symbolIndex.has(record.symbol)) symbolIndex.set(record.symbol, []);
+    symbolIndex.get(record.symbol).push(record);
+  });
+
+  // Indian listing first so bare tickers keep resolving to NSE as before
+  symbolIndex.forEach(list => list.sort((a, b) => (a.market === 'indian' ? -1 : 0) - (b.market === 'indian' ? -1 : 0)));
+
+  return { symbolIndex, isinIndex, bseCodeIndex, conflicts };
+};
+
+const readBatch = (file, label = path.basename(file)) => {
+  const text = fs.readFileSync(file, 'utf8');
+  const format = detectFormat(text);
+  if (!format) {
+    console.log(`⚠️ Skipping ${label}: unrecognised listing format`);
+    return null;
+  }
+  return { file: label, format, records: parseListingFile(text, format) };
+};
+
+// Rebuild from disk. Order: exchange files, then the shipped seed, then operator
+// overlays in custom format, so later files refine earlier ones.
+export const refreshSymbolMaster = () => {
+  const dir = getSymbolDir();
+  const operatorFiles = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(f => /\.(csv|txt)$/i.test(f)).sort().map(f => path.join(dir, f))
+    : [];
+
+  const batches = operatorFiles.map(file => readBatch(file)).filter(Boolean);
+  // NSE before BSE so BSE rows can attach to NSE listings by ISIN
+  const exchangeBatches = batches
+    .filter(b => b.format !== 'custom')
+    .sort((a, b) => FORMAT_PRIORITY.indexOf(a.format) - FORMAT_PRIORITY.indexOf(b.format));
+  const overlayBatches = batches.filter(b => b.format === 'custom');
+  const seed = readBatch(SEED_FILE, 'seed.csv');
+
+  const { symbolIndex, isinIndex, bseCodeIndex, conflicts } = buildIndex([...exchangeBatches, seed, ...overlayBatches]);
+  bySymbol = symbolIndex;
+  byISIN = isinIndex;
+  byBSECode = bseCodeIndex;
+  lastRefresh = new Date().toISOString();
+  version += 1;
+  loadedFiles = [...exchangeBatches, seed, ...overlayBatches].map(b => ({
+    file: b.file, format: b.format, records: b.records.length
+  }));
+
+  console.log(`📇 Symbol master: ${bySymbol.size} symbols from ${loadedFiles.length} file(s)${conflicts ? `, ${conflicts} conflicting rows skipped` : ''}`);
+  return getSymbolMasterStats();
+};
+
+const ensureLoaded = () => {
+  if (!lastRefresh) refreshSymbolMaster();
+};
+
+// =============================================================================
+// LOOKUPS
+// =============================================================================
+
+// Accepts RELIANCE, RELIANCE.NS, RELIANCE.BO; an explicit market picks that listing
+export const getSymbol = (rawSymbol, market) => {
+  ensureLoaded();
+  const symbol = String(rawSymbol || '').toUpperCase();
+  const suffixMarket = /\.(NS|BO)$/.test(symbol) ? 'indian' : null;
+  const listings = bySymbol.get(symbol.replace(/\.(NS|BO)$/, '')) || [];
+
+  const wanted = market || suffixMarket;
+  return (wanted ? listings.find(l => l.market === wanted) : listings[0]) || null;
+};
+
+export const getSymbolByISIN = (isin) => {
+  ensureLoaded();
+  return byISIN.get(String(isin || '').toUpperCase()) || null;
+};
+
+// BSE announcements and corporate actions identify companies by scrip code (500325)
+export const getSymbolByBSECode = (code) => {
+  ensureLoaded();
+  return byBSECode.get(String(code || '').trim()) || null;
+};
+
+// Cheap staleness check for caches built from getAllSymbols()
+export const getSymbolMasterVersion = () => {
+  ensureLoaded();
+  return version;
+};
+
+export const getAllSymbols = () => {
+  ensureLoaded();
+  return [...bySymbol.values()].flat();
+};
+
+export const listSymbols = ({ market, exchange, limit = 100, offset = 0 } = {}) => {
+  const filtered = getAllSymbols().filter(r =>
+    (!market || r.market === market) && (!exchange || r.exchanges.includes(exchange.toUpperCase())));
+  return {
+    total: filtered.length,
+    offset,
+    limit,
+    results: filtered.sort((a, b) => a.symbol.localeCompare(b.symbol)).slice(offset, offset + limit)
+  };
+};
+
+// Default ticker constituents, ordered by the seed's `featured` rank
+export const getFeaturedSymbols = (market) => getAllSymbols()
+  .filter(r => r.market === market && r.featured)
+  .sort((a, b) => a.featured - b.featured)
+  .map(r => r.symbol);
+
+// Mock-data helpers: a company without seed reference data still gets sane defaults
+export const getReferencePrice = (symbol, market) =>
+  getSymbol(symbol, market)?.referencePrice || (market === 'indian' ? 1000 : 100);
+
+// Indian market caps are reported in crores, global ones in billions
+export const estimateMarketCap = (symbol, market, price) => {
+  const shares = getSymbol(symbol, market)?.sharesOutstanding;
+  if (!shares || !price) return null;
+  return Math.round((shares * price) / (market === 'indian' ? 1e7 : 1e9));
+};
+
+export const getSymbolMasterStats = () => {
+  ensureLoaded();
+  const all = getAllSymbols();
+  const count = (key) => all.reduce((acc, r) => {
+    (Array.isArray(r[key]) ? r[key] : [r[key]]).forEach(v => { acc[v] = (acc[v] || 0) + 1; });
+    return acc;
+  }, {});
+
+  return {
+    total: all.length,
+    byMarket: count('market'),
+    byExchange: count('exchanges'),
+    files: loadedFiles,
+    directory: getSymbolDir(),
+    lastRefresh
+  };
+};
+
+// =============================================================================
+// IMPORT & DOWNLOAD
+// =============================================================================
+
+export const importListingFile = (fileName, text) => {
+  const safeName = path.basename(String(fileName || '')).replace(/[^A-Za-z0-9._-]/g, '_');
+  if (!/\.(csv|txt)$/i.test(safeName)) throw new SymbolMasterError('File name must end in .csv or .txt');
+
+  const format = detectFormat(text || '');
+  if (!format) throw new SymbolMasterError('Unrecognised listing file format');
+
+  const records = parseListingFile(text, format);
+  if (records.length === 0) throw new SymbolMasterError('File contains no listings');
+
+  fs.mkdirSync(getSymbolDir(), { recursive: true });
+  fs.writeFileSync(path.join(getSymbolDir(), safeName), text);
+
+  return { file: safeName, format, records: records.length, master: refreshSymbolMaster() };
+};
+
+export const downloadListingFiles = async () => {
+  const results = [];
+  fs.mkdirSync(getSymbolDir(), { recursive: true });
+
+  for (const [fileName, url] of Object.entries(DOWNLOAD_SOURCES)) {
+    try {
+      const response = await axios.get(url, {
+        timeout: 30000,
+        responseType: 'text',
+        headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
+      });
+
+      const records = parseListingFile(response.data);
+      if (records.length === 0) throw new Error('Downloaded file contains no listings');
+
+      fs.writeFileSync(path.join(getSymbolDir(), fileName), response.data);
+      results.push({ file: fileName, records: records.length, status: 'updated' });
+    } catch (error) {
+      // Keep the previous copy; a failed download never empties the master
+      console.log(`❌ Symbol list download failed for ${fileName}: ${error.message}`);
+      results.push({ file: fileName, status: 'failed', error: error.message });
+    }
+  }
+  return results;
+};
+
+let scheduledRefresh = null;
+
+// Optional: SYMBOL_MASTER_REFRESH_CRON downloads fresh exchange lists on a schedule
+export const startSymbolMasterRefresh = () => {
+  ensureLoaded();
+
+  const expression = process.env.SYMBOL_MASTER_REFRESH_CRON;
+  if (!expression) return;
+  if (!cron.validate(expression)) {
+    console.error(`❌ Invalid SYMBOL_MASTER_REFRESH_CRON "${expression}", scheduled refresh disabled`);
+    return;
+  }
+
+  scheduledRefresh = cron.schedule(expression, async () => {
+    try {
+      await downloadListingFiles();
+      refreshSymbolMaster();
+    } catch (error) {
+      console.error('Scheduled symbol master refresh failed:', error);
+    }
+  });
+  console.log(`📇 Symbol master refresh scheduled (${expression})`);
+};
+
+export const stopSymbolMasterRefresh = () => {
+  scheduledRefresh?.stop();
+  scheduledRefresh = null;
+};
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+export const createSymbolRouter = () => {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      res.json({ data: await fn(req), timestamp: new Date().toISOString() });
+    } catch (error) {
+      const status = error instanceof SymbolMasterError ? error.status : 500;
+      if (status === 500) console.error('Symbol master error:', error);
+      res.status(status).json({
+        error: status === 500 ? 'Symbol master operation failed' : error.message,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  router.get('/', handle(async (req) => listSymbols({
+    market: req.query.market,
+    exchange: req.query.exchange,
+    limit: Math.min(parseInt(req.query.limit) || 100, 500),
+    offset: Math.max(parseInt(req.query.offset) || 0, 0)
+  })));
+
+  router.get('/stats', handle(async () => getSymbolMasterStats()));
+
+  router.post('/refresh', requireAdmin, handle(async (req) => {
+    const downloads = req.body?.download ? await downloadListingFiles() : [];
+    return { downloads, master: refreshSymbolMaster() };
+  }));
+
+  // Raw file body: curl --data-binary @EQUITY_L.csv -H 'Content-Type: text/csv' .../import?name=nse-equity.csv
+  router.post('/import', requireAdmin, express.text({ type: ['text/*', 'application/octet-stream'], limit: MAX_IMPORT_SIZE }),
+    handle(async (req) => {
+      if (typeof req.body !== 'string') throw new SymbolMasterError('Send the file as a text/csv or text/plain body');
+      return importListingFile(req.query.name, req.body);
+    }));
+
+  router.get('/isin/:isin', handle(async (req) => {
+    const record = getSymbolByISIN(req.params.isin);
+    if (!record) throw new SymbolMasterError(`No listing with ISIN ${req.params.isin}`, 404);
+    return record;
+  }));
+
+  router.get('/:symbol', handle(async (req) => {
+    const record = getSymbol(req.params.symbol, req.query.market);
+    if (!record) throw new SymbolMasterError(`Unknown symbol ${req.params.symbol}`, 404);
+    return record;
+  }));
+
+  return router;
+};
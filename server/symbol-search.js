@@ -0,0 +1,287 @@
+// server/symbol-search.js - Ranked, Typo-Tolerant Search over the Symbol Master
+
+import { getAllSymbols, getSymbolMasterVersion } from './symbol-master.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const DEFAULT_SEARCH_LIMIT = 10;
+export const MAX_SEARCH_LIMIT = 50;
+
+// Words that carry no meaning in a company name ("Infosys Limited" ~ "Infosys")
+const NAME_STOP_WORDS = new Set([
+  'LIMITED', 'LTD', 'INC', 'INCORPORATED', 'CORP', 'CORPORATION', 'CO', 'COMPANY',
+  'PLC', 'THE', 'AND', 'OF', 'COMMON', 'STOCK', 'SHARES', 'CLASS', 'ORDINARY'
+]);
+
+// How much a token hit counts depending on where the token came from
+const FIELD_WEIGHTS = { symbol: 1, isin: 1, alias: 0.95, name: 0.85 };
+
+// Per-token match quality before field weighting
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, typo1: 0.6, typo2: 0.4 };
+
+// Whole-query scores beat anything token matching can produce
+const WHOLE_QUERY_SCORES = { symbol: 1000, isin: 950, alias: 900, symbolPrefix: 700, aliasPrefix: 600 };
+const TOKEN_SCORE = 500;
+
+// Typos allowed for a query token of this length
+const maxTypos = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+// =============================================================================
+// NORMALISATION
+// =============================================================================
+
+const normalize = (text) => String(text || '')
+  .toUpperCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/&/g, ' AND ')
+  .replace(/[^A-Z0-9]+/g, ' ')
+  .trim();
+
+const tokenize = (text) => normalize(text).split(' ').filter(Boolean);
+
+const compact = (text) => normalize(text).replace(/ /g, '');
+
+const nameTokens = (name) => {
+  const tokens = tokenize(name).filter(t => !NAME_STOP_WORDS.has(t));
+  return tokens.length > 0 ? tokens : tokenize(name);
+};
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+// abandoned as soon as every path exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// =============================================================================
+// INDEX
+// =============================================================================
+
+// Rebuilt lazily whenever the symbol master reloads
+let index = null;
+
+const buildSearchIndex = (records) => {
+  const tokenPostings = new Map(); // token -> Map(recordId -> strongest field)
+  const symbolIds = new Map();      // compact symbol -> [recordId]
+  const isinIds = new Map();
+  const aliasIds = new Map();       // compact alias -> [recordId]
+
+  const push = (map, key, id) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(id);
+  };
+
+  const addToken = (token, id, field) => {
+    if (!tokenPostings.has(token)) tokenPostings.set(token, new Map());
+    const postings = tokenPostings.get(token);
+    if (!postings.has(id) || FIELD_WEIGHTS[field] > FIELD_WEIGHTS[postings.get(id)]) postings.set(id, field);
+  };
+
+  records.forEach((record, id) => {
+    const symbol = compact(record.symbol);
+    push(symbolIds, symbol, id);
+    addToken(symbol, id, 'symbol');
+
+    if (record.isin) {
+      push(isinIds, record.isin.toUpperCase(), id);
+      addToken(record.isin.toUpperCase(), id, 'isin');
+    }
+
+    (record.aliases || []).forEach(alias => {
+      push(aliasIds, compact(alias), id);
+      addToken(compact(alias), id, 'alias');
+      tokenize(alias).forEach(token => addToken(token, id, 'alias'));
+    });
+
+    nameTokens(record.name).forEach(token => addToken(token, id, 'name'));
+  });
+
+  const tokens = [...tokenPostings.keys()].sort();
+  const tokensByLength = new Map();
+  tokens.forEach(token => push(tokensByLength, token.length, token));
+
+  return {
+    version: getSymbolMasterVersion(),
+    records,
+    names: records.map(r => nameTokens(r.name)),
+    tokenPostings,
+    tokens,
+    tokensByLength,
+    symbolIds,
+    isinIds,
+    aliasIds
+  };
+};
+
+const getIndex = () => {
+  if (!index || index.version !== getSymbolMasterVersion()) {
+    index = buildSearchIndex(getAllSymbols());
+  }
+  return index;
+};
+
+// First position in the sorted token list that is >= prefix
+const lowerBound = (sorted, prefix) => {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < prefix) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+};
+
+// Every indexed token that matches one query token, with its match quality
+const matchToken = (idx, queryToken) => {
+  const matches = new Map(); // token -> quality
+
+  if (idx.tokenPostings.has(queryToken)) matches.set(queryToken, MATCH_QUALITY.exact);
+
+  // Single letters only prefix-match symbols; in names they match nearly everything
+  for (let i = lowerBound(idx.tokens, queryToken); i < idx.tokens.length && idx.tokens[i].startsWith(queryToken); i++) {
+    const token = idx.tokens[i];
+    if (token === queryToken) continue;
+    if (queryToken.length === 1 && !idx.symbolIds.has(token)) continue;
+    matches.set(token, MATCH_QUALITY.prefix);
+  }
+
+  const max = maxTypos(queryToken.length);
+  for (let length = queryToken.length - max; max > 0 && length <= queryToken.length + max; length++) {
+    (idx.tokensByLength.get(length) || []).forEach(token => {
+      if (matches.has(token)) return;
+      const distance = editDistance(queryToken, token, max);
+      if (distance <= max) matches.set(token, distance === 1 ? MATCH_QUALITY.typo1 : MATCH_QUALITY.typo2);
+    });
+  }
+
+  return matches;
+};
+
+// =============================================================================
+// SEARCH
+// =============================================================================
+
+const scoreWholeQuery = (idx, query) => {
+  const scores = new Map(); // recordId -> { score, matchedOn }
+  const offer = (id, score, matchedOn) => {
+    if ((scores.get(id)?.score || 0) < score) scores.set(id, { score, matchedOn });
+  };
+
+  const key = compact(query);
+  if (!key) return scores;
+
+  (idx.symbolIds.get(key) || []).forEach(id => offer(id, WHOLE_QUERY_SCORES.symbol, 'symbol'));
+  (idx.isinIds.get(key) || []).forEach(id => offer(id, WHOLE_QUERY_SCORES.isin, 'isin'));
+  (idx.aliasIds.get(key) || []).forEach(id => offer(id, WHOLE_QUERY_SCORES.alias, 'alias'));
+
+  // Shorter symbols rank first: "TC" -> TCS before TCSINFRA
+  idx.symbolIds.forEach((ids, symbol) => {
+    if (symbol !== key && symbol.startsWith(key)) {
+      ids.forEach(id => offer(id, WHOLE_QUERY_SCORES.symbolPrefix - (symbol.length - key.length), 'symbol'));
+    }
+  });
+  if (key.length >= 2) {
+    idx.aliasIds.forEach((ids, alias) => {
+      if (alias !== key && alias.startsWith(key)) ids.forEach(id => offer(id, WHOLE_QUERY_SCORES.aliasPrefix, 'alias'));
+    });
+  }
+
+  return scores;
+};
+
+// Every query token has to match something on the record; the score is the
+// average match strength, nudged up when the name starts with the first token
+const scoreTokens = (idx, queryTokens) => {
+  let combined = null; // recordId -> { sum, matchedOn }
+
+  for (const queryToken of queryTokens) {
+    const perRecord = new Map(); // recordId -> best { value, field } for this token
+    matchToken(idx, queryToken).forEach((quality, token) => {
+      idx.tokenPostings.get(token).forEach((field, id) => {
+        const value = quality * FIELD_WEIGHTS[field];
+        if ((perRecord.get(id)?.value || 0) < value) perRecord.set(id, { value, field });
+      });
+    });
+
+    if (combined === null) {
+      combined = new Map([...perRecord].map(([id, hit]) => [id, { sum: hit.value, matchedOn: hit.field }]));
+    } else {
+      const next = new Map();
+      combined.forEach((entry, id) => {
+        if (perRecord.has(id)) next.set(id, { ...entry, sum: entry.sum + perRecord.get(id).value });
+      });
+      combined = next;
+    }
+    if (combined.size === 0) break;
+  }
+
+  const scores = new Map();
+  (combined || new Map()).forEach(({ sum, matchedOn }, id) => {
+    const startsName = idx.names[id][0]?.startsWith(queryTokens[0]) ? 50 : 0;
+    scores.set(id, { score: Math.round((TOKEN_SCORE * sum) / queryTokens.length) + startsName, matchedOn });
+  });
+  return scores;
+};
+
+// Featured (ticker) companies win ties, then primary listings, then alphabetical
+const tieBreak = (a, b) =>
+  b.score - a.score ||
+  (a.record.featured || Infinity) - (b.record.featured || Infinity) ||
+  (b.record.exchanges?.length || 0) - (a.record.exchanges?.length || 0) ||
+  a.record.symbol.localeCompare(b.record.symbol);
+
+export const searchSymbols = (rawQuery, { market, exchange, limit = DEFAULT_SEARCH_LIMIT, offset = 0 } = {}) => {
+  const idx = getIndex();
+  const queryTokens = tokenize(rawQuery);
+  const pageLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  const pageOffset = Math.max(parseInt(offset) || 0, 0);
+  const wantedExchange = exchange ? String(exchange).toUpperCase() : null;
+
+  const scores = scoreWholeQuery(idx, rawQuery);
+  if (queryTokens.length > 0) {
+    scoreTokens(idx, queryTokens).forEach((hit, id) => {
+      if ((scores.get(id)?.score || 0) < hit.score) scores.set(id, hit);
+    });
+  }
+
+  const ranked = [...scores.entries()]
+    .map(([id, hit]) => ({ ...hit, record: idx.records[id] }))
+    .filter(({ record }) =>
+      (!market || record.market === market) &&
+      (!wantedExchange || (record.exchanges || [record.exchange]).includes(wantedExchange)))
+    .sort(tieBreak);
+
+  return {
+    total: ranked.length,
+    offset: pageOffset,
+    limit: pageLimit,
+    breakdown: {
+      indian: ranked.filter(r => r.record.market === 'indian').length,
+      global: ranked.filter(r => r.record.market === 'global').length
+    },
+    results: ranked.slice(pageOffset, pageOffset + pageLimit)
+  };
+};
@@ -0,0 +1,237 @@
+// server/watchlists.js - Persistent Per-User Watchlists with CRUD Routes
+
+import express from 'express';
+import crypto from 'crypto';
+import { createJsonStore } from './json-store.js';
+
+const store = createJsonStore('watchlists', { users: {} });
+
+const MAX_WATCHLISTS_PER_USER = 20;
+const MAX_SYMBOLS_PER_WATCHLIST = 100;
+const DEFAULT_WATCHLIST_NAME = 'My Watchlist';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+export class WatchlistError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WatchlistError';
+    this.status = status;
+  }
+}
+
+// requireAuth has already attached the session user
+export const resolveUserId = (req) => req.user.id;
+
+const normalizeSymbol = (symbol) => String(symbol || '').trim().toUpperCase();
+
+const normalizeName = (name) => {
+  const clean = String(name || '').trim();
+  if (!clean) throw new WatchlistError('Watchlist name is required');
+  if (clean.length > 60) throw new WatchlistError('Watchlist name must be 60 characters or fewer');
+  return clean;
+};
+
+const getUserLists = (state, userId) => {
+  if (!state.users[userId]) state.users[userId] = [];
+  return state.users[userId];
+};
+
+const findList = (lists, watchlistId) => {
+  const list = lists.find(l => l.id === watchlistId);
+  if (!list) throw new WatchlistError(`Watchlist ${watchlistId} not found`, 404);
+  return list;
+};
+
+const newWatchlist = (name) => {
+  const now = new Date().toISOString();
+  return { id: crypto.randomUUID(), name, symbols: [], createdAt: now, updatedAt: now };
+};
+
+// Reorder `items` to follow `orderedKeys`; every existing key must appear exactly once
+const applyOrder = (items, orderedKeys, keyOf) => {
+  const byKey = new Map(items.map(item => [keyOf(item), item]));
+  const unique = new Set(orderedKeys);
+
+  if (orderedKeys.length !== items.length || unique.size !== items.length ||
+      !orderedKeys.every(key => byKey.has(key))) {
+    throw new WatchlistError('Order must list every existing entry exactly once');
+  }
+
+  return orderedKeys.map(key => byKey.get(key));
+};
+
+// =============================================================================
+// WATCHLIST OPERATIONS
+// =============================================================================
+
+export const getWatchlists = (userId) => {
+  const lists = store.get().users[userId];
+  if (lists && lists.length > 0) return lists;
+
+  // Every user starts with one empty default list
+  return store.update(state => {
+    const userLists = getUserLists(state, userId);
+    userLists.push(newWatchlist(DEFAULT_WATCHLIST_NAME));
+    return userLists;
+  });
+};
+
+export const createWatchlist = (userId, name) => store.update(state => {
+  const lists = getUserLists(state, userId);
+  if (lists.length >= MAX_WATCHLISTS_PER_USER) {
+    throw new WatchlistError(`A maximum of ${MAX_WATCHLISTS_PER_USER} watchlists is allowed`);
+  }
+
+  const list = newWatchlist(normalizeName(name));
+  lists.push(list);
+  return list;
+});
+
+export const renameWatchlist = (userId, watchlistId, name) => store.update(state => {
+  const list = findList(getUserLists(state, userId), watchlistId);
+  list.name = normalizeName(name);
+  list.updatedAt = new Date().toISOString();
+  return list;
+});
+
+export const deleteWatchlist = (userId, watchlistId) => store.update(state => {
+  const lists = getUserLists(state, userId);
+  const list = findList(lists, watchlistId);
+  lists.splice(lists.indexOf(list), 1);
+  return list;
+});
+
+export const reorderWatchlists = (userId, watchlistIds) => store.update(state => {
+  if (!Array.isArray(watchlistIds)) throw new WatchlistError('ids must be an array');
+
+  state.users[userId] = applyOrder(getUserLists(state, userId), watchlistIds, l => l.id);
+  return state.users[userId];
+});
+
+export const addSymbol = (userId, watchlistId, symbol, market) => store.update(state => {
+  const list = findList(getUserLists(state, userId), watchlistId);
+  const clean = normalizeSymbol(symbol);
+
+  if (!/^[A-Z0-9&.\-]{1,20}$/.test(clean)) throw new WatchlistError(`Invalid symbol: ${symbol}`);
+  if (list.symbols.some(s => s.symbol === clean)) {
+    throw new WatchlistError(`${clean} is already in ${list.name}`, 409);
+  }
+  if (list.symbols.length >= MAX_SYMBOLS_PER_WATCHLIST) {
+    throw new WatchlistError(`A watchlist can hold at most ${MAX_SYMBOLS_PER_WATCHLIST} symbols`);
+  }
+
+  list.symbols.push({
+    symbol: clean,
+    market: market === 'indian' || market === 'global' ? market : undefined,
+    addedAt: new Date().toISOString()
+  });
+  list.updatedAt = new Date().toISOString();
+  return list;
+});
+
+export const removeSymbol = (userId, watchlistId, symbol) => store.update(state => {
+  const list = findList(getUserLists(state, userId), watchlistId);
+  const clean = normalizeSymbol(symbol);
+  const index = list.symbols.findIndex(s => s.symbol === clean);
+
+  if (index === -1) throw new WatchlistError(`${clean} is not in ${list.name}`, 404);
+
+  list.symbols.splice(index, 1);
+  list.updatedAt = new Date().toISOString();
+  return list;
+});
+
+export const reorderSymbols = (userId, watchlistId, symbols) => store.update(state => {
+  if (!Array.isArray(symbols)) throw new WatchlistError('symbols must be an array');
+
+  const list = findList(getUserLists(state, userId), watchlistId);
+  list.symbols = applyOrder(list.symbols, symbols.map(normalizeSymbol), s => s.symbol);
+  list.updatedAt = new Date().toISOString();
+  return list;
+});
+
+// Unique symbols across every user's watchlists (used to warm quote caches)
+export const getAllWatchedSymbols = () => {
+  const symbols = new Set();
+  Object.values(store.get().users).forEach(lists => {
+    lists.forEach(list => list.symbols.forEach(s => symbols.add(s.symbol)));
+  });
+  return [...symbols];
+};
+
+// Users with the symbol in any of their watchlists (filing alerts); RELIANCE and
+// RELIANCE.NS count as the same symbol
+export const getSymbolWatchers = (symbol) => {
+  const wanted = normalizeSymbol(symbol).replace(/\.(NS|BO)$/, '');
+  if (!wanted) return [];
+  return Object.entries(store.get().users)
+    .filter(([, lists]) => lists.some(list => list.symbols.some(s => s.symbol.replace(/\.(NS|BO)$/, '') === wanted)))
+    .map(([userId]) => userId);
+};
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+// fetchQuotes([{ symbol, market }]) is injected by server.js so watchlists can be
+// returned with live prices through the same batched provider chain as the tickers
+export const createWatchlistRouter = ({ fetchQuotes }) => {
+  const router = express.Router();
+
+  const withQuotes = async (list) => {
+    try {
+      const quotes = await fetchQuotes(list.symbols);
+      return { ...list, symbols: list.symbols.map((entry, i) => ({ ...entry, quote: quotes[i] })) };
+    } catch (error) {
+      return { ...list, symbols: list.symbols.map(entry => ({ ...entry, quote: null, error: error.message })) };
+    }
+  };
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      const userId = resolveUserId(req);
+      const result = await fn(userId, req);
+      res.json({ data: result, timestamp: new Date().toISOString() });
+    } catch (error) {
+      const status = error instanceof WatchlistError ? error.status : 500;
+      if (status === 500) console.error('Watchlist error:', error);
+      res.status(status).json({
+        error: status === 500 ? 'Watchlist operation failed' : error.message,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  router.get('/', handle(async (userId, req) => {
+    const lists = getWatchlists(userId);
+    return req.query.quotes === 'true' ? Promise.all(lists.map(withQuotes)) : lists;
+  }));
+
+  router.post('/', handle((userId, req) => createWatchlist(userId, req.body?.name)));
+
+  router.put('/order', handle((userId, req) => reorderWatchlists(userId, req.body?.ids)));
+
+  router.get('/:id', handle(async (userId, req) => {
+    const list = findList(getWatchlists(userId), req.params.id);
+    return req.query.quotes === 'true' ? withQuotes(list) : list;
+  }));
+
+  router.patch('/:id', handle((userId, req) => renameWatchlist(userId, req.params.id, req.body?.name)));
+
+  router.delete('/:id', handle((userId, req) => deleteWatchlist(userId, req.params.id)));
+
+  router.post('/:id/symbols', handle((userId, req) =>
+    addSymbol(userId, req.params.id, req.body?.symbol, req.body?.market)));
+
+  router.delete('/:id/symbols/:symbol', handle((userId, req) =>
+    removeSymbol(userId, req.params.id, req.params.symbol)));
+
+  router.put('/:id/symbols/order', handle((userId, req) =>
+    reorderSymbols(userId, req.params.id, req.body?.symbols)));
+
+  return router;
+};
@@ -0,0 +1,307 @@
+// server/whatsapp-gateway.js - Server-Side WhatsApp Gateway with Durable Outbound Queue
+
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { createJsonStore, getDataDir } from './json-store.js';
+
+const outbox = createJsonStore('whatsapp-outbox', { messages: [] });
+
+const WORKER_INTERVAL = 3000;          // Poll the queue every 3 seconds
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 5000;         // 5s, 10s, 20s, 40s ...
+const BATCH_SIZE = 10;
+const KEEP_DELIVERED_MESSAGES = 500;   // Sent/failed history retained in the outbox
+const MAX_MESSAGE_LENGTH = 4096;       // WhatsApp text body limit
+
+export class WhatsAppGatewayError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WhatsAppGatewayError';
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// DELIVERY PROVIDERS
+// =============================================================================
+
+// Credentials are read from the server environment only - never from the browser.
+// send(to, body) resolves to the provider's message id; `retryable` on an error
+// tells the worker whether another attempt can succeed.
+const providerError = (error) => {
+  const status = error.response?.status;
+  const wrapped = new Error(error.response?.data?.error?.message || error.response?.data?.message || error.message);
+  wrapped.retryable = !status || status === 429 || status >= 500;
+  return wrapped;
+};
+
+const PROVIDERS = {
+  cloud: {
+    name: 'WhatsApp Cloud API',
+    isConfigured: () => Boolean(process.env.WHATSAPP_API_KEY && process.env.WHATSAPP_PHONE_NUMBER_ID),
+    send: async (to, body) => {
+      try {
+        const response = await axios.post(
+          `https://graph.facebook.com/v18.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
+          { messaging_product: 'whatsapp', to, type: 'text', text: { body } },
+          { headers: { Authorization: `Bearer ${process.env.WHATSAPP_API_KEY}` }, timeout: 10000 }
+        );
+        return response.data.messages?.[0]?.id;
+      } catch (error) {
+        throw providerError(error);
+      }
+    }
+  },
+
+  twilio: {
+    name: 'Twilio WhatsApp',
+    isConfigured: () => Boolean(
+      process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_WHATSAPP_FROM
+    ),
+    send: async (to, body) => {
+      const sid = process.env.TWILIO_ACCOUNT_SID;
+      try {
+        const response = await axios.post(
+          `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`,
+          new URLSearchParams({
+            To: `whatsapp:+${to}`,
+            From: `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`,
+            Body: body
+          }),
+          { auth: { username: sid, password: process.env.TWILIO_AUTH_TOKEN }, timeout: 10000 }
+        );
+        return response.data.sid;
+      } catch (error) {
+        throw providerError(error);
+      }
+    }
+  },
+
+  // Local sink for development and tests: appends to a file and logs to the console
+  file: {
+    name: 'Local File Sink',
+    isConfigured: () => true,
+    send: async (to, body) => {
+      const sinkFile = process.env.WHATSAPP_SINK_FILE || path.join(getDataDir(), 'whatsapp-sink.log');
+      const id = `local_${crypto.randomUUID()}`;
+
+      fs.mkdirSync(path.dirname(sinkFile), { recursive: true });
+      fs.appendFileSync(sinkFile, JSON.stringify({ id, to, body, at: new Date().toISOString() }) + '\n');
+      console.log(`💬 [WhatsApp sink] to +${to}: ${body.split('\n')[0]}`);
+      return id;
+    }
+  }
+};
+
+export const getProvider = () => {
+  const key = process.env.WHATSAPP_PROVIDER || 'file';
+  const provider = PROVIDERS[key];
+  if (!provider) throw new WhatsAppGatewayError(`Unknown WHATSAPP_PROVIDER: ${key}`, 500);
+  return { key, ...provider };
+};
+
+// =============================================================================
+// OUTBOUND QUEUE
+// =============================================================================
+
+const normalizeRecipient = (phone) => {
+  let cleaned = String(phone || '').replace(/\D/g, '');
+
+  // Add country code if missing (assuming Indian numbers)
+  if (cleaned.length === 10) cleaned = '91' + cleaned;
+
+  if (cleaned.length < 11 || cleaned.length > 15) {
+    throw new WhatsAppGatewayError('Recipient must be a valid phone number with country code');
+  }
+  return cleaned;
+};
+
+// Accepts a message into the durable queue; delivery happens in the worker
+export const enqueueWhatsAppMessage = ({ to, message, userId = null, dedupeKey = null }) => {
+  const recipient = normalizeRecipient(to);
+  const body = String(message || '').trim();
+
+  if (!body) throw new WhatsAppGatewayError('Message body is required');
+  if (body.length > MAX_MESSAGE_LENGTH) {
+    throw new WhatsAppGatewayError(`Message exceeds ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  return outbox.update(state => {
+    if (dedupeKey) {
+      const duplicate = state.messages.find(m => m.dedupeKey === dedupeKey && m.to === recipient);
+      if (duplicate) return { ...duplicate, duplicate: true };
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      to: recipient,
+      body,
+      userId,
+      dedupeKey,
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+      providerMessageId: null,
+      lastError: null
+    };
+    state.messages.push(entry);
+    return entry;
+  });
+};
+
+export const getMessage = (messageId) => outbox.get().messages.find(m => m.id === messageId) || null;
+
+export const getQueueStats = () => {
+  const stats = { queued: 0, sending: 0, sent: 0, failed: 0 };
+  outbox.get().messages.forEach(m => { stats[m.status] = (stats[m.status] || 0) + 1; });
+  return stats;
+};
+
+const updateMessage = (messageId, changes) => outbox.update(state => {
+  const message = state.messages.find(m => m.id === messageId);
+  if (message) Object.assign(message, changes, { updatedAt: new Date().toISOString() });
+
+  // Trim delivered history, oldest first; pending messages are never dropped
+  const finished = state.messages.filter(m => m.status === 'sent' || m.status === 'failed');
+  if (finished.length > KEEP_DELIVERED_MESSAGES) {
+    const drop = new Set(finished.slice(0, finished.length - KEEP_DELIVERED_MESSAGES).map(m => m.id));
+    state.messages = state.messages.filter(m => !drop.has(m.id));
+  }
+  return message;
+});
+
+const deliver = async (message, provider) => {
+  const attempts = message.attempts + 1;
+  updateMessage(message.id, { status: 'sending', attempts });
+
+  try {
+    const providerMessageId = await provider.send(message.to, message.body);
+    updateMessage(message.id, { status: 'sent', providerMessageId, sentAt: new Date().toISOString(), lastError: null });
+  } catch (error) {
+    const giveUp = error.retryable === false || attempts >= MAX_ATTEMPTS;
+    console.log(`❌ WhatsApp delivery to +${message.to} failed (attempt ${attempts}): ${error.message}`);
+
+    updateMessage(message.id, {
+      status: giveUp ? 'failed' : 'queued',
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + RETRY_BASE_DELAY * 2 ** (attempts - 1)).toISOString()
+    });
+  }
+};
+
+export const processQueue = async () => {
+  const provider = getProvider();
+  if (!provider.isConfigured()) return;
+
+  const now = Date.now();
+  const due = outbox.get().messages
+    .filter(m => m.status === 'queued' && new Date(m.nextAttemptAt).getTime() <= now)
+    .slice(0, BATCH_SIZE);
+
+  // Sequential on purpose: providers rate-limit per sender number
+  for (const message of due) {
+    await deliver(message, provider);
+  }
+};
+
+let workerTimer = null;
+let isProcessing = false;
+
+export const startWhatsAppWorker = () => {
+  // Messages caught mid-send by a restart are retried
+  outbox.update(state => {
+    state.messages.filter(m => m.status === 'sending').forEach(m => { m.status = 'queued'; });
+  });
+
+  workerTimer = setInterval(async () => {
+    if (isProcessing) return;
+    isProcessing = true;
+    try {
+      await processQueue();
+    } catch (error) {
+      console.error('WhatsApp queue processing failed:', error);
+    } finally {
+      isProcessing = false;
+    }
+  }, WORKER_INTERVAL);
+
+  const provider = getProvider();
+  console.log(`💬 WhatsApp gateway: ${provider.name}${provider.isConfigured() ? '' : ' (credentials missing, messages will queue)'}`);
+};
+
+export const stopWhatsAppWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+export const createWhatsAppRouter = () => {
+  const router = express.Router();
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      res.json(await fn(req));
+    } catch (error) {
+      const status = error instanceof WhatsAppGatewayError ? error.status : 500;
+      if (status === 500) console.error('WhatsApp gateway error:', error);
+      res.status(status).json({
+        success: false,
+        error: status === 500 ? 'WhatsApp gateway error' : error.message,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  router.get('/health', handle(async () => {
+    const provider = getProvider();
+    return {
+      status: provider.isConfigured() ? 'OK' : 'NOT_CONFIGURED',
+      provider: provider.name,
+      configured: provider.isConfigured(),
+      queue: getQueueStats(),
+      timestamp: new Date().toISOString()
+    };
+  }));
+
+  router.post('/send', handle(async (req) => {
+    const { to, message, type, dedupeKey } = req.body || {};
+    if (type && type !== 'text') throw new WhatsAppGatewayError('Only text messages are supported');
+
+    // Users may only message their own number unless the operator opts out
+    const recipient = normalizeRecipient(to || req.user.phone);
+    if (recipient !== req.user.phone && process.env.WHATSAPP_ALLOW_ANY_RECIPIENT !== 'true') {
+      throw new WhatsAppGatewayError('Messages can only be sent to your own phone number', 403);
+    }
+
+    const entry = enqueueWhatsAppMessage({ to: recipient, message, userId: req.user.id, dedupeKey });
+    return {
+      success: true,
+      id: entry.id,
+      status: entry.status,
+      duplicate: entry.duplicate || false,
+      timestamp: new Date().toISOString()
+    };
+  }));
+
+  router.get('/messages/:id', handle(async (req) => {
+    const message = getMessage(req.params.id);
+    if (!message || message.userId !== req.user.id) {
+      throw new WhatsAppGatewayError(`Message ${req.params.id} not found`, 404);
+    }
+
+    const { id, status, attempts, createdAt, sentAt, lastError } = message;
+    return { id, status, attempts, createdAt, sentAt, lastError };
+  }));
+
+  return router;
+};
@@ -0,0 +1,74 @@
+// src/services/AuthService.js
+const TOKEN_STORAGE_KEY = 'vibha_session_token';
+
+class AuthService {
+  constructor() {
+    this.apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+    this.token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    this.user = null;
+  }
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.apiUrl}/auth${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.getAuthHeaders(),
+        ...options.headers
+      },
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    return result;
+  }
+
+  async sendOTP(phoneNumber) {
+    return this.request('/otp/send', { method: 'POST', body: { phone: phoneNumber } });
+  }
+
+  async verifyOTP(phoneNumber, code, name) {
+    const result = await this.request('/otp/verify', {
+      method: 'POST',
+      body: { phone: phoneNumber, code, name }
+    });
+
+    this.token = result.token;
+    this.user = result.user;
+    localStorage.setItem(TOKEN_STORAGE_KEY, result.token);
+    return result.user;
+  }
+
+  // Resume a stored session; returns null when there is none or it has expired
+  async restoreSession() {
+    if (!this.token) return null;
+
+    try {
+      const result = await this.request('/me');
+      this.user = result.user;
+      return result.user;
+    } catch (error) {
+      this.logout();
+      return null;
+    }
+  }
+
+  getAuthHeaders() {
+    return this.token ? { 'Authorization': `Bearer ${this.token}` } : {};
+  }
+
+  isAuthenticated() {
+    return Boolean(this.token);
+  }
+
+  logout() {
+    this.token = null;
+    this.user = null;
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+}
+
+export default new AuthService();
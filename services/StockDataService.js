@@ -1,4 +1,6 @@
 // src/services/StockDataService.js
+import AuthService from './AuthService';
+
 class StockDataService {
   constructor() {
     this.isInitialized = false;
@@ -11,6 +13,11 @@ class StockDataService {
       maxRetries: 3
     };
     this.sources = {};
+    this.userId = null;
+    this.watchlists = [];
+    this.stream = null;
+    this.streamClientId = null;
+    this.streamSymbols = new Set();
   }
 
   async initialize(config) {
@@ -45,8 +52,7 @@ class StockDataService {
           announcements: '/announcements',
           results: '/results',
           corporateActions: '/corporate-actions',
-          gainersLosers: '/gainers-losers',
-          indices: '/indices'
+          gainersLosers: '/gainers-losers'
         },
         headers: {
           'Content-Type': 'application/json'
@@ -138,7 +144,8 @@ class StockDataService {
       // Get all watchlisted symbols
       const watchlistedSymbols = this.getWatchlistedSymbols();
       
-      if (watchlistedSymbols.length > 0) {
+      // Quotes arrive over the stream when it is connected
+      if (watchlistedSymbols.length > 0 && !this.stream) {
         await this.fetchMultipleQuotes(watchlistedSymbols);
       }
       
@@ -209,8 +216,61 @@ class StockDataService {
     return validResults;
   }
 
-  async getMarketIndices() {
-    const cacheKey = 'market_indices';
+  // OHLCV candles from the backend history route (interval: 1m|5m|1d, range: 1d|5d|1mo|1y)
+  async getStockHistory(symbol, { interval = '1d', range = '1mo', market } = {}) {
+    const cacheKey = `history_${symbol}_${interval}_${range}`;
+
+    if (this.cache.has(cacheKey)) {
+      const cached = this.cache.get(cacheKey);
+      if (Date.now() - cached.timestamp < this.config.cacheTimeout) {
+        return cached.data;
+      }
+    }
+
+    try {
+      const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+      const params = new URLSearchParams({ interval, range, ...(market && { market }) });
+      const response = await fetch(`${API_BASE}/stocks/${encodeURIComponent(symbol)}/history?${params}`, {
+        headers: AuthService.getAuthHeaders()
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+
+      this.setCacheItem(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.error(`Failed to fetch history for ${symbol}:`, error);
+      return null;
+    }
+  }
+
+  // Ranked symbol search (symbol, company name, ISIN, aliases; typo-tolerant)
+  async searchStocks(query, { market, exchange, limit = 10, offset = 0 } = {}) {
+    try {
+      const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+      const params = new URLSearchParams({ limit, offset, ...(market && { market }), ...(exchange && { exchange }) });
+      const response = await fetch(`${API_BASE}/stocks/search/${encodeURIComponent(query)}?${params}`, {
+        headers: AuthService.getAuthHeaders()
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+      return result;
+    } catch (error) {
+      console.error(`Search failed for "${query}":`, error);
+      return { query, results: [], total: 0, offset, limit, hasMore: false };
+    }
+  }
+
+  // NIFTY 50, SENSEX, NIFTY BANK, S&P 500 and NASDAQ levels; `breadth: true` adds the
+  // advance/decline counts (signed in only). Indices the server cannot price are left out.
+  async getMarketIndices({ market, breadth = false } = {}) {
+    const cacheKey = `market_indices_${market || 'all'}_${breadth}`;
     
     if (this.cache.has(cacheKey)) {
       const cached = this.cache.get(cacheKey);
@@ -220,20 +280,22 @@ class StockDataService {
     }
 
     try {
-      const response = await fetch(`${this.apis.nse.baseUrl}${this.apis.nse.endpoints.indices}`, {
-        headers: this.apis.nse.headers
+      const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+      const params = new URLSearchParams({ breadth, ...(market && { market }) });
+      const response = await fetch(`${API_BASE}/indices?${params}`, {
+        headers: AuthService.getAuthHeaders()
       });
 
-      if (response.ok) {
-        const data = await response.json();
-        this.setCacheItem(cacheKey, data);
-        return data;
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}`);
       }
-      
-      throw new Error(`HTTP ${response.status}`);
+
+      this.setCacheItem(cacheKey, result.data);
+      return result.data;
     } catch (error) {
       console.error('Failed to fetch market indices:', error);
-      return this.getFallbackIndices();
+      return [];
     }
   }
 
@@ -270,57 +332,88 @@ class StockDataService {
     }
   }
 
-  async getFinancialResults(symbol) {
+  // Exchange filings from /api/announcements, one per filing even when sent to both
+  // NSE and BSE. `category` narrows to one kind (financial_results, dividend, ...).
+  async getAnnouncements(symbol, { category, limit = 20 } = {}) {
     try {
-      const [nseResults, bseResults] = await Promise.allSettled([
-        this.fetchFromNSE(`results/${symbol}`),
-        this.fetchFromBSE(`results/${symbol}`)
-      ]);
-
-      const results = [];
-      if (nseResults.status === 'fulfilled') results.push(...(nseResults.value || []));
-      if (bseResults.status === 'fulfilled') results.push(...(bseResults.value || []));
+      const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+      const params = new URLSearchParams({ limit, ...(symbol && { symbol }), ...(category && { category }) });
+      const response = await fetch(`${API_BASE}/announcements?${params}`, {
+        headers: AuthService.getAuthHeaders()
+      });
 
-      return results.sort((a, b) => new Date(b.date) - new Date(a.date));
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+      return result.data.filings;
     } catch (error) {
-      console.error(`Failed to fetch financial results for ${symbol}:`, error);
+      console.error(`Failed to fetch announcements${symbol ? ` for ${symbol}` : ''}:`, error);
       return [];
     }
   }
 
-  async getCorporateActions(symbol) {
+  // Quarterly figures (revenue, profit, EPS, QoQ/YoY growth) parsed from result filings,
+  // newest quarter first. `nature` picks consolidated or standalone; both by default.
+  async getFinancialResults(symbol, { nature, limit = 8 } = {}) {
     try {
-      const [nseActions, bseActions] = await Promise.allSettled([
-        this.fetchFromNSE(`corporate-actions/${symbol}`),
-        this.fetchFromBSE(`corporate-actions/${symbol}`)
-      ]);
+      const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+      const params = new URLSearchParams({ limit, ...(nature && { nature }) });
+      const response = await fetch(`${API_BASE}/stocks/${encodeURIComponent(symbol)}/results?${params}`, {
+        headers: AuthService.getAuthHeaders()
+      });
 
-      const actions = [];
-      if (nseActions.status === 'fulfilled') actions.push(...(nseActions.value || []));
-      if (bseActions.status === 'fulfilled') actions.push(...(bseActions.value || []));
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+      return result.results;
+    } catch (error) {
+      console.error(`Failed to fetch results for ${symbol}:`, error);
+      return [];
+    }
+  }
+
+  // Dividends, splits, bonuses, rights, buybacks and AGMs from /api/calendar, by ex-date.
+  // Defaults to the past six months and the next 90 days.
+  async getCorporateActions(symbol, { from, to, type } = {}) {
+    try {
+      const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+      const start = from || new Date(Date.now() - 180 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const end = to || new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const params = new URLSearchParams({ symbols: symbol, from: start, to: end, ...(type && { type }) });
+      const response = await fetch(`${API_BASE}/calendar?${params}`, {
+        headers: AuthService.getAuthHeaders()
+      });
 
-      return actions.sort((a, b) => new Date(b.exDate) - new Date(a.exDate));
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+      return result.data.actions;
     } catch (error) {
       console.error(`Failed to fetch corporate actions for ${symbol}:`, error);
       return [];
     }
   }
 
-  // Helper methods for API calls
-  async fetchFromNSE(endpoint) {
-    const response = await fetch(`${this.apis.nse.baseUrl}/${endpoint}`, {
-      headers: this.apis.nse.headers
+  // Private .ics URL (and webcal:// form) of the user's watchlist corporate actions for
+  // calendar apps; rotate revokes the old URL
+  async getCalendarSubscription({ rotate = false } = {}) {
+    const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+    const response = await fetch(`${API_BASE}/calendar/subscription${rotate ? '/rotate' : ''}`, {
+      method: rotate ? 'POST' : 'GET',
+      headers: AuthService.getAuthHeaders()
     });
-    return response.ok ? await response.json() : null;
-  }
 
-  async fetchFromBSE(endpoint) {
-    const response = await fetch(`${this.apis.bse.baseUrl}/${endpoint}`, {
-      headers: this.apis.bse.headers
-    });
-    return response.ok ? await response.json() : null;
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || `HTTP ${response.status}`);
+    }
+    return result.data;
   }
 
+  // Helper methods for API calls
   async fetchFromYahoo(endpoint) {
     const response = await fetch(`${this.apis.yahoo.baseUrl}/${endpoint}`, {
       headers: this.apis.yahoo.headers
@@ -454,21 +547,216 @@ class StockDataService {
     });
   }
 
+  // Real-time stream: the server pushes quote deltas ('quote_update'), market
+  // open/close transitions ('market_status') and fired alerts ('alert')
+  connectStream(symbols = [...this.streamSymbols]) {
+    this.disconnectStream();
+    this.streamSymbols = new Set(symbols);
+
+    const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+    const params = new URLSearchParams();
+    if (symbols.length > 0) params.set('symbols', symbols.join(','));
+    if (AuthService.token) params.set('token', AuthService.token);
+
+    this.stream = new EventSource(`${API_BASE}/stream?${params}`);
+
+    // Fires again after every automatic reconnect, which hands out a new client id
+    // and only knows the symbols from the original URL
+    this.stream.addEventListener('ready', (event) => {
+      const data = JSON.parse(event.data);
+      this.streamClientId = data.clientId;
+      this.notifySubscribers('market_status', data.marketStatus);
+
+      const added = [...this.streamSymbols].filter(symbol => !symbols.includes(symbol));
+      if (added.length > 0) {
+        this.subscribeSymbols(added).catch(error => console.error('Stream resubscribe failed:', error));
+      }
+    });
+    this.stream.addEventListener('quote', (event) => {
+      this.notifySubscribers('quote_update', JSON.parse(event.data));
+    });
+    this.stream.addEventListener('market', (event) => {
+      this.notifySubscribers('market_status', JSON.parse(event.data).marketStatus);
+    });
+    this.stream.addEventListener('alert', (event) => {
+      this.notifySubscribers('alert', JSON.parse(event.data));
+    });
+    this.stream.onerror = () => {
+      this.notifySubscribers('stream_error', { readyState: this.stream?.readyState });
+    };
+  }
+
+  async streamRequest(action, symbols) {
+    symbols.forEach(symbol => action === 'subscribe'
+      ? this.streamSymbols.add(symbol)
+      : this.streamSymbols.delete(symbol));
+
+    // Before the first 'ready' event the symbols simply ride along on the next connect
+    if (!this.streamClientId) return [...this.streamSymbols];
+
+    const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+    const response = await fetch(`${API_BASE}/stream/${this.streamClientId}/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...AuthService.getAuthHeaders() },
+      body: JSON.stringify({ symbols })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || `HTTP ${response.status}`);
+    }
+    return result.data.symbols;
+  }
+
+  subscribeSymbols(symbols) {
+    return this.streamRequest('subscribe', symbols);
+  }
+
+  unsubscribeSymbols(symbols) {
+    return this.streamRequest('unsubscribe', symbols);
+  }
+
+  disconnectStream() {
+    if (this.stream) this.stream.close();
+    this.stream = null;
+    this.streamClientId = null;
+  }
+
   // User data methods
-  async getUserWatchlist(userId) {
+  setUser(userId) {
+    this.userId = userId;
+    this.watchlists = [];
+  }
+
+  async watchlistRequest(path = '', options = {}) {
+    const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+    const response = await fetch(`${API_BASE}/watchlists${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...AuthService.getAuthHeaders(),
+        ...options.headers
+      },
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || `HTTP ${response.status}`);
+    }
+    return result.data;
+  }
+
+  // Replace one list in the local copy after a write so getWatchlistedSymbols stays current
+  updateLocalWatchlist(list) {
+    const index = this.watchlists.findIndex(l => l.id === list.id);
+    if (index === -1) {
+      this.watchlists.push(list);
+    } else {
+      this.watchlists[index] = { ...this.watchlists[index], ...list };
+    }
+    this.notifySubscribers('watchlist_update', this.watchlists);
+    return list;
+  }
+
+  async getUserWatchlist(userId = this.userId) {
+    if (userId && userId !== this.userId) this.setUser(userId);
+
     try {
-      const response = await fetch(`${import.meta.env.VITE_API_URL}/users/${userId}/watchlist`);
-      return response.ok ? await response.json() : [];
+      this.watchlists = await this.watchlistRequest('?quotes=true');
+      return this.watchlists;
     } catch (error) {
       console.error('Failed to fetch user watchlist:', error);
       return [];
     }
   }
 
+  async createWatchlist(name) {
+    return this.updateLocalWatchlist(await this.watchlistRequest('', { method: 'POST', body: { name } }));
+  }
+
+  async renameWatchlist(watchlistId, name) {
+    return this.updateLocalWatchlist(
+      await this.watchlistRequest(`/${watchlistId}`, { method: 'PATCH', body: { name } })
+    );
+  }
+
+  async deleteWatchlist(watchlistId) {
+    await this.watchlistRequest(`/${watchlistId}`, { method: 'DELETE' });
+    this.watchlists = this.watchlists.filter(l => l.id !== watchlistId);
+    this.notifySubscribers('watchlist_update', this.watchlists);
+  }
+
+  async reorderWatchlists(watchlistIds) {
+    this.watchlists = await this.watchlistRequest('/order', { method: 'PUT', body: { ids: watchlistIds } });
+    this.notifySubscribers('watchlist_update', this.watchlists);
+    return this.watchlists;
+  }
+
+  async addToWatchlist(watchlistId, symbol, market) {
+    return this.updateLocalWatchlist(
+      await this.watchlistRequest(`/${watchlistId}/symbols`, { method: 'POST', body: { symbol, market } })
+    );
+  }
+
+  async removeFromWatchlist(watchlistId, symbol) {
+    return this.updateLocalWatchlist(
+      await this.watchlistRequest(`/${watchlistId}/symbols/${encodeURIComponent(symbol)}`, { method: 'DELETE' })
+    );
+  }
+
+  async reorderWatchlistSymbols(watchlistId, symbols) {
+    return this.updateLocalWatchlist(
+      await this.watchlistRequest(`/${watchlistId}/symbols/order`, { method: 'PUT', body: { symbols } })
+    );
+  }
+
+  // Portfolio holdings: one entry per bought lot, valued live by the server
+  async portfolioRequest(path = '', options = {}) {
+    const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+    const response = await fetch(`${API_BASE}/portfolio${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...AuthService.getAuthHeaders(),
+        ...options.headers
+      },
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || `HTTP ${response.status}`);
+    }
+    return result.data;
+  }
+
+  // currency: 'INR' | 'USD' adds summary.total with every holding converted
+  async getPortfolio(currency = 'INR') {
+    try {
+      return await this.portfolioRequest(currency ? `?currency=${currency}` : '');
+    } catch (error) {
+      console.error('Failed to fetch portfolio:', error);
+      return { holdings: [], summary: null };
+    }
+  }
+
+  async addHolding(holding) {
+    return this.portfolioRequest('/holdings', { method: 'POST', body: holding });
+  }
+
+  async updateHolding(holdingId, changes) {
+    return this.portfolioRequest(`/holdings/${holdingId}`, { method: 'PATCH', body: changes });
+  }
+
+  async removeHolding(holdingId) {
+    return this.portfolioRequest(`/holdings/${holdingId}`, { method: 'DELETE' });
+  }
+
   getWatchlistedSymbols() {
-    // This would typically come from user's watchlist stored in state/context
-    // For now, return some default symbols
-    return ['RELIANCE', 'TCS', 'HDFCBANK', 'INFY', 'ICICIBANK'];
+    const symbols = new Set();
+    this.watchlists.forEach(list => list.symbols.forEach(entry => symbols.add(entry.symbol)));
+    return [...symbols];
   }
 
   // Utility methods
@@ -482,14 +770,6 @@ class StockDataService {
     });
   }
 
-  getFallbackIndices() {
-    return [
-      { name: 'NIFTY 50', value: 19500, change: 125.5, changePercent: 0.65 },
-      { name: 'SENSEX', value: 65500, change: 285.2, changePercent: 0.44 },
-      { name: 'NIFTY BANK', value: 45500, change: -125.8, changePercent: -0.28 }
-    ];
-  }
-
   // Health check
   async healthCheck() {
     try {
@@ -528,6 +808,8 @@ class StockDataService {
 
   // Cleanup method
   destroy() {
+    this.disconnectStream();
+    this.streamSymbols.clear();
     this.cache.clear();
     this.subscribers.clear();
     this.isInitialized = false;
@@ -1,9 +1,12 @@
 // src/services/WhatsAppService.js
+import AuthService from './AuthService';
+
 class WhatsAppService {
   constructor() {
     this.isInitialized = false;
     this.config = {
-      apiUrl: import.meta.env.VITE_WHATSAPP_API_URL || 'http://localhost:3001/api/whatsapp',
+      // Provider credentials live on the server; the browser only sends its session token
+      apiUrl: `${import.meta.env.VITE_API_URL || 'http://localhost:3001/api'}/whatsapp`,
       rateLimitPerMinute: 30,
       maxRetries: 3,
       retryDelay: 2000
@@ -40,7 +43,8 @@ class WhatsAppService {
       const response = await fetch(`${this.config.apiUrl}/health`, {
         method: 'GET',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...AuthService.getAuthHeaders()
         }
       });
 
@@ -125,6 +129,19 @@ class WhatsAppService {
 
 🎯 *Trigger:* {trigger}
 
+⏰ {time}
+📱 Vibha StockAlerts`
+        },
+        corporate_action: {
+          subject: "📅 {company} {actionType}",
+          body: `*{company} ({symbol})* - {exchange}
+
+📅 *{actionType} Reminder*
+{description}
+
+• Ex-date: {exDate}
+• Record date: {recordDate}
+
 ⏰ {time}
 📱 Vibha StockAlerts`
         },
@@ -247,7 +264,7 @@ class WhatsAppService {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${import.meta.env.VITE_WHATSAPP_TOKEN}`
+          ...AuthService.getAuthHeaders()
         },
         body: JSON.stringify({
           to: phoneNumber,
@@ -256,6 +273,7 @@ class WhatsAppService {
         })
       });
 
+      // The gateway accepts the message into its outbound queue and delivers it with retries
       if (response.ok) {
         const result = await response.json();
         return result.success || true;
@@ -2,41 +2,218 @@ import React, { useState, useEffect } from 'react';
 import LandingPage from './components/LandingPage';
 import LoginPage from './components/LoginPage';
 import Dashboard from './components/Dashboard';
+import StockDataService from '../services/StockDataService';
+import AuthService from '../services/AuthService';
+import AlertService from '../services/AlertService';
+
+// "2 mins ago" style label for alert timestamps
+const formatRelativeTime = (isoTime) => {
+  const minutes = Math.floor((Date.now() - new Date(isoTime).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
+// Server alert events carry the template id in `type`; the Dashboard shows the category
+const toAlertRow = (event) => ({
+  ...event,
+  type: event.category,
+  time: formatRelativeTime(event.time)
+});
+
+// Shape a server watchlist entry (symbol + live quote) for the Dashboard cards
+const toWatchlistRow = (entry, rules = []) => {
+  const quote = entry.quote || {};
+  const isIndian = quote.currency ? quote.currency === 'INR' : entry.market !== 'global';
+  const changePercent = quote.changePercent ?? 0;
+
+  return {
+    id: entry.symbol,
+    symbol: entry.symbol,
+    market: isIndian ? 'indian' : 'global',
+    name: quote.name || entry.symbol,
+    price: quote.price ?? '--',
+    currencySymbol: isIndian ? '₹' : '$',
+    change: `${changePercent >= 0 ? '+' : ''}${changePercent}%`,
+    changeValue: quote.change ?? 0,
+    volume: quote.volume ? StockDataService.formatVolume(quote.volume) : '--',
+    marketCap: quote.marketCap
+      ? (isIndian ? StockDataService.formatMarketCap(quote.marketCap) : `$${quote.marketCap}B`)
+      : '--',
+    alerts: rules.filter(rule => rule.symbol === entry.symbol && rule.enabled).length,
+    sector: quote.sector || (isIndian ? 'NSE' : 'NYSE/NASDAQ'),
+    logo: isIndian ? '🇮🇳' : '🇺🇸',
+    mock: quote.mock,
+    stale: quote.stale,
+    staleAge: quote.staleAge
+  };
+};
 
 function App() {
   const [currentPage, setCurrentPage] = useState('landing');
   const [user, setUser] = useState(null);
-  const [watchlist, setWatchlist] = useState([]);
+  const [watchlists, setWatchlists] = useState([]);
+  const [activeWatchlistId, setActiveWatchlistId] = useState(null);
   const [alerts, setAlerts] = useState([]);
+  const [filingPreferences, setFilingPreferences] = useState(null);
+  const [filingCategories, setFilingCategories] = useState([]);
+  const [actionPreferences, setActionPreferences] = useState(null);
+  const [calendarSubscription, setCalendarSubscription] = useState(null);
+  const [alertRules, setAlertRules] = useState([]);
+  const [portfolio, setPortfolio] = useState(null);
+  const [indices, setIndices] = useState([]);
+  const [indexBreadth, setIndexBreadth] = useState({});
+
+  const loadWatchlists = async () => {
+    const lists = await StockDataService.getUserWatchlist();
+    setWatchlists(lists);
+    setActiveWatchlistId(current =>
+      lists.some(l => l.id === current) ? current : lists[0]?.id || null
+    );
+  };
+
+  const loadPortfolio = async () => {
+    setPortfolio(await StockDataService.getPortfolio());
+  };
+
+  const loadIndices = async () => {
+    setIndices(await StockDataService.getMarketIndices());
+  };
+
+  // Breadth quotes every constituent, so it is fetched far less often than the levels
+  const loadIndexBreadth = async () => {
+    const withBreadth = await StockDataService.getMarketIndices({ breadth: true });
+    setIndexBreadth(Object.fromEntries(withBreadth.filter(index => index.breadth).map(index => [index.id, index.breadth])));
+  };
+
+  const loadAlertSettings = async () => {
+    const [preferences, categories] = await Promise.all([
+      AlertService.getFilingPreferences(),
+      AlertService.getFilingCategories()
+    ]).catch(() => [null, []]);
+    setFilingPreferences(preferences);
+    setFilingCategories(categories);
+    setActionPreferences(await AlertService.getActionPreferences().catch(() => null));
+    setCalendarSubscription(await StockDataService.getCalendarSubscription().catch(() => null));
+  };
+
+  const loadAlerts = async () => {
+    const [events, rules] = await Promise.all([
+      AlertService.getUserAlerts(),
+      AlertService.getRules().catch(() => [])
+    ]);
+    setAlerts(events.map(toAlertRow));
+    setAlertRules(rules);
+  };
+
+  // Resume a stored session straight into the dashboard
+  useEffect(() => {
+    AuthService.restoreSession().then(sessionUser => {
+      if (sessionUser) {
+        setUser(sessionUser);
+        setCurrentPage('dashboard');
+      }
+    });
+  }, []);
 
-  // Sample data
-  const sampleWatchlist = [
-    { id: 1, symbol: 'RELIANCE', name: 'Reliance Industries Ltd', price: 2456.80, change: '+1.2%', changeValue: 29.28, volume: '12.5M', marketCap: '16.8L Cr', alerts: 3, sector: 'Oil & Gas', logo: '🏭' },
-    { id: 2, symbol: 'TCS', name: 'Tata Consultancy Services', price: 3678.50, change: '-0.8%', changeValue: -29.64, volume: '8.2M', marketCap: '13.4L Cr', alerts: 1, sector: 'IT Services', logo: '💻' },
-    { id: 3, symbol: 'INFY', name: 'Infosys Limited', price: 1543.25, change: '+2.1%', changeValue: 31.78, volume: '15.6M', marketCap: '6.5L Cr', alerts: 5, sector: 'IT Services', logo: '🔧' },
-    { id: 4, symbol: 'HDFCBANK', name: 'HDFC Bank Limited', price: 1689.90, change: '+0.5%', changeValue: 8.41, volume: '18.9M', marketCap: '9.1L Cr', alerts: 2, sector: 'Banking', logo: '🏦' },
-    { id: 5, symbol: 'ICICIBANK', name: 'ICICI Bank Limited', price: 1045.30, change: '-1.2%', changeValue: -12.71, volume: '22.1M', marketCap: '7.3L Cr', alerts: 1, sector: 'Banking', logo: '🏛️' },
-    { id: 6, symbol: 'BHARTIARTL', name: 'Bharti Airtel Limited', price: 895.75, change: '+3.4%', changeValue: 29.42, volume: '9.8M', marketCap: '5.2L Cr', alerts: 4, sector: 'Telecom', logo: '📱' }
-  ];
-
-  const sampleAlerts = [
-    { id: 1, company: 'Reliance Industries', type: 'Quarterly Results', time: '2 mins ago', importance: 'high', description: 'Q3 FY25 results declared with 15% YoY growth', read: false },
-    { id: 2, company: 'TCS', type: 'Dividend Declaration', time: '15 mins ago', importance: 'medium', description: 'Interim dividend of ₹10 per share declared', read: false },
-    { id: 3, company: 'Infosys', type: 'Board Meeting', time: '1 hour ago', importance: 'low', description: 'Board meeting scheduled for buyback approval', read: true },
-    { id: 4, company: 'HDFC Bank', type: 'Rights Issue', time: '2 hours ago', importance: 'high', description: 'Rights issue of ₹50,000 crores announced', read: false },
-    { id: 5, company: 'Bharti Airtel', type: 'Acquisition', time: '3 hours ago', importance: 'high', description: 'Acquired spectrum in 5G auction for ₹43,084 crores', read: true },
-    { id: 6, company: 'ICICI Bank', type: 'Credit Rating', time: '4 hours ago', importance: 'medium', description: 'Credit rating upgraded to AA+ by CRISIL', read: false }
-  ];
+  const handleLogout = () => {
+    AuthService.logout();
+    setUser(null);
+    setWatchlists([]);
+    setAlerts([]);
+    setAlertRules([]);
+    setFilingPreferences(null);
+    setFilingCategories([]);
+    setActionPreferences(null);
+    setCalendarSubscription(null);
+    setPortfolio(null);
+    setIndices([]);
+    setIndexBreadth({});
+    setCurrentPage('landing');
+  };
 
   useEffect(() => {
     if (user) {
-      setTimeout(() => {
-        setWatchlist(sampleWatchlist);
-        setAlerts(sampleAlerts);
-      }, 1000);
+      StockDataService.setUser(user.id);
+      loadWatchlists();
+      loadAlerts();
+      loadAlertSettings();
+      loadPortfolio();
     }
   }, [user]);
 
+  // Index levels move all session, so the strip refreshes them every minute; breadth
+  // follows every 15 minutes, matching the server's breadth cache
+  useEffect(() => {
+    if (!user) return undefined;
+    loadIndices();
+    loadIndexBreadth();
+    const levelsTimer = setInterval(loadIndices, 60 * 1000);
+    const breadthTimer = setInterval(loadIndexBreadth, 15 * 60 * 1000);
+    return () => {
+      clearInterval(levelsTimer);
+      clearInterval(breadthTimer);
+    };
+  }, [user]);
+
+  const activeWatchlist = watchlists.find(l => l.id === activeWatchlistId);
+  const watchlist = activeWatchlist ? activeWatchlist.symbols.map(entry => toWatchlistRow(entry, alertRules)) : [];
+
+  const watchlistActions = {
+    select: setActiveWatchlistId,
+    create: async (name) => {
+      const list = await StockDataService.createWatchlist(name);
+      await loadWatchlists();
+      setActiveWatchlistId(list.id);
+    },
+    addStock: async (symbol, market) => {
+      await StockDataService.addToWatchlist(activeWatchlistId, symbol, market);
+      await loadWatchlists();
+    },
+    removeStock: async (symbol) => {
+      await StockDataService.removeFromWatchlist(activeWatchlistId, symbol);
+      await loadWatchlists();
+    }
+  };
+
+  const portfolioActions = {
+    addHolding: async (holding) => {
+      await StockDataService.addHolding(holding);
+      await loadPortfolio();
+    },
+    removeHolding: async (holdingId) => {
+      await StockDataService.removeHolding(holdingId);
+      await loadPortfolio();
+    }
+  };
+
+  const alertActions = {
+    createRule: async (rule) => {
+      await AlertService.createRule(rule);
+      await loadAlerts();
+    },
+    deleteRule: async (ruleId) => {
+      await AlertService.deleteRule(ruleId);
+      await loadAlerts();
+    },
+    markAllRead: async () => {
+      await AlertService.markAllAsRead();
+      await loadAlerts();
+    },
+    updateFilingPreferences: async (updates) => {
+      setFilingPreferences(await AlertService.updateFilingPreferences(updates));
+    },
+    updateActionPreferences: async (updates) => {
+      setActionPreferences(await AlertService.updateActionPreferences(updates));
+    },
+    rotateCalendarSubscription: async () => {
+      setCalendarSubscription(await StockDataService.getCalendarSubscription({ rotate: true }));
+    }
+  };
+
   return (
     <div className="App">
       {currentPage === 'landing' && (
@@ -49,8 +226,21 @@ function App() {
         <Dashboard 
           user={user} 
           setCurrentPage={setCurrentPage}
+          onLogout={handleLogout}
           watchlist={watchlist}
+          watchlists={watchlists}
+          activeWatchlistId={activeWatchlistId}
+          watchlistActions={watchlistActions}
           alerts={alerts}
+          alertRules={alertRules}
+          alertActions={alertActions}
+          filingPreferences={filingPreferences}
+          filingCategories={filingCategories}
+          actionPreferences={actionPreferences}
+          calendarSubscription={calendarSubscription}
+          portfolio={portfolio}
+          portfolioActions={portfolioActions}
+          indices={indices.map(index => ({ ...index, breadth: indexBreadth[index.id] }))}
         />
       )}
     </div>
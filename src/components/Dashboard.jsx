@@ -13,14 +13,133 @@ import {
   Home,
   TrendingDown,
   DollarSign,
-  LogOut
+  LogOut,
+  Trash2
 } from 'lucide-react';
 
-const Dashboard = ({ user, setCurrentPage, watchlist, alerts }) => {
+const ALERT_RULE_TYPES = [
+  { id: 'price_above', label: 'Price rises above', unit: 'price' },
+  { id: 'price_below', label: 'Price falls below', unit: 'price' },
+  { id: 'change_percent_above', label: 'Day gain reaches', unit: '%' },
+  { id: 'change_percent_below', label: 'Day loss reaches', unit: '%' },
+  { id: 'extended_price_above', label: 'US pre/after-hours price above', unit: 'price' },
+  { id: 'extended_price_below', label: 'US pre/after-hours price below', unit: 'price' },
+  { id: 'extended_move_above', label: 'US pre/after-hours gain reaches', unit: '%' },
+  { id: 'extended_move_below', label: 'US pre/after-hours loss reaches', unit: '%' },
+  { id: 'cross_resistance', label: 'Breaks above resistance' },
+  { id: 'cross_support', label: 'Breaks below support' },
+  { id: 'volume_spike', label: 'Volume spikes to', unit: 'x normal', placeholder: '2' },
+  { id: 'rsi_above', label: 'RSI rises to', unit: 'RSI', placeholder: '70' },
+  { id: 'rsi_below', label: 'RSI falls to', unit: 'RSI', placeholder: '30' },
+  { id: 'macd_bullish_cross', label: 'MACD bullish crossover' },
+  { id: 'macd_bearish_cross', label: 'MACD bearish crossover' },
+  { id: 'cross_above_sma', label: 'Crosses above SMA', unit: 'day SMA', placeholder: '50' },
+  { id: 'cross_below_sma', label: 'Crosses below SMA', unit: 'day SMA', placeholder: '50' },
+  { id: 'bollinger_breakout_up', label: 'Breaks upper Bollinger Band' },
+  { id: 'bollinger_breakout_down', label: 'Breaks lower Bollinger Band' }
+];
+
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$' };
+
+// ₹12,45,678 for INR (lakh grouping), $12,345.67 for USD
+const formatMoney = (value, currency = 'INR', { signed = false } = {}) => {
+  const amount = Math.abs(value).toLocaleString(currency === 'INR' ? 'en-IN' : 'en-US', { maximumFractionDigits: currency === 'INR' ? 0 : 2 });
+  const sign = value < 0 ? '-' : signed ? '+' : '';
+  return `${sign}${CURRENCY_SYMBOLS[currency] || ''}${amount}`;
+};
+
+const formatPercent = (value) => `${value >= 0 ? '+' : ''}${value}%`;
+
+const EMPTY_HOLDING = { symbol: '', market: 'indian', quantity: '', averagePrice: '', buyDate: '', broker: '' };
+
+const Dashboard = ({ user, setCurrentPage, onLogout, watchlist, watchlists, activeWatchlistId, watchlistActions, alerts, alertRules, alertActions, filingPreferences, filingCategories, actionPreferences, calendarSubscription, portfolio, portfolioActions, indices }) => {
   const [activeTab, setActiveTab] = useState('overview');
   const [searchTerm, setSearchTerm] = useState('');
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
   const [showAddStock, setShowAddStock] = useState(false);
+  const [newSymbol, setNewSymbol] = useState('');
+  const [newMarket, setNewMarket] = useState('indian');
+  const [watchlistError, setWatchlistError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [alertTarget, setAlertTarget] = useState(null);
+  const [ruleType, setRuleType] = useState('price_above');
+  const [ruleThreshold, setRuleThreshold] = useState('');
+  const [ruleCooldown, setRuleCooldown] = useState('60');
+  const [showAddHolding, setShowAddHolding] = useState(false);
+  const [holdingForm, setHoldingForm] = useState(EMPTY_HOLDING);
+
+  // Run a watchlist write and surface server validation errors in the UI
+  const runWatchlistAction = async (action) => {
+    setWatchlistError(null);
+    setIsSaving(true);
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      setWatchlistError(error.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddStock = async (e) => {
+    e.preventDefault();
+    const added = await runWatchlistAction(() => watchlistActions.addStock(newSymbol, newMarket));
+    if (added) {
+      setNewSymbol('');
+      setShowAddStock(false);
+    }
+  };
+
+  const handleCreateRule = async (e) => {
+    e.preventDefault();
+    const created = await runWatchlistAction(() => alertActions.createRule({
+      symbol: alertTarget.symbol,
+      market: alertTarget.market,
+      type: ruleType,
+      threshold: ruleThreshold === '' ? undefined : Number(ruleThreshold),
+      cooldownMinutes: Number(ruleCooldown)
+    }));
+    if (created) setRuleThreshold('');
+  };
+
+  const handleAddHolding = async (e) => {
+    e.preventDefault();
+    const added = await runWatchlistAction(() => portfolioActions.addHolding({
+      ...holdingForm,
+      quantity: Number(holdingForm.quantity),
+      averagePrice: Number(holdingForm.averagePrice)
+    }));
+    if (added) {
+      setHoldingForm(EMPTY_HOLDING);
+      setShowAddHolding(false);
+    }
+  };
+
+  // Overview cards use the converted single-currency total; without a rate they fall
+  // back to the INR book and list other currencies alongside
+  const convertedTotal = portfolio?.summary?.total?.marketValue !== undefined ? portfolio.summary.total : null;
+  const portfolioCurrency = convertedTotal?.currency
+    || (portfolio?.summary?.byCurrency?.INR ? 'INR' : Object.keys(portfolio?.summary?.byCurrency || {})[0] || 'INR');
+  const portfolioTotals = convertedTotal || portfolio?.summary?.byCurrency?.[portfolioCurrency];
+  const otherTotals = convertedTotal
+    ? []
+    : Object.entries(portfolio?.summary?.byCurrency || {}).filter(([currency]) => currency !== portfolioCurrency);
+
+  const selectedRuleType = ALERT_RULE_TYPES.find(t => t.id === ruleType);
+  const targetRules = alertTarget ? (alertRules || []).filter(r => r.symbol === alertTarget.symbol) : [];
+
+  const handleCreateWatchlist = () => {
+    const name = window.prompt('Name your new watchlist');
+    if (name) runWatchlistAction(() => watchlistActions.create(name));
+  };
+
+  const filteredWatchlist = watchlist?.filter(stock =>
+    !searchTerm ||
+    stock.symbol.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    stock.name.toLowerCase().includes(searchTerm.toLowerCase())
+  ) || [];
 
   // Enhanced Sidebar Component
   const EnhancedSidebar = () => (
@@ -70,7 +189,7 @@ const Dashboard = ({ user, setCurrentPage, watchlist, alerts }) => {
 
       <div className="absolute bottom-0 left-0 right-0 p-4 border-t border-gray-700">
         <button
-          onClick={() => setCurrentPage('landing')}
+          onClick={onLogout}
           className="w-full flex items-center space-x-3 px-4 py-3 text-gray-300 hover:text-white hover:bg-gray-700 rounded-xl transition-all duration-200"
         >
           <LogOut className="w-5 h-5" />
@@ -98,28 +217,75 @@ const Dashboard = ({ user, setCurrentPage, watchlist, alerts }) => {
         </div>
       </div>
 
+      {/* Market Indices */}
+      {indices?.length > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          {indices.map((index) => (
+            <div key={index.id} className="bg-white p-4 rounded-2xl shadow-sm border border-gray-100">
+              <div className="flex items-center justify-between">
+                <p className="text-gray-500 text-sm font-medium">{index.name}</p>
+                {index.mock && (
+                  <span className="text-xs bg-orange-100 text-orange-600 px-1 rounded">{index.replay ? 'REPLAY' : 'DEMO'}</span>
+                )}
+              </div>
+              <p className="text-xl font-bold text-gray-900 mt-1">
+                {index.level.toLocaleString(index.market === 'indian' ? 'en-IN' : 'en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              </p>
+              <p className={`text-sm font-medium ${index.change >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {index.change >= 0 ? '+' : ''}{index.change} ({formatPercent(index.changePercent)})
+              </p>
+              {index.breadth && (
+                <p
+                  className="text-xs text-gray-500 mt-1"
+                  title={`${index.breadth.priced} of ${index.breadth.listed} listed constituents priced`}
+                >
+                  <span className="text-green-600">▲ {index.breadth.advances}</span>
+                  {' '}<span className="text-red-600">▼ {index.breadth.declines}</span>
+                  {index.breadth.unchanged > 0 && <span> · {index.breadth.unchanged} unch</span>}
+                  {index.constituentCount !== index.breadth.listed && <span> (top {index.breadth.listed})</span>}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Stats Cards */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
         {[
-          { title: 'Portfolio Value', value: '₹12,45,678', change: '+2.5%', icon: DollarSign, color: 'green' },
+          {
+            title: 'Portfolio Value',
+            value: portfolioTotals ? formatMoney(portfolioTotals.marketValue, portfolioCurrency) : formatMoney(0),
+            change: portfolioTotals
+              ? `${formatPercent(portfolioTotals.unrealizedPnLPercent)} overall${otherTotals.map(([currency, t]) => ` · ${formatMoney(t.marketValue, currency)}`).join('')}`
+              : 'Add your first holding',
+            icon: DollarSign,
+            color: !portfolioTotals || portfolioTotals.unrealizedPnL >= 0 ? 'green' : 'red'
+          },
           { title: 'Total Stocks', value: watchlist?.length?.toString() || '0', change: '+3 this week', icon: Star, color: 'blue' },
           { title: 'Active Alerts', value: alerts?.filter(a => !a.read)?.length?.toString() || '0', change: '12 today', icon: Bell, color: 'orange' },
-          { title: 'Day\'s Change', value: '+₹18,456', change: '+1.8%', icon: TrendingUp, color: 'green' }
+          {
+            title: 'Day\'s Change',
+            value: portfolioTotals ? formatMoney(portfolioTotals.dayChange, portfolioCurrency, { signed: true }) : formatMoney(0),
+            change: portfolioTotals ? formatPercent(portfolioTotals.dayChangePercent) : '--',
+            icon: portfolioTotals?.dayChange < 0 ? TrendingDown : TrendingUp,
+            color: portfolioTotals?.dayChange < 0 ? 'red' : 'green'
+          }
         ].map((stat, index) => (
           <div key={index} className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 hover:shadow-lg transition-all duration-300">
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-gray-500 text-sm font-medium">{stat.title}</p>
                 <p className="text-2xl font-bold text-gray-900 mt-1">{stat.value}</p>
-                <p className={`text-sm font-medium mt-1 ${stat.color === 'green' ? 'text-green-600' : stat.color === 'blue' ? 'text-blue-600' : 'text-orange-600'}`}>
+                <p className={`text-sm font-medium mt-1 ${stat.color === 'green' ? 'text-green-600' : stat.color === 'red' ? 'text-red-600' : stat.color === 'blue' ? 'text-blue-600' : 'text-orange-600'}`}>
                   {stat.change}
                 </p>
               </div>
               <div className={`w-12 h-12 rounded-full flex items-center justify-center ${
-                stat.color === 'green' ? 'bg-green-100' : stat.color === 'blue' ? 'bg-blue-100' : 'bg-orange-100'
+                stat.color === 'green' ? 'bg-green-100' : stat.color === 'red' ? 'bg-red-100' : stat.color === 'blue' ? 'bg-blue-100' : 'bg-orange-100'
               }`}>
                 <stat.icon className={`w-6 h-6 ${
-                  stat.color === 'green' ? 'text-green-600' : stat.color === 'blue' ? 'text-blue-600' : 'text-orange-600'
+                  stat.color === 'green' ? 'text-green-600' : stat.color === 'red' ? 'text-red-600' : stat.color === 'blue' ? 'text-blue-600' : 'text-orange-600'
                 }`} />
               </div>
             </div>
@@ -127,6 +293,78 @@ const Dashboard = ({ user, setCurrentPage, watchlist, alerts }) => {
         ))}
       </div>
 
+      {/* Holdings */}
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100">
+        <div className="p-6 border-b border-gray-100">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-bold text-gray-900">Holdings</h2>
+            <button
+              onClick={() => { setShowAddHolding(true); setWatchlistError(null); }}
+              className="text-blue-600 hover:text-blue-700 font-medium flex items-center space-x-1"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add Holding</span>
+            </button>
+          </div>
+          {portfolio?.summary?.mockPrices && (
+            <p className="text-sm text-orange-600 mt-2">Prices are simulated (demo or replay mode), not live market data</p>
+          )}
+        </div>
+        {portfolio?.holdings?.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  {['Stock', 'Qty', 'Avg Price', 'LTP', 'Value', 'P&L', 'Day', 'Broker', ''].map((heading) => (
+                    <th key={heading} className="px-6 py-3 font-medium">{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {portfolio.holdings.map((holding) => {
+                  const currency = holding.currency || (holding.market === 'global' ? 'USD' : 'INR');
+                  return (
+                    <tr key={holding.id} className="border-t border-gray-50">
+                      <td className="px-6 py-3">
+                        <p className="font-semibold text-gray-900">{holding.symbol}</p>
+                        <p className="text-gray-500">{holding.buyDate}</p>
+                      </td>
+                      <td className="px-6 py-3 text-gray-900">{holding.quantity}</td>
+                      <td className="px-6 py-3 text-gray-900">{formatMoney(holding.averagePrice, currency)}</td>
+                      <td className="px-6 py-3 text-gray-900">{holding.price !== undefined ? formatMoney(holding.price, currency) : '--'}</td>
+                      <td className="px-6 py-3 text-gray-900">{holding.marketValue !== undefined ? formatMoney(holding.marketValue, currency) : '--'}</td>
+                      <td className={`px-6 py-3 font-medium ${holding.unrealizedPnL < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {holding.unrealizedPnL !== undefined
+                          ? `${formatMoney(holding.unrealizedPnL, currency, { signed: true })} (${formatPercent(holding.unrealizedPnLPercent)})`
+                          : '--'}
+                      </td>
+                      <td className={`px-6 py-3 font-medium ${holding.dayChange < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {holding.dayChange !== undefined ? formatMoney(holding.dayChange, currency, { signed: true }) : '--'}
+                      </td>
+                      <td className="px-6 py-3 text-gray-500">{holding.broker || '--'}</td>
+                      <td className="px-6 py-3 text-right">
+                        <button
+                          onClick={() => runWatchlistAction(() => portfolioActions.removeHolding(holding.id))}
+                          disabled={isSaving}
+                          className="text-red-600 hover:text-red-700"
+                          title="Remove holding"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-center py-8 text-gray-500">
+            No holdings yet
+          </div>
+        )}
+      </div>
+
       {/* Recent Alerts */}
       <div className="bg-white rounded-2xl shadow-sm border border-gray-100">
         <div className="p-6 border-b border-gray-100">
@@ -185,6 +423,33 @@ const Dashboard = ({ user, setCurrentPage, watchlist, alerts }) => {
         </button>
       </div>
 
+      {/* Watchlist Selector */}
+      <div className="flex flex-wrap items-center gap-2">
+        {watchlists?.map((list) => (
+          <button
+            key={list.id}
+            onClick={() => watchlistActions.select(list.id)}
+            className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 ${
+              list.id === activeWatchlistId
+                ? 'bg-blue-600 text-white shadow'
+                : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-100'
+            }`}
+          >
+            {list.name} ({list.symbols.length})
+          </button>
+        ))}
+        <button
+          onClick={handleCreateWatchlist}
+          className="px-4 py-2 rounded-full text-sm font-medium text-blue-600 hover:bg-blue-50 transition-colors"
+        >
+          + New List
+        </button>
+      </div>
+
+      {watchlistError && !showAddStock && (
+        <div className="bg-red-50 text-red-700 px-4 py-3 rounded-xl text-sm">{watchlistError}</div>
+      )}
+
       {/* Search and Filter */}
       <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100">
         <div className="flex flex-col sm:flex-row gap-4">
@@ -207,7 +472,7 @@ const Dashboard = ({ user, setCurrentPage, watchlist, alerts }) => {
 
       {/* Stocks Grid */}
       <div className="grid gap-6">
-        {watchlist?.map((stock) => (
+        {filteredWatchlist.length > 0 ? filteredWatchlist.map((stock) => (
           <div key={stock.id} className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 hover:shadow-lg transition-all duration-300">
             <div className="flex items-center justify-between">
               <div className="flex items-center space-x-4">
@@ -219,7 +484,12 @@ const Dashboard = ({ user, setCurrentPage, watchlist, alerts }) => {
                 </div>
               </div>
               <div className="text-right">
-                <p className="text-2xl font-bold text-gray-900">₹{stock.price}</p>
+                <p className="text-2xl font-bold text-gray-900">{stock.currencySymbol}{stock.price}</p>
+                {(stock.mock || stock.stale) && (
+                  <p className="text-xs text-orange-600">
+                    {stock.mock ? 'Simulated price, not live' : `Last updated ${stock.staleAge}s ago`}
+                  </p>
+                )}
                 <div className={`flex items-center justify-end space-x-1 ${
                   stock.change.startsWith('+') ? 'text-green-600' : 'text-red-600'
                 }`}>
@@ -252,12 +522,23 @@ const Dashboard = ({ user, setCurrentPage, watchlist, alerts }) => {
               <button className="flex-1 bg-blue-50 text-blue-600 py-2 px-4 rounded-xl hover:bg-blue-100 transition-colors">
                 View Details
               </button>
-              <button className="flex-1 bg-gray-50 text-gray-700 py-2 px-4 rounded-xl hover:bg-gray-100 transition-colors">
+              <button
+                onClick={() => { setAlertTarget(stock); setWatchlistError(null); }}
+                className="flex-1 bg-gray-50 text-gray-700 py-2 px-4 rounded-xl hover:bg-gray-100 transition-colors"
+              >
                 Set Alert
               </button>
+              <button
+                onClick={() => runWatchlistAction(() => watchlistActions.removeStock(stock.symbol))}
+                disabled={isSaving}
+                className="bg-red-50 text-red-600 py-2 px-4 rounded-xl hover:bg-red-100 transition-colors"
+                title="Remove from watchlist"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
             </div>
           </div>
-        )) || (
+        )) : (
           <div className="text-center py-12">
             <Star className="w-16 h-16 text-gray-400 mx-auto mb-4" />
             <h3 className="text-xl font-semibold text-gray-900 mb-2">No Stocks in Watchlist</h3>
@@ -277,10 +558,16 @@ const Dashboard = ({ user, setCurrentPage, watchlist, alerts }) => {
           <p className="text-gray-600 mt-1">Stay updated with market movements</p>
         </div>
         <div className="mt-4 sm:mt-0 flex space-x-4">
-          <button className="bg-gray-100 text-gray-700 px-4 py-2 rounded-xl hover:bg-gray-200 transition-colors">
+          <button
+            onClick={() => alertActions.markAllRead()}
+            className="bg-gray-100 text-gray-700 px-4 py-2 rounded-xl hover:bg-gray-200 transition-colors"
+          >
             Mark All Read
           </button>
-          <button className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-2 rounded-xl hover:shadow-lg transition-all duration-200">
+          <button
+            onClick={() => setActiveTab('settings')}
+            className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-2 rounded-xl hover:shadow-lg transition-all duration-200"
+          >
             Settings
           </button>
         </div>
@@ -330,6 +617,182 @@ const Dashboard = ({ user, setCurrentPage, watchlist, alerts }) => {
     </div>
   );
 
+  // Filing alert and corporate action reminder preferences; every change is saved straight away
+  const AlertSettings = () => {
+    const preferences = filingPreferences;
+    const save = (updates) => alertActions.updateFilingPreferences(updates)
+      .catch(error => console.error('Failed to save filing alert settings:', error));
+    const saveReminders = (updates) => alertActions.updateActionPreferences(updates)
+      .catch(error => console.error('Failed to save reminder settings:', error));
+    const toggleReminderDate = (date) => {
+      const dates = actionPreferences.dates;
+      saveReminders({ dates: dates.includes(date) ? dates.filter(d => d !== date) : [...dates, date] });
+    };
+    const toggleCategory = (id) => {
+      const muted = preferences.mutedCategories;
+      save({ mutedCategories: muted.includes(id) ? muted.filter(c => c !== id) : [...muted, id] });
+    };
+
+    return (
+      <div className="space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+          <p className="text-gray-600 mt-1">Choose which exchange filings and reminders reach you</p>
+        </div>
+
+        {!preferences ? (
+          <div className="bg-white rounded-2xl shadow-sm border border-gray-100 p-6 text-gray-500">
+            Filing alert settings are unavailable right now
+          </div>
+        ) : (
+          <div className="bg-white rounded-2xl shadow-sm border border-gray-100 p-6 space-y-6">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Filing Alerts</h3>
+              <p className="text-sm text-gray-600 mt-1">NSE/BSE announcements for stocks in your watchlists or with alert rules</p>
+            </div>
+
+            <label className="flex items-center space-x-3">
+              <input
+                type="checkbox"
+                checked={preferences.enabled}
+                onChange={(e) => save({ enabled: e.target.checked })}
+                className="w-4 h-4"
+              />
+              <span className="text-gray-900">Alert me about new filings</span>
+            </label>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Minimum importance</label>
+              <select
+                value={preferences.minImportance}
+                onChange={(e) => save({ minImportance: e.target.value })}
+                className="w-full sm:w-64 px-4 py-3 bg-gray-50 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="high">High only</option>
+                <option value="medium">Medium and high</option>
+                <option value="low">Everything</option>
+              </select>
+            </div>
+
+            <label className="flex items-center space-x-3">
+              <input
+                type="checkbox"
+                checked={preferences.hideNoise}
+                onChange={(e) => save({ hideNoise: e.target.checked })}
+                className="w-4 h-4"
+              />
+              <span className="text-gray-900">Hide routine filings (trading window closures, newspaper publications, investor meet schedules)</span>
+            </label>
+
+            <label className="flex items-center space-x-3">
+              <input
+                type="checkbox"
+                checked={preferences.whatsapp}
+                onChange={(e) => save({ whatsapp: e.target.checked })}
+                className="w-4 h-4"
+              />
+              <span className="text-gray-900">Also send filing and results alerts to my WhatsApp (+{user.phone})</span>
+            </label>
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-3">Categories</p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+                {filingCategories.map((category) => {
+                  const hidden = preferences.hideNoise && category.noise;
+                  return (
+                    <label key={category.id} className={`flex items-center space-x-3 p-3 rounded-xl bg-gray-50 ${hidden ? 'opacity-50' : ''}`}>
+                      <input
+                        type="checkbox"
+                        checked={!hidden && !preferences.mutedCategories.includes(category.id)}
+                        disabled={hidden}
+                        onChange={() => toggleCategory(category.id)}
+                        className="w-4 h-4"
+                      />
+                      <span className="text-sm text-gray-900">{category.label}</span>
+                      {category.noise && <span className="text-xs text-gray-500">routine</span>}
+                    </label>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {actionPreferences && (
+          <div className="bg-white rounded-2xl shadow-sm border border-gray-100 p-6 space-y-6">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Corporate Action Reminders</h3>
+              <p className="text-sm text-gray-600 mt-1">Dividends, splits, bonuses, rights issues, buybacks and AGMs of your watchlist stocks</p>
+            </div>
+
+            <label className="flex items-center space-x-3">
+              <input
+                type="checkbox"
+                checked={actionPreferences.enabled}
+                onChange={(e) => saveReminders({ enabled: e.target.checked })}
+                className="w-4 h-4"
+              />
+              <span className="text-gray-900">Remind me before key dates</span>
+            </label>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">How early</label>
+              <select
+                value={actionPreferences.daysBefore}
+                onChange={(e) => saveReminders({ daysBefore: Number(e.target.value) })}
+                className="w-full sm:w-64 px-4 py-3 bg-gray-50 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value={0}>On the day</option>
+                <option value={1}>1 day before</option>
+                <option value={2}>2 days before</option>
+                <option value={3}>3 days before</option>
+                <option value={7}>A week before</option>
+              </select>
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+              {[['exDate', 'Ex-date'], ['recordDate', 'Record date'], ['meetingDate', 'AGM date']].map(([date, label]) => (
+                <label key={date} className="flex items-center space-x-3 p-3 rounded-xl bg-gray-50">
+                  <input
+                    type="checkbox"
+                    checked={actionPreferences.dates.includes(date)}
+                    onChange={() => toggleReminderDate(date)}
+                    className="w-4 h-4"
+                  />
+                  <span className="text-sm text-gray-900">{label}</span>
+                </label>
+              ))}
+            </div>
+
+            {calendarSubscription && (
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Subscribe in your calendar app</p>
+                <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                  <input
+                    readOnly
+                    value={calendarSubscription.url}
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 px-4 py-3 bg-gray-50 rounded-xl text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <a href={calendarSubscription.webcal} className="text-blue-600 hover:text-blue-700 text-sm font-medium">
+                    Open in calendar
+                  </a>
+                  <button
+                    onClick={() => alertActions.rotateCalendarSubscription().catch(error => console.error('Failed to reset calendar link:', error))}
+                    className="text-gray-600 hover:text-gray-900 text-sm font-medium"
+                  >
+                    Reset link
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">Anyone with this link can see your watchlist's corporate actions; reset it to revoke access</p>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   // Render content based on active tab
   const renderContent = () => {
     switch (activeTab) {
@@ -348,13 +811,7 @@ const Dashboard = ({ user, setCurrentPage, watchlist, alerts }) => {
           </div>
         );
       case 'settings':
-        return (
-          <div className="text-center py-12">
-            <Settings className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-            <h3 className="text-xl font-semibold text-gray-900 mb-2">Settings Coming Soon</h3>
-            <p className="text-gray-600">Customize your alert preferences</p>
-          </div>
-        );
+        return <AlertSettings />;
       default:
         return <Overview />;
     }
@@ -370,19 +827,233 @@ const Dashboard = ({ user, setCurrentPage, watchlist, alerts }) => {
         </div>
       </div>
 
-      {/* Add Stock Modal Placeholder */}
-      {showAddStock && (
+      {/* Set Alert Modal */}
+      {alertTarget && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white p-8 rounded-2xl max-w-md w-full mx-4">
-            <h3 className="text-xl font-bold text-gray-900 mb-4">Add Stock to Watchlist</h3>
-            <p className="text-gray-600 mb-6">This feature is coming soon!</p>
-            <button
-              onClick={() => setShowAddStock(false)}
-              className="w-full bg-blue-600 text-white py-2 rounded-xl hover:bg-blue-700 transition-colors"
+          <form onSubmit={handleCreateRule} className="bg-white p-8 rounded-2xl max-w-md w-full mx-4 space-y-4">
+            <h3 className="text-xl font-bold text-gray-900">Alerts for {alertTarget.symbol}</h3>
+
+            {targetRules.length > 0 && (
+              <div className="space-y-2">
+                {targetRules.map((rule) => (
+                  <div key={rule.id} className="flex items-center justify-between bg-gray-50 px-4 py-2 rounded-xl text-sm">
+                    <span className="text-gray-700">
+                      {ALERT_RULE_TYPES.find(t => t.id === rule.type)?.label || rule.type}
+                      {rule.threshold !== undefined && rule.threshold !== null && ` ${rule.threshold}`}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => runWatchlistAction(() => alertActions.deleteRule(rule.id))}
+                      className="text-red-600 hover:text-red-700"
+                      title="Delete rule"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <select
+              value={ruleType}
+              onChange={(e) => setRuleType(e.target.value)}
+              className="w-full px-4 py-3 bg-gray-50 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
-              Close
-            </button>
-          </div>
+              {ALERT_RULE_TYPES.map((type) => (
+                <option key={type.id} value={type.id}>{type.label}</option>
+              ))}
+            </select>
+            {selectedRuleType?.unit && (
+              <div className="flex items-center space-x-2">
+                <input
+                  type="number"
+                  step="any"
+                  value={ruleThreshold}
+                  onChange={(e) => setRuleThreshold(e.target.value)}
+                  placeholder={selectedRuleType.placeholder || 'Threshold'}
+                  className="flex-1 px-4 py-3 bg-gray-50 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  required={selectedRuleType.unit !== 'x normal'}
+                />
+                <span className="text-sm text-gray-500">{selectedRuleType.unit}</span>
+              </div>
+            )}
+            <div className="flex items-center space-x-2">
+              <span className="text-sm text-gray-600">Re-alert after</span>
+              <input
+                type="number"
+                min="1"
+                value={ruleCooldown}
+                onChange={(e) => setRuleCooldown(e.target.value)}
+                className="w-24 px-3 py-2 bg-gray-50 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <span className="text-sm text-gray-600">minutes</span>
+            </div>
+            {watchlistError && (
+              <p className="text-sm text-red-600">{watchlistError}</p>
+            )}
+            <div className="flex space-x-2">
+              <button
+                type="button"
+                onClick={() => { setAlertTarget(null); setWatchlistError(null); }}
+                className="flex-1 bg-gray-100 text-gray-700 py-2 rounded-xl hover:bg-gray-200 transition-colors"
+              >
+                Close
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="flex-1 bg-blue-600 text-white py-2 rounded-xl hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : 'Add Alert'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Add Holding Modal */}
+      {showAddHolding && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <form onSubmit={handleAddHolding} className="bg-white p-8 rounded-2xl max-w-md w-full mx-4 space-y-4">
+            <h3 className="text-xl font-bold text-gray-900">Add Holding</h3>
+            <input
+              type="text"
+              value={holdingForm.symbol}
+              onChange={(e) => setHoldingForm({ ...holdingForm, symbol: e.target.value.toUpperCase() })}
+              placeholder="Symbol, e.g. RELIANCE or AAPL"
+              className="w-full px-4 py-3 bg-gray-50 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              autoFocus
+              required
+            />
+            <div className="flex space-x-2">
+              {[
+                { id: 'indian', label: '🇮🇳 NSE/BSE' },
+                { id: 'global', label: '🇺🇸 NYSE/NASDAQ' }
+              ].map((market) => (
+                <button
+                  key={market.id}
+                  type="button"
+                  onClick={() => setHoldingForm({ ...holdingForm, market: market.id })}
+                  className={`flex-1 py-2 rounded-xl text-sm font-medium transition-colors ${
+                    holdingForm.market === market.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {market.label}
+                </button>
+              ))}
+            </div>
+            <div className="flex space-x-2">
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={holdingForm.quantity}
+                onChange={(e) => setHoldingForm({ ...holdingForm, quantity: e.target.value })}
+                placeholder="Quantity"
+                className="flex-1 min-w-0 px-4 py-3 bg-gray-50 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={holdingForm.averagePrice}
+                onChange={(e) => setHoldingForm({ ...holdingForm, averagePrice: e.target.value })}
+                placeholder="Avg buy price"
+                className="flex-1 min-w-0 px-4 py-3 bg-gray-50 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+            </div>
+            <div className="flex space-x-2">
+              <input
+                type="date"
+                value={holdingForm.buyDate}
+                onChange={(e) => setHoldingForm({ ...holdingForm, buyDate: e.target.value })}
+                className="flex-1 min-w-0 px-4 py-3 bg-gray-50 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+              <input
+                type="text"
+                value={holdingForm.broker}
+                onChange={(e) => setHoldingForm({ ...holdingForm, broker: e.target.value })}
+                placeholder="Broker (optional)"
+                className="flex-1 min-w-0 px-4 py-3 bg-gray-50 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            {watchlistError && (
+              <p className="text-sm text-red-600">{watchlistError}</p>
+            )}
+            <div className="flex space-x-2">
+              <button
+                type="button"
+                onClick={() => { setShowAddHolding(false); setWatchlistError(null); }}
+                className="flex-1 bg-gray-100 text-gray-700 py-2 rounded-xl hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="flex-1 bg-blue-600 text-white py-2 rounded-xl hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {isSaving ? 'Adding...' : 'Add'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Add Stock Modal */}
+      {showAddStock && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <form onSubmit={handleAddStock} className="bg-white p-8 rounded-2xl max-w-md w-full mx-4 space-y-4">
+            <h3 className="text-xl font-bold text-gray-900">Add Stock to Watchlist</h3>
+            <input
+              type="text"
+              value={newSymbol}
+              onChange={(e) => setNewSymbol(e.target.value.toUpperCase())}
+              placeholder="Symbol, e.g. RELIANCE or AAPL"
+              className="w-full px-4 py-3 bg-gray-50 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              autoFocus
+              required
+            />
+            <div className="flex space-x-2">
+              {[
+                { id: 'indian', label: '🇮🇳 NSE/BSE' },
+                { id: 'global', label: '🇺🇸 NYSE/NASDAQ' }
+              ].map((market) => (
+                <button
+                  key={market.id}
+                  type="button"
+                  onClick={() => setNewMarket(market.id)}
+                  className={`flex-1 py-2 rounded-xl text-sm font-medium transition-colors ${
+                    newMarket === market.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {market.label}
+                </button>
+              ))}
+            </div>
+            {watchlistError && (
+              <p className="text-sm text-red-600">{watchlistError}</p>
+            )}
+            <div className="flex space-x-2">
+              <button
+                type="button"
+                onClick={() => { setShowAddStock(false); setWatchlistError(null); }}
+                className="flex-1 bg-gray-100 text-gray-700 py-2 rounded-xl hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving || !activeWatchlistId}
+                className="flex-1 bg-blue-600 text-white py-2 rounded-xl hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {isSaving ? 'Adding...' : 'Add'}
+              </button>
+            </div>
+          </form>
         </div>
       )}
     </div>
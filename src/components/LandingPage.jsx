@@ -22,6 +22,13 @@ import {
   Pause,
   PlayIcon
 } from 'lucide-react';
+import StockDataService from '../../services/StockDataService';
+
+// Short tags for US pre-market / after-hours moves
+const EXTENDED_SESSION_LABELS = { pre_market: 'PRE', after_hours: 'AH' };
+
+// Server mode (SERVER_MODE) shown in the ticker status; only live mode is market data
+const SERVER_MODE_LABELS = { live: 'Live Data', demo: 'Demo Data (simulated)', replay: 'Replay (recorded)' };
 
 // Enhanced StockTicker with Dual Markets
 const StockTicker = () => {
@@ -31,19 +38,34 @@ const StockTicker = () => {
   const [isPaused, setIsPaused] = useState(false);
   const [showIndian, setShowIndian] = useState(true);
   const [showGlobal, setShowGlobal] = useState(true);
+  const [marketStatus, setMarketStatus] = useState(null);
+  const [serverMode, setServerMode] = useState('live');
+  const [indices, setIndices] = useState([]);
   const tickerRef = useRef(null);
-  const intervalRef = useRef(null);
 
   const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
-  // Fetch live dual-market data
+  const enhanceStock = (stock) => ({
+    ...stock,
+    isPositive: stock.change >= 0,
+    market: stock.currency === 'INR' ? 'indian' : 'global',
+    flag: stock.currency === 'INR' ? '🇮🇳' : getCountryFlag(stock.symbol),
+    formattedPrice: formatPrice(stock.price, stock.currency),
+    formattedChange: formatChange(stock.change, stock.currency),
+    extendedLabel: stock.extendedHours
+      ? `${EXTENDED_SESSION_LABELS[stock.extendedHours.session]} ${stock.extendedHours.changePercent >= 0 ? '+' : ''}${stock.extendedHours.changePercent}%`
+      : null
+  });
+
+  // Fetch the dual-market snapshot; live updates then arrive over the stream
   const fetchStockData = async () => {
     try {
       setError(null);
       const params = new URLSearchParams({
         indian: showIndian.toString(),
         global: showGlobal.toString(),
-        limit: '15'
+        limit: '15',
+        moves: 'extended'
       });
 
       const response = await fetch(`${API_BASE_URL}/stocks/ticker?${params}`);
@@ -52,20 +74,14 @@ const StockTicker = () => {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       
-      const data = await response.json();
+      const payload = await response.json();
+      const quotes = Array.isArray(payload) ? payload : payload.data || [];
       
-      // Transform and enhance the data
-      const enhancedData = data.map(stock => ({
-        ...stock,
-        isPositive: stock.change >= 0,
-        market: stock.currency === 'INR' ? 'indian' : 'global',
-        flag: stock.currency === 'INR' ? '🇮🇳' : getCountryFlag(stock.symbol),
-        formattedPrice: formatPrice(stock.price, stock.currency),
-        formattedChange: formatChange(stock.change, stock.currency)
-      }));
-      
-      setStocks(enhancedData);
+      setStocks(quotes.map(enhanceStock));
+      if (payload.summary?.marketStatus) setMarketStatus(payload.summary.marketStatus);
+      if (payload.summary?.mode) setServerMode(payload.summary.mode);
       setIsLoading(false);
+      return quotes;
     } catch (err) {
       console.error('Error fetching stock data:', err);
       setError(err.message);
@@ -73,9 +89,15 @@ const StockTicker = () => {
       
       // Fallback to demo data
       setStocks(getFallbackData());
+      return [];
     }
   };
 
+  // Index levels only; the strip does not need advance/decline counts
+  const fetchIndices = async () => {
+    setIndices(await StockDataService.getMarketIndices());
+  };
+
   const getFallbackData = () => {
     return [
       { symbol: 'RELIANCE', price: 2847.65, change: 12.45, isPositive: true, currency: 'INR', market: 'indian', flag: '🇮🇳', source: 'Demo' },
@@ -104,17 +126,31 @@ const StockTicker = () => {
     return '🇺🇸'; // Default to US for global stocks
   };
 
-  // Initial data fetch and setup interval
+  // Initial snapshot, then quote deltas and market transitions pushed by the server
   useEffect(() => {
-    fetchStockData();
-    
-    // Set up interval to refresh data every 30 seconds
-    intervalRef.current = setInterval(fetchStockData, 30000);
+    let cancelled = false;
+
+    const unsubscribe = StockDataService.subscribe((event, data) => {
+      if (event === 'quote_update') {
+        setStocks(current => current.map(stock =>
+          stock.symbol === data.symbol ? enhanceStock({ ...stock, ...data }) : stock
+        ));
+      } else if (event === 'market_status' && data) {
+        setMarketStatus(data);
+      }
+    });
+
+    fetchIndices();
+    fetchStockData().then(quotes => {
+      if (!cancelled && quotes.length > 0) {
+        StockDataService.connectStream(quotes.map(stock => stock.symbol));
+      }
+    });
     
     return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-      }
+      cancelled = true;
+      unsubscribe();
+      StockDataService.disconnectStream();
     };
   }, [showIndian, showGlobal]);
 
@@ -137,6 +173,7 @@ const StockTicker = () => {
   const handleRefresh = () => {
     setIsLoading(true);
     fetchStockData();
+    fetchIndices();
   };
 
   // Toggle market visibility
@@ -166,9 +203,11 @@ const StockTicker = () => {
         <div className="flex items-center justify-between">
           <div className="flex items-center space-x-4">
             <div className="flex items-center space-x-2 text-xs">
-              <div className={`w-2 h-2 rounded-full ${error ? 'bg-red-500' : 'bg-green-500'} animate-pulse`}></div>
-              <span className="text-gray-600">
-                {error ? 'API Error' : 'Live Data'} • {stocks.length} stocks
+              <div className={`w-2 h-2 rounded-full ${
+                error ? 'bg-red-500' : serverMode === 'live' ? 'bg-green-500' : 'bg-orange-500'
+              } animate-pulse`}></div>
+              <span className={serverMode === 'live' ? 'text-gray-600' : 'text-orange-700 font-medium'}>
+                {error ? 'API Error' : SERVER_MODE_LABELS[serverMode]} • {stocks.length} stocks
               </span>
             </div>
             
@@ -214,6 +253,26 @@ const StockTicker = () => {
         </div>
       </div>
 
+      {/* Index Strip */}
+      {indices.length > 0 && (
+        <div className="flex items-center justify-center flex-wrap gap-x-6 gap-y-1 px-4 py-2 border-b border-gray-100 text-xs">
+          {indices.filter(index => (index.market === 'indian' ? showIndian : showGlobal)).map(index => (
+            <div key={index.id} className="flex items-center space-x-2">
+              <span className="font-semibold text-gray-700">{index.name}</span>
+              <span className="text-gray-900 font-medium">
+                {index.level.toLocaleString(index.market === 'indian' ? 'en-IN' : 'en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              </span>
+              <span className={index.change >= 0 ? 'text-green-600 font-semibold' : 'text-red-600 font-semibold'}>
+                {index.change >= 0 ? '+' : ''}{index.changePercent}%
+              </span>
+              {index.stale && (
+                <span className="bg-gray-100 text-gray-600 px-1 rounded" title={`Last updated ${index.staleAge}s ago`}>STALE</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Enhanced Ticker Display */}
       <div 
         className="flex"
@@ -248,10 +307,26 @@ const StockTicker = () => {
                 </span>
               </div>
 
+              {/* US pre-market / after-hours move */}
+              {stock.extendedLabel && (
+                <span className={`text-xs px-1 rounded ${
+                  stock.extendedHours.change >= 0 ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+                }`}>
+                  {stock.extendedLabel}
+                </span>
+              )}
+
               {/* Source indicator */}
-              {(stock.source === 'Demo' || stock.mock) && (
+              {stock.replay ? (
+                <span className="text-xs bg-orange-100 text-orange-600 px-1 rounded">REPLAY</span>
+              ) : (stock.source === 'Demo' || stock.mock) && (
                 <span className="text-xs bg-orange-100 text-orange-600 px-1 rounded">DEMO</span>
               )}
+              {stock.stale && (
+                <span className="text-xs bg-gray-100 text-gray-600 px-1 rounded" title={`Last updated ${stock.staleAge}s ago`}>
+                  STALE
+                </span>
+              )}
               {stock.source?.includes('BSE') && (
                 <span className="text-xs bg-green-100 text-green-600 px-1 rounded">BSE</span>
               )}
@@ -266,12 +341,12 @@ const StockTicker = () => {
           <div className="flex items-center space-x-2">
             <span>🇮🇳 NSE/BSE</span>
             <span className="font-medium text-gray-700">9:15 AM - 3:30 PM IST</span>
-            <div className="w-1 h-1 bg-green-500 rounded-full animate-pulse"></div>
+            <div className={`w-1 h-1 rounded-full ${marketStatus?.indian ? 'bg-green-500 animate-pulse' : 'bg-gray-400'}`}></div>
           </div>
           <div className="flex items-center space-x-2">
             <span>🇺🇸 NYSE/NASDAQ</span>
             <span className="font-medium text-gray-700">9:30 AM - 4:00 PM EST</span>
-            <div className="w-1 h-1 bg-blue-500 rounded-full animate-pulse"></div>
+            <div className={`w-1 h-1 rounded-full ${marketStatus?.global ? 'bg-blue-500 animate-pulse' : 'bg-gray-400'}`}></div>
           </div>
         </div>
       </div>
@@ -541,7 +616,7 @@ const LandingPage = ({ setCurrentPage }) => {
               {
                 icon: Target,
                 title: 'Smart AI Filtering',
-                description: 'AI learns your portfolio mix (Indian vs Global) and sends only relevant, high-impact alerts.',
+                description: 'Every NSE/BSE filing is labelled by type, importance and sentiment, so routine noise like trading window closures never reaches you.',
                 color: 'purple'
               },
               {
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { TrendingUp, ArrowRight } from 'lucide-react';
+import AuthService from '../../services/AuthService';
 
 const LoginPage = ({ setCurrentPage, setUser }) => {
   const [phoneNumber, setPhoneNumber] = useState('');
@@ -7,21 +8,40 @@ const LoginPage = ({ setCurrentPage, setUser }) => {
   const [isLogin, setIsLogin] = useState(true);
   const [otp, setOtp] = useState('');
   const [otpSent, setOtpSent] = useState(false);
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const handleSendOTP = (e) => {
+  const handleSendOTP = async (e) => {
     e.preventDefault();
-    setOtpSent(true);
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await AuthService.sendOTP(phoneNumber);
+      setOtp('');
+      setOtpSent(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
-  const handleVerifyOTP = (e) => {
+  const handleVerifyOTP = async (e) => {
     e.preventDefault();
-    setUser({ 
-      name: name || 'User', 
-      phone: phoneNumber,
-      trialDaysLeft: 30,
-      joinDate: new Date().toLocaleDateString()
-    });
-    setCurrentPage('dashboard');
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      const user = await AuthService.verifyOTP(phoneNumber, otp, isLogin ? undefined : name);
+      setUser({
+        ...user,
+        joinDate: new Date(user.joinDate).toLocaleDateString()
+      });
+      setCurrentPage('dashboard');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
   return (
@@ -39,6 +59,10 @@ const LoginPage = ({ setCurrentPage, setUser }) => {
           </p>
         </div>
 
+        {error && (
+          <div className="bg-red-50 text-red-700 px-4 py-3 rounded-xl text-sm mb-6">{error}</div>
+        )}
+
         {!otpSent ? (
           <form onSubmit={handleSendOTP} className="space-y-6">
             {!isLogin && (
@@ -69,9 +93,10 @@ const LoginPage = ({ setCurrentPage, setUser }) => {
 
             <button
               type="submit"
-              className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-4 rounded-xl font-semibold hover:shadow-xl transition-all duration-300 transform hover:scale-105"
+              disabled={isSubmitting}
+              className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-4 rounded-xl font-semibold hover:shadow-xl transition-all duration-300 transform hover:scale-105 disabled:opacity-60"
             >
-              Send OTP
+              {isSubmitting ? 'Sending...' : 'Send OTP'}
             </button>
           </form>
         ) : (
@@ -91,14 +116,15 @@ const LoginPage = ({ setCurrentPage, setUser }) => {
 
             <button
               type="submit"
-              className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-4 rounded-xl font-semibold hover:shadow-xl transition-all duration-300 transform hover:scale-105"
+              disabled={isSubmitting}
+              className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-4 rounded-xl font-semibold hover:shadow-xl transition-all duration-300 transform hover:scale-105 disabled:opacity-60"
             >
-              Verify & Continue
+              {isSubmitting ? 'Verifying...' : 'Verify & Continue'}
             </button>
 
             <button
               type="button"
-              onClick={() => setOtpSent(false)}
+              onClick={() => { setOtpSent(false); setError(null); }}
               className="w-full text-gray-500 hover:text-gray-700 transition-colors"
             >
               ← Change Phone Number